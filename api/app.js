@@ -1,15 +1,35 @@
 const express = require("express");
 const cors = require("cors");
 const errorHandler = require("./middlewares/errorHandler.middleware");
+const auditMiddleware = require("./middlewares/audit.middleware");
 const authRoutes = require("./routes/auth.routes");
 const userRouter = require("./routes/users.routes");
 const workspaceRouter = require("./routes/workspaces.routes");
 const bookingRouter = require("./routes/bookings.routes");
+const invitationRouter = require("./routes/invitations.routes");
+const teamRouter = require("./routes/teams.routes");
+const apiKeyRouter = require("./routes/apiKeys.routes");
+const auditRouter = require("./routes/audit.routes");
+const waitlistRouter = require("./routes/waitlist.routes");
+const policyRouter = require("./routes/policies.routes");
+const quotaRouter = require("./routes/quotas.routes");
+const scheduleRouter = require("./routes/schedules.routes");
 
 // Phase 2: Express App Setup
 const app = express();
+// Behind a reverse proxy, TRUST_PROXY (a hop count, or addresses/subnets of the proxies) makes
+// the client IP come from X-Forwarded-For, as login throttling needs. It is off by default so
+// that clients reaching the API directly cannot choose their IP with that header.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy
+  );
+}
 app.use(cors());
 app.use(express.json());
+app.use(auditMiddleware);
 
 // Middleware, routes, etc.
 app.get("/health", (req, res) => {
@@ -27,6 +47,14 @@ app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRouter);
 app.use("/api/v1/workspaces", workspaceRouter);
 app.use("/api/v1/bookings", bookingRouter);
+app.use("/api/v1/invitations", invitationRouter);
+app.use("/api/v1/teams", teamRouter);
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/audit", auditRouter);
+app.use("/api/v1/waitlist", waitlistRouter);
+app.use("/api/v1/booking-policies", policyRouter);
+app.use("/api/v1/booking-quotas", quotaRouter);
+app.use("/api/v1/schedules", scheduleRouter);
 
 // error middleware
 app.use(errorHandler);
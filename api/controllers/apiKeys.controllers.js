@@ -0,0 +1,113 @@
+// Importing the API keys module, which contains database operations for service account keys.
+const apiKeys = require('../database/tokens/apikey.tokens');
+
+// Importing the list of scopes an API key may hold.
+const { API_KEY_SCOPES } = require('../middlewares/permission.middleware');
+
+// Importing custom error classes for validation and missing resources.
+const { ValidationError, NotFoundError } = require('../errors/index.errors');
+
+/**
+ * @function createApiKey
+ * @description Issues a scoped API key for a service account or kiosk device. The plain key
+ * is only returned in this response; afterwards only its prefix can be shown.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the key and its plain value.
+ * @throws {ValidationError} If the name, scopes or expiry date are invalid.
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    if (!name) {
+      throw new ValidationError('name can not be empty');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError('scopes must be a non-empty array');
+    }
+    const unknownScopes = scopes.filter(
+      (scope) => !API_KEY_SCOPES.includes(scope)
+    );
+    if (unknownScopes.length > 0) {
+      throw new ValidationError(
+        `Invalid scopes: ${unknownScopes.join(', ')}. ` +
+          `Allowed scopes: ${API_KEY_SCOPES.join(', ')}`
+      );
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      throw new ValidationError('expiresAt must be a future date');
+    }
+
+    const { apiKey, key } = await apiKeys.createApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expiry,
+    });
+    await req.audit({
+      action: 'api_key.create',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+      newValues: apiKey,
+    });
+
+    res.status(201).json({
+      data: { ...apiKey, key },
+      message: 'Store this key now, it will not be shown again',
+    });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getApiKeys
+ * @description Lists API keys with their scopes and last-used timestamps.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the API keys.
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const keys = await apiKeys.getApiKeys();
+    res.status(200).json({ data: keys });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function revokeApiKey
+ * @description Revokes an API key so that it can no longer authenticate.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a 204 No Content response if the key is revoked.
+ * @throws {NotFoundError} If no active API key has the given ID.
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeys.revokeApiKey(req.params.id);
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+    await req.audit({
+      action: 'api_key.revoke',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,53 @@
+// Importing the audit log module, which contains database operations for the audit trail.
+const auditLog = require('../database/audit/log.audit');
+
+// Importing the `ValidationError` class for invalid filters.
+const { ValidationError } = require('../errors/index.errors');
+
+/**
+ * @function getAuditLog
+ * @description Searches the audit trail of administrative and booking changes.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the matching entries and pagination.
+ * @throws {ValidationError} If a date filter is invalid.
+ */
+const getAuditLog = async (req, res, next) => {
+  try {
+    const { actorId, action, entityType, entityId, from, to } = req.query;
+    const page = req.query.page ? parseInt(req.query.page, 10) : 1;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if (
+      (fromDate && isNaN(fromDate.getTime())) ||
+      (toDate && isNaN(toDate.getTime()))
+    ) {
+      throw new ValidationError('from and to must be valid dates');
+    }
+
+    const { entries, total } = await auditLog.getAuditLog({
+      actorId: actorId ? parseInt(actorId, 10) : undefined,
+      action,
+      entityType,
+      entityId: entityId ? parseInt(entityId, 10) : undefined,
+      from: fromDate,
+      to: toDate,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.status(200).json({
+      data: entries,
+      pagination: { page, limit, total },
+    });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  getAuditLog,
+};
@@ -5,7 +5,18 @@
  * - User registration with email/password
  * - User login with email/password
  * - JWT token generation for authenticated users
+ * - Access token renewal with rotating refresh tokens
+ * - Logout of one or all sessions
+ * - Password reset by email and password change
+ * - Email verification and domain-restricted or invitation-based registration
+ * - Brute-force protection of login (progressive delays and account lockout)
  * @requires ../users/users
+ * @requires ../tokens/refresh
+ * @requires ../tokens/reset
+ * @requires ../tokens/verification
+ * @requires ../invitations
+ * @requires ../security/login
+ * @requires ../notifications/sendEmail
  * @requires bcryptjs
  * @requires jsonwebtoken
  */
@@ -13,42 +24,173 @@
 const {
   createUser,
   findUserByEmail,
+  findUserById,
   comparePassword,
+  updatePassword,
+  markEmailVerified,
   generateAuthToken,
 } = require('../database/users/user.users');
 
-const { ValidationError, BadRequestError } = require('../errors/index.errors');
+const refreshTokens = require('../database/tokens/refresh.tokens');
+const resetTokens = require('../database/tokens/reset.tokens');
+const verificationTokens = require('../database/tokens/verification.tokens');
+const invitations = require('../database/invitations/invitation.invitations');
+const loginSecurity = require('../database/security/login.security');
+const sendEmail = require('../notifications/sendEmail');
+
+const {
+  ValidationError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  TooManyRequestsError,
+} = require('../errors/index.errors');
+
+/**
+ * @async
+ * @function issueTokens
+ * @description Issues an access token and a refresh token starting a new session
+ * @param {Object} user - User the session is opened for
+ * @returns {Promise<{token: string, refreshToken: string}>} Access and refresh tokens
+ */
+const issueTokens = async (user) => ({
+  token: generateAuthToken(user),
+  refreshToken: await refreshTokens.createRefreshToken(user.id),
+});
+
+/**
+ * @function isAllowedEmailDomain
+ * @description Checks an email address against the self-registration allow-list.
+ * The allow-list is a comma separated list of domains in `ALLOWED_EMAIL_DOMAINS`
+ * (e.g. `spacemania.com,learners.spacemania.com`); when unset, every domain is allowed.
+ * @param {string} email - Email address to check
+ * @returns {boolean} True if the domain of the address is allowed
+ */
+const isAllowedEmailDomain = (email) => {
+  const allowedDomains = (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (allowedDomains.length === 0) {
+    return true;
+  }
+
+  const domain = email.split('@').pop().toLowerCase();
+  return allowedDomains.includes(domain);
+};
+
+/**
+ * @async
+ * @function sendVerificationEmail
+ * @description Issues a verification token and emails the confirmation link to the user
+ * @param {Object} user - User whose email address must be confirmed
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await verificationTokens.createEmailVerificationToken(user.id);
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  sendEmail(
+    user.email,
+    'Confirm your SpaceMania email address',
+    `Hello ${user.name},\n\n` +
+      `Please confirm your email address to start booking workspaces. ` +
+      `The link expires in ${verificationTokens.EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n` +
+      `${clientUrl}/verify-email?token=${token}`
+  );
+};
+
+/**
+ * @function getRetryDelaySeconds
+ * @description Computes the progressive delay imposed after repeated failed logins.
+ * The first two failures are free, then the delay doubles with every failure (1s, 2s, 4s...)
+ * up to one minute.
+ * @param {number} failures - Number of recent failed logins
+ * @param {Date|string|null} lastFailedAt - Time of the last failed login
+ * @returns {number} Seconds left before another attempt is accepted (0 if none)
+ */
+const getRetryDelaySeconds = (failures, lastFailedAt) => {
+  if (failures < 3 || !lastFailedAt) {
+    return 0;
+  }
+
+  const delay = Math.min(2 ** (failures - 3), 60);
+  const elapsed = (Date.now() - new Date(lastFailedAt).getTime()) / 1000;
+  return Math.max(0, Math.ceil(delay - elapsed));
+};
+
 /**
  * @async
  * @function register
- * @description Registers a new user in the system
+ * @description Registers a new user in the system.
+ * Without an invitation, the email domain must be in the allow-list and the account
+ * stays unverified (unable to book) until the emailed link is confirmed. Registering
+ * from an invitation skips both, since the link was emailed to the invitee.
  * @param {Object} req - Express request object
  * @param {string} req.body.name - User's full name
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.password - User's password (will be hashed)
+ * @param {string} [req.body.inviteToken] - Token of an admin-issued invitation
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Response object containing:
  * - user: The newly created user object (without password)
  * - token: JWT authentication token
+ * - refreshToken: Token used to renew the access token
  * @throws {Error} Will throw an error if:
  * - Email already exists
  * - Validation fails (invalid email/password format)
+ * - Email domain is not allowed and no valid invitation is given
  * - Database operation fails
  */
 const register = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteToken } = req.body;
     if (!name || !email || !password) {
       throw new ValidationError('name, email or passowrd can not empty');
     }
 
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await invitations.findPendingInvitation(inviteToken);
+      if (
+        !invitation ||
+        invitation.email.toLowerCase() !== email.toLowerCase()
+      ) {
+        throw new BadRequestError('Invalid or expired invitation');
+      }
+    } else if (!isAllowedEmailDomain(email)) {
+      throw new ForbiddenError(
+        'Registration is restricted to organization email addresses'
+      );
+    }
+
     const userExist = await findUserByEmail(email);
     if (userExist) {
       throw new BadRequestError('Email already exists');
     }
-    const user = await createUser(name, email, password);
-    const token = generateAuthToken(user.id);
-    res.status(201).json({ user, token });
+
+    let user;
+    if (invitation) {
+      user = await createUser(name, email, password, invitation.role, true);
+      await invitations.acceptInvitation(invitation.id, user.id);
+    } else {
+      user = await createUser(name, email, password);
+      await sendVerificationEmail(user);
+    }
+
+    await req.audit({
+      actorId: user.id,
+      action: 'user.register',
+      entityType: 'user',
+      entityId: user.id,
+      newValues: {
+        role: user.role,
+        invitation_id: invitation ? invitation.id : null,
+      },
+    });
+
+    const tokens = await issueTokens(user);
+    res.status(201).json({ user, ...tokens });
   } catch (error) {
     next(error);
   }
@@ -65,10 +207,12 @@ const register = async (req, res, next) => {
  * @returns {Promise<Object>} Response object containing:
  * - user: The authenticated user object (without password)
  * - token: JWT authentication token
+ * - refreshToken: Token used to renew the access token
  * @throws {Error} Will throw an error if:
  * - Email doesn't exist
  * - Password doesn't match
  * - Account is locked/suspended
+ * - Too many failed attempts were made recently from this IP or for this account
  */
 const login = async (req, res, next) => {
   try {
@@ -76,17 +220,336 @@ const login = async (req, res, next) => {
     if (!email || !password) {
       throw new ValidationError('name, email or passowrd can not empty');
     }
+
+    const ipAddress = req.ip;
+    const ipFailures = await loginSecurity.getRecentIpFailures(ipAddress);
+    if (ipFailures.count >= loginSecurity.LOGIN_LIMITS.maxFailedLoginsPerIp) {
+      throw new TooManyRequestsError(
+        'Too many failed login attempts, try again later',
+        loginSecurity.LOGIN_LIMITS.windowMinutes * 60
+      );
+    }
+
     const user = await findUserByEmail(email);
 
-    if (!user || !(await comparePassword(user, password))) {
+    if (user && user.locked_until && new Date(user.locked_until) > new Date()) {
+      throw new TooManyRequestsError(
+        'Account is temporarily locked after too many failed login attempts',
+        Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000)
+      );
+    }
+
+    const retryAfter = Math.max(
+      getRetryDelaySeconds(ipFailures.count, ipFailures.lastFailedAt),
+      user
+        ? getRetryDelaySeconds(
+            user.failed_login_attempts,
+            user.last_failed_login_at
+          )
+        : 0
+    );
+    if (retryAfter > 0) {
+      throw new TooManyRequestsError(
+        `Too many failed login attempts, try again in ${retryAfter} seconds`,
+        retryAfter
+      );
+    }
+
+    const isValid = Boolean(user) && (await comparePassword(user, password));
+    await loginSecurity.recordLoginAttempt(email, ipAddress, isValid);
+
+    if (!isValid) {
+      if (user) {
+        await loginSecurity.registerFailedLogin(user.id, ipAddress);
+      }
       throw new BadRequestError('Invalid login credentials');
     }
 
-    const token = generateAuthToken(user.id);
-    res.json({ user, token });
+    if (user.failed_login_attempts > 0) {
+      await loginSecurity.resetFailedLogins(user.id);
+    }
+
+    if (user.status !== 'active') {
+      throw new ForbiddenError(`Account is ${user.status}`);
+    }
+
+    const tokens = await issueTokens(user);
+    res.json({ user, ...tokens });
   } catch (error) {
     next(error);
   }
 };
 
-module.exports = { register, login };
+/**
+ * @async
+ * @function refresh
+ * @description Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token is revoked; presenting it again revokes the whole session.
+ * @param {Object} req - Express request object
+ * @param {string} req.body.refreshToken - Refresh token received at login or last refresh
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response object containing:
+ * - token: New JWT authentication token
+ * - refreshToken: New refresh token
+ * @throws {Error} Will throw an error if:
+ * - Refresh token is missing or not a string
+ * - Refresh token is unknown, expired or revoked
+ * - Refresh token was already used (session is revoked)
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new ValidationError('refreshToken must be a non-empty string');
+    }
+
+    const rotated = await refreshTokens.rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      throw new AuthenticationError('Invalid refresh token, please login again');
+    }
+    if (rotated.reused) {
+      throw new AuthenticationError(
+        'Refresh token reuse detected, please login again'
+      );
+    }
+
+    const user = await findUserById(rotated.userId);
+    if (!user || user.status !== 'active') {
+      throw new AuthenticationError('Invalid refresh token, please login again');
+    }
+
+    res.json({ token: generateAuthToken(user), refreshToken: rotated.token });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function logout
+ * @description Ends the session a refresh token belongs to
+ * @param {Object} req - Express request object
+ * @param {string} req.body.refreshToken - Refresh token of the session to end
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends a 204 No Content response
+ * @throws {Error} Will throw an error if the refresh token is missing or not a string
+ */
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new ValidationError('refreshToken must be a non-empty string');
+    }
+
+    await refreshTokens.revokeRefreshToken(refreshToken);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function logoutAll
+ * @description Ends every session of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user (set by authMiddleware)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends a 204 No Content response
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    await refreshTokens.revokeAllUserRefreshTokens(req.user.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function forgotPassword
+ * @description Emails a single-use, time-limited password reset link to the user.
+ * The response is the same whether or not the email is registered, so the endpoint
+ * cannot be used to discover accounts.
+ * @param {Object} req - Express request object
+ * @param {string} req.body.email - Email address of the account
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response object containing a generic confirmation message
+ * @throws {Error} Will throw an error if the email is missing
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      throw new ValidationError('email can not be empty');
+    }
+
+    const user = await findUserByEmail(email);
+    if (user && user.status === 'active') {
+      const token = await resetTokens.createPasswordResetToken(user.id);
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+      sendEmail(
+        user.email,
+        'Reset your SpaceMania password',
+        `Hello ${user.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ` +
+          `${resetTokens.PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+          `${clientUrl}/reset-password?token=${token}\n\n` +
+          `If you did not ask for a password reset, you can ignore this email.`
+      );
+    }
+
+    res.json({
+      message: 'If the email is registered, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function resetPassword
+ * @description Sets a new password using a reset token and ends every existing session
+ * @param {Object} req - Express request object
+ * @param {string} req.body.token - Reset token received by email
+ * @param {string} req.body.password - New password
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response object containing a confirmation message
+ * @throws {Error} Will throw an error if:
+ * - Token or password is missing
+ * - Token is unknown, expired or already used
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      throw new ValidationError('token or password can not be empty');
+    }
+
+    const userId = await resetTokens.consumePasswordResetToken(token);
+    if (!userId) {
+      throw new BadRequestError('Invalid or expired password reset token');
+    }
+
+    await updatePassword(userId, password);
+    await refreshTokens.revokeAllUserRefreshTokens(userId);
+
+    res.json({ message: 'Password has been reset, please login again' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function changePassword
+ * @description Changes the password of the authenticated user after checking the current one.
+ * Every other session is ended and a new session is returned for the caller.
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user (set by authMiddleware)
+ * @param {string} req.body.currentPassword - Current password
+ * @param {string} req.body.newPassword - New password
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response object containing:
+ * - token: New JWT authentication token
+ * - refreshToken: New refresh token
+ * @throws {Error} Will throw an error if:
+ * - A password is missing
+ * - Current password doesn't match
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      throw new ValidationError(
+        'currentPassword or newPassword can not be empty'
+      );
+    }
+
+    const user = await findUserById(req.user.id);
+    if (!user || !(await comparePassword(user, currentPassword))) {
+      throw new BadRequestError('Current password is incorrect');
+    }
+
+    await updatePassword(user.id, newPassword);
+    await refreshTokens.revokeAllUserRefreshTokens(user.id);
+
+    const tokens = await issueTokens(user);
+    res.json({ message: 'Password changed successfully', ...tokens });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function verifyEmail
+ * @description Confirms the email address of a user from the emailed verification link
+ * @param {Object} req - Express request object
+ * @param {string} req.body.token - Verification token received by email
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response object containing a confirmation message
+ * @throws {Error} Will throw an error if:
+ * - Token is missing
+ * - Token is unknown, expired or already used
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      throw new ValidationError('token can not be empty');
+    }
+
+    const userId = await verificationTokens.consumeEmailVerificationToken(token);
+    if (!userId) {
+      throw new BadRequestError('Invalid or expired verification token');
+    }
+
+    await markEmailVerified(userId);
+    res.json({ message: 'Email address verified successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @async
+ * @function resendVerification
+ * @description Emails a new verification link to the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user (set by authMiddleware)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response object containing a confirmation message
+ * @throws {Error} Will throw an error if the email address is already verified
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user) {
+      throw new AuthenticationError('unauthorize');
+    }
+    if (user.email_verified_at) {
+      throw new BadRequestError('Email address is already verified');
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'A new verification link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+};
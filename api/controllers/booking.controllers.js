@@ -1,25 +1,267 @@
 const db = require('../database/connection/connect.connection');
-const { BadRequestError } = require('../errors/index.errors');
+const {
+    BadRequestError,
+    NotFoundError,
+    ForbiddenError,
+    ConflictError,
+    ValidationError,
+    PolicyViolationError,
+} = require('../errors/index.errors');
 const bookingsDb = require('../database/bookings/booking.database');
+const seriesDb = require('../database/bookings/series.bookings');
+const timelineDb = require('../database/bookings/timeline.bookings');
+const attendeesDb = require('../database/bookings/attendee.bookings');
+const historyDb = require('../database/bookings/history.bookings');
+const delegatesDb = require('../database/users/delegate.users');
+const { findUserById } = require('../database/users/user.users');
+const workspacesDb = require('../database/workspaces/workspaces.workspaces');
+const teamsDb = require('../database/teams/team.teams');
+const quotasDb = require('../database/quotas/quota.quotas');
+const { hasPermission } = require('../middlewares/permission.middleware');
+const notifyBookingDecision = require('../notifications/notifyBookingDecision');
+const fillFreedSlots = require('../notifications/fillFreedSlots');
+const notifyAttendees = require('../notifications/notifyAttendees');
+const { checkBookingPolicy } = require('../utils/bookingPolicy.utils');
+const {
+    checkBookingQuota,
+    remainingQuota,
+} = require('../utils/bookingQuota.utils');
+
+// Which occurrences of a series an edit or cancellation applies to
+const SERIES_SCOPES = ['this', 'following', 'series'];
+
+// Longest window the availability search covers, in days
+const MAX_SEARCH_DAYS = 31;
+
+// Periods a timeline covers
+const TIMELINE_VIEWS = ['day', 'week'];
+
+// Messages for the booking constraints a concurrent booking can make an insert violate
+const CONFLICT_MESSAGES = {
+    no_double_booking: 'Timeslot already booked',
+    shared_capacity: 'Not enough seats left for this time range',
+};
+
+// Loose email check for guest attendees; invitations are what proves an address works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Longest reason accepted with a cancellation
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Give the slots of bookings that stopped holding them to the waitlist, in the background
+ * @param {Array<Object>} bookings - Cancelled, rejected or moved bookings (as they were before)
+ */
+function releaseSlots(bookings) {
+    fillFreedSlots(bookings).catch((error) =>
+        console.error('Failed to fill freed slots from the waitlist:', error)
+    );
+}
+
+/**
+ * Tell the participants of bookings about a change, in the background
+ * @param {string} event - `invited`, `updated` or `cancelled`
+ * @param {Array<Object>} bookings - Bookings concerned
+ * @param {number|null} actorId - ID of the user who made the change
+ */
+function notifyParticipants(event, bookings, actorId) {
+    notifyAttendees(event, bookings, actorId).catch((error) =>
+        console.error('Failed to notify booking attendees:', error)
+    );
+}
+
+/**
+ * Describe an attendee list for the audit log, which must not hold the names and emails of
+ * guests: only the IDs of the users listed and the number of guests are recorded
+ * @param {Array<Object>} attendeeList - Resolved attendees (see `resolveAttendees`)
+ * @returns {Object} `attendee_user_ids` and `guest_count`
+ */
+function auditedAttendees(attendeeList) {
+    return {
+        attendee_user_ids: attendeeList
+            .filter((attendee) => attendee.user_id)
+            .map((attendee) => attendee.user_id),
+        guest_count: attendeeList.filter((attendee) => !attendee.user_id)
+            .length,
+    };
+}
+
+/**
+ * Leave the free-text requests of a booking or series out of the audit log
+ * @param {Object} record - Booking or series
+ * @returns {Object} The record without `special_requests`
+ */
+function withoutSpecialRequests(record) {
+    return Object.fromEntries(
+        Object.entries(record).filter(([field]) => field !== 'special_requests')
+    );
+}
+
+/**
+ * Map an error raised while writing bookings to the error to respond with: a concurrent booking
+ * taking the slot first is a conflict
+ * @param {Error} err - Error raised
+ * @param {string} message - Message for unexpected errors
+ * @returns {Error} The error to pass on
+ */
+function bookingWriteError(err, message) {
+    if (err.code === '23505' || err.code === '23P01') {
+        return new ConflictError(
+            CONFLICT_MESSAGES[err.constraint] || 'Timeslot already booked'
+        );
+    }
+    if (
+        err instanceof BadRequestError ||
+        err instanceof NotFoundError ||
+        err instanceof ForbiddenError ||
+        err instanceof ConflictError
+    ) {
+        return err;
+    }
+    return new BadRequestError(message, err);
+}
+
+/**
+ * Validate a named attendee list from the request body
+ * @param {Array<Object>} list - Attendees, as `{ userId }` or `{ email, name }`
+ * @returns {Array<Object>} The entries, with user IDs as numbers
+ * @throws {BadRequestError} If an entry is neither a user ID nor an email
+ */
+function parseAttendeeList(list) {
+    return list.map((entry) => {
+        if (entry && entry.userId !== undefined) {
+            const userId = Number(entry.userId);
+            if (!Number.isInteger(userId) || userId < 1) {
+                throw new BadRequestError('Attendee userId must be a user ID');
+            }
+            return { userId };
+        }
+        if (
+            entry &&
+            typeof entry.email === 'string' &&
+            EMAIL_PATTERN.test(entry.email.trim())
+        ) {
+            return {
+                email: entry.email.trim(),
+                name:
+                    typeof entry.name === 'string' && entry.name.trim()
+                        ? entry.name.trim()
+                        : null,
+            };
+        }
+        throw new BadRequestError(
+            'Each attendee must have a userId or a valid email'
+        );
+    });
+}
+
+/**
+ * Read the optional reason given with a cancellation
+ * @param {*} reason - Reason from the request
+ * @returns {string|null} The trimmed reason, or null if none was given
+ */
+function parseCancellationReason(reason) {
+    if (reason === undefined || reason === null || reason === '') {
+        return null;
+    }
+    if (
+        typeof reason !== 'string' ||
+        reason.trim().length > MAX_REASON_LENGTH
+    ) {
+        throw new BadRequestError(
+            `reason must be a text of at most ${MAX_REASON_LENGTH} characters`
+        );
+    }
+    return reason.trim() || null;
+}
+
+/**
+ * Check that the current user may book on behalf of a host: themselves, a user who made them
+ * their delegate, or anyone for holders of `bookings:delegate`
+ * @param {Object} req - Express request object
+ * @param {number} hostId - ID of the user the booking is for
+ * @throws {BadRequestError} If the host is not an active user
+ * @throws {ForbiddenError} If the current user may not book for the host
+ */
+async function checkCanBookFor(req, hostId) {
+    if (hostId === req.user.id) return;
+
+    const host = await findUserById(hostId);
+    if (!host || host.status !== 'active') {
+        throw new BadRequestError('Host not found');
+    }
+
+    if (hasPermission(req.user.role, 'bookings:delegate')) return;
+
+    if (!(await delegatesDb.isDelegate(hostId, req.user.id))) {
+        throw new ForbiddenError(
+            'You are not allowed to book on behalf of this user'
+        );
+    }
+}
 
 /**
- * Create a new workspace booking
+ * Create a new workspace booking. `hostId` books on behalf of another user, for their delegates
+ * and holders of `bookings:delegate`; the current user is recorded as the organizer.
+ * `attendees` is either a count or a list of `{ userId }` and `{ email, name }` entries, in which
+ * case the count is the host plus the listed attendees, and they are told about the booking.
+ * The workspace is locked while its availability is checked and the booking inserted, in one
+ * transaction; a booking still losing a race to another one is answered with 409 Conflict.
+ * Retries with the same `Idempotency-Key` header are answered by `idempotencyMiddleware`.
+ * With `hold: true`, a tentative hold blocks the slot for `holdMinutes` (`HOLD_TTL_MINUTES` by
+ * default) until it is confirmed with `POST /bookings/:id/confirm`, or expires.
+ * The booking counts against the quota of the host (see `GET /bookings/quota`).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware
  */
 async function createBooking(req, res, next) {
     const client = await db.pool.connect();
+    let booking;
+    let attendeeList;
     try {
         const {
             workspaceId,
             startTime,
             endTime,
+            hostId,
             attendees = 1,
             specialRequests,
+            hold = false,
+            holdMinutes,
         } = req.body;
 
-        const userId = req.user.id;
+        if (holdMinutes !== undefined && hold !== true) {
+            throw new BadRequestError('holdMinutes is only allowed with hold');
+        }
+        const holdTtl =
+            holdMinutes !== undefined
+                ? Number(holdMinutes)
+                : bookingsDb.HOLD_TTL_MINUTES;
+        if (
+            hold === true &&
+            (!Number.isInteger(holdTtl) ||
+                holdTtl < 1 ||
+                holdTtl > bookingsDb.HOLD_MAX_TTL_MINUTES)
+        ) {
+            throw new BadRequestError(
+                `holdMinutes must be between 1 and ${bookingsDb.HOLD_MAX_TTL_MINUTES}`
+            );
+        }
+
+        const userId = hostId !== undefined ? Number(hostId) : req.user.id;
+        if (!Number.isInteger(userId)) {
+            throw new BadRequestError('hostId must be a user ID');
+        }
+        await checkCanBookFor(req, userId);
+
+        attendeeList = Array.isArray(attendees)
+            ? await attendeesDb.resolveAttendees(
+                  parseAttendeeList(attendees),
+                  userId
+              )
+            : null;
+        const numAttendees = attendeeList ? attendeeList.length + 1 : attendees;
 
         // Convert string dates to Date objects if needed
         const start = new Date(startTime);
@@ -27,66 +269,284 @@ async function createBooking(req, res, next) {
 
         // Basic validation
         if (start >= end) {
-            console.log('End time must be after start time');
             throw new BadRequestError('End time must be after start time');
         }
 
         if (start < new Date()) {
-            console.log('Cannot book in the past');
             throw new BadRequestError('Cannot book in the past');
         }
 
+        // Workspaces reserved for some teams can only be booked by their members
+        if (!(await teamsDb.canUserBookWorkspace(userId, workspaceId))) {
+            throw new ForbiddenError(
+                'This workspace is reserved for other teams'
+            );
+        }
+
         await client.query('BEGIN');
+        await bookingsDb.lockWorkspace(client, workspaceId);
 
         // Check availability first
         const availability = await bookingsDb.getWorkspaceAvailability(
             workspaceId,
             start,
             end,
-            attendees
+            numAttendees,
+            client
         );
 
-        if (!availability.is_available) {
-            console.log('Workspace not available for the requested time/slots');
+        checkBookingPolicy(availability.policy, {
+            startTime: start,
+            endTime: end,
+        });
+
+        if (availability.buffer_conflict) {
+            throw new PolicyViolationError(
+                'BUFFER_CONFLICT',
+                'Another booking is too close to the requested time',
+                { bufferMinutes: availability.policy.buffer_minutes }
+            );
+        }
 
+        if (availability.closure) {
+            const { code, message, details } = availability.closure;
+            throw new PolicyViolationError(code, message, details);
+        }
+
+        if (numAttendees > availability.base_capacity) {
             throw new BadRequestError(
-                'Workspace not available for the requested time/slots'
+                `Attendees exceed workspace capacity of ${availability.base_capacity}`
+            );
+        }
+
+        // Taken by other bookings: the same conflict a concurrent booking raises below
+        if (!availability.is_available) {
+            throw new ConflictError(
+                'Workspace not available for the requested time/slots; ' +
+                    'join the waitlist (POST /api/v1/waitlist) to get it if it frees up'
             );
         }
 
+        // The host is locked so that their bookings are counted one at a time
+        await quotasDb.lockUserQuota(client, userId);
+        checkBookingQuota(
+            await quotasDb.getEffectiveQuota(userId, client),
+            await quotasDb.getQuotaUsage(
+                userId,
+                [{ startTime: start, endTime: end }],
+                [],
+                client
+            )
+        );
+
         // Create the booking
 
-        const booking = await bookingsDb.createBooking(
+        booking = await bookingsDb.createBooking(
             userId,
             workspaceId,
             start,
             end,
-            attendees,
-            specialRequests
+            numAttendees,
+            specialRequests,
+            {
+                organizerId: req.user.id,
+                attendeeList,
+                holdMinutes: hold === true ? holdTtl : null,
+                client,
+            }
         );
 
         await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.log(err);
+        next(bookingWriteError(err, 'Failed to create booking'));
+        return;
+    } finally {
+        client.release();
+    }
+
+    // The booking is committed: what follows must not turn the response into an error
+    await req.audit({
+        action: 'booking.create',
+        entityType: 'booking',
+        entityId: booking.id,
+        newValues: {
+            ...withoutSpecialRequests(booking),
+            ...(attendeeList && auditedAttendees(attendeeList)),
+        },
+    });
+
+    if (attendeeList || booking.organizer_id) {
+        notifyParticipants('invited', [booking], req.user.id);
+    }
+
+    res.status(201).json({
+        success: true,
+        data: attendeeList
+            ? { ...booking, attendee_list: attendeeList }
+            : booking,
+        message:
+            booking.status === 'hold'
+                ? `Slot held until ${booking.hold_expires_at.toISOString()}; confirm the hold to keep it`
+                : booking.status === 'pending'
+                  ? 'Booking request submitted for approval'
+                  : 'Booking confirmed',
+    });
+}
+
+/**
+ * Validate a series definition from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Series definition for the series database module
+ * @throws {BadRequestError} If a field is missing or invalid
+ */
+function parseSeriesDefinition(body) {
+    const {
+        workspaceId,
+        rrule,
+        startTime,
+        endTime,
+        attendees = 1,
+        specialRequests,
+        exdates = [],
+    } = body;
+
+    if (!workspaceId || !rrule || !startTime || !endTime) {
+        throw new BadRequestError(
+            'workspaceId, rrule, startTime and endTime are required'
+        );
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (isNaN(start.getTime()))
+        throw new BadRequestError('Invalid start time format');
+    if (isNaN(end.getTime()))
+        throw new BadRequestError('Invalid end time format');
+
+    if (start >= end) {
+        throw new BadRequestError('End time must be after start time');
+    }
+
+    if (start < new Date()) {
+        throw new BadRequestError('Cannot book in the past');
+    }
+
+    if (!Number.isInteger(Number(attendees)) || attendees < 1) {
+        throw new BadRequestError('Attendees must be a positive number');
+    }
+
+    if (
+        !Array.isArray(exdates) ||
+        exdates.some((exdate) => typeof exdate !== 'string')
+    ) {
+        throw new BadRequestError('exdates must be an array of dates');
+    }
+
+    return {
+        workspaceId: Number(workspaceId),
+        rrule: String(rrule),
+        startTime: start,
+        endTime: end,
+        attendees: Number(attendees),
+        specialRequests,
+        exdates,
+    };
+}
+
+/**
+ * Report which occurrences of a series would collide with existing bookings, without booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function checkSeries(req, res, next) {
+    try {
+        const report = await seriesDb.checkSeries(
+            parseSeriesDefinition(req.body)
+        );
+
+        res.json({
+            success: true,
+            data: report,
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof ValidationError
+                ? err
+                : new BadRequestError('Series check failed', err)
+        );
+    }
+}
+
+/**
+ * Create a recurring booking series. Nothing is booked if an occurrence collides with an
+ * existing booking, unless `skipConflicts` is set; the conflict report is returned either way.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function createSeries(req, res, next) {
+    try {
+        const definition = parseSeriesDefinition(req.body);
+        const userId = req.user.id;
+
+        // Workspaces reserved for some teams can only be booked by their members
+        if (
+            !(await teamsDb.canUserBookWorkspace(
+                userId,
+                definition.workspaceId
+            ))
+        ) {
+            throw new ForbiddenError(
+                'This workspace is reserved for other teams'
+            );
+        }
+
+        const { series, bookings, report } = await seriesDb.createSeries({
+            ...definition,
+            userId,
+            skipConflicts: req.body.skipConflicts === true,
+        });
+
+        if (!series) {
+            return res.status(409).json({
+                success: false,
+                data: report,
+                message:
+                    'Some occurrences collide with existing bookings or closures; ' +
+                    'nothing was booked',
+            });
+        }
+
+        await req.audit({
+            action: 'booking_series.create',
+            entityType: 'booking_series',
+            entityId: series.id,
+            newValues: {
+                ...withoutSpecialRequests(series),
+                booking_ids: bookings.map((booking) => booking.id),
+            },
+        });
 
         res.status(201).json({
             success: true,
-            data: booking,
+            data: { series, bookings, conflicts: report.conflicts },
             message:
-                booking.status === 'pending'
-                    ? 'Booking request submitted for approval'
-                    : 'Booking confirmed',
+                bookings[0].status === 'pending'
+                    ? `Series of ${bookings.length} bookings submitted for approval`
+                    : `Series of ${bookings.length} bookings confirmed`,
         });
     } catch (err) {
-        await client.query('ROLLBACK');
-        console.log(err);
-        if (err.code === '23505') {
-            next(new BadRequestError('Timeslot already booked'));
-        } else if (err instanceof BadRequestError) {
-            next(err);
-        } else {
-            next(new BadRequestError('Failed to create booking', err));
-        }
-    } finally {
-        client.release();
+        next(
+            err instanceof BadRequestError ||
+                err instanceof ValidationError ||
+                err instanceof ForbiddenError ||
+                err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to create booking series', err)
+        );
     }
 }
 
@@ -107,11 +567,6 @@ async function checkAvailability(req, res, next) {
         // Convert and validate dates
         const start = new Date(startTime);
         const end = new Date(endTime);
-        const now = new Date();
-
-        // Add 24-hour buffer period (in milliseconds)
-        const MIN_BOOKING_BUFFER = 24 * 60 * 60 * 1000;
-        const earliestAllowedStart = new Date(now.getTime() + MIN_BOOKING_BUFFER);
 
         // Validate date objects
         if (isNaN(start.getTime()))
@@ -124,10 +579,8 @@ async function checkAvailability(req, res, next) {
             throw new BadRequestError('End time must be after start time');
         }
 
-        if (start < earliestAllowedStart) {
-            throw new BadRequestError(
-                'Bookings require at least 24 hours advance notice'
-            );
+        if (start < new Date()) {
+            throw new BadRequestError('Cannot book in the past');
         }
 
         // Validate attendees is a positive number
@@ -137,9 +590,9 @@ async function checkAvailability(req, res, next) {
 
         // Check workspace capacity
         const workspace = await bookingsDb.getWorkspaceCapacity(workspaceId);
-        if (attendees > workspace.capacity) {
+        if (attendees > workspace.base_capacity) {
             throw new BadRequestError(
-                `Workspace only accommodates ${workspace.capacity} attendees`
+                `Workspace only accommodates ${workspace.base_capacity} attendees`
             );
         }
 
@@ -150,12 +603,15 @@ async function checkAvailability(req, res, next) {
             attendees
         );
 
+        // Same booking rules as when booking, so a slot reported available can be booked
+        checkBookingPolicy(availability.policy, {
+            startTime: start,
+            endTime: end,
+        });
+
         res.json({
             success: true,
-            data: {
-                ...availability,
-                bufferNotice: 'All bookings require 24-hour advance notice',
-            },
+            data: availability,
         });
     } catch (err) {
         console.log(err);
@@ -167,6 +623,158 @@ async function checkAvailability(req, res, next) {
     }
 }
 
+/**
+ * Search the workspaces free for a meeting, with their free slots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function searchAvailability(req, res, next) {
+    try {
+        const {
+            startTime,
+            endTime,
+            durationMinutes,
+            attendees = 1,
+            amenities,
+            floor,
+            type_id,
+            limit = 20,
+        } = req.query;
+
+        const start = new Date(startTime);
+        const end = new Date(endTime);
+        if (isNaN(start.getTime()))
+            throw new BadRequestError('Invalid start time format');
+        if (isNaN(end.getTime()))
+            throw new BadRequestError('Invalid end time format');
+        if (start >= end) {
+            throw new BadRequestError('End time must be after start time');
+        }
+        if (end < new Date()) {
+            throw new BadRequestError('Cannot search in the past');
+        }
+        if (end - start > MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000) {
+            throw new BadRequestError(
+                `Search windows cannot exceed ${MAX_SEARCH_DAYS} days`
+            );
+        }
+
+        // Without a duration the whole window must be free
+        const windowMinutes = Math.floor((end - start) / 60000);
+        const duration =
+            durationMinutes === undefined
+                ? windowMinutes
+                : parseInt(durationMinutes, 10);
+        if (isNaN(duration) || duration < 1 || duration > windowMinutes) {
+            throw new BadRequestError(
+                'Duration must be a positive number of minutes within the search window'
+            );
+        }
+
+        if (isNaN(attendees) || attendees < 1) {
+            throw new BadRequestError('Attendees must be a positive number');
+        }
+
+        const maxResults = parseInt(limit, 10);
+        if (isNaN(maxResults) || maxResults < 1 || maxResults > 100) {
+            throw new BadRequestError('Limit must be between 1 and 100');
+        }
+
+        // Amenities are given as a comma-separated list, or by repeating the parameter
+        const requiredAmenities = []
+            .concat(amenities || [])
+            .flatMap((names) => names.split(','))
+            .map((name) => name.trim())
+            .filter(Boolean);
+
+        const workspaces = await workspacesDb.searchFreeSlots({
+            startTime: start,
+            endTime: end,
+            durationMinutes: duration,
+            attendees: parseInt(attendees, 10),
+            userId: req.user.id,
+            type_id: type_id ? parseInt(type_id, 10) : undefined,
+            floor: floor ? parseInt(floor, 10) : undefined,
+            amenities: requiredAmenities,
+            limit: maxResults,
+        });
+
+        res.json({
+            success: true,
+            data: workspaces,
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError
+                ? err
+                : new BadRequestError('Availability search failed', err)
+        );
+    }
+}
+
+/**
+ * Get the booked, free and closed intervals of a workspace, a floor or a location over a day
+ * or a week, for calendar views
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function getTimeline(req, res, next) {
+    try {
+        const { workspaceId, floor, location, date, view = 'day' } = req.query;
+
+        if (!workspaceId && floor === undefined && !location) {
+            throw new BadRequestError(
+                'A workspaceId, a floor or a location is required'
+            );
+        }
+        if (!TIMELINE_VIEWS.includes(view)) {
+            throw new BadRequestError(
+                `View must be one of: ${TIMELINE_VIEWS.join(', ')}`
+            );
+        }
+        if (
+            date !== undefined &&
+            (!/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+                isNaN(new Date(date).getTime()))
+        ) {
+            throw new BadRequestError('Date must be a YYYY-MM-DD date');
+        }
+
+        // Managers, admins and API keys allowed to read every booking see who booked;
+        // other users only for their own bookings and those of the teams they lead
+        const showOwners = req.user.scopes
+            ? req.user.scopes.includes('bookings:read')
+            : hasPermission(req.user.role, 'bookings:read');
+
+        const timeline = await timelineDb.getTimeline({
+            workspaceId: workspaceId ? parseInt(workspaceId, 10) : null,
+            floor: floor !== undefined ? parseInt(floor, 10) : null,
+            location: location || null,
+            date: date || null,
+            view,
+            viewerId: req.user.id,
+            showOwners,
+        });
+
+        if (workspaceId && timeline.workspaces.length === 0) {
+            throw new NotFoundError('Workspace not found');
+        }
+
+        res.json({
+            success: true,
+            data: timeline,
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to fetch timeline', err)
+        );
+    }
+}
+
 /**
  * Get user's booking history
  * @param {Object} req - Express request object
@@ -200,57 +808,833 @@ async function getUserBookings(req, res, next) {
 }
 
 /**
- * Cancel a booking
+ * Get the booking quota of a user (the current user unless `userId` is given) with what they
+ * have booked and may still book: upcoming bookings, and hours booked in the current week.
+ * Also reports the late cancellations counted against the user recently.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware
  */
-async function cancelBooking(req, res, next) {
-    const client = await db.pool.connect();
+async function getBookingQuota(req, res, next) {
     try {
-        const { id } = req.params;
-        const userId = req.user.id;
-
-        await client.query('BEGIN');
-
-        // Verify booking belongs to user
-        const booking = await bookingsDb.bookingBelongToUser(id, userId);
-
-        if (booking.rows.length === 0) {
-            throw new BadRequestError(404, 'Booking not found');
+        const userId =
+            req.query.userId !== undefined
+                ? Number(req.query.userId)
+                : req.user.id;
+        if (!Number.isInteger(userId)) {
+            throw new BadRequestError('userId must be a user ID');
         }
 
-        // Don't allow cancelling completed or already cancelled bookings
-        if (['cancelled', 'completed'].includes(booking.rows[0].status)) {
-            throw new BadRequestError(
-                'Cannot cancel a completed or already cancelled booking'
-            );
+        const quota = await quotasDb.getEffectiveQuota(userId);
+        if (!quota) {
+            throw new NotFoundError('User not found');
         }
+        const [usage, lateCancellations] = await Promise.all([
+            quotasDb.getQuotaUsage(userId),
+            bookingsDb.countLateCancellations(userId),
+        ]);
 
-        // Update status to cancelled
-        await bookingsDb.updateBookingToCancelled(id);
-
-        await client.query('COMMIT');
+        res.json({
+            success: true,
+            data: {
+                user_id: userId,
+                ...remainingQuota(quota, usage),
+                late_cancellations: {
+                    count: lateCancellations,
+                    window_days: bookingsDb.LATE_CANCELLATION_WINDOW_DAYS,
+                },
+            },
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to get booking quota', err)
+        );
+    }
+}
+
+/**
+ * List bookings across users for history and reports.
+ * Team leads must filter by a team they lead (`teamId`), which the route enforces.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function getBookings(req, res, next) {
+    try {
+        const {
+            teamId,
+            userId,
+            workspaceId,
+            status,
+            from,
+            to,
+            page = 1,
+            limit = 50,
+        } = req.query;
+
+        const fromDate = from ? new Date(from) : undefined;
+        const toDate = to ? new Date(to) : undefined;
+        if (fromDate && isNaN(fromDate.getTime()))
+            throw new BadRequestError('Invalid from date format');
+        if (toDate && isNaN(toDate.getTime()))
+            throw new BadRequestError('Invalid to date format');
+
+        const bookings = await bookingsDb.getBookings({
+            teamId,
+            userId,
+            workspaceId,
+            status,
+            from: fromDate,
+            to: toDate,
+            offset: (page - 1) * limit,
+            limit: parseInt(limit),
+        });
 
         res.json({
             success: true,
-            message: 'Booking cancelled successfully',
+            data: bookings,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: bookings.length,
+            },
         });
     } catch (err) {
-        await client.query('ROLLBACK');
         next(
             err instanceof BadRequestError
+                ? err
+                : new BadRequestError('Failed to fetch bookings', err)
+        );
+    }
+}
+
+/**
+ * Validate the `scope` query parameter of an edit or cancellation
+ * @param {Object} booking - Booking the request targets
+ * @param {string} [scope='this'] - `this` occurrence, this and `following` ones, or the whole
+ * `series`
+ * @returns {string} The scope
+ * @throws {BadRequestError} If the scope is unknown, or not `this` for a one-off booking
+ */
+function parseSeriesScope(booking, scope = 'this') {
+    if (!SERIES_SCOPES.includes(scope)) {
+        throw new BadRequestError(
+            `scope must be one of ${SERIES_SCOPES.join(', ')}`
+        );
+    }
+    if (scope !== 'this' && !booking.series_id) {
+        throw new BadRequestError(
+            'Only an occurrence of a series can be changed with its series'
+        );
+    }
+    return scope;
+}
+
+/**
+ * Reschedule a booking: move it to a new time, extend its end time or change its attendees.
+ * `attendees` is a count, or a named list (see `createBooking`) that replaces the booking's list.
+ * For an occurrence of a series, `?scope=following` or `?scope=series` applies the same change to
+ * the following or all occurrences that have not ended: they are moved by as much as this one,
+ * take its new duration and attendees, and are all updated or none.
+ * Participants are told when the times or the list change.
+ * Ownership is enforced by the `bookings:update` permission on the route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function updateBooking(req, res, next) {
+    try {
+        const { id } = req.params;
+        const { startTime, endTime, attendees } = req.body;
+
+        if (
+            startTime === undefined &&
+            endTime === undefined &&
+            attendees === undefined
+        ) {
+            throw new BadRequestError(
+                'Provide startTime, endTime or attendees to update'
+            );
+        }
+
+        const booking = await bookingsDb.getBookingById(id);
+        if (!booking) {
+            throw new NotFoundError('Booking not found');
+        }
+
+        const scope = parseSeriesScope(booking, req.query.scope);
+
+        if (!['pending', 'confirmed', 'hold'].includes(booking.status)) {
+            throw new BadRequestError(
+                `Cannot modify a ${booking.status} booking`
+            );
+        }
+
+        const now = new Date();
+        if (booking.end_time <= now) {
+            throw new BadRequestError('Cannot modify a booking that has ended');
+        }
+
+        const start = startTime !== undefined ? new Date(startTime) : undefined;
+        const end = endTime !== undefined ? new Date(endTime) : undefined;
+        if (start && isNaN(start.getTime()))
+            throw new BadRequestError('Invalid start time format');
+        if (end && isNaN(end.getTime()))
+            throw new BadRequestError('Invalid end time format');
+
+        // A booking in progress can only be extended, not moved
+        if (start && start.getTime() !== booking.start_time.getTime()) {
+            if (booking.start_time <= now) {
+                throw new BadRequestError(
+                    'Cannot move a booking that has already started'
+                );
+            }
+            if (start < now) {
+                throw new BadRequestError('Cannot book in the past');
+            }
+        }
+
+        if ((start || booking.start_time) >= (end || booking.end_time)) {
+            throw new BadRequestError('End time must be after start time');
+        }
+
+        const attendeeList = Array.isArray(attendees)
+            ? await attendeesDb.resolveAttendees(
+                  parseAttendeeList(attendees),
+                  booking.user_id
+              )
+            : undefined;
+
+        if (
+            attendees !== undefined &&
+            !attendeeList &&
+            (!Number.isInteger(Number(attendees)) || attendees < 1)
+        ) {
+            throw new BadRequestError('Attendees must be a positive number');
+        }
+
+        if (attendees !== undefined && !attendeeList) {
+            const listed = await attendeesDb.getAttendees(id);
+            if (listed.length > 0) {
+                throw new BadRequestError(
+                    'This booking has an attendee list; send the new list instead of a count'
+                );
+            }
+        }
+
+        const numAttendees = attendeeList
+            ? attendeeList.length + 1
+            : attendees !== undefined
+              ? Number(attendees)
+              : undefined;
+
+        let results;
+        if (scope === 'this') {
+            const result = await bookingsDb.rescheduleBooking(
+                id,
+                {
+                    startTime: start,
+                    endTime: end,
+                    attendees: numAttendees,
+                    attendeeList,
+                },
+                { changedBy: req.user.id }
+            );
+            results = result && [result];
+        } else {
+            const ids = await seriesDb.getSeriesBookingIds(
+                booking.series_id,
+                scope === 'following' ? booking.occurrence_start : null
+            );
+            const newStart = start || booking.start_time;
+            const shift = newStart - booking.start_time;
+            const duration = (end || booking.end_time) - newStart;
+            const movesTime = start !== undefined || end !== undefined;
+
+            results = await bookingsDb.rescheduleBookings(
+                ids,
+                (before) => {
+                    const occurrenceStart = new Date(
+                        before.start_time.getTime() + shift
+                    );
+                    return {
+                        startTime: movesTime
+                            ? occurrenceStart
+                            : before.start_time,
+                        endTime: movesTime
+                            ? new Date(occurrenceStart.getTime() + duration)
+                            : before.end_time,
+                        attendees: numAttendees || before.attendees,
+                        attendeeList,
+                    };
+                },
+                { changedBy: req.user.id }
+            );
+        }
+        if (!results) {
+            throw new NotFoundError('Booking not found');
+        }
+
+        for (const { before, booking: updated } of results) {
+            await req.audit({
+                action: 'booking.reschedule',
+                entityType: 'booking',
+                entityId: updated.id,
+                oldValues: {
+                    start_time: before.start_time,
+                    end_time: before.end_time,
+                    attendees: before.attendees,
+                    status: before.status,
+                },
+                newValues: {
+                    start_time: updated.start_time,
+                    end_time: updated.end_time,
+                    attendees: updated.attendees,
+                    status: updated.status,
+                    ...(attendeeList && auditedAttendees(attendeeList)),
+                    ...(scope !== 'this' && { scope }),
+                },
+            });
+        }
+
+        releaseSlots(results.map((result) => result.before));
+
+        const changed = results
+            .filter(
+                ({ before, booking: updated }) =>
+                    attendeeList ||
+                    before.start_time.getTime() !==
+                        updated.start_time.getTime() ||
+                    before.end_time.getTime() !== updated.end_time.getTime()
+            )
+            .map((result) => result.booking);
+        if (changed.length > 0) {
+            notifyParticipants('updated', changed, req.user.id);
+        }
+
+        const updated = results.map((result) => result.booking);
+        const resubmitted = updated.some(
+            (updatedBooking) => updatedBooking.status === 'pending'
+        );
+        res.json({
+            success: true,
+            data: scope === 'this' ? updated[0] : updated,
+            message: resubmitted
+                ? 'Booking updated and resubmitted for approval'
+                : 'Booking updated',
+        });
+    } catch (err) {
+        next(bookingWriteError(err, 'Failed to update booking'));
+    }
+}
+
+/**
+ * List bookings waiting for approval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function getPendingBookings(req, res, next) {
+    try {
+        const { workspaceId, page = 1, limit = 50 } = req.query;
+
+        const bookings = await bookingsDb.getPendingBookings({
+            workspaceId,
+            offset: (page - 1) * limit,
+            limit: parseInt(limit),
+        });
+
+        res.json({
+            success: true,
+            data: bookings,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: bookings.length,
+            },
+        });
+    } catch (err) {
+        next(new BadRequestError('Failed to fetch pending bookings', err));
+    }
+}
+
+/**
+ * Approve or reject a pending booking and notify the requester
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ * @param {string} status - `confirmed` to approve, `rejected` to reject
+ */
+async function decideBooking(req, res, next, status) {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (status === 'rejected' && !reason) {
+            throw new BadRequestError('A reason is required to reject a booking');
+        }
+
+        const booking = await bookingsDb.decideBooking(id, {
+            status,
+            decidedBy: req.user.id,
+            reason,
+        });
+
+        if (!booking) {
+            const existing = await bookingsDb.getBookingById(id);
+            if (!existing) {
+                throw new NotFoundError('Booking not found');
+            }
+            throw new BadRequestError(
+                `Only pending bookings can be decided, this one is ${existing.status}`
+            );
+        }
+
+        await req.audit({
+            action: status === 'confirmed' ? 'booking.approve' : 'booking.reject',
+            entityType: 'booking',
+            entityId: booking.id,
+            oldValues: { status: 'pending' },
+            newValues: { status: booking.status, reason: booking.decision_reason },
+        });
+
+        notifyBookingDecision(booking);
+        if (status === 'rejected') {
+            releaseSlots([booking]);
+        }
+
+        res.json({
+            success: true,
+            data: booking,
+            message:
+                status === 'confirmed' ? 'Booking approved' : 'Booking rejected',
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to decide booking', err)
+        );
+    }
+}
+
+/**
+ * Approve a pending booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+function approveBooking(req, res, next) {
+    return decideBooking(req, res, next, 'confirmed');
+}
+
+/**
+ * Confirm a hold into a booking, before it expires. Like any booking, it then waits for approval
+ * if its workspace type requires it.
+ * Ownership is enforced by the `bookings:update` permission on the route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function confirmHold(req, res, next) {
+    try {
+        const booking = await bookingsDb.getBookingById(req.params.id);
+        if (!booking) {
+            throw new NotFoundError('Booking not found');
+        }
+        if (booking.status !== 'hold') {
+            throw new BadRequestError(
+                `Only a hold can be confirmed; this booking is ${booking.status}`
+            );
+        }
+
+        const confirmed = await bookingsDb.confirmHold(booking.id, req.user.id);
+        if (!confirmed) {
+            throw new BadRequestError(
+                'The hold has expired and its slot was released'
+            );
+        }
+
+        await req.audit({
+            action: 'booking.confirm',
+            entityType: 'booking',
+            entityId: confirmed.id,
+            oldValues: {
+                status: 'hold',
+                hold_expires_at: booking.hold_expires_at,
+            },
+            newValues: { status: confirmed.status },
+        });
+
+        res.json({
+            success: true,
+            data: confirmed,
+            message:
+                confirmed.status === 'pending'
+                    ? 'Hold confirmed and submitted for approval'
+                    : 'Hold confirmed',
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to confirm hold', err)
+        );
+    }
+}
+
+/**
+ * Reject a pending booking, freeing its slot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+function rejectBooking(req, res, next) {
+    return decideBooking(req, res, next, 'rejected');
+}
+
+/**
+ * Check in to a confirmed booking, from the app, the front desk or a kiosk.
+ * Ownership is enforced by the `checkin:write` permission on the route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function checkInBooking(req, res, next) {
+    try {
+        const { id } = req.params;
+
+        const booking = await bookingsDb.checkInBooking(id);
+        if (!booking) {
+            const existing = await bookingsDb.getBookingById(id);
+            if (!existing) {
+                throw new NotFoundError('Booking not found');
+            }
+            if (existing.status !== 'confirmed') {
+                throw new BadRequestError(
+                    `Cannot check in to a ${existing.status} booking`
+                );
+            }
+            if (existing.checked_in_at) {
+                throw new BadRequestError('Booking is already checked in');
+            }
+            throw new BadRequestError(
+                `Check-in opens ${bookingsDb.CHECK_IN_OPENS_MINUTES} minutes before ` +
+                    `the start and closes ${bookingsDb.CHECK_IN_GRACE_MINUTES} minutes after it`
+            );
+        }
+
+        await req.audit({
+            action: 'booking.check_in',
+            entityType: 'booking',
+            entityId: booking.id,
+            newValues: { checked_in_at: booking.checked_in_at },
+        });
+
+        res.json({
+            success: true,
+            data: booking,
+            message: 'Checked in',
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to check in', err)
+        );
+    }
+}
+
+/**
+ * Check out of a booking, completing it and freeing the rest of the booked time.
+ * Ownership is enforced by the `checkin:write` permission on the route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function checkOutBooking(req, res, next) {
+    try {
+        const { id } = req.params;
+
+        const booking = await bookingsDb.checkOutBooking(id, req.user.id);
+        if (!booking) {
+            const existing = await bookingsDb.getBookingById(id);
+            if (!existing) {
+                throw new NotFoundError('Booking not found');
+            }
+            throw new BadRequestError(
+                existing.checked_out_at
+                    ? 'Booking is already checked out'
+                    : 'Only a checked-in booking can be checked out'
+            );
+        }
+
+        await req.audit({
+            action: 'booking.check_out',
+            entityType: 'booking',
+            entityId: booking.id,
+            oldValues: { status: 'confirmed' },
+            newValues: {
+                status: booking.status,
+                checked_out_at: booking.checked_out_at,
+            },
+        });
+
+        // Leaving early frees the rest of the booked time
+        if (booking.checked_out_at < booking.end_time) {
+            releaseSlots([{ ...booking, start_time: booking.checked_out_at }]);
+        }
+
+        res.json({
+            success: true,
+            data: booking,
+            message: 'Checked out',
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to check out', err)
+        );
+    }
+}
+
+/**
+ * Cancel a booking before it starts, with an optional `reason`. A booking that has started can
+ * no longer be cancelled; it is checked out instead. Cancelling after the cancellation deadline
+ * of the workspace (`cancellationDeadlineMinutes` of its booking policy) is recorded as a late
+ * cancellation against the host, when the host or the organizer cancels it. For an occurrence of
+ * a series, `?scope=following` also cancels the following occurrences and `?scope=series` every
+ * occurrence that has not started, and the series itself.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function cancelBooking(req, res, next) {
+    try {
+        const { id } = req.params;
+        const reason = parseCancellationReason(
+            req.body && req.body.reason !== undefined
+                ? req.body.reason
+                : req.query.reason
+        );
+
+        // Ownership is enforced by the `bookings:cancel` permission on the route
+        const booking = await bookingsDb.getBookingById(id);
+
+        if (!booking) {
+            throw new NotFoundError('Booking not found');
+        }
+
+        const cancellation = {
+            cancelledBy: req.user.id,
+            reason,
+            countsLate:
+                req.user.id !== null &&
+                (req.user.id === booking.user_id ||
+                    req.user.id === booking.organizer_id),
+        };
+
+        const scope = parseSeriesScope(booking, req.query.scope);
+        if (scope !== 'this') {
+            await cancelSeriesBookings(req, res, booking, scope, cancellation);
+            return;
+        }
+
+        // Don't allow cancelling completed, released or already cancelled bookings
+        if (['cancelled', 'completed', 'no_show'].includes(booking.status)) {
+            throw new BadRequestError(
+                'Cannot cancel a completed, no-show or already cancelled booking'
+            );
+        }
+        if (booking.start_time <= new Date()) {
+            throw new BadRequestError(
+                'A booking that has started can no longer be cancelled; check out instead'
+            );
+        }
+
+        const cancelled = await bookingsDb.updateBookingToCancelled(
+            booking,
+            cancellation
+        );
+        if (!cancelled) {
+            throw new BadRequestError(
+                'The booking has changed meanwhile and can no longer be cancelled'
+            );
+        }
+
+        await req.audit({
+            action: 'booking.cancel',
+            entityType: 'booking',
+            entityId: booking.id,
+            oldValues: { status: booking.status },
+            newValues: {
+                status: 'cancelled',
+                reason,
+                cancelled_late: cancelled.cancelled_late,
+            },
+        });
+
+        releaseSlots([booking]);
+        notifyParticipants('cancelled', [booking], req.user.id);
+
+        res.json({
+            success: true,
+            data: cancelled,
+            message: cancelled.cancelled_late
+                ? 'Booking cancelled after the cancellation deadline; it counts as a late cancellation'
+                : 'Booking cancelled successfully',
+        });
+    } catch (err) {
+        next(
+            err instanceof BadRequestError || err instanceof NotFoundError
                 ? err
                 : new BadRequestError('Failed to cancel booking', err)
         );
-    } finally {
-        client.release();
+    }
+}
+
+/**
+ * Cancel the following or all occurrences of the series of a booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} booking - Occurrence the request targets
+ * @param {string} scope - `following` or `series`
+ * @param {Object} cancellation - Who cancels, why, and whether late cancellations count
+ */
+async function cancelSeriesBookings(req, res, booking, scope, cancellation) {
+    const cancelled = await seriesDb.cancelSeriesBookings(
+        booking.series_id,
+        scope === 'following' ? booking.occurrence_start : null,
+        cancellation
+    );
+
+    for (const cancelledBooking of cancelled) {
+        await req.audit({
+            action: 'booking.cancel',
+            entityType: 'booking',
+            entityId: cancelledBooking.id,
+            oldValues: { status: cancelledBooking.previous_status },
+            newValues: {
+                status: 'cancelled',
+                reason: cancellation.reason,
+                cancelled_late: cancelledBooking.cancelled_late,
+                scope,
+            },
+        });
+    }
+
+    if (scope === 'series') {
+        await req.audit({
+            action: 'booking_series.cancel',
+            entityType: 'booking_series',
+            entityId: booking.series_id,
+            oldValues: { status: 'active' },
+            newValues: { status: 'cancelled' },
+        });
+    }
+
+    releaseSlots(cancelled);
+    notifyParticipants('cancelled', cancelled, req.user.id);
+
+    res.json({
+        success: true,
+        data: cancelled.map(
+            ({ previous_status, ...cancelledBooking }) => cancelledBooking
+        ),
+        message: `${cancelled.length} bookings of the series cancelled`,
+    });
+}
+
+/**
+ * Get who takes part in a booking: its host, the user who booked it on their behalf if any, and
+ * its named attendees
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function getBookingAttendees(req, res, next) {
+    try {
+        const booking = await bookingsDb.getBookingById(req.params.id);
+        if (!booking) {
+            throw new NotFoundError('Booking not found');
+        }
+
+        const [host, organizer, attendees] = await Promise.all([
+            findUserById(booking.user_id),
+            booking.organizer_id ? findUserById(booking.organizer_id) : null,
+            attendeesDb.getAttendees(booking.id),
+        ]);
+        const person = (user) =>
+            user && { id: user.id, name: user.name, email: user.email };
+
+        res.json({
+            success: true,
+            data: {
+                booking_id: booking.id,
+                attendees_count: booking.attendees,
+                host: person(host),
+                organizer: person(organizer),
+                attendees,
+            },
+        });
+    } catch (err) {
+        next(
+            err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to get booking attendees', err)
+        );
+    }
+}
+
+/**
+ * Get the status history of a booking: who changed its status, when, from what to what, and why
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+async function getBookingHistory(req, res, next) {
+    try {
+        const booking = await bookingsDb.getBookingById(req.params.id);
+        if (!booking) {
+            throw new NotFoundError('Booking not found');
+        }
+
+        const history = await historyDb.getStatusHistory(booking.id);
+
+        res.json({
+            success: true,
+            data: history,
+        });
+    } catch (err) {
+        next(
+            err instanceof NotFoundError
+                ? err
+                : new BadRequestError('Failed to get booking history', err)
+        );
     }
 }
 
 module.exports = {
     createBooking,
+    checkSeries,
+    createSeries,
     checkAvailability,
+    searchAvailability,
+    getTimeline,
     getUserBookings,
+    getBookingQuota,
+    getBookings,
+    updateBooking,
+    getPendingBookings,
+    approveBooking,
+    rejectBooking,
+    confirmHold,
+    checkInBooking,
+    checkOutBooking,
     cancelBooking,
+    getBookingAttendees,
+    getBookingHistory,
 };
@@ -0,0 +1,106 @@
+// Importing the invitations module, which contains database operations for admin-issued invitations.
+const invitations = require('../database/invitations/invitation.invitations');
+
+// Importing the email notification helper used to deliver invitation links.
+const sendEmail = require('../notifications/sendEmail');
+
+// Importing custom error classes for validation and missing resources.
+const { ValidationError, NotFoundError } = require('../errors/index.errors');
+
+/**
+ * @function createInvitation
+ * @description Invites someone outside the allowed email domains (e.g. an external learner)
+ * to register, and emails them the invitation link.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the created invitation.
+ * @throws {ValidationError} If the email is missing or the role is invalid.
+ */
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role = 'user' } = req.body;
+    if (!email) {
+      throw new ValidationError('email can not be empty');
+    }
+    if (!['user', 'manager', 'admin'].includes(role)) {
+      throw new ValidationError('role must be one of user, manager or admin');
+    }
+
+    const { invitation, token } = await invitations.createInvitation({
+      email,
+      role,
+      invitedBy: req.user.id,
+    });
+    await req.audit({
+      action: 'invitation.create',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      newValues: { role: invitation.role },
+    });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    sendEmail(
+      email,
+      'You are invited to SpaceMania',
+      `Hello,\n\n` +
+        `You have been invited to book workspaces on SpaceMania. ` +
+        `Create your account with the link below; it expires in ` +
+        `${invitations.INVITATION_TTL_DAYS} days.\n\n` +
+        `${clientUrl}/register?invite=${token}`
+    );
+
+    res.status(201).json({ data: invitation });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getPendingInvitations
+ * @description Lists invitations that have not been accepted, revoked or expired.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the pending invitations.
+ */
+const getPendingInvitations = async (req, res, next) => {
+  try {
+    const pending = await invitations.getPendingInvitations();
+    res.status(200).json({ data: pending });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function revokeInvitation
+ * @description Revokes a pending invitation so its link can no longer be used.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a 204 No Content response if the invitation is revoked.
+ * @throws {NotFoundError} If no pending invitation has the given ID.
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await invitations.revokeInvitation(req.params.id);
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+    await req.audit({
+      action: 'invitation.revoke',
+      entityType: 'invitation',
+      entityId: invitation.id,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getPendingInvitations,
+  revokeInvitation,
+};
@@ -0,0 +1,179 @@
+// Importing the booking policies module, which contains database operations for the booking
+// rules of workspace types and workspaces.
+const policies = require('../database/policies/policy.policies');
+
+// Importing custom error classes for validation and missing resources.
+const { ValidationError, NotFoundError } = require('../errors/index.errors');
+
+// Request body field of each policy limit.
+const BODY_FIELDS = {
+  minDurationMinutes: 'min_duration_minutes',
+  maxDurationMinutes: 'max_duration_minutes',
+  minNoticeMinutes: 'min_notice_minutes',
+  maxAdvanceDays: 'max_advance_days',
+  slotGranularityMinutes: 'slot_granularity_minutes',
+  bufferMinutes: 'buffer_minutes',
+  cancellationDeadlineMinutes: 'cancellation_deadline_minutes',
+};
+
+/**
+ * @function parseLimits
+ * @description Reads the policy limits of a request body. A missing or null limit is not
+ * enforced, or inherited from the workspace type for a workspace policy.
+ * @param {Object} body - Request body.
+ * @returns {Object} Limits keyed by `POLICY_FIELDS` names.
+ * @throws {ValidationError} If no limit is given or a limit is not a non-negative integer.
+ */
+const parseLimits = (body) => {
+  const limits = {};
+  Object.entries(BODY_FIELDS).forEach(([name, field]) => {
+    const value = body[name];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+    limits[field] = value;
+  });
+  if (!Object.keys(limits).length) {
+    throw new ValidationError(
+      `At least one of ${Object.keys(BODY_FIELDS).join(', ')} is required`
+    );
+  }
+  return limits;
+};
+
+/**
+ * @function handleConstraintError
+ * @description Maps PostgreSQL constraint violations raised by policy operations to API errors.
+ * @param {Error} error - Error thrown by the database.
+ * @returns {Error} The error to pass to the global error handler.
+ */
+const handleConstraintError = (error) => {
+  if (error.code === '23514') {
+    // Check violation, e.g. a minimum duration above the maximum
+    return new ValidationError(
+      'Invalid limits: durations and granularity must be positive, and the minimum ' +
+        'duration can not exceed the maximum'
+    );
+  }
+  if (error.code === '23503') {
+    return new NotFoundError('Workspace type or workspace not found'); // Unknown foreign key
+  }
+  return error;
+};
+
+/**
+ * @function targetFromParams
+ * @description Resolves the policy target of a route from its parameters.
+ * @param {Object} params - Route parameters, with `typeId` or `workspaceId`.
+ * @returns {Object} Either `{ workspaceTypeId }` or `{ workspaceId }`.
+ */
+const targetFromParams = (params) =>
+  params.typeId
+    ? { workspaceTypeId: Number(params.typeId) }
+    : { workspaceId: Number(params.workspaceId) };
+
+/**
+ * @function getAllPolicies
+ * @description Lists the policies set on workspace types and workspaces.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing all policies.
+ */
+const getAllPolicies = async (req, res, next) => {
+  try {
+    const allPolicies = await policies.getPolicies();
+    res.status(200).json({ data: allPolicies });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getWorkspacePolicy
+ * @description Fetches the policy that applies to bookings of a workspace, combining its own
+ * limits with those of its type.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the effective policy.
+ * @throws {NotFoundError} If the workspace does not exist.
+ */
+const getWorkspacePolicy = async (req, res, next) => {
+  try {
+    const policy = await policies.getEffectivePolicy(req.params.workspaceId);
+    if (!policy) {
+      throw new NotFoundError('Workspace not found');
+    }
+    res.status(200).json({ data: policy });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function setPolicy
+ * @description Sets the policy of a workspace type or a workspace, replacing its previous limits.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the stored policy.
+ * @throws {ValidationError} If a limit is invalid.
+ * @throws {NotFoundError} If the workspace type or workspace does not exist.
+ */
+const setPolicy = async (req, res, next) => {
+  try {
+    const limits = parseLimits(req.body);
+    const target = targetFromParams(req.params);
+
+    const previous = await policies.getPolicy(target);
+    const policy = await policies.setPolicy(target, limits);
+    await req.audit({
+      action: 'booking_policy.update',
+      entityType: 'booking_policy',
+      entityId: policy.id,
+      oldValues: previous,
+      newValues: policy,
+    });
+    res.status(200).json({ data: policy });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function deletePolicy
+ * @description Removes the policy of a workspace type or a workspace.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response confirming the removal.
+ * @throws {NotFoundError} If no policy is set on the target.
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await policies.deletePolicy(targetFromParams(req.params));
+    if (!policy) {
+      throw new NotFoundError('No booking policy is set');
+    }
+    await req.audit({
+      action: 'booking_policy.delete',
+      entityType: 'booking_policy',
+      entityId: policy.id,
+      oldValues: policy,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  getAllPolicies,
+  getWorkspacePolicy,
+  setPolicy,
+  deletePolicy,
+};
@@ -0,0 +1,148 @@
+// Importing the booking quotas module, which contains database operations for the booking
+// limits of roles, teams and users.
+const quotas = require('../database/quotas/quota.quotas');
+
+// Importing custom error classes for validation and missing resources.
+const { ValidationError, NotFoundError } = require('../errors/index.errors');
+
+// Importing the permissions of each role, whose names are the roles a quota can be set on.
+const { ROLE_PERMISSIONS } = require('../middlewares/permission.middleware');
+
+// Request body field of each quota limit.
+const BODY_FIELDS = {
+  maxActiveBookings: 'max_active_bookings',
+  maxWeeklyHours: 'max_weekly_hours',
+  maxConcurrentBookings: 'max_concurrent_bookings',
+};
+
+/**
+ * @function parseLimits
+ * @description Reads the quota limits of a request body. A missing or null limit is inherited
+ * (from the teams and role of a user, or from the role of a team member) or not enforced.
+ * @param {Object} body - Request body.
+ * @returns {Object} Limits keyed by `QUOTA_FIELDS` names.
+ * @throws {ValidationError} If no limit is given or a limit is not a non-negative integer.
+ */
+const parseLimits = (body) => {
+  const limits = {};
+  Object.entries(BODY_FIELDS).forEach(([name, field]) => {
+    const value = body[name];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+    limits[field] = value;
+  });
+  if (!Object.keys(limits).length) {
+    throw new ValidationError(
+      `At least one of ${Object.keys(BODY_FIELDS).join(', ')} is required`
+    );
+  }
+  return limits;
+};
+
+/**
+ * @function targetFromParams
+ * @description Resolves the quota target of a route from its parameters.
+ * @param {Object} params - Route parameters, with `role`, `teamId` or `userId`.
+ * @returns {Object} Either `{ role }`, `{ teamId }` or `{ userId }`.
+ * @throws {ValidationError} If the role does not exist.
+ */
+const targetFromParams = (params) => {
+  if (params.role) {
+    if (!Object.keys(ROLE_PERMISSIONS).includes(params.role)) {
+      throw new ValidationError(
+        `Role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`
+      );
+    }
+    return { role: params.role };
+  }
+  return params.teamId
+    ? { teamId: Number(params.teamId) }
+    : { userId: Number(params.userId) };
+};
+
+/**
+ * @function getAllQuotas
+ * @description Lists the quotas set on roles, teams and users.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing all quotas.
+ */
+const getAllQuotas = async (req, res, next) => {
+  try {
+    const allQuotas = await quotas.getQuotas();
+    res.status(200).json({ data: allQuotas });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function setQuota
+ * @description Sets the quota of a role, a team or a user, replacing its previous limits.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the stored quota.
+ * @throws {ValidationError} If a limit or the role is invalid.
+ * @throws {NotFoundError} If the team or user does not exist.
+ */
+const setQuota = async (req, res, next) => {
+  try {
+    const limits = parseLimits(req.body);
+    const target = targetFromParams(req.params);
+
+    const previous = await quotas.getQuota(target);
+    const quota = await quotas.setQuota(target, limits);
+    await req.audit({
+      action: 'booking_quota.update',
+      entityType: 'booking_quota',
+      entityId: quota.id,
+      oldValues: previous,
+      newValues: quota,
+    });
+    res.status(200).json({ data: quota });
+  } catch (error) {
+    if (error.code === '23503') {
+      return next(new NotFoundError('Team or user not found')); // Unknown foreign key
+    }
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function deleteQuota
+ * @description Removes the quota of a role, a team or a user.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response confirming the removal.
+ * @throws {NotFoundError} If no quota is set on the target.
+ */
+const deleteQuota = async (req, res, next) => {
+  try {
+    const quota = await quotas.deleteQuota(targetFromParams(req.params));
+    if (!quota) {
+      throw new NotFoundError('No booking quota is set');
+    }
+    await req.audit({
+      action: 'booking_quota.delete',
+      entityType: 'booking_quota',
+      entityId: quota.id,
+      oldValues: quota,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  getAllQuotas,
+  setQuota,
+  deleteQuota,
+};
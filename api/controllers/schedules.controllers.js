@@ -0,0 +1,384 @@
+// Importing the schedules module, which contains database operations for opening hours and
+// holidays.
+const schedules = require('../database/schedules/schedule.schedules');
+
+// Importing the blackouts module, which contains database operations for blackout periods.
+const blackouts = require('../database/schedules/blackout.schedules');
+
+// Importing the notification sent to the owners of bookings caught by a new blackout.
+const notifyBlackout = require('../notifications/notifyBlackout');
+
+// Importing custom error classes for validation, conflicts and missing resources.
+const {
+  ValidationError,
+  BadRequestError,
+  NotFoundError,
+} = require('../errors/index.errors');
+
+// Local `HH:MM` time of an opening period; `24:00` closes at midnight.
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Local `YYYY-MM-DD` date of a holiday.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @function handleConstraintError
+ * @description Maps PostgreSQL constraint violations raised by schedule operations to API errors.
+ * @param {Error} error - Error thrown by the database.
+ * @returns {Error} The error to pass to the global error handler.
+ */
+const handleConstraintError = (error) => {
+  if (error.code === '23505') {
+    return new BadRequestError('This date already is a holiday'); // Unique date violation
+  }
+  if (error.code === '23514' || error.code === '22008') {
+    return new ValidationError('Invalid date or time range'); // Check or date/time violation
+  }
+  if (error.code === '23503') {
+    return new NotFoundError('Workspace not found'); // Unknown foreign key
+  }
+  return error;
+};
+
+/**
+ * @function parseTarget
+ * @description Reads the location or workspace opening hours apply to.
+ * @param {Object} source - Request body or query.
+ * @returns {Object} Either `{ workspaceId }` or `{ location }`.
+ * @throws {ValidationError} If neither or both are given.
+ */
+const parseTarget = ({ workspaceId, location }) => {
+  if (!workspaceId === !location) {
+    throw new ValidationError('Exactly one of workspaceId and location is required');
+  }
+  return workspaceId ? { workspaceId: Number(workspaceId) } : { location };
+};
+
+/**
+ * @function parsePeriods
+ * @description Validates the opening periods of a request body.
+ * @param {Array<Object>} periods - Periods with `dayOfWeek` (0 for Sunday to 6), and local
+ * `opensAt` and `closesAt` times.
+ * @returns {Array<{dayOfWeek: number, opensAt: string, closesAt: string}>} The periods.
+ * @throws {ValidationError} If a period is invalid.
+ */
+const parsePeriods = (periods) => {
+  if (!Array.isArray(periods)) {
+    throw new ValidationError('periods must be an array');
+  }
+  return periods.map(({ dayOfWeek, opensAt, closesAt }) => {
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new ValidationError('dayOfWeek must be an integer from 0 (Sunday) to 6');
+    }
+    if (!TIME_PATTERN.test(opensAt) || !TIME_PATTERN.test(closesAt)) {
+      throw new ValidationError('opensAt and closesAt must be HH:MM times');
+    }
+    if (opensAt >= closesAt) {
+      throw new ValidationError('closesAt must be after opensAt');
+    }
+    return { dayOfWeek, opensAt, closesAt };
+  });
+};
+
+/**
+ * @function getOpeningHours
+ * @description Lists the opening hours set on a location or a workspace.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the opening periods.
+ * @throws {ValidationError} If neither or both of `workspaceId` and `location` are given.
+ */
+const getOpeningHours = async (req, res, next) => {
+  try {
+    const hours = await schedules.getOpeningHours(parseTarget(req.query));
+    res.status(200).json({ data: hours });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getWorkspaceOpeningHours
+ * @description Lists the opening hours that apply to a workspace, its own or its location's.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the opening periods and the time
+ * zone they are expressed in; no periods means always open.
+ */
+const getWorkspaceOpeningHours = async (req, res, next) => {
+  try {
+    const hours = await schedules.getEffectiveOpeningHours(req.params.workspaceId);
+    res.status(200).json({
+      data: { timeZone: schedules.ORGANIZATION_TIME_ZONE, hours },
+    });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function setOpeningHours
+ * @description Replaces the weekly opening hours of a location or a workspace. Existing
+ * bookings are not affected.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the stored opening periods.
+ * @throws {ValidationError} If the target or a period is invalid.
+ * @throws {NotFoundError} If the workspace does not exist.
+ */
+const setOpeningHours = async (req, res, next) => {
+  try {
+    const target = parseTarget(req.body);
+    const periods = parsePeriods(req.body.periods);
+
+    const previous = await schedules.getOpeningHours(target);
+    const hours = await schedules.setOpeningHours(target, periods);
+    await req.audit({
+      action: 'opening_hours.update',
+      entityType: target.workspaceId ? 'workspace' : 'location',
+      entityId: target.workspaceId,
+      oldValues: { ...target, hours: previous },
+      newValues: { ...target, hours },
+    });
+    res.status(200).json({ data: hours });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function clearOpeningHours
+ * @description Removes the opening hours of a location or a workspace, so the workspace falls
+ * back to its location's hours, and the location to always open.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends an empty response.
+ * @throws {ValidationError} If neither or both of `workspaceId` and `location` are given.
+ */
+const clearOpeningHours = async (req, res, next) => {
+  try {
+    const target = parseTarget(req.query);
+
+    const previous = await schedules.getOpeningHours(target);
+    await schedules.setOpeningHours(target, []);
+    await req.audit({
+      action: 'opening_hours.delete',
+      entityType: target.workspaceId ? 'workspace' : 'location',
+      entityId: target.workspaceId,
+      oldValues: { ...target, hours: previous },
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getHolidays
+ * @description Lists the organization holidays.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the holidays; only upcoming ones
+ * with `?upcoming=true`.
+ */
+const getHolidays = async (req, res, next) => {
+  try {
+    const holidays = await schedules.getHolidays({
+      upcomingOnly: req.query.upcoming === 'true',
+    });
+    res.status(200).json({ data: holidays });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function addHoliday
+ * @description Adds an organization holiday, on which no workspace can be booked.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the created holiday.
+ * @throws {ValidationError} If the date or name is missing or invalid.
+ * @throws {BadRequestError} If the date already is a holiday.
+ */
+const addHoliday = async (req, res, next) => {
+  try {
+    const { date, name } = req.body;
+    if (!DATE_PATTERN.test(date || '') || isNaN(new Date(date).getTime())) {
+      throw new ValidationError('date must be a YYYY-MM-DD date');
+    }
+    if (!name) {
+      throw new ValidationError('name can not be empty');
+    }
+
+    const holiday = await schedules.addHoliday({ date, name });
+    await req.audit({
+      action: 'holiday.create',
+      entityType: 'holiday',
+      entityId: holiday.id,
+      newValues: holiday,
+    });
+    res.status(201).json({ data: holiday });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function deleteHoliday
+ * @description Removes an organization holiday.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends an empty response.
+ * @throws {NotFoundError} If the holiday does not exist.
+ */
+const deleteHoliday = async (req, res, next) => {
+  try {
+    const holiday = await schedules.deleteHoliday(req.params.id);
+    if (!holiday) {
+      throw new NotFoundError('Holiday not found');
+    }
+    await req.audit({
+      action: 'holiday.delete',
+      entityType: 'holiday',
+      entityId: holiday.id,
+      oldValues: holiday,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getBlackouts
+ * @description Lists the blackouts overlapping a time range, optionally only those applying to
+ * a workspace.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the blackouts.
+ * @throws {ValidationError} If `from` or `to` is not a valid date.
+ */
+const getBlackouts = async (req, res, next) => {
+  try {
+    const { from, to, workspaceId } = req.query;
+    const range = [from, to].map((value) => (value ? new Date(value) : null));
+    if (range.some((date) => date && isNaN(date.getTime()))) {
+      throw new ValidationError('from and to must be valid dates');
+    }
+
+    const list = await blackouts.getBlackouts({
+      from: range[0],
+      to: range[1],
+      workspaceId: workspaceId ? Number(workspaceId) : null,
+    });
+    res.status(200).json({ data: list });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function createBlackout
+ * @description Closes a workspace, a location or every workspace for a period. Bookings that
+ * already hold a slot in the period are flagged and their owners notified.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the blackout and the flagged
+ * bookings.
+ * @throws {ValidationError} If a field is missing or invalid.
+ * @throws {NotFoundError} If the workspace does not exist.
+ */
+const createBlackout = async (req, res, next) => {
+  try {
+    const { workspaceId, location, startTime, endTime, reason } = req.body;
+    if (workspaceId && location) {
+      throw new ValidationError('Give either workspaceId or location, not both');
+    }
+    if (!startTime || !endTime || !reason) {
+      throw new ValidationError('startTime, endTime and reason can not be empty');
+    }
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ValidationError('startTime and endTime must be valid dates');
+    }
+    if (start >= end) {
+      throw new ValidationError('endTime must be after startTime');
+    }
+
+    const { blackout, bookings } = await blackouts.createBlackout({
+      workspaceId: workspaceId ? Number(workspaceId) : null,
+      location: location || null,
+      startTime: start,
+      endTime: end,
+      reason,
+      createdBy: req.user.id,
+    });
+    await req.audit({
+      action: 'blackout.create',
+      entityType: 'blackout',
+      entityId: blackout.id,
+      newValues: {
+        ...blackout,
+        flagged_booking_ids: bookings.map((booking) => booking.id),
+      },
+    });
+    bookings.forEach((booking) => notifyBlackout(booking, blackout));
+
+    res.status(201).json({
+      data: { blackout, flaggedBookings: bookings },
+    });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function deleteBlackout
+ * @description Removes a blackout; the bookings it flagged are no longer flagged.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends an empty response.
+ * @throws {NotFoundError} If the blackout does not exist.
+ */
+const deleteBlackout = async (req, res, next) => {
+  try {
+    const blackout = await blackouts.deleteBlackout(req.params.id);
+    if (!blackout) {
+      throw new NotFoundError('Blackout not found');
+    }
+    await req.audit({
+      action: 'blackout.delete',
+      entityType: 'blackout',
+      entityId: blackout.id,
+      oldValues: blackout,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  getOpeningHours,
+  getWorkspaceOpeningHours,
+  setOpeningHours,
+  clearOpeningHours,
+  getHolidays,
+  addHoliday,
+  deleteHoliday,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout,
+};
@@ -0,0 +1,277 @@
+// Importing the teams module, which contains database operations for teams, members and
+// team-restricted workspaces.
+const teams = require('../database/teams/team.teams');
+
+// Importing custom error classes for validation, conflicts and missing resources.
+const {
+  ValidationError,
+  BadRequestError,
+  NotFoundError,
+} = require('../errors/index.errors');
+
+/**
+ * @function handleConstraintError
+ * @description Maps PostgreSQL constraint violations raised by team operations to API errors.
+ * @param {Error} error - Error thrown by the database.
+ * @returns {Error} The error to pass to the global error handler.
+ */
+const handleConstraintError = (error) => {
+  if (error.code === '23505') {
+    return new BadRequestError('Team name already exists'); // Unique name violation
+  }
+  if (error.code === '23503') {
+    return new NotFoundError('Team, user or workspace not found'); // Unknown foreign key
+  }
+  return error;
+};
+
+/**
+ * @function createTeam
+ * @description Creates a team, making its lead a member of it.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the created team.
+ * @throws {ValidationError} If the name is missing.
+ */
+const createTeam = async (req, res, next) => {
+  try {
+    const { name, description, leadId } = req.body;
+    if (!name) {
+      throw new ValidationError('name can not be empty');
+    }
+
+    const team = await teams.createTeam({
+      name,
+      description,
+      lead_id: leadId,
+    });
+    await req.audit({
+      action: 'team.create',
+      entityType: 'team',
+      entityId: team.id,
+      newValues: team,
+    });
+    res.status(201).json({ data: team });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getAllTeams
+ * @description Lists every team with its lead and member count.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing all teams.
+ */
+const getAllTeams = async (req, res, next) => {
+  try {
+    const allTeams = await teams.getAllTeams();
+    res.status(200).json({ data: allTeams });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getTeam
+ * @description Fetches a team with its members and restricted workspaces.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the team.
+ * @throws {NotFoundError} If the team does not exist.
+ */
+const getTeam = async (req, res, next) => {
+  try {
+    const team = await teams.getTeamById(req.params.id);
+    if (!team) {
+      throw new NotFoundError('Team not found');
+    }
+    res.status(200).json({ data: team });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function updateTeam
+ * @description Updates the name, description or lead of a team.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the updated team.
+ * @throws {NotFoundError} If the team does not exist.
+ */
+const updateTeam = async (req, res, next) => {
+  try {
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.description !== undefined) {
+      updates.description = req.body.description;
+    }
+    if (req.body.leadId !== undefined) updates.lead_id = req.body.leadId;
+
+    const before = await teams.getTeamById(req.params.id);
+    const team = await teams.updateTeam(req.params.id, updates);
+    if (!team) {
+      throw new NotFoundError('Team not found');
+    }
+    await req.audit({
+      action: 'team.update',
+      entityType: 'team',
+      entityId: team.id,
+      oldValues: {
+        name: before.name,
+        description: before.description,
+        lead_id: before.lead_id,
+      },
+      newValues: {
+        name: team.name,
+        description: team.description,
+        lead_id: team.lead_id,
+      },
+    });
+    res.status(200).json({ data: team });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function deleteTeam
+ * @description Deletes a team. Its members keep their accounts and bookings.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a 204 No Content response if the team is deleted.
+ * @throws {NotFoundError} If the team does not exist.
+ */
+const deleteTeam = async (req, res, next) => {
+  try {
+    const team = await teams.deleteTeam(req.params.id);
+    if (!team) {
+      throw new NotFoundError('Team not found');
+    }
+    await req.audit({
+      action: 'team.delete',
+      entityType: 'team',
+      entityId: team.id,
+      oldValues: team,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function addMember
+ * @description Adds a user to a team.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the updated team.
+ * @throws {ValidationError} If the user ID is missing.
+ */
+const addMember = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) {
+      throw new ValidationError('userId can not be empty');
+    }
+
+    await teams.addTeamMember(req.params.id, userId);
+    await req.audit({
+      action: 'team.member_add',
+      entityType: 'team',
+      entityId: req.params.id,
+      newValues: { user_id: userId },
+    });
+    const team = await teams.getTeamById(req.params.id);
+    res.status(201).json({ data: team });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function removeMember
+ * @description Removes a user from a team.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a 204 No Content response if the member is removed.
+ * @throws {NotFoundError} If the user is not a member of the team.
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const removed = await teams.removeTeamMember(
+      req.params.id,
+      req.params.userId
+    );
+    if (!removed) {
+      throw new NotFoundError('Team member not found');
+    }
+    await req.audit({
+      action: 'team.member_remove',
+      entityType: 'team',
+      entityId: req.params.id,
+      oldValues: { user_id: req.params.userId },
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function setWorkspaces
+ * @description Replaces the workspaces reserved for a team. Reserved workspaces can only be
+ * booked by members of the teams they are reserved for.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the updated team.
+ * @throws {ValidationError} If `workspaceIds` is not an array.
+ * @throws {NotFoundError} If the team does not exist.
+ */
+const setWorkspaces = async (req, res, next) => {
+  try {
+    const { workspaceIds } = req.body;
+    if (!Array.isArray(workspaceIds)) {
+      throw new ValidationError('workspaceIds must be an array');
+    }
+
+    const before = await teams.getTeamById(req.params.id);
+    if (!before) {
+      throw new NotFoundError('Team not found');
+    }
+
+    await teams.setTeamWorkspaces(req.params.id, workspaceIds);
+    const team = await teams.getTeamById(req.params.id);
+    await req.audit({
+      action: 'team.workspaces_set',
+      entityType: 'team',
+      entityId: team.id,
+      oldValues: { workspace_ids: before.workspaces.map((w) => w.id) },
+      newValues: { workspace_ids: team.workspaces.map((w) => w.id) },
+    });
+    res.status(200).json({ data: team });
+  } catch (error) {
+    next(handleConstraintError(error)); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  createTeam,
+  getAllTeams,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  addMember,
+  removeMember,
+  setWorkspaces,
+};
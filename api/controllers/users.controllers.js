@@ -1,11 +1,41 @@
-// Importing the `NotFoundError` class from the errors module.
-// This custom error is thrown when a requested resource (e.g., user) is not found.
-const { NotFoundError } = require('../errors/index.errors');
+// Importing the `NotFoundError` and `BadRequestError` classes from the errors module.
+// `NotFoundError` is thrown when a requested resource (e.g., user) is not found,
+// `BadRequestError` when an update conflicts with an existing account.
+const { NotFoundError, BadRequestError } = require('../errors/index.errors');
 
 // Importing the `users` module, which contains database operations for user-related actions.
-// This module provides functions such as `getAllUsers`, `findUserById`, `updateUser`, and `deleteUser`.
+// This module provides functions such as `getAllUsers`, `findUserById`, `updateUser`, and `setUserStatus`.
 const users = require('../database/users/user.users');
 
+// Importing the delegates module, used to manage who may book on behalf of a user.
+const delegates = require('../database/users/delegate.users');
+
+// Importing the refresh tokens module, used to end the sessions of a user whose password is reset by an admin.
+const refreshTokens = require('../database/tokens/refresh.tokens');
+
+// Importing the login security module, used to review and lift account lockouts.
+const loginSecurity = require('../database/security/login.security');
+
+// Importing the helper announcing slots freed by bookings cancelled on behalf of a deactivated user.
+const announceFreedSlots = require('../notifications/announceFreedSlots');
+
+// Importing `hasPermission` to pick the set of fields the caller is allowed to update.
+const { hasPermission } = require('../middlewares/permission.middleware');
+
+// Personal fields whose values are kept out of the append-only audit log; only the fact that
+// they changed is recorded.
+const UNAUDITED_FIELDS = ['name', 'email', 'password'];
+
+/**
+ * @function pickFields
+ * @description Picks some fields of a user record, to describe a change in the audit log.
+ * @param {Object} record - User record.
+ * @param {Array<string>} fields - Names of the fields to pick.
+ * @returns {Object} The picked fields.
+ */
+const pickFields = (record, fields) =>
+  Object.fromEntries(fields.map((field) => [field, record[field]]));
+
 /**
  * @function getAllUsers
  * @description Fetches all users from the database.
@@ -48,42 +78,327 @@ const getSingleUser = async (req, res, next) => {
 /**
  * @function updateUser
  * @description Updates a user's details in the database.
+ * Admins may update the name, email, role and password of any account; users may only
+ * update the self-service fields of their own account (enforced by the route permission).
  * @param {import('express').Request} req - Express request object.
  * @param {import('express').Response} res - Express response object.
  * @param {import('express').NextFunction} next - Express next function to handle errors.
  * @returns {Promise<void>} Sends a JSON response containing the updated user data.
  * @throws {NotFoundError} If the user with the given ID is not found.
+ * @throws {ValidationError} If a field is unknown, not allowed for the caller or invalid.
  */
 const updateUser = async (req, res, next) => {
   try {
     const id = req.params.id; // Extract the user ID from the request parameters
     const updates = req.body; // Extract the fields to update from the request body
-    const user = await users.updateUser(id, updates);
+    const allowedFields = hasPermission(req.user.role, 'users:update')
+      ? users.ADMIN_UPDATABLE_FIELDS
+      : users.SELF_UPDATABLE_FIELDS;
+    const before = await users.findUserById(id);
+    const user = await users.updateUser(id, updates, allowedFields);
     if (!user) {
       throw new NotFoundError('User not found'); // Throw error if user does not exist
     }
+    if (updates.password) {
+      await refreshTokens.revokeAllUserRefreshTokens(user.id); // A new password ends every session
+    }
+    const changedFields = Object.keys(updates).filter((field) =>
+      allowedFields.includes(field)
+    );
+    const auditedFields = changedFields.filter(
+      (field) => !UNAUDITED_FIELDS.includes(field)
+    );
+    await req.audit({
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user.id,
+      oldValues: pickFields(before, auditedFields),
+      newValues: {
+        ...pickFields(user, auditedFields),
+        ...Object.fromEntries(
+          changedFields
+            .filter((field) => UNAUDITED_FIELDS.includes(field))
+            .map((field) => [field, 'changed'])
+        ),
+      },
+    });
     res.status(200).json({ data: user });
   } catch (error) {
+    if (error.code === '23505') {
+      return next(new BadRequestError('Email already exists')); // Unique email violation
+    }
     next(error); // Pass error to the global error handler
   }
 };
 
 /**
- * @function deleteUser
- * @description Deletes a user by their ID from the database.
+ * @function endUserSessions
+ * @description Revokes the sessions of a user who is no longer active and announces
+ * the slots freed by their cancelled bookings.
+ * @param {Object} result - Result of `users.setUserStatus` or `users.anonymizeUser`.
+ * @param {string} reason - Reason given in the freed slots announcement.
+ * @returns {Promise<void>}
+ */
+const endUserSessions = async ({ user, cancelledBookings }, reason) => {
+  await refreshTokens.revokeAllUserRefreshTokens(user.id);
+  announceFreedSlots(cancelledBookings, reason).catch((error) =>
+    console.error('Failed to announce freed slots:', error)
+  );
+};
+
+/**
+ * @function auditStatusChange
+ * @description Records a change of account status, with the bookings it cancelled, in the audit log.
+ * @param {import('express').Request} req - Express request object.
+ * @param {Object} before - User record before the change.
+ * @param {Object} result - Result of `users.setUserStatus`.
+ * @returns {Promise<void>}
+ */
+const auditStatusChange = (req, before, { user, cancelledBookings }) =>
+  req.audit({
+    action: 'user.status_change',
+    entityType: 'user',
+    entityId: user.id,
+    oldValues: { status: before.status },
+    newValues: {
+      status: user.status,
+      cancelled_booking_ids: cancelledBookings.map((booking) => booking.id),
+    },
+  });
+
+/**
+ * @function deactivateUser
+ * @description Deactivates a user instead of deleting them. Their future bookings are cancelled
+ * and the freed slots announced; past bookings are kept for reporting.
  * @param {import('express').Request} req - Express request object.
  * @param {import('express').Response} res - Express response object.
  * @param {import('express').NextFunction} next - Express next function to handle errors.
- * @returns {Promise<void>} Sends a 204 No Content response if the user is successfully deleted.
+ * @returns {Promise<void>} Sends a 204 No Content response if the user is successfully deactivated.
  * @throws {NotFoundError} If the user with the given ID is not found.
  */
-const deleteUser = async (req, res, next) => {
+const deactivateUser = async (req, res, next) => {
   try {
     const id = req.params.id; // Extract the user ID from the request parameters
-    const user = await users.deleteUser(id);
-    if (!user) {
+    const before = await users.findUserById(id);
+    const result = await users.setUserStatus(id, 'deactivated', req.user.id);
+    if (!result) {
+      throw new NotFoundError('User not found'); // Throw error if user does not exist
+    }
+    await endUserSessions(result, 'account deactivated');
+    await auditStatusChange(req, before, result);
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function setUserStatus
+ * @description Activates, deactivates or suspends a user.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the updated user and the number of cancelled bookings.
+ * @throws {NotFoundError} If the user with the given ID is not found.
+ * @throws {ValidationError} If the status is invalid or the user is anonymized.
+ */
+const setUserStatus = async (req, res, next) => {
+  try {
+    const id = req.params.id; // Extract the user ID from the request parameters
+    const { status } = req.body; // Extract the new status from the request body
+    const before = await users.findUserById(id);
+    const result = await users.setUserStatus(id, status, req.user.id);
+    if (!result) {
+      throw new NotFoundError('User not found'); // Throw error if user does not exist
+    }
+    if (status !== 'active') {
+      await endUserSessions(result, `account ${status}`);
+    }
+    await auditStatusChange(req, before, result);
+    res.status(200).json({
+      data: result.user,
+      cancelledBookings: result.cancelledBookings.length,
+    });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function anonymizeUser
+ * @description Erases the personal data of a user following an erasure request.
+ * Past bookings are kept, detached from any personal data, for reporting.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the anonymized user.
+ * @throws {NotFoundError} If the user with the given ID is not found.
+ */
+const anonymizeUser = async (req, res, next) => {
+  try {
+    const id = req.params.id; // Extract the user ID from the request parameters
+    const result = await users.anonymizeUser(id, req.user.id);
+    if (!result) {
+      throw new NotFoundError('User not found'); // Throw error if user does not exist
+    }
+    await endUserSessions(result, 'account erased');
+    // The erased personal data is deliberately not copied into the audit log
+    await req.audit({
+      action: 'user.anonymize',
+      entityType: 'user',
+      entityId: result.user.id,
+      newValues: {
+        status: result.user.status,
+        cancelled_booking_ids: result.cancelledBookings.map(
+          (booking) => booking.id
+        ),
+      },
+    });
+    res.status(200).json({ data: result.user });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getLockouts
+ * @description Lists account lockouts caused by repeated failed logins, for security review.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the lockout events.
+ */
+const getLockouts = async (req, res, next) => {
+  try {
+    const lockouts = await loginSecurity.getLockouts({
+      userId: req.query.userId ? parseInt(req.query.userId, 10) : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset, 10) : 0,
+    });
+    res.status(200).json({ data: lockouts });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function unlockUser
+ * @description Lifts the lockout of an account before it expires.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a 204 No Content response if the account is unlocked.
+ * @throws {NotFoundError} If the user with the given ID is not found.
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const id = req.params.id; // Extract the user ID from the request parameters
+    const found = await loginSecurity.unlockUser(id, req.user.id);
+    if (!found) {
       throw new NotFoundError('User not found'); // Throw error if user does not exist
     }
+    await req.audit({
+      action: 'user.unlock',
+      entityType: 'user',
+      entityId: id,
+    });
+    res.status(204).send(); // 204 No Content must not include a response body
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getDelegates
+ * @description Lists the users allowed to book on behalf of a user, and the users they may
+ * book on behalf of themselves.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response with the `delegates` and `hosts` of the user.
+ */
+const getDelegates = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const [userDelegates, hosts] = await Promise.all([
+      delegates.getDelegates(id),
+      delegates.getHosts(id),
+    ]);
+    res.status(200).json({ data: { delegates: userDelegates, hosts } });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function addDelegate
+ * @description Allows a user to book on behalf of another user (e.g. an assistant for an
+ * executive).
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response with the delegation.
+ * @throws {BadRequestError} If the delegate is missing, inactive or the user themselves.
+ */
+const addDelegate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const delegateId = Number(req.body.delegateId);
+    if (!Number.isInteger(delegateId)) {
+      throw new BadRequestError('delegateId must be a user ID');
+    }
+    if (delegateId === Number(id)) {
+      throw new BadRequestError('Users cannot be their own delegate');
+    }
+
+    const delegate = await users.findUserById(delegateId);
+    if (!delegate || delegate.status !== 'active') {
+      throw new BadRequestError('Delegate not found');
+    }
+
+    const delegation = await delegates.addDelegate(id, delegateId);
+    if (delegation) {
+      await req.audit({
+        action: 'user.delegate_add',
+        entityType: 'user',
+        entityId: id,
+        newValues: { delegate_id: delegateId },
+      });
+    }
+    res.status(201).json({
+      data: delegation || { user_id: Number(id), delegate_id: delegateId },
+    });
+  } catch (error) {
+    if (error.code === '23503') {
+      return next(new NotFoundError('User not found'));
+    }
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function removeDelegate
+ * @description Stops a user from booking on behalf of another user. Bookings they already
+ * made are kept.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends an empty response.
+ * @throws {NotFoundError} If the user has no such delegate.
+ */
+const removeDelegate = async (req, res, next) => {
+  try {
+    const { id, delegateId } = req.params;
+    const delegation = await delegates.removeDelegate(id, delegateId);
+    if (!delegation) {
+      throw new NotFoundError('Delegate not found');
+    }
+    await req.audit({
+      action: 'user.delegate_remove',
+      entityType: 'user',
+      entityId: id,
+      oldValues: { delegate_id: delegation.delegate_id },
+    });
     res.status(204).send(); // 204 No Content must not include a response body
   } catch (error) {
     next(error); // Pass error to the global error handler
@@ -91,10 +406,17 @@ const deleteUser = async (req, res, next) => {
 };
 
 // Exporting all controller functions for use in the routes file.
-// These functions handle user-related operations such as fetching, updating, and deleting users.
+// These functions handle user-related operations such as fetching, updating, and deactivating users.
 module.exports = {
   getAllUsers,
   getSingleUser,
   updateUser,
-  deleteUser,
+  deactivateUser,
+  setUserStatus,
+  anonymizeUser,
+  getLockouts,
+  unlockUser,
+  getDelegates,
+  addDelegate,
+  removeDelegate,
 };
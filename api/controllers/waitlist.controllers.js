@@ -0,0 +1,199 @@
+// Importing the database connection, used to check conflicts outside of a transaction.
+const db = require('../database/connection/connect.connection');
+
+// Importing the waitlist module, which contains database operations for waitlist entries.
+const waitlist = require('../database/waitlist/entry.waitlist');
+
+// Importing the bookings module to check that the wanted slot is actually taken.
+const bookings = require('../database/bookings/booking.database');
+
+// Importing the workspaces module to check the workspace and its capacity.
+const workspaces = require('../database/workspaces/workspaces.workspaces');
+
+// Importing the teams module to check team restrictions of the workspace.
+const teams = require('../database/teams/team.teams');
+
+// Importing the booking policies, which a waitlist entry must respect like a booking.
+const policies = require('../database/policies/policy.policies');
+const { checkBookingPolicy } = require('../utils/bookingPolicy.utils');
+
+// Importing the schedules module to refuse ranges the workspace is closed for.
+const schedules = require('../database/schedules/schedule.schedules');
+
+// Importing custom error classes for validation, permissions and missing resources.
+const {
+  ValidationError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../errors/index.errors');
+
+/**
+ * @function joinWaitlist
+ * @description Adds the current user to the waitlist of a workspace for a time range that is
+ * already booked. The earliest waiting user is booked automatically when the slot frees up.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the entry and its position.
+ * @throws {ValidationError} If a field is missing or invalid.
+ * @throws {BadRequestError} If the workspace is available, or the user already waits for it.
+ * @throws {ForbiddenError} If the workspace is reserved for other teams.
+ * @throws {PolicyViolationError} If the range breaks the booking policy of the workspace, or
+ * the workspace is closed during it.
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const {
+      workspaceId,
+      startTime,
+      endTime,
+      attendees = 1,
+      specialRequests,
+    } = req.body;
+    if (!workspaceId || !startTime || !endTime) {
+      throw new ValidationError(
+        'workspaceId, startTime and endTime can not be empty'
+      );
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ValidationError('startTime and endTime must be valid dates');
+    }
+    if (start >= end) {
+      throw new ValidationError('endTime must be after startTime');
+    }
+    if (start < new Date()) {
+      throw new ValidationError('startTime can not be in the past');
+    }
+    if (!Number.isInteger(Number(attendees)) || attendees < 1) {
+      throw new ValidationError('attendees must be a positive number');
+    }
+
+    const workspace = await workspaces.getWorkspaceById(workspaceId);
+    if (!workspace) {
+      throw new NotFoundError('Workspace not found');
+    }
+    if (workspace.base_capacity < attendees) {
+      throw new ValidationError(
+        `attendees exceed workspace capacity of ${workspace.base_capacity}`
+      );
+    }
+    if (!(await teams.canUserBookWorkspace(req.user.id, workspaceId))) {
+      throw new ForbiddenError('This workspace is reserved for other teams');
+    }
+
+    // The entry becomes a booking, so it must be bookable once the slot frees up
+    const policy = await policies.getEffectivePolicy(workspaceId);
+    checkBookingPolicy(policy, { startTime: start, endTime: end });
+    await schedules.checkWorkspaceOpen(db, [
+      { workspaceId, startTime: start, endTime: end },
+    ]);
+
+    const conflicts = await bookings.findConflicts(db, [
+      {
+        workspaceId,
+        startTime: start,
+        endTime: end,
+        bufferMinutes: policy.buffer_minutes || 0,
+        attendees: Number(attendees),
+      },
+    ]);
+    if (!conflicts.length) {
+      throw new BadRequestError(
+        'The workspace is available for this time range; book it instead'
+      );
+    }
+
+    const entry = await waitlist.joinWaitlist({
+      userId: req.user.id,
+      workspaceId,
+      startTime: start,
+      endTime: end,
+      attendees: Number(attendees),
+      specialRequests,
+    });
+    // Free-text requests stay out of the append-only audit log
+    await req.audit({
+      action: 'waitlist.join',
+      entityType: 'waitlist_entry',
+      entityId: entry.id,
+      newValues: Object.fromEntries(
+        Object.entries(entry).filter(([field]) => field !== 'special_requests')
+      ),
+    });
+    res.status(201).json({ data: entry });
+  } catch (error) {
+    if (error.code === '23505') {
+      // Unique waiting entry violation
+      return next(
+        new BadRequestError('You are already on the waitlist for this time range')
+      );
+    }
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function getMyWaitlist
+ * @description Lists the waitlist entries of the current user with their position.
+ * Pass `?all=true` to include entries that were booked, left or expired.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the entries.
+ */
+const getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await waitlist.getUserWaitlist(req.user.id, {
+      waitingOnly: req.query.all !== 'true',
+    });
+    res.status(200).json({ data: entries });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function leaveWaitlist
+ * @description Removes an entry from the waitlist. Ownership is enforced by the
+ * `bookings:cancel` permission on the route.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function to handle errors.
+ * @returns {Promise<void>} Sends a JSON response containing the entry.
+ * @throws {NotFoundError} If the entry does not exist.
+ * @throws {BadRequestError} If the entry is no longer waiting.
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await waitlist.leaveWaitlist(req.params.id);
+    if (!entry) {
+      const existing = await waitlist.getWaitlistEntryById(req.params.id);
+      if (!existing) {
+        throw new NotFoundError('Waitlist entry not found');
+      }
+      throw new BadRequestError(
+        `Only waiting entries can be left, this one is ${existing.status}`
+      );
+    }
+    await req.audit({
+      action: 'waitlist.leave',
+      entityType: 'waitlist_entry',
+      entityId: entry.id,
+      oldValues: { status: 'waiting' },
+      newValues: { status: entry.status },
+    });
+    res.status(200).json({ data: entry });
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+};
@@ -1,8 +1,12 @@
 // Importing the workspace model for database operations
 const workspaceModel = require('../database/workspaces/workspaces.workspaces');
 
-// Importing the `NotFoundError` class for handling resource not found errors
-const { NotFoundError } = require('../errors/index.errors');
+// Importing the `NotFoundError` and `ValidationError` classes for handling missing resources
+// and invalid input
+const { NotFoundError, ValidationError } = require('../errors/index.errors');
+
+// Booking modes of a workspace type: whole workspace per booking, or seats shared by bookings
+const BOOKING_MODES = ['exclusive', 'shared'];
 
 /**
  * @function createWorkspace
@@ -16,6 +20,12 @@ const createWorkspace = async (req, res, next) => {
   try {
     const workspaceData = req.body; // Extract workspace data from the request body
     const newWorkspace = await workspaceModel.createWorkspace(workspaceData);
+    await req.audit({
+      action: 'workspace.create',
+      entityType: 'workspace',
+      entityId: newWorkspace.id,
+      newValues: newWorkspace,
+    });
     res.status(201).json({ data: newWorkspace }); // Send the created workspace
   } catch (error) {
     next(error); // Pass error to the global error handler
@@ -75,8 +85,71 @@ const getAllWorkspaces = async (req, res, next) => {
   }
 };
 
+/**
+ * @function getWorkspaceTypes
+ * @description Retrieves all workspace types with their booking mode
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function to handle errors
+ * @returns {Promise<void>} Sends a JSON response containing the list of workspace types
+ */
+const getWorkspaceTypes = async (req, res, next) => {
+  try {
+    const types = await workspaceModel.getWorkspaceTypes();
+    res.status(200).json({ data: types }); // Send the list of workspace types
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
+/**
+ * @function updateWorkspaceTypeBookingMode
+ * @description Sets whether bookings of a workspace type take the whole workspace or share
+ * its seats; applies to bookings made from now on
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function to handle errors
+ * @returns {Promise<void>} Sends a JSON response containing the updated workspace type
+ * @throws {ValidationError} If the booking mode is invalid
+ * @throws {NotFoundError} If the workspace type with the given ID is not found
+ */
+const updateWorkspaceTypeBookingMode = async (req, res, next) => {
+  try {
+    const { bookingMode } = req.body;
+    if (!BOOKING_MODES.includes(bookingMode)) {
+      throw new ValidationError(
+        `bookingMode must be one of: ${BOOKING_MODES.join(', ')}`
+      );
+    }
+
+    const id = parseInt(req.params.typeId, 10); // Extract and parse the workspace type ID
+    const types = await workspaceModel.getWorkspaceTypes();
+    const previous = types.find((type) => type.id === id);
+    if (!previous) {
+      throw new NotFoundError('Workspace type not found');
+    }
+
+    const type = await workspaceModel.updateWorkspaceTypeBookingMode(
+      id,
+      bookingMode
+    );
+    await req.audit({
+      action: 'workspace_type.update',
+      entityType: 'workspace_type',
+      entityId: type.id,
+      oldValues: { booking_mode: previous.booking_mode },
+      newValues: { booking_mode: type.booking_mode },
+    });
+    res.status(200).json({ data: type }); // Send the updated workspace type
+  } catch (error) {
+    next(error); // Pass error to the global error handler
+  }
+};
+
 module.exports = {
   createWorkspace,
   getWorkspaceById,
   getAllWorkspaces,
+  getWorkspaceTypes,
+  updateWorkspaceTypeBookingMode,
 };
@@ -0,0 +1,121 @@
+/**
+ * @file Audit log database operations for SpaceMania workspace management system
+ * @module db/audit/log
+ * @description Handles the append-only audit trail of administrative and booking changes:
+ * - Recording who changed what, from where, with the values before and after the change
+ * - Searching the trail with filters and pagination
+ *
+ * The `audit_log` table rejects updates and deletes (see `createAuditLogAppendOnlyTrigger`).
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @async
+ * @function recordAudit
+ * @description Appends an entry to the audit log
+ * @param {Object} entry - Audit entry
+ * @param {number} [entry.actorId] - ID of the user who made the change
+ * @param {number} [entry.apiKeyId] - ID of the API key used instead of a user session
+ * @param {string} [entry.ipAddress] - Client IP address
+ * @param {string} entry.action - What happened, as `<entity>.<verb>` (e.g. `booking.cancel`)
+ * @param {string} entry.entityType - Kind of record changed (`user`, `workspace`, `booking`, ...)
+ * @param {number} [entry.entityId] - ID of the record changed
+ * @param {Object} [entry.oldValues] - Values before the change
+ * @param {Object} [entry.newValues] - Values after the change
+ * @returns {Promise<Object>} The recorded entry
+ * @throws {Error} Will throw an error if database query fails
+ */
+const recordAudit = async ({
+  actorId = null,
+  apiKeyId = null,
+  ipAddress = null,
+  action,
+  entityType,
+  entityId = null,
+  oldValues = null,
+  newValues = null,
+}) => {
+  const result = await db.query(
+    `INSERT INTO audit_log
+         (actor_id, api_key_id, ip_address, action, entity_type, entity_id, old_values, new_values)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+    [
+      actorId,
+      apiKeyId,
+      ipAddress,
+      action,
+      entityType,
+      entityId,
+      oldValues && JSON.stringify(oldValues),
+      newValues && JSON.stringify(newValues),
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * @async
+ * @function getAuditLog
+ * @description Searches the audit log, newest entries first
+ * @param {Object} [filters] - Query filters
+ * @param {number} [filters.actorId] - Only changes made by this user
+ * @param {string} [filters.action] - Only this action (e.g. `user.update`)
+ * @param {string} [filters.entityType] - Only changes to this kind of record
+ * @param {number} [filters.entityId] - Only changes to this record (use with `entityType`)
+ * @param {Date} [filters.from] - Only changes made at or after this time
+ * @param {Date} [filters.to] - Only changes made before this time
+ * @param {number} [filters.limit=50] - Pagination limit
+ * @param {number} [filters.offset=0] - Pagination offset
+ * @returns {Promise<{entries: Array<Object>, total: number}>} Matching entries with the
+ * actor's name, and the number of entries matching the filters
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getAuditLog = async ({
+  actorId,
+  action,
+  entityType,
+  entityId,
+  from,
+  to,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const result = await db.query(
+    `SELECT
+             al.*,
+             u.name AS actor_name,
+             COUNT(*) OVER()::integer AS total_count
+         FROM audit_log al
+         LEFT JOIN users u ON al.actor_id = u.id
+         WHERE ($1::integer IS NULL OR al.actor_id = $1)
+         AND ($2::varchar IS NULL OR al.action = $2)
+         AND ($3::varchar IS NULL OR al.entity_type = $3)
+         AND ($4::integer IS NULL OR al.entity_id = $4)
+         AND ($5::timestamptz IS NULL OR al.changed_at >= $5)
+         AND ($6::timestamptz IS NULL OR al.changed_at < $6)
+         ORDER BY al.changed_at DESC, al.id DESC
+         LIMIT $7 OFFSET $8`,
+    [
+      actorId || null,
+      action || null,
+      entityType || null,
+      entityId || null,
+      from || null,
+      to || null,
+      limit,
+      offset,
+    ]
+  );
+
+  const total = result.rows.length > 0 ? result.rows[0].total_count : 0;
+  const entries = result.rows.map(({ total_count, ...entry }) => entry);
+  return { entries, total };
+};
+
+module.exports = {
+  recordAudit,
+  getAuditLog,
+};
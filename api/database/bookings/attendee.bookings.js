@@ -0,0 +1,162 @@
+/**
+ * @file Booking attendee database operations for SpaceMania workspace management system
+ * @module db/bookings/attendee
+ * @description Handles the named attendees of bookings, besides their host:
+ * - Resolving attendee lists, linking emails of existing accounts to their users
+ * - Replacing and listing the attendees of a booking
+ * - Listing everyone taking part in bookings (host and attendees), to notify them
+ *
+ * Users are stored by ID and guests by email, so that users' names and emails follow their
+ * account. A booking with a list counts its host plus the listed attendees.
+ * @requires ../connection/connect
+ * @requires ../../errors
+ */
+
+const db = require('../connection/connect.connection');
+const { BadRequestError } = require('../../errors/index.errors');
+
+/**
+ * @async
+ * @function resolveAttendees
+ * @description Resolves an attendee list: user IDs must belong to active users, and guest
+ * emails of active users are linked to them. The host and duplicates are left out.
+ * @param {Array<{userId: number}|{email: string, name: string}>} entries - Users by ID, or
+ * people by email with an optional name
+ * @param {number} hostId - ID of the host of the booking
+ * @returns {Promise<Array<{user_id: number|null, email: string, name: string|null}>>} The
+ * attendees, users with their current name and email
+ * @throws {BadRequestError} If a user ID does not belong to an active user
+ */
+const resolveAttendees = async (entries, hostId) => {
+  const userIds = entries
+    .filter((entry) => entry.userId)
+    .map((entry) => entry.userId);
+  const emails = entries
+    .filter((entry) => entry.email)
+    .map((entry) => entry.email.toLowerCase());
+
+  const result = await db.query(
+    `SELECT id, name, email FROM users
+         WHERE (id = ANY($1::integer[]) OR lower(email) = ANY($2::text[]))
+         AND status = 'active'`,
+    [userIds, emails]
+  );
+  const byId = new Map(result.rows.map((user) => [user.id, user]));
+  const byEmail = new Map(
+    result.rows.map((user) => [user.email.toLowerCase(), user])
+  );
+
+  const unknown = userIds.filter((id) => !byId.has(id));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown attendees: users ${unknown.join(', ')}`);
+  }
+
+  const seen = new Set([`user:${hostId}`]);
+  return entries.reduce((attendees, entry) => {
+    const user = entry.userId
+      ? byId.get(entry.userId)
+      : byEmail.get(entry.email.toLowerCase());
+    const key = user ? `user:${user.id}` : `email:${entry.email.toLowerCase()}`;
+    if (seen.has(key)) return attendees;
+    seen.add(key);
+
+    attendees.push(
+      user
+        ? { user_id: user.id, email: user.email, name: user.name }
+        : { user_id: null, email: entry.email, name: entry.name || null }
+    );
+    return attendees;
+  }, []);
+};
+
+/**
+ * @async
+ * @function replaceAttendees
+ * @description Replaces the attendee list of a booking
+ * @param {Object} queryable - Pool or transaction client to run the queries on
+ * @param {number} bookingId - ID of the booking
+ * @param {Array<Object>} attendees - Attendees returned by `resolveAttendees`
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const replaceAttendees = async (queryable, bookingId, attendees) => {
+  await queryable.query('DELETE FROM booking_attendees WHERE booking_id = $1', [
+    bookingId,
+  ]);
+  await queryable.query(
+    `INSERT INTO booking_attendees (booking_id, user_id, email, name)
+         SELECT $1, a.user_id, a.email, a.name
+         FROM unnest($2::integer[], $3::varchar[], $4::varchar[]) AS a(user_id, email, name)`,
+    [
+      bookingId,
+      attendees.map((attendee) => attendee.user_id),
+      attendees.map((attendee) => (attendee.user_id ? null : attendee.email)),
+      attendees.map((attendee) => (attendee.user_id ? null : attendee.name)),
+    ]
+  );
+};
+
+/**
+ * @async
+ * @function getAttendees
+ * @description Lists the named attendees of a booking
+ * @param {number} bookingId - ID of the booking
+ * @returns {Promise<Array<Object>>} Attendees (`user_id`, `name`, `email`, `is_guest`) in the
+ * order they were listed
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getAttendees = async (bookingId) => {
+  const result = await db.query(
+    `SELECT ba.id, ba.user_id,
+             COALESCE(u.name, ba.name) AS name,
+             COALESCE(u.email, ba.email) AS email,
+             ba.user_id IS NULL AS is_guest
+         FROM booking_attendees ba
+         LEFT JOIN users u ON u.id = ba.user_id
+         WHERE ba.booking_id = $1
+         ORDER BY ba.id`,
+    [bookingId]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getParticipants
+ * @description Lists everyone taking part in bookings, host first, with the booking details
+ * to tell them about
+ * @param {Array<number>} bookingIds - IDs of the bookings
+ * @returns {Promise<Array<Object>>} One row per booking and participant: `booking_id`,
+ * `start_time`, `end_time`, `workspace_name`, `host_name`, and the participant's `user_id`
+ * (null for guests), `name` and `email`
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getParticipants = async (bookingIds) => {
+  const result = await db.query(
+    `SELECT b.id AS booking_id, b.start_time, b.end_time,
+             w.name AS workspace_name, h.name AS host_name,
+             p.user_id, p.name, p.email
+         FROM bookings b
+         JOIN workspaces w ON w.id = b.workspace_id
+         JOIN users h ON h.id = b.user_id
+         CROSS JOIN LATERAL (
+             SELECT b.user_id, h.name, h.email, 0 AS position
+             UNION ALL
+             SELECT ba.user_id, COALESCE(u.name, ba.name), COALESCE(u.email, ba.email), ba.id
+             FROM booking_attendees ba
+             LEFT JOIN users u ON u.id = ba.user_id
+             WHERE ba.booking_id = b.id
+         ) p
+         WHERE b.id = ANY($1::integer[])
+         ORDER BY b.start_time, p.position`,
+    [bookingIds]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  resolveAttendees,
+  replaceAttendees,
+  getAttendees,
+  getParticipants,
+};
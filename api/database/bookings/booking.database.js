@@ -6,16 +6,109 @@
  * - Checking workspace availability with capacity constraints
  * - Retrieving user booking history with workspace details
  * - Managing booking status lifecycle
+ * - Cancelling bookings before they start, flagging late cancellations
+ * - Placing tentative holds, confirming them and expiring those left unconfirmed
+ * - Rescheduling one or several bookings at once, with conflict checks
+ * - Approving, rejecting and expiring bookings waiting for approval
+ * - Checking in and out, releasing no-shows and completing ended bookings
  * @requires .../connection/connect
+ * @requires ../policies/policy
+ * @requires ../schedules/schedule
+ * @requires ../quotas/quota
+ * @requires ./attendee
+ * @requires ./history
+ * @requires ../../utils/bookingPolicy
+ * @requires ../../utils/bookingQuota
+ * @requires ../../errors
  */
 
 const db = require('../connection/connect.connection');
+const { getEffectivePolicy } = require('../policies/policy.policies');
+const {
+  findClosures,
+  describeClosure,
+  checkWorkspaceOpen,
+} = require('../schedules/schedule.schedules');
+const {
+  getEffectiveQuota,
+  lockUserQuota,
+  getQuotaUsage,
+} = require('../quotas/quota.quotas');
+const { replaceAttendees } = require('./attendee.bookings');
+const {
+  setStatusChangeContext,
+  withStatusChange,
+} = require('./history.bookings');
+const { checkBookingPolicy } = require('../../utils/bookingPolicy.utils');
+const { checkBookingQuota } = require('../../utils/bookingQuota.utils');
+const { BadRequestError } = require('../../errors/index.errors');
+
+/**
+ * @constant {number} PENDING_APPROVAL_TTL_HOURS
+ * @description Number of hours a booking may wait for approval before it expires
+ * (env: `PENDING_APPROVAL_TTL_HOURS`). Pending bookings also expire once their start time passes.
+ */
+const PENDING_APPROVAL_TTL_HOURS = parseInt(
+  process.env.PENDING_APPROVAL_TTL_HOURS || '48',
+  10
+);
+
+/**
+ * @constant {number} CHECK_IN_GRACE_MINUTES
+ * @description Number of minutes after its start a confirmed booking may still be checked in
+ * (env: `CHECK_IN_GRACE_MINUTES`). Bookings not checked in by then are released as no-shows.
+ */
+const CHECK_IN_GRACE_MINUTES = parseInt(
+  process.env.CHECK_IN_GRACE_MINUTES || '15',
+  10
+);
+
+/**
+ * @constant {number} CHECK_IN_OPENS_MINUTES
+ * @description Number of minutes before its start a booking may be checked in
+ * (env: `CHECK_IN_OPENS_MINUTES`)
+ */
+const CHECK_IN_OPENS_MINUTES = parseInt(
+  process.env.CHECK_IN_OPENS_MINUTES || '15',
+  10
+);
+
+/**
+ * @constant {number} HOLD_TTL_MINUTES
+ * @description Number of minutes a hold blocks its slot when no other time-to-live is asked for
+ * (env: `HOLD_TTL_MINUTES`). Holds also expire once their start time passes.
+ */
+const HOLD_TTL_MINUTES = parseInt(process.env.HOLD_TTL_MINUTES || '60', 10);
+
+/**
+ * @constant {number} HOLD_MAX_TTL_MINUTES
+ * @description Longest time-to-live a hold may ask for, in minutes (env: `HOLD_MAX_TTL_MINUTES`)
+ */
+const HOLD_MAX_TTL_MINUTES = parseInt(
+  process.env.HOLD_MAX_TTL_MINUTES || '1440',
+  10
+);
+
+/**
+ * @constant {number} LATE_CANCELLATION_WINDOW_DAYS
+ * @description Number of days late cancellations count against a user
+ * (env: `LATE_CANCELLATION_WINDOW_DAYS`)
+ */
+const LATE_CANCELLATION_WINDOW_DAYS = parseInt(
+  process.env.LATE_CANCELLATION_WINDOW_DAYS || '90',
+  10
+);
+
+// Columns identifying the requester and workspace of a booking, used to notify the requester.
+const BOOKING_NOTIFICATION_COLUMNS = `u.name AS user_name, u.email AS user_email,
+  w.name AS workspace_name`;
 
 /**
  * @async
  * @function getWorkspaceCapacity
  * @description Retrieves the capacity and type information for a workspace
  * @param {number} workspaceId - ID of the workspace to check
+ * @param {Object} [queryable=db] - `db` or a pool client taking part in a transaction
  * @returns {Promise<Object>} Workspace capacity information
  * @throws {Error} Will throw an error if workspace is not found
  * @example
@@ -24,16 +117,18 @@ const db = require('../connection/connect.connection');
  *   base_capacity: 8,
  *   type_name: 'meeting_room',
  *   requires_approval: false,
+ *   booking_mode: 'exclusive',
  *   location: 'Building 2, Floor 3'
  * }
  */
 
-const getWorkspaceCapacity = async (workspaceId) => {
-  const result = await db.query(
+const getWorkspaceCapacity = async (workspaceId, queryable = db) => {
+  const result = await queryable.query(
     `SELECT 
             w.base_capacity, 
             wt.name AS type_name,
             wt.requires_approval,
+            wt.booking_mode,
             w.location,
             w.floor
          FROM workspaces w
@@ -49,19 +144,46 @@ const getWorkspaceCapacity = async (workspaceId) => {
   return result.rows[0];
 };
 
+/**
+ * @async
+ * @function lockWorkspace
+ * @description Locks a workspace row until the end of the transaction, so that concurrent
+ * bookings of the workspace check its availability and insert one after the other. The
+ * capacity trigger takes the same lock when a booking is inserted.
+ * @param {Object} client - Pool client with an open transaction
+ * @param {number} workspaceId - ID of the workspace
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const lockWorkspace = async (client, workspaceId) => {
+  await client.query('SELECT 1 FROM workspaces WHERE id = $1 FOR UPDATE', [
+    workspaceId,
+  ]);
+};
+
 /**
  * @async
  * @function createBooking
  * @description Creates a new workspace booking with comprehensive validation
- * @param {number} userId - ID of the user making the booking
+ * @param {number} userId - ID of the user the booking is for (its host)
  * @param {number} workspaceId - ID of the workspace being booked
  * @param {Date|string} startTime - Booking start time (ISO 8601 string or Date object)
  * @param {Date|string} endTime - Booking end time (ISO 8601 string or Date object)
  * @param {number} [attendees=1] - Number of attendees (validated against workspace capacity)
  * @param {string|null} [specialRequests=null] - Optional special requests
+ * @param {Object} [options] - Delegation, attendee list, hold and transaction
+ * @param {number} [options.organizerId] - ID of the user booking on behalf of the host
+ * @param {number} [options.holdMinutes] - Place a tentative hold blocking the slot for this many
+ * minutes (at most until the start time), to be confirmed with `confirmHold`, instead of a
+ * booking
+ * @param {Array<Object>} [options.attendeeList] - Named attendees returned by
+ * `resolveAttendees`, stored with the booking
+ * @param {Object} [options.client] - Pool client with an open transaction to create the booking
+ * in, committed by the caller; without it the booking is created in a transaction of its own
  * @returns {Promise<Object>} The newly created booking record with workspace details
  * @throws {Error} Will throw an error if:
- * - Timeslot is already booked (violates exclusion constraint)
+ * - Timeslot is already booked, or a shared workspace has not enough seats left (code `23P01`
+ *   when a concurrent booking wins the race)
  * - Attendees exceed workspace capacity
  * - Invalid time range (end_time before start_time or in past)
  * - Workspace requires approval but user isn't privileged
@@ -73,7 +195,13 @@ const createBooking = async (
   startTime,
   endTime,
   attendees = 1,
-  specialRequests = null
+  specialRequests = null,
+  {
+    organizerId = null,
+    attendeeList = null,
+    holdMinutes = null,
+    client = null,
+  } = {}
 ) => {
   if (!userId || !workspaceId || !startTime || !endTime) {
     throw new Error('Missing required booking parameters');
@@ -86,8 +214,10 @@ const createBooking = async (
     .replace('T', ' ');
   const end = new Date(endTime).toISOString().slice(0, 19).replace('T', ' ');
 
+  const queryable = client || db;
+
   // Check workspace capacity
-  const capacityCheck = await db.query(
+  const capacityCheck = await queryable.query(
     `SELECT w.base_capacity, wt.requires_approval
          FROM workspaces w
          JOIN workspace_types wt ON w.type_id = wt.id
@@ -104,62 +234,97 @@ const createBooking = async (
     throw new Error(`Attendees exceed workspace capacity of ${baseCapacity}`);
   }
 
-  // Check for conflicting bookings
-  const conflictCheck = await db.query(
-    `SELECT id FROM bookings
-         WHERE workspace_id = $1
-         AND (
-             (start_time < $3::timestamp AND end_time > $2::timestamp) OR
-             (start_time >= $2::timestamp AND start_time < $3::timestamp) OR
-             (end_time > $2::timestamp AND end_time <= $3::timestamp)
-         )
-         AND status IN ('confirmed', 'pending')
-         LIMIT 1`,
-    [workspaceId, start, end]
-  );
-
-  if (conflictCheck.rows.length > 0) {
-    throw new Error('The selected time slot is already booked');
-  }
+  const policy = await getEffectivePolicy(workspaceId, queryable);
 
-  // Create booking
-  const result = await db.query(
-    `INSERT INTO bookings 
-         (user_id, workspace_id, start_time, end_time, attendees, special_requests, status)
-         VALUES ($1, $2, $3::timestamp, $4::timestamp, $5, $6, 
-           CASE WHEN $7 THEN 'pending' ELSE 'confirmed' END)
-         RETURNING *, 
-         (SELECT name FROM workspaces WHERE id = $2) AS workspace_name,
-         (SELECT name FROM workspace_types WHERE id = (
-           SELECT type_id FROM workspaces WHERE id = $2
-         )) AS workspace_type`,
-    [
-      userId,
+  // Check for conflicting bookings (or, in a shared workspace, missing seats), keeping the
+  // cleanup buffer of the workspace free
+  const conflicts = await findConflicts(queryable, [
+    {
       workspaceId,
-      start,
-      end,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      bufferMinutes: (policy && policy.buffer_minutes) || 0,
       attendees,
-      specialRequests,
-      capacityCheck.rows[0].requires_approval,
-    ]
-  );
+    },
+  ]);
 
-  if (!result.rows.length) {
-    throw new Error('Booking creation failed');
+  if (conflicts.length > 0) {
+    throw new Error('The selected time slot is already booked');
   }
 
-  return result.rows[0];
+  // Create booking, with its attendee list
+  const transaction = client || (await db.pool.connect());
+  try {
+    if (!client) await transaction.query('BEGIN');
+
+    const result = await transaction.query(
+      `INSERT INTO bookings 
+           (user_id, workspace_id, start_time, end_time, attendees, special_requests, status,
+            organizer_id, hold_expires_at)
+           VALUES ($1, $2, $3::timestamp, $4::timestamp, $5, $6, 
+             CASE
+               WHEN $9::integer IS NOT NULL THEN 'hold'
+               WHEN $7 THEN 'pending'
+               ELSE 'confirmed'
+             END,
+             $8,
+             CASE WHEN $9::integer IS NOT NULL
+               THEN LEAST(NOW() + make_interval(mins => $9::integer), $3::timestamp)
+             END)
+           RETURNING *, 
+           (SELECT name FROM workspaces WHERE id = $2) AS workspace_name,
+           (SELECT name FROM workspace_types WHERE id = (
+             SELECT type_id FROM workspaces WHERE id = $2
+           )) AS workspace_type`,
+      [
+        userId,
+        workspaceId,
+        start,
+        end,
+        attendees,
+        specialRequests,
+        capacityCheck.rows[0].requires_approval,
+        organizerId && organizerId !== userId ? organizerId : null,
+        holdMinutes,
+      ]
+    );
+
+    if (!result.rows.length) {
+      throw new Error('Booking creation failed');
+    }
+
+    if (attendeeList) {
+      await replaceAttendees(transaction, result.rows[0].id, attendeeList);
+    }
+
+    if (!client) await transaction.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    if (!client) await transaction.query('ROLLBACK');
+    throw err;
+  } finally {
+    if (!client) transaction.release();
+  }
 };
 
 /**
  * @async
  * @function getWorkspaceAvailability
- * @description Checks workspace availability considering both bookings and capacity
+ * @description Checks workspace availability considering both bookings and capacity. In an
+ * `exclusive` workspace any overlapping booking takes the whole workspace; in a `shared` one
+ * `available_slots` is the number of seats still free at the busiest moment of the range, and
+ * `current_attendees` the number of seats taken then. The cleanup buffer applies the same way,
+ * like in `findConflicts`: a booking within the buffer blocks an exclusive workspace, but in a
+ * shared one only if it is exclusive or takes seats the new booking needs.
  * @param {number} workspaceId - ID of the workspace to check
  * @param {Date|string} startTime - Desired start time (ISO 8601 string or Date object)
  * @param {Date|string} endTime - Desired end time (ISO 8601 string or Date object)
  * @param {number} [attendees=1] - Number of required spaces
- * @returns {Promise<Object>} Availability object with details
+ * @param {Object} [queryable=db] - `db` or a pool client taking part in a transaction
+ * @returns {Promise<Object>} Availability object with details, including the effective booking
+ * `policy` of the workspace; `buffer_conflict` is true when another booking is within the
+ * cleanup buffer, and `closure` explains why the workspace is closed (opening hours, holiday
+ * or blackout), both making the workspace unavailable
  * @throws {Error} Will throw an error if database query fails
  */
 
@@ -167,32 +332,74 @@ const getWorkspaceAvailability = async (
   workspaceId,
   startTime,
   endTime,
-  attendees = 1
+  attendees = 1,
+  queryable = db
 ) => {
-  const workspace = await getWorkspaceCapacity(workspaceId);
+  const workspace = await getWorkspaceCapacity(workspaceId, queryable);
+  const policy = await getEffectivePolicy(workspaceId, queryable);
   const baseCapacity = parseInt(workspace.base_capacity, 10);
   const numAttendees = parseInt(attendees, 10);
 
-  const result = await db.query(
-    `WITH conflicting_bookings AS (
-             SELECT SUM(attendees) AS total_attendees
+  // An exclusive workspace is fully taken by any overlapping booking, a shared one only
+  // loses the seats taken at the busiest moment of the range
+  const result = await queryable.query(
+    `WITH overlapping AS (
+             SELECT COUNT(*) AS total, COALESCE(bool_or(exclusive), false) AS any_exclusive
+             FROM bookings
+             WHERE workspace_id = $1
+             AND start_time < $3::timestamptz
+             AND end_time > $2::timestamptz
+             AND status IN ('confirmed', 'pending', 'hold')
+         ),
+         buffer_bookings AS (
+             SELECT COUNT(*) AS total, COALESCE(bool_or(exclusive), false) AS any_exclusive
              FROM bookings
              WHERE workspace_id = $1
-             AND (
-                 (start_time < $3::timestamptz AND end_time > $2::timestamptz) OR
-                 (start_time >= $2::timestamptz AND start_time < $3::timestamptz) OR
-                 (end_time > $2::timestamptz AND end_time <= $3::timestamptz)
-             )
-             AND status IN ('confirmed', 'pending')
+             AND start_time < $3::timestamptz + make_interval(mins => $8)
+             AND end_time > $2::timestamptz - make_interval(mins => $8)
+             AND NOT (start_time < $3::timestamptz AND end_time > $2::timestamptz)
+             AND status IN ('confirmed', 'pending', 'hold')
+         ),
+         booked AS (
+             SELECT
+                 booked_seats($1, $2::timestamptz, $3::timestamptz) AS seats,
+                 booked_seats(
+                     $1,
+                     $2::timestamptz - make_interval(mins => $8),
+                     $3::timestamptz + make_interval(mins => $8)
+                 ) AS buffered_seats
+         ),
+         seats AS (
+             SELECT
+                 bk.seats AS booked,
+                 CASE
+                     WHEN o.any_exclusive OR ($9 = 'exclusive' AND o.total > 0) THEN 0
+                     WHEN $9 = 'exclusive' THEN $4::integer
+                     ELSE GREATEST($4::integer - bk.seats, 0)
+                 END AS available,
+                 bk.buffered_seats
+             FROM overlapping o, booked bk
+         ),
+         buffer AS (
+             SELECT
+                 CASE
+                     WHEN $9 = 'exclusive' THEN bb.total > 0
+                     ELSE s.available >= $5::integer AND (
+                         bb.any_exclusive OR s.buffered_seats + $5::integer > $4::integer
+                     )
+                 END AS conflict
+             FROM seats s, buffer_bookings bb
          )
          SELECT 
              $4::integer AS base_capacity,
-             COALESCE(cb.total_attendees, 0) AS current_attendees,
-             ($4::integer - COALESCE(cb.total_attendees, 0)) >= $5::integer AS is_available,
-             $4::integer - COALESCE(cb.total_attendees, 0) AS available_slots,
+             $9 AS booking_mode,
+             s.booked AS current_attendees,
+             s.available >= $5::integer AND NOT bf.conflict AS is_available,
+             bf.conflict AS buffer_conflict,
+             s.available AS available_slots,
              $6 AS workspace_type,
              $7 AS location
-         FROM conflicting_bookings cb`,
+         FROM seats s, buffer bf`,
     [
       workspaceId,
       startTime,
@@ -201,15 +408,347 @@ const getWorkspaceAvailability = async (
       numAttendees,
       workspace.type_name,
       workspace.location,
+      (policy && policy.buffer_minutes) || 0,
+      workspace.booking_mode,
     ]
   );
 
+  const [closure] = await findClosures(queryable, [
+    { workspaceId, startTime, endTime },
+  ]);
+
   return {
     ...result.rows[0],
+    is_available: result.rows[0].is_available && !closure,
+    closure: closure ? describeClosure(closure) : null,
     requires_approval: workspace.requires_approval,
+    policy,
   };
 };
 
+/**
+ * @async
+ * @function findConflicts
+ * @description Finds the slots that cannot be booked because of the bookings holding a slot.
+ * A slot of an exclusive workspace collides with any overlapping booking; a slot of a shared
+ * workspace only with an overlapping exclusive booking, or when its attendees do not fit in
+ * the seats left at the busiest moment of the slot.
+ * @param {Object} queryable - Pool or transaction client to run the query on
+ * @param {Array<{workspaceId: number, startTime: Date, endTime: Date, bufferMinutes: number,
+ * attendees: number}>} slots - Slots to check; bookings within `bufferMinutes` (cleanup buffer)
+ * of a slot count as overlapping, and `attendees` defaults to 1
+ * @param {Array<number>} [excludeIds=[]] - Bookings to ignore (e.g. the bookings being moved)
+ * @returns {Promise<Array<Object>>} One row per conflicting slot (`workspace_id`, `start_time`,
+ * `end_time`) with the IDs of the bookings overlapping it (`booking_ids`), in slot order
+ * @throws {Error} Will throw an error if database query fails
+ */
+const findConflicts = async (queryable, slots, excludeIds = []) => {
+  const result = await queryable.query(
+    `SELECT
+             s.workspace_id,
+             s.start_time,
+             s.end_time,
+             array_agg(b.id ORDER BY b.start_time) AS booking_ids
+         FROM unnest(
+             $1::integer[], $2::timestamptz[], $3::timestamptz[], $5::integer[],
+             $6::integer[]
+         ) AS s(workspace_id, start_time, end_time, buffer_minutes, attendees)
+         JOIN workspaces w ON w.id = s.workspace_id
+         JOIN workspace_types wt ON w.type_id = wt.id
+         JOIN bookings b ON b.workspace_id = s.workspace_id
+             AND b.start_time < s.end_time + make_interval(mins => s.buffer_minutes)
+             AND b.end_time > s.start_time - make_interval(mins => s.buffer_minutes)
+         WHERE b.status IN ('confirmed', 'pending', 'hold')
+         AND b.id <> ALL($4::integer[])
+         GROUP BY s.workspace_id, s.start_time, s.end_time, s.buffer_minutes, s.attendees,
+             w.base_capacity, wt.booking_mode
+         HAVING wt.booking_mode = 'exclusive'
+             OR bool_or(b.exclusive)
+             OR s.attendees + booked_seats(
+                 s.workspace_id,
+                 s.start_time - make_interval(mins => s.buffer_minutes),
+                 s.end_time + make_interval(mins => s.buffer_minutes),
+                 $4::integer[]
+             ) > w.base_capacity
+         ORDER BY s.start_time`,
+    [
+      slots.map((slot) => slot.workspaceId),
+      slots.map((slot) => slot.startTime),
+      slots.map((slot) => slot.endTime),
+      excludeIds,
+      slots.map((slot) => slot.bufferMinutes || 0),
+      slots.map((slot) => slot.attendees || 1),
+    ]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function rescheduleBookings
+ * @description Moves, extends or resizes several bookings at once, all or nothing.
+ * The capacity and conflict checks of `createBooking` are re-run, ignoring the bookings being
+ * edited, within a transaction that locks their workspaces so that concurrent changes cannot
+ * take the same slots. Bookings of a workspace type that requires approval go back to `pending`,
+ * clearing the previous decision, when their times or size change before they start; bookings
+ * under way stay confirmed, and holds stay holds until they are confirmed.
+ * Only bookings holding their slot (`pending`, `confirmed` or `hold`) are changed, and every change
+ * must respect the booking policy of the workspace and the quota of the host. New times must fall
+ * within the opening hours, and moving a booking out of a blackout clears its flag.
+ * @param {Array<number>} ids - IDs of the bookings
+ * @param {Function} changeFor - Given a booking, returns its new `startTime`, `endTime` and
+ * `attendees`, and optionally a new `attendeeList` (see `resolveAttendees`) to store with it
+ * @param {Object} [options] - Change options
+ * @param {number|null} [options.changedBy=null] - ID of the user making the change, recorded in
+ * the status history of bookings going back to `pending`
+ * @returns {Promise<Array<{before: Object, booking: Object}>|null>} Each booking before and
+ * after the change, in chronological order, or null if none of the bookings can be changed
+ * @throws {BadRequestError} If the attendees exceed the capacity, a booking is moved to the
+ * past, or a new time conflicts with another booking
+ * @throws {PolicyViolationError} If a change breaks the booking policy of the workspace or the
+ * quota of the host, or new times fall into a closure of the workspace
+ */
+const rescheduleBookings = async (
+  ids,
+  changeFor,
+  { changedBy = null } = {}
+) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setStatusChangeContext(client, { changedBy });
+
+    const current = await client.query(
+      `SELECT * FROM bookings
+           WHERE id = ANY($1::integer[])
+           AND status IN ('confirmed', 'pending', 'hold')
+           ORDER BY start_time
+           FOR UPDATE`,
+      [ids]
+    );
+    if (!current.rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Locking the workspaces serializes changes competing for their slots
+    const workspaces = await client.query(
+      `SELECT w.id, w.base_capacity, wt.requires_approval
+           FROM workspaces w
+           JOIN workspace_types wt ON w.type_id = wt.id
+           WHERE w.id = ANY($1::integer[])
+           FOR UPDATE OF w`,
+      [[...new Set(current.rows.map((booking) => booking.workspace_id))]]
+    );
+    const workspaceById = new Map(
+      workspaces.rows.map((workspace) => [workspace.id, workspace])
+    );
+    for (const workspace of workspaces.rows) {
+      workspace.policy = await getEffectivePolicy(workspace.id, client);
+    }
+    const bufferOf = (change) =>
+      workspaceById.get(change.before.workspace_id).policy.buffer_minutes || 0;
+
+    const now = new Date();
+    const changes = current.rows.map((before) => {
+      const { startTime, endTime, attendees, attendeeList } = changeFor(before);
+      const { base_capacity: baseCapacity, policy } = workspaceById.get(
+        before.workspace_id
+      );
+
+      if (baseCapacity < attendees) {
+        throw new BadRequestError(
+          `Attendees exceed workspace capacity of ${baseCapacity}`
+        );
+      }
+      const moved = startTime.getTime() !== before.start_time.getTime();
+      if (moved && startTime < now) {
+        throw new BadRequestError('Cannot book in the past');
+      }
+      checkBookingPolicy(
+        policy,
+        { startTime, endTime, checkStart: moved },
+        now
+      );
+      const retimed = moved || endTime.getTime() !== before.end_time.getTime();
+      const resubmit =
+        workspaceById.get(before.workspace_id).requires_approval &&
+        before.status !== 'hold' &&
+        (retimed || attendees !== before.attendees) &&
+        before.start_time > now &&
+        !before.checked_in_at;
+
+      return {
+        before,
+        startTime,
+        endTime,
+        attendees,
+        attendeeList,
+        retimed,
+        resubmit,
+      };
+    });
+
+    // A booking keeping its times may stay in a blackout added after it was made
+    await checkWorkspaceOpen(
+      client,
+      changes
+        .filter((change) => change.retimed)
+        .map((change) => ({
+          workspaceId: change.before.workspace_id,
+          startTime: change.startTime,
+          endTime: change.endTime,
+        }))
+    );
+
+    // The edited bookings must not collide with each other either (shared bookings may
+    // overlap; their seats are checked when they are written)
+    const byStart = [...changes].sort((a, b) => a.startTime - b.startTime);
+    byStart.forEach((change, i) => {
+      const next = byStart
+        .slice(i + 1)
+        .find(
+          (other) => other.before.workspace_id === change.before.workspace_id
+        );
+      if (
+        next &&
+        (change.before.exclusive || next.before.exclusive) &&
+        next.startTime - change.endTime < bufferOf(change) * 60 * 1000
+      ) {
+        throw new BadRequestError(
+          'The selected time slot overlaps another booking of the change'
+        );
+      }
+    });
+
+    const conflicts = await findConflicts(
+      client,
+      changes.map((change) => ({
+        workspaceId: change.before.workspace_id,
+        startTime: change.startTime,
+        endTime: change.endTime,
+        bufferMinutes: bufferOf(change),
+        attendees: change.attendees,
+      })),
+      changes.map((change) => change.before.id)
+    );
+    if (conflicts.length > 0) {
+      throw new BadRequestError('The selected time slot is already booked');
+    }
+
+    // Hosts whose bookings move or change length must stay within their quota, counting the
+    // edited bookings at their new times. Hosts are locked in ID order to avoid deadlocks.
+    const hostIds = [
+      ...new Set(
+        changes
+          .filter((change) => change.retimed)
+          .map((change) => change.before.user_id)
+      ),
+    ].sort((a, b) => a - b);
+    for (const hostId of hostIds) {
+      const own = changes.filter((change) => change.before.user_id === hostId);
+      await lockUserQuota(client, hostId);
+      checkBookingQuota(
+        await getEffectiveQuota(hostId, client),
+        await getQuotaUsage(
+          hostId,
+          own.map(({ startTime, endTime }) => ({ startTime, endTime })),
+          own.map((change) => change.before.id),
+          client
+        )
+      );
+    }
+
+    // The double-booking constraint is checked row by row, so bookings moving later are
+    // updated latest first and the others earliest first, never landing on a slot that
+    // another edited booking has not vacated yet
+    const forward = changes
+      .filter((change) => change.startTime > change.before.start_time)
+      .reverse();
+    const others = changes.filter(
+      (change) => change.startTime <= change.before.start_time
+    );
+
+    const updated = new Map();
+    for (const change of [...forward, ...others]) {
+      const result = await client.query(
+        `UPDATE bookings SET
+             start_time = $2,
+             end_time = $3,
+             attendees = $4,
+             status = CASE WHEN $5 THEN 'pending' ELSE status END,
+             decided_by = CASE WHEN $5 THEN NULL ELSE decided_by END,
+             decided_at = CASE WHEN $5 THEN NULL ELSE decided_at END,
+             decision_reason = CASE WHEN $5 THEN NULL ELSE decision_reason END,
+             submitted_at = CASE WHEN $5 THEN NOW() ELSE submitted_at END,
+             blackout_id = CASE WHEN $6 THEN NULL ELSE blackout_id END,
+             updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+        [
+          change.before.id,
+          change.startTime,
+          change.endTime,
+          change.attendees,
+          change.resubmit,
+          change.retimed,
+        ]
+      );
+      updated.set(change.before.id, result.rows[0]);
+
+      if (change.attendeeList) {
+        await replaceAttendees(client, change.before.id, change.attendeeList);
+      }
+    }
+
+    await client.query('COMMIT');
+    return changes.map(({ before }) => ({
+      before,
+      booking: updated.get(before.id),
+    }));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function rescheduleBooking
+ * @description Moves a booking to a new time, extends it or changes its attendees.
+ * See `rescheduleBookings` for the checks made.
+ * @param {number} id - ID of the booking
+ * @param {Object} changes - New values; omitted ones are kept
+ * @param {Date} [changes.startTime] - New start time
+ * @param {Date} [changes.endTime] - New end time
+ * @param {number} [changes.attendees] - New number of attendees
+ * @param {Array<Object>} [changes.attendeeList] - New named attendees (see `resolveAttendees`)
+ * @param {Object} [options] - Change options (see `rescheduleBookings`)
+ * @returns {Promise<{before: Object, booking: Object}|null>} The booking before and after the
+ * change, or null if the booking does not exist or no longer holds its slot
+ * @throws {BadRequestError} If the attendees exceed the capacity or the new time conflicts
+ * with another booking
+ */
+const rescheduleBooking = async (
+  id,
+  { startTime, endTime, attendees, attendeeList },
+  options = {}
+) => {
+  const results = await rescheduleBookings(
+    [id],
+    (before) => ({
+      startTime: startTime || before.start_time,
+      endTime: endTime || before.end_time,
+      attendees: attendees || before.attendees,
+      attendeeList,
+    }),
+    options
+  );
+  return results ? results[0] : null;
+};
+
 /**
  * @async
  * @function getUserBookings
@@ -253,6 +792,336 @@ const getUserBookings = async (
   return result.rows;
 };
 
+/**
+ * @async
+ * @function getBookings
+ * @description Retrieves bookings across users for reports, optionally filtered by team.
+ * A booking belongs to a team when the user who made it is a member of that team.
+ * @param {Object} [filters] - Query filters
+ * @param {number} [filters.teamId] - Only bookings made by members of this team
+ * @param {number} [filters.userId] - Only bookings made by this user
+ * @param {number} [filters.workspaceId] - Only bookings of this workspace
+ * @param {string} [filters.status] - Only bookings with this status
+ * @param {Date} [filters.from] - Only bookings ending after this time
+ * @param {Date} [filters.to] - Only bookings starting before this time
+ * @param {number} [filters.limit=50] - Pagination limit
+ * @param {number} [filters.offset=0] - Pagination offset
+ * @returns {Promise<Array<Object>>} Array of bookings with user and workspace names, and the
+ * booked and used time in minutes (`used_minutes` is null unless the booking was checked in;
+ * a booking never checked out counts as used until its end), and the reason of the blackout
+ * a booking is flagged for (`blackout_reason`)
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getBookings = async ({
+  teamId,
+  userId,
+  workspaceId,
+  status,
+  from,
+  to,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const result = await db.query(
+    `SELECT
+             b.*,
+             u.name AS user_name,
+             u.email AS user_email,
+             w.name AS workspace_name,
+             w.location,
+             EXTRACT(EPOCH FROM b.end_time - b.start_time)::integer / 60 AS booked_minutes,
+             EXTRACT(EPOCH FROM
+                 COALESCE(b.checked_out_at, LEAST(b.end_time, NOW())) - b.checked_in_at
+             )::integer / 60 AS used_minutes,
+             bo.reason AS blackout_reason
+         FROM bookings b
+         JOIN users u ON b.user_id = u.id
+         JOIN workspaces w ON b.workspace_id = w.id
+         LEFT JOIN blackouts bo ON b.blackout_id = bo.id
+         WHERE ($1::integer IS NULL OR EXISTS (
+             SELECT 1 FROM team_members tm
+             WHERE tm.team_id = $1 AND tm.user_id = b.user_id
+         ))
+         AND ($2::integer IS NULL OR b.user_id = $2)
+         AND ($3::integer IS NULL OR b.workspace_id = $3)
+         AND ($4::varchar IS NULL OR b.status = $4)
+         AND ($5::timestamptz IS NULL OR b.end_time > $5)
+         AND ($6::timestamptz IS NULL OR b.start_time < $6)
+         ORDER BY b.start_time DESC
+         LIMIT $7 OFFSET $8`,
+    [
+      teamId || null,
+      userId || null,
+      workspaceId || null,
+      status || null,
+      from || null,
+      to || null,
+      limit,
+      offset,
+    ]
+  );
+  return result.rows;
+};
+
+
+/**
+ * @async
+ * @function getPendingBookings
+ * @description Lists bookings waiting for approval, oldest request first
+ * @param {Object} [options] - Query options
+ * @param {number} [options.workspaceId] - Only requests for this workspace
+ * @param {number} [options.limit=50] - Pagination limit
+ * @param {number} [options.offset=0] - Pagination offset
+ * @returns {Promise<Array<Object>>} Pending bookings with requester and workspace details and
+ * the time at which they expire
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getPendingBookings = async ({
+  workspaceId,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const result = await db.query(
+    `SELECT
+             b.*,
+             ${BOOKING_NOTIFICATION_COLUMNS},
+             LEAST(
+                 b.submitted_at + make_interval(hours => $2),
+                 b.start_time
+             ) AS expires_at
+         FROM bookings b
+         JOIN users u ON b.user_id = u.id
+         JOIN workspaces w ON b.workspace_id = w.id
+         WHERE b.status = 'pending'
+         AND ($1::integer IS NULL OR b.workspace_id = $1)
+         ORDER BY b.submitted_at ASC
+         LIMIT $3 OFFSET $4`,
+    [workspaceId || null, PENDING_APPROVAL_TTL_HOURS, limit, offset]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function decideBooking
+ * @description Approves or rejects a pending booking. Only a booking that is still pending is
+ * changed, so two managers deciding at the same time cannot both succeed. A rejected booking
+ * stops holding its slot immediately.
+ * @param {number} id - ID of the booking
+ * @param {Object} decision - Decision details
+ * @param {string} decision.status - `confirmed` to approve, `rejected` to reject
+ * @param {number} decision.decidedBy - ID of the manager deciding
+ * @param {string} [decision.reason] - Reason given to the requester
+ * @returns {Promise<Object|null>} The decided booking with requester and workspace details,
+ * or null if no pending booking has this ID
+ * @throws {Error} Will throw an error if database query fails
+ */
+const decideBooking = async (id, { status, decidedBy, reason = null }) => {
+  const result = await withStatusChange(
+    { changedBy: decidedBy, reason },
+    (client) =>
+      client.query(
+        `UPDATE bookings b SET
+             status = $2,
+             decided_by = $3,
+             decided_at = NOW(),
+             decision_reason = $4,
+             updated_at = NOW()
+           FROM users u, workspaces w
+           WHERE b.id = $1
+           AND b.status = 'pending'
+           AND u.id = b.user_id
+           AND w.id = b.workspace_id
+           RETURNING b.*, ${BOOKING_NOTIFICATION_COLUMNS}`,
+        [id, status, decidedBy, reason]
+      )
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function expirePendingBookings
+ * @description Expires bookings that waited for approval longer than
+ * `PENDING_APPROVAL_TTL_HOURS` since they were last submitted, or whose start time has passed
+ * without a decision
+ * @returns {Promise<Array<Object>>} Expired bookings with requester and workspace details
+ * @throws {Error} Will throw an error if database query fails
+ */
+const expirePendingBookings = async () => {
+  const result = await db.query(
+    `UPDATE bookings b SET
+           status = 'expired',
+           decided_at = NOW(),
+           decision_reason = 'No decision was made before the approval deadline',
+           updated_at = NOW()
+         FROM users u, workspaces w
+         WHERE b.status = 'pending'
+         AND (
+             b.submitted_at <= NOW() - make_interval(hours => $1)
+             OR b.start_time <= NOW()
+         )
+         AND u.id = b.user_id
+         AND w.id = b.workspace_id
+         RETURNING b.*, ${BOOKING_NOTIFICATION_COLUMNS}`,
+    [PENDING_APPROVAL_TTL_HOURS]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function confirmHold
+ * @description Confirms a hold that has not expired into a booking, `pending` if its workspace
+ * type requires approval and `confirmed` otherwise. The hold already blocks its slot, so no
+ * availability check is needed.
+ * @param {number} id - ID of the hold
+ * @param {number|null} [confirmedBy=null] - ID of the user confirming the hold
+ * @returns {Promise<Object|null>} The confirmed booking, or null if the booking is not a hold
+ * or the hold has expired
+ * @throws {Error} Will throw an error if database query fails
+ */
+const confirmHold = async (id, confirmedBy = null) => {
+  const result = await withStatusChange({ changedBy: confirmedBy }, (client) =>
+    client.query(
+      `UPDATE bookings b SET
+             status = CASE WHEN wt.requires_approval THEN 'pending' ELSE 'confirmed' END,
+             hold_expires_at = NULL,
+             submitted_at = NOW(),
+             updated_at = NOW()
+           FROM workspaces w
+           JOIN workspace_types wt ON w.type_id = wt.id
+           WHERE b.id = $1
+           AND w.id = b.workspace_id
+           AND b.status = 'hold'
+           AND b.hold_expires_at > NOW()
+           RETURNING b.*`,
+      [id]
+    )
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function expireHolds
+ * @description Expires the holds that were not confirmed before their `hold_expires_at`,
+ * freeing their slots
+ * @returns {Promise<Array<Object>>} Expired holds with holder and workspace details
+ * @throws {Error} Will throw an error if database query fails
+ */
+const expireHolds = async () => {
+  const result = await db.query(
+    `UPDATE bookings b SET
+           status = 'expired',
+           updated_at = NOW()
+         FROM users u, workspaces w
+         WHERE b.status = 'hold'
+         AND b.hold_expires_at <= NOW()
+         AND u.id = b.user_id
+         AND w.id = b.workspace_id
+         RETURNING b.*, ${BOOKING_NOTIFICATION_COLUMNS}`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function checkInBooking
+ * @description Records the arrival of the attendees of a confirmed booking. Check-in opens
+ * `CHECK_IN_OPENS_MINUTES` before the start and closes `CHECK_IN_GRACE_MINUTES` after it.
+ * @param {number} id - ID of the booking
+ * @returns {Promise<Object|null>} The checked-in booking, or null if the booking is not
+ * confirmed, already checked in, or outside the check-in window
+ * @throws {Error} Will throw an error if database query fails
+ */
+const checkInBooking = async (id) => {
+  const result = await db.query(
+    `UPDATE bookings SET checked_in_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         AND status = 'confirmed'
+         AND checked_in_at IS NULL
+         AND NOW() >= start_time - make_interval(mins => $2)
+         AND NOW() <= start_time + make_interval(mins => $3)
+         RETURNING *`,
+    [id, CHECK_IN_OPENS_MINUTES, CHECK_IN_GRACE_MINUTES]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function checkOutBooking
+ * @description Records the departure of the attendees of a checked-in booking and completes
+ * it, so that the rest of the booked time is free again
+ * @param {number} id - ID of the booking
+ * @param {number|null} [checkedOutBy=null] - ID of the user checking out
+ * @returns {Promise<Object|null>} The completed booking, or null if the booking is not
+ * checked in or already checked out
+ * @throws {Error} Will throw an error if database query fails
+ */
+const checkOutBooking = async (id, checkedOutBy = null) => {
+  const result = await withStatusChange({ changedBy: checkedOutBy }, (client) =>
+    client.query(
+      `UPDATE bookings SET
+             checked_out_at = NOW(),
+             status = 'completed',
+             updated_at = NOW()
+           WHERE id = $1
+           AND status = 'confirmed'
+           AND checked_in_at IS NOT NULL
+           AND checked_out_at IS NULL
+           RETURNING *`,
+      [id]
+    )
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function releaseNoShows
+ * @description Marks confirmed bookings not checked in within `CHECK_IN_GRACE_MINUTES` of
+ * their start as no-shows, which frees their slot
+ * @returns {Promise<Array<Object>>} Released bookings with requester and workspace details
+ * @throws {Error} Will throw an error if database query fails
+ */
+const releaseNoShows = async () => {
+  const result = await db.query(
+    `UPDATE bookings b SET
+           status = 'no_show',
+           updated_at = NOW()
+         FROM users u, workspaces w
+         WHERE b.status = 'confirmed'
+         AND b.checked_in_at IS NULL
+         AND b.start_time + make_interval(mins => $1) < NOW()
+         AND u.id = b.user_id
+         AND w.id = b.workspace_id
+         RETURNING b.*, ${BOOKING_NOTIFICATION_COLUMNS}`,
+    [CHECK_IN_GRACE_MINUTES]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function completeEndedBookings
+ * @description Marks checked-in bookings whose end time has passed as completed. Bookings
+ * never checked out keep a null `checked_out_at`; bookings never checked in are released as
+ * no-shows by `releaseNoShows` instead.
+ * @returns {Promise<Array<Object>>} Completed bookings
+ * @throws {Error} Will throw an error if database query fails
+ */
+const completeEndedBookings = async () => {
+  const result = await db.query(
+    `UPDATE bookings SET status = 'completed', updated_at = NOW()
+         WHERE status = 'confirmed'
+         AND checked_in_at IS NOT NULL
+         AND end_time <= NOW()
+         RETURNING *`
+  );
+  return result.rows;
+};
 
 /**
  * Checks if a booking belongs to a specific user.
@@ -294,45 +1163,113 @@ const bookingBelongToUser = async (id, userId) => {
 
 
 /**
- * Updates the status of a booking to 'cancelled'.
+ * Retrieves a booking by its ID.
  *
  * @async
- * @function updateBookingToCancelled
- * @param {number} id - The ID of the booking to update.
- * @returns {Promise<void>} - A promise that resolves when the booking status is successfully updated.
+ * @function getBookingById
+ * @param {number} id - The ID of the booking.
+ * @returns {Promise<Object|null>} - The booking record, or null if it does not exist.
  * @throws {Error} - Throws an error if the database query fails.
- *
- * @example
- * // Usage:
- * try {
- * await updateBookingToCancelled(123);
- * console.log('Booking 123 has been cancelled.');
- * } catch (error) {
- * console.error('Failed to cancel booking:', error);
- * }
  */
-const updateBookingToCancelled = async (id) => {
-  const client = await db.pool.connect();
-  try {
-    await client.query('UPDATE bookings SET status = $1 WHERE id = $2', [
-      'cancelled',
-      id,
-    ]);
-  } catch (error) {
-    console.error("Database error updating booking:", error);
-    throw error;
-  } finally {
-    if (client) {
-      client.release(); // Release the client back to the pool
-    }
-  }
+const getBookingById = async (id) => {
+  const result = await db.query('SELECT * FROM bookings WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function updateBookingToCancelled
+ * @description Cancels a booking that holds its slot and has not started yet. A booking
+ * cancelled after the cancellation deadline of its workspace (see `getEffectivePolicy`) is
+ * flagged as a late cancellation, unless it is a hold or `countsLate` is false.
+ * @param {Object} booking - Booking to cancel, as returned by `getBookingById`
+ * @param {Object} [cancellation] - Cancellation details
+ * @param {number|null} [cancellation.cancelledBy=null] - ID of the user cancelling
+ * @param {string|null} [cancellation.reason=null] - Reason given with the cancellation
+ * @param {boolean} [cancellation.countsLate=false] - Whether a late cancellation counts against
+ * the host, i.e. whether the host (or the organizer) cancels it themselves
+ * @returns {Promise<Object|null>} The cancelled booking, or null if it no longer holds its slot
+ * or has started
+ * @throws {Error} Will throw an error if database query fails
+ */
+const updateBookingToCancelled = async (
+  booking,
+  { cancelledBy = null, reason = null, countsLate = false } = {}
+) =>
+  withStatusChange({ changedBy: cancelledBy, reason }, async (client) => {
+    const policy = await getEffectivePolicy(booking.workspace_id, client);
+    const result = await client.query(
+      `UPDATE bookings b SET
+             status = 'cancelled',
+             cancelled_at = NOW(),
+             cancellation_reason = $2,
+             cancelled_late = COALESCE(
+                 $3 AND b.status <> 'hold'
+                 AND b.start_time < NOW() + make_interval(mins => $4::integer),
+                 false
+             ),
+             updated_at = NOW()
+           WHERE b.id = $1
+           AND b.status IN ('confirmed', 'pending', 'hold')
+           AND b.start_time > NOW()
+           RETURNING b.*`,
+      [
+        booking.id,
+        reason,
+        countsLate,
+        policy && policy.cancellation_deadline_minutes,
+      ]
+    );
+    return result.rows[0] || null;
+  });
+
+/**
+ * @async
+ * @function countLateCancellations
+ * @description Counts the late cancellations of a user over the last
+ * `LATE_CANCELLATION_WINDOW_DAYS` days
+ * @param {number} userId - ID of the user (the host of the bookings)
+ * @returns {Promise<number>} Number of late cancellations
+ * @throws {Error} Will throw an error if database query fails
+ */
+const countLateCancellations = async (userId) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::integer AS count FROM bookings
+         WHERE user_id = $1
+         AND cancelled_late
+         AND cancelled_at > NOW() - make_interval(days => $2)`,
+    [userId, LATE_CANCELLATION_WINDOW_DAYS]
+  );
+  return result.rows[0].count;
 };
 
 module.exports = {
+  PENDING_APPROVAL_TTL_HOURS,
+  CHECK_IN_GRACE_MINUTES,
+  CHECK_IN_OPENS_MINUTES,
+  HOLD_TTL_MINUTES,
+  HOLD_MAX_TTL_MINUTES,
+  LATE_CANCELLATION_WINDOW_DAYS,
   getWorkspaceCapacity,
+  lockWorkspace,
   createBooking,
   getWorkspaceAvailability,
+  findConflicts,
+  rescheduleBookings,
+  rescheduleBooking,
   getUserBookings,
+  getBookings,
   bookingBelongToUser,
-  updateBookingToCancelled
+  getBookingById,
+  getPendingBookings,
+  decideBooking,
+  expirePendingBookings,
+  confirmHold,
+  expireHolds,
+  checkInBooking,
+  checkOutBooking,
+  releaseNoShows,
+  completeEndedBookings,
+  updateBookingToCancelled,
+  countLateCancellations,
 };
@@ -0,0 +1,90 @@
+/**
+ * @file Booking status history database operations for SpaceMania workspace management system
+ * @module db/bookings/history
+ * @description Handles the trail of statuses each booking went through:
+ * - Telling the database who changes the status of bookings, and why
+ * - Listing the status changes of a booking
+ *
+ * Rows are written by a trigger on `bookings` (see `createBookingStatusHistoryTrigger`), so that
+ * every change is recorded whichever code made it. The trigger reads the actor and reason from
+ * settings local to the transaction changing the status; changes made outside such a
+ * transaction, like the expiries of the jobs, are recorded as made by the system.
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @async
+ * @function setStatusChangeContext
+ * @description Sets who changes the status of bookings, and why, for the rest of a transaction
+ * @param {Object} client - Transaction client
+ * @param {Object} context - Change details
+ * @param {number|null} [context.changedBy=null] - ID of the user making the change
+ * @param {string|null} [context.reason=null] - Reason given with the change
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const setStatusChangeContext = async (
+  client,
+  { changedBy = null, reason = null }
+) => {
+  await client.query(
+    `SELECT set_config('spacemania.status_changed_by', $1, true),
+             set_config('spacemania.status_reason', $2, true)`,
+    [changedBy ? String(changedBy) : '', reason || '']
+  );
+};
+
+/**
+ * @async
+ * @function withStatusChange
+ * @description Runs status changes in a transaction recording who made them, and why
+ * @param {Object} context - Change details (see `setStatusChangeContext`)
+ * @param {function(Object): Promise<*>} callback - Makes the changes with the transaction client
+ * @returns {Promise<*>} What the callback returned, once committed
+ * @throws {Error} Will throw an error if the callback or a database query fails
+ */
+const withStatusChange = async (context, callback) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setStatusChangeContext(client, context);
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function getStatusHistory
+ * @description Lists the status changes of a booking, from its creation on
+ * @param {number} bookingId - ID of the booking
+ * @returns {Promise<Array<Object>>} Changes (`from_status`, `to_status`, `changed_by` with
+ * `changed_by_name`, `reason`, `changed_at`) in chronological order
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getStatusHistory = async (bookingId) => {
+  const result = await db.query(
+    `SELECT h.id, h.from_status, h.to_status, h.changed_by,
+             u.name AS changed_by_name, h.reason, h.changed_at
+         FROM booking_status_history h
+         LEFT JOIN users u ON u.id = h.changed_by
+         WHERE h.booking_id = $1
+         ORDER BY h.changed_at, h.id`,
+    [bookingId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  setStatusChangeContext,
+  withStatusChange,
+  getStatusHistory,
+};
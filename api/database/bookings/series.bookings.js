@@ -0,0 +1,414 @@
+/**
+ * @file Recurring booking series database operations for SpaceMania workspace management system
+ * @module db/bookings/series
+ * @description Handles series bookings defined by an RFC 5545 recurrence rule:
+ * - Reporting which occurrences of a series collide with existing bookings or closures
+ * - Creating a series and all its occurrences at once, or nothing
+ * - Finding and cancelling the occurrences of a series from a given occurrence on
+ *
+ * Every occurrence is stored as a row of `bookings` linked to its series, so occurrences are
+ * protected by the double-booking constraint and can be edited or cancelled one by one; a
+ * cancelled or moved occurrence is an exception to the series.
+ * @requires ../connection/connect
+ * @requires ./booking
+ * @requires ./history
+ * @requires ../policies/policy
+ * @requires ../quotas/quota
+ * @requires ../schedules/schedule
+ * @requires ../../utils/recurrence
+ * @requires ../../utils/bookingPolicy
+ * @requires ../../utils/bookingQuota
+ * @requires ../../errors
+ */
+
+const db = require('../connection/connect.connection');
+const { findConflicts } = require('./booking.database');
+const { setStatusChangeContext } = require('./history.bookings');
+const { getEffectivePolicy } = require('../policies/policy.policies');
+const {
+  getEffectiveQuota,
+  lockUserQuota,
+  getQuotaUsage,
+} = require('../quotas/quota.quotas');
+const {
+  ORGANIZATION_TIME_ZONE,
+  findClosures,
+  describeClosure,
+} = require('../schedules/schedule.schedules');
+const { expandRRule } = require('../../utils/recurrence.utils');
+const { checkBookingPolicy } = require('../../utils/bookingPolicy.utils');
+const { checkBookingQuota } = require('../../utils/bookingQuota.utils');
+const { BadRequestError, NotFoundError } = require('../../errors/index.errors');
+
+/**
+ * @function seriesSlots
+ * @description Lists the occurrences of a series definition as time slots. Occurrences keep the
+ * local time of day of the first one in the organization time zone.
+ * @param {Object} definition - Series definition
+ * @param {number} definition.workspaceId - ID of the workspace
+ * @param {string} definition.rrule - Recurrence rule
+ * @param {Date} definition.startTime - Start of the first occurrence
+ * @param {Date} definition.endTime - End of the first occurrence
+ * @param {Array<string>} [definition.exdates=[]] - Occurrences to leave out (local dates, or
+ * date-times)
+ * @param {number} [definition.attendees=1] - Number of attendees of each occurrence
+ * @returns {Array<{workspaceId: number, startTime: Date, endTime: Date, attendees: number}>}
+ * Occurrence slots
+ * @throws {ValidationError} If the rule or an exception date is invalid, or the rule gives too
+ * many or no occurrences
+ */
+const seriesSlots = ({
+  workspaceId,
+  rrule,
+  startTime,
+  endTime,
+  exdates = [],
+  attendees = 1,
+}) => {
+  const duration = endTime.getTime() - startTime.getTime();
+  return expandRRule(rrule, startTime, {
+    exdates,
+    timeZone: ORGANIZATION_TIME_ZONE,
+  }).map((start) => ({
+    workspaceId,
+    startTime: start,
+    endTime: new Date(start.getTime() + duration),
+    attendees,
+  }));
+};
+
+/**
+ * @function applyPolicy
+ * @description Checks every occurrence of a series against the booking policy of its workspace,
+ * and sets the cleanup buffer the conflict checks must keep around each occurrence
+ * @param {Array<Object>} slots - Occurrence slots of the series
+ * @param {Object|null} policy - Effective policy of the workspace
+ * @returns {Array<Object>} The slots with their `bufferMinutes`
+ * @throws {PolicyViolationError} If an occurrence breaks the policy
+ */
+const applyPolicy = (slots, policy) => {
+  const now = new Date();
+  slots.forEach((slot) => checkBookingPolicy(policy, slot, now));
+  const bufferMinutes = (policy && policy.buffer_minutes) || 0;
+  return slots.map((slot) => ({ ...slot, bufferMinutes }));
+};
+
+/**
+ * @async
+ * @function findSeriesConflicts
+ * @description Finds the occurrences of a series that collide with existing bookings or fall
+ * into a closure of the workspace (outside opening hours, on a holiday or in a blackout)
+ * @param {Object} queryable - Pool or transaction client to run the queries on
+ * @param {Array<Object>} slots - Occurrence slots of the series
+ * @returns {Promise<Array<Object>>} Colliding occurrences in chronological order, with
+ * `start_time`, `end_time`, the IDs of the bookings they collide with (`booking_ids`) and the
+ * closure they fall into (`closure`), if any
+ * @throws {Error} Will throw an error if database query fails
+ */
+const findSeriesConflicts = async (queryable, slots) => {
+  const conflicts = await findConflicts(queryable, slots);
+  const closures = await findClosures(queryable, slots);
+
+  const byStart = new Map();
+  conflicts.forEach((conflict) =>
+    byStart.set(conflict.start_time.getTime(), { ...conflict, closure: null })
+  );
+  closures.forEach((closure) => {
+    const key = closure.start_time.getTime();
+    byStart.set(key, {
+      start_time: closure.start_time,
+      end_time: closure.end_time,
+      booking_ids: byStart.has(key) ? byStart.get(key).booking_ids : [],
+      closure: describeClosure(closure),
+    });
+  });
+  return [...byStart.values()].sort((a, b) => a.start_time - b.start_time);
+};
+
+/**
+ * @function conflictReport
+ * @description Formats the conflicts of a series for the client
+ * @param {Array<Object>} slots - Occurrence slots of the series
+ * @param {Array<Object>} conflicts - Colliding occurrences returned by `findSeriesConflicts`
+ * @returns {{occurrences: number, conflicts: Array<Object>}} Number of occurrences, and each
+ * colliding occurrence with the IDs of the bookings it collides with and the closure it falls
+ * into
+ */
+const conflictReport = (slots, conflicts) => ({
+  occurrences: slots.length,
+  conflicts: conflicts.map((conflict) => ({
+    startTime: conflict.start_time,
+    endTime: conflict.end_time,
+    bookingIds: conflict.booking_ids,
+    closure: conflict.closure,
+  })),
+});
+
+/**
+ * @async
+ * @function checkSeries
+ * @description Reports which occurrences of a series would collide with existing bookings or
+ * fall into a closure of the workspace, without booking anything
+ * @param {Object} definition - Series definition (see `seriesSlots`)
+ * @returns {Promise<{occurrences: number, conflicts: Array<Object>}>} Conflict report
+ * @throws {ValidationError} If the rule is invalid or gives too many or no occurrences
+ * @throws {PolicyViolationError} If an occurrence breaks the booking policy of the workspace
+ * @throws {Error} Will throw an error if database query fails
+ */
+const checkSeries = async (definition) => {
+  const slots = applyPolicy(
+    seriesSlots(definition),
+    await getEffectivePolicy(definition.workspaceId)
+  );
+  const conflicts = await findSeriesConflicts(db, slots);
+  return conflictReport(slots, conflicts);
+};
+
+/**
+ * @async
+ * @function createSeries
+ * @description Creates a series and books all its occurrences in one transaction. The workspace
+ * is locked while conflicts are checked, so the report cannot go stale before the occurrences
+ * are inserted. Occurrences of a workspace type that requires approval are `pending`.
+ * The occurrences booked count against the quota of the user.
+ * @param {Object} definition - Series definition (see `seriesSlots`)
+ * @param {number} definition.userId - ID of the user making the booking
+ * @param {number} [definition.attendees=1] - Number of attendees of each occurrence
+ * @param {string} [definition.specialRequests] - Optional special requests
+ * @param {boolean} [definition.skipConflicts=false] - Leave colliding occurrences out of the
+ * series (recorded in its `exdates`) instead of booking nothing
+ * @returns {Promise<{series: Object|null, bookings: Array<Object>, report: Object}>} The series
+ * and its bookings in chronological order, with the conflict report; `series` is null and
+ * nothing is booked if occurrences collide and `skipConflicts` is false
+ * @throws {NotFoundError} If the workspace does not exist
+ * @throws {BadRequestError} If the attendees exceed the capacity or every occurrence collides
+ * @throws {ValidationError} If the rule is invalid or gives too many or no occurrences
+ * @throws {PolicyViolationError} If an occurrence breaks the booking policy of the workspace,
+ * or the occurrences exceed the quota of the user
+ */
+const createSeries = async (definition) => {
+  const {
+    userId,
+    workspaceId,
+    rrule,
+    startTime,
+    endTime,
+    attendees = 1,
+    specialRequests = null,
+    exdates = [],
+    skipConflicts = false,
+  } = definition;
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locking the workspace serializes bookings competing for its slots
+    const workspace = await client.query(
+      `SELECT w.base_capacity, wt.requires_approval
+           FROM workspaces w
+           JOIN workspace_types wt ON w.type_id = wt.id
+           WHERE w.id = $1
+           FOR UPDATE OF w`,
+      [workspaceId]
+    );
+    if (!workspace.rows.length) {
+      throw new NotFoundError('Workspace not found');
+    }
+    const { base_capacity: baseCapacity, requires_approval: requiresApproval } =
+      workspace.rows[0];
+
+    if (baseCapacity < attendees) {
+      throw new BadRequestError(
+        `Attendees exceed workspace capacity of ${baseCapacity}`
+      );
+    }
+
+    const slots = applyPolicy(
+      seriesSlots(definition),
+      await getEffectivePolicy(workspaceId, client)
+    );
+    const conflicts = await findSeriesConflicts(client, slots);
+    const report = conflictReport(slots, conflicts);
+    if (conflicts.length > 0 && !skipConflicts) {
+      await client.query('ROLLBACK');
+      return { series: null, bookings: [], report };
+    }
+
+    const colliding = new Set(
+      conflicts.map((conflict) => conflict.start_time.getTime())
+    );
+    const kept = slots.filter((slot) => !colliding.has(slot.startTime.getTime()));
+    if (!kept.length) {
+      throw new BadRequestError(
+        'Every occurrence of the series collides with existing bookings or closures'
+      );
+    }
+
+    await lockUserQuota(client, userId);
+    checkBookingQuota(
+      await getEffectiveQuota(userId, client),
+      await getQuotaUsage(userId, kept, [], client)
+    );
+
+    const series = await client.query(
+      `INSERT INTO booking_series
+           (user_id, workspace_id, rrule, dtstart, duration_minutes, attendees,
+            special_requests, exdates)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+      [
+        userId,
+        workspaceId,
+        rrule,
+        startTime,
+        Math.round((endTime.getTime() - startTime.getTime()) / 60000),
+        attendees,
+        specialRequests,
+        [
+          ...exdates,
+          ...conflicts.map((conflict) => conflict.start_time.toISOString()),
+        ],
+      ]
+    );
+
+    const bookings = await client.query(
+      `INSERT INTO bookings
+           (user_id, workspace_id, start_time, end_time, attendees, special_requests,
+            status, series_id, occurrence_start)
+           SELECT $1, $2, o.start_time, o.end_time, $3, $4,
+               CASE WHEN $5 THEN 'pending' ELSE 'confirmed' END, $6, o.start_time
+           FROM unnest($7::timestamptz[], $8::timestamptz[]) AS o(start_time, end_time)
+           ORDER BY o.start_time
+           RETURNING *`,
+      [
+        userId,
+        workspaceId,
+        attendees,
+        specialRequests,
+        requiresApproval,
+        series.rows[0].id,
+        kept.map((slot) => slot.startTime),
+        kept.map((slot) => slot.endTime),
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { series: series.rows[0], bookings: bookings.rows, report };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function getSeriesBookingIds
+ * @description Lists the occurrences of a series that still hold their slot and have not ended
+ * @param {number} seriesId - ID of the series
+ * @param {Date|null} [fromOccurrenceStart=null] - Only this occurrence and the following ones
+ * (by their `occurrence_start`); every occurrence if null
+ * @returns {Promise<Array<number>>} Booking IDs in chronological order
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getSeriesBookingIds = async (seriesId, fromOccurrenceStart = null) => {
+  const result = await db.query(
+    `SELECT id FROM bookings
+         WHERE series_id = $1
+         AND ($2::timestamptz IS NULL OR occurrence_start >= $2)
+         AND status IN ('confirmed', 'pending')
+         AND end_time > NOW()
+         ORDER BY start_time`,
+    [seriesId, fromOccurrenceStart]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * @async
+ * @function cancelSeriesBookings
+ * @description Cancels the occurrences of a series that still hold their slot and have not
+ * started. Cancelling from the first occurrence on (`fromOccurrenceStart` null) also marks the
+ * series itself as cancelled. Occurrences within the cancellation deadline of the workspace
+ * are flagged as late cancellations, like single bookings (see `updateBookingToCancelled`).
+ * @param {number} seriesId - ID of the series
+ * @param {Date|null} [fromOccurrenceStart=null] - Only cancel this occurrence and the
+ * following ones; the whole series if null
+ * @param {Object} [cancellation] - Cancellation details
+ * @param {number|null} [cancellation.cancelledBy=null] - ID of the user cancelling
+ * @param {string|null} [cancellation.reason=null] - Reason given with the cancellation
+ * @param {boolean} [cancellation.countsLate=false] - Whether late cancellations count against
+ * the host
+ * @returns {Promise<Array<Object>>} Cancelled bookings with their previous status
+ * (`previous_status`), in chronological order
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const cancelSeriesBookings = async (
+  seriesId,
+  fromOccurrenceStart = null,
+  { cancelledBy = null, reason = null, countsLate = false } = {}
+) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setStatusChangeContext(client, { changedBy: cancelledBy, reason });
+
+    const series = await client.query(
+      'SELECT workspace_id FROM booking_series WHERE id = $1',
+      [seriesId]
+    );
+    const policy = series.rows.length
+      ? await getEffectivePolicy(series.rows[0].workspace_id, client)
+      : null;
+
+    const result = await client.query(
+      `UPDATE bookings b SET
+           status = 'cancelled',
+           cancelled_at = NOW(),
+           cancellation_reason = $3,
+           cancelled_late = COALESCE(
+               $4 AND b.start_time < NOW() + make_interval(mins => $5::integer),
+               false
+           ),
+           updated_at = NOW()
+         FROM bookings previous
+         WHERE previous.id = b.id
+         AND b.series_id = $1
+         AND ($2::timestamptz IS NULL OR b.occurrence_start >= $2)
+         AND b.status IN ('confirmed', 'pending')
+         AND b.start_time > NOW()
+         RETURNING b.*, previous.status AS previous_status`,
+      [
+        seriesId,
+        fromOccurrenceStart,
+        reason,
+        countsLate,
+        policy && policy.cancellation_deadline_minutes,
+      ]
+    );
+
+    if (!fromOccurrenceStart) {
+      await client.query(
+        `UPDATE booking_series SET status = 'cancelled', updated_at = NOW()
+             WHERE id = $1`,
+        [seriesId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows.sort((a, b) => a.start_time - b.start_time);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  checkSeries,
+  createSeries,
+  getSeriesBookingIds,
+  cancelSeriesBookings,
+};
@@ -0,0 +1,336 @@
+/**
+ * @file Workspace timeline database operations for SpaceMania workspace management system
+ * @module db/bookings/timeline
+ * @description Lays out the schedule of one workspace, a floor or a location over a day or a
+ * week, as the intervals a calendar view draws:
+ * - `booking`: A booking holding or having held its slot, with its status and, if the viewer
+ *   may see it, its owner
+ * - `free`: A period with seats left and no closure, with the number of seats left
+ * - `closed`: A blackout, a holiday or a period outside the opening hours
+ *
+ * Days and weeks are those of the organization time zone; weeks start on Monday. Free periods
+ * ignore cleanup buffers and booking policies: they show occupancy, not whether any slot in
+ * them can be booked.
+ * @requires ../connection/connect
+ * @requires ../schedules/schedule
+ * @requires ../../utils/intervals
+ */
+
+const db = require('../connection/connect.connection');
+const {
+  ORGANIZATION_TIME_ZONE,
+  getDailySchedules,
+} = require('../schedules/schedule.schedules');
+const {
+  mergeIntervals,
+  subtractIntervals,
+  clipIntervals,
+} = require('../../utils/intervals.utils');
+
+// Bookings drawn on the timeline; cancelled, rejected and expired bookings never took place.
+const TIMELINE_STATUSES = [
+  'pending',
+  'confirmed',
+  'hold',
+  'completed',
+  'no_show',
+];
+
+// Bookings taking seats; a no-show released its slot.
+const OCCUPYING_STATUSES = ['pending', 'confirmed', 'hold', 'completed'];
+
+/**
+ * @function closedIntervals
+ * @description Lists the periods a workspace is closed within a range
+ * @param {Array<Object>} days - Daily schedules of the workspace (see `getDailySchedules`)
+ * @param {Array<Object>} blackouts - Blackouts applying to the workspace
+ * @param {{start: Date, end: Date}} range - Range of the timeline
+ * @returns {Array<Object>} Closed intervals with their `code` (`HOLIDAY`,
+ * `OUTSIDE_OPENING_HOURS` or `BLACKOUT`) and `reason`
+ */
+const closedIntervals = (days, blackouts, range) => {
+  const holidays = days
+    .filter((day) => day.holiday)
+    .map((day) => ({
+      start: day.day_start,
+      end: day.day_end,
+      code: 'HOLIDAY',
+      reason: day.holiday,
+    }));
+
+  // Closing times of consecutive days are joined, so that a night is a single interval
+  const outsideHours = mergeIntervals(
+    days
+      .filter((day) => !day.holiday && day.open_periods)
+      .flatMap((day) =>
+        subtractIntervals(
+          [{ start: day.day_start, end: day.day_end }],
+          day.open_periods.map((period) => ({
+            start: new Date(period.open_from),
+            end: new Date(period.open_until),
+          }))
+        )
+      )
+  ).map((interval) => ({
+    ...interval,
+    code: 'OUTSIDE_OPENING_HOURS',
+    reason: null,
+  }));
+
+  const blackoutPeriods = blackouts.map((blackout) => ({
+    start: blackout.start_time,
+    end: blackout.end_time,
+    code: 'BLACKOUT',
+    reason: blackout.reason,
+  }));
+
+  return clipIntervals(
+    [...holidays, ...outsideHours, ...blackoutPeriods],
+    range
+  );
+};
+
+/**
+ * @function freeIntervals
+ * @description Lists the periods a workspace has seats left within a range, ignoring closures.
+ * In an exclusive workspace, and for exclusive bookings, a booking takes every seat.
+ * @param {Object} workspace - The workspace (`base_capacity`, `booking_mode`)
+ * @param {Array<Object>} bookings - Bookings of the workspace overlapping the range
+ * @param {{start: Date, end: Date}} range - Range of the timeline
+ * @returns {Array<Object>} Free intervals with the number of `available_seats`, split where
+ * that number changes
+ */
+const freeIntervals = (workspace, bookings, range) => {
+  const occupying = bookings.filter((booking) =>
+    OCCUPYING_STATUSES.includes(booking.status)
+  );
+  const seatsOf = (booking) =>
+    workspace.booking_mode === 'exclusive' || booking.exclusive
+      ? workspace.base_capacity
+      : booking.attendees;
+
+  const times = [
+    ...new Set(
+      [
+        range.start,
+        range.end,
+        ...occupying.flatMap((booking) => [
+          booking.start_time,
+          booking.end_time,
+        ]),
+      ]
+        .filter((time) => time >= range.start && time <= range.end)
+        .map((time) => time.getTime())
+    ),
+  ].sort((a, b) => a - b);
+
+  return times.slice(1).reduce((free, endMs, i) => {
+    const start = new Date(times[i]);
+    const end = new Date(endMs);
+    const seatsTaken = occupying
+      .filter((booking) => booking.start_time < end && booking.end_time > start)
+      .reduce((sum, booking) => sum + seatsOf(booking), 0);
+    const availableSeats = Math.max(workspace.base_capacity - seatsTaken, 0);
+    const last = free[free.length - 1];
+
+    if (availableSeats === 0) return free;
+    if (
+      last &&
+      last.end.getTime() === start.getTime() &&
+      last.available_seats === availableSeats
+    ) {
+      last.end = end;
+    } else {
+      free.push({ start, end, available_seats: availableSeats });
+    }
+    return free;
+  }, []);
+};
+
+/**
+ * @function bookingInterval
+ * @description Shapes a booking for the timeline, hiding whose it is from viewers who may not
+ * see it
+ * @param {Object} booking - Booking row with `owner_visible` and `owner_name`
+ * @returns {Object} Booking interval
+ */
+const bookingInterval = (booking) => ({
+  kind: 'booking',
+  start_time: booking.start_time,
+  end_time: booking.end_time,
+  status: booking.status,
+  attendees: booking.attendees,
+  booking_id: booking.owner_visible ? booking.id : null,
+  owner: booking.owner_visible ? booking.owner_name : 'busy',
+});
+
+/**
+ * @async
+ * @function getTimeline
+ * @description Retrieves the booked, free and closed intervals of the active workspaces
+ * matching a workspace ID, a floor and/or a location, over the day or the week of a date
+ * @param {Object} options - Timeline options
+ * @param {number} [options.workspaceId] - Only this workspace
+ * @param {number} [options.floor] - Only workspaces on this floor
+ * @param {string} [options.location] - Only workspaces at this location
+ * @param {string} [options.date] - Local `YYYY-MM-DD` date in the day or week; today if not set
+ * @param {string} [options.view='day'] - `day` or `week`
+ * @param {number} [options.viewerId] - ID of the user viewing the timeline, who sees the owner
+ * of their own bookings and of the bookings of the members of teams they lead
+ * @param {boolean} [options.showOwners=false] - Whether the viewer sees the owner of every
+ * booking
+ * @returns {Promise<Object>} The `view`, its first local `date`, its `from` and `until` times,
+ * the `time_zone`, and the matching `workspaces` by floor and name, each with its `intervals`
+ * in time order
+ * @throws {Error} Will throw an error if database query fails
+ * @example
+ *  Returns:
+ *  {
+ *    view: 'day',
+ *    date: '2026-10-20',
+ *    from: '2026-10-20T00:00:00Z',
+ *    until: '2026-10-21T00:00:00Z',
+ *    time_zone: 'UTC',
+ *    workspaces: [{
+ *      id: 1,
+ *      name: 'Conference Room A',
+ *      intervals: [
+ *        { kind: 'closed', start_time: '...T00:00:00Z', end_time: '...T08:00:00Z',
+ *          code: 'OUTSIDE_OPENING_HOURS', reason: null },
+ *        { kind: 'free', start_time: '...T08:00:00Z', end_time: '...T10:00:00Z',
+ *          available_seats: 8 },
+ *        { kind: 'booking', start_time: '...T10:00:00Z', end_time: '...T11:00:00Z',
+ *          status: 'confirmed', attendees: 4, booking_id: null, owner: 'busy' },
+ *        ...
+ *      ]
+ *    }]
+ *  }
+ */
+const getTimeline = async ({
+  workspaceId = null,
+  floor = null,
+  location = null,
+  date = null,
+  view = 'day',
+  viewerId = null,
+  showOwners = false,
+}) => {
+  const rangeResult = await db.query(
+    `SELECT d.day::text AS date,
+             d.day::timestamp AT TIME ZONE $3::text AS from_time,
+             (d.day + CASE WHEN $2::text = 'week' THEN 7 ELSE 1 END)::timestamp
+                 AT TIME ZONE $3::text AS until_time
+         FROM (
+             SELECT CASE WHEN $2::text = 'week'
+                 THEN date_trunc('week', today.day::timestamp)::date
+                 ELSE today.day
+             END AS day
+             FROM (
+                 SELECT COALESCE($1::date, (NOW() AT TIME ZONE $3::text)::date) AS day
+             ) today
+         ) d`,
+    [date, view, ORGANIZATION_TIME_ZONE]
+  );
+  const {
+    date: firstDate,
+    from_time: from,
+    until_time: until,
+  } = rangeResult.rows[0];
+  const range = { start: from, end: until };
+
+  const workspaces = await db.query(
+    `SELECT w.id, w.name, wt.name AS type_name, wt.booking_mode, w.floor, w.location,
+             w.base_capacity
+         FROM workspaces w
+         JOIN workspace_types wt ON w.type_id = wt.id
+         WHERE w.is_active = true
+         AND ($1::integer IS NULL OR w.id = $1)
+         AND ($2::integer IS NULL OR w.floor = $2)
+         AND ($3::varchar IS NULL OR w.location = $3)
+         ORDER BY w.floor, w.name`,
+    [workspaceId, floor, location]
+  );
+  const workspaceIds = workspaces.rows.map((workspace) => workspace.id);
+
+  const bookings = await db.query(
+    `SELECT b.id, b.workspace_id, b.start_time, b.end_time, b.status, b.attendees,
+             b.exclusive, v.owner_visible,
+             CASE WHEN v.owner_visible THEN u.name END AS owner_name
+         FROM bookings b
+         JOIN users u ON u.id = b.user_id
+         CROSS JOIN LATERAL (
+             SELECT $5::boolean
+                 OR b.user_id = $4
+                 OR EXISTS (
+                     SELECT 1
+                     FROM teams t
+                     JOIN team_members tm ON tm.team_id = t.id
+                     WHERE t.lead_id = $4 AND tm.user_id = b.user_id
+                 ) AS owner_visible
+         ) v
+         WHERE b.workspace_id = ANY($1::integer[])
+         AND tstzrange(b.start_time, b.end_time, '[]') && tstzrange($2, $3, '()')
+         AND b.status = ANY($6::varchar[])
+         ORDER BY b.start_time`,
+    [workspaceIds, from, until, viewerId, showOwners, TIMELINE_STATUSES]
+  );
+
+  const blackouts = await db.query(
+    `SELECT w.id AS workspace_id, bo.start_time, bo.end_time, bo.reason
+         FROM workspaces w
+         JOIN blackouts bo ON bo.workspace_id = w.id
+             OR bo.location = w.location
+             OR (bo.workspace_id IS NULL AND bo.location IS NULL)
+         WHERE w.id = ANY($1::integer[])
+         AND bo.start_time < $3
+         AND bo.end_time > $2`,
+    [workspaceIds, from, until]
+  );
+
+  const days = await getDailySchedules(workspaceIds, from, until);
+
+  const ofWorkspace = (rows, workspace) =>
+    rows.filter((row) => row.workspace_id === workspace.id);
+
+  return {
+    view,
+    date: firstDate,
+    from,
+    until,
+    time_zone: ORGANIZATION_TIME_ZONE,
+    workspaces: workspaces.rows.map((workspace) => {
+      const workspaceBookings = ofWorkspace(bookings.rows, workspace);
+      const closed = closedIntervals(
+        ofWorkspace(days, workspace),
+        ofWorkspace(blackouts.rows, workspace),
+        range
+      );
+      const free = subtractIntervals(
+        freeIntervals(workspace, workspaceBookings, range),
+        closed
+      );
+
+      const intervals = [
+        ...workspaceBookings.map(bookingInterval),
+        ...free.map(({ start, end, ...details }) => ({
+          kind: 'free',
+          start_time: start,
+          end_time: end,
+          ...details,
+        })),
+        ...closed.map(({ start, end, ...details }) => ({
+          kind: 'closed',
+          start_time: start,
+          end_time: end,
+          ...details,
+        })),
+      ].sort((a, b) => a.start_time - b.start_time);
+
+      return { ...workspace, intervals };
+    }),
+  };
+};
+
+module.exports = {
+  getTimeline,
+};
@@ -0,0 +1,120 @@
+/**
+ * @file Idempotency key database operations for SpaceMania workspace management system
+ * @module db/idempotency/key
+ * @description Handles the responses stored for requests sent with an `Idempotency-Key` header:
+ * - Claiming a key for a request, or finding the request that already claimed it
+ * - Storing the response to replay, or releasing the key when no response should be replayed
+ * - Purging expired keys
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @constant {number} IDEMPOTENCY_KEY_TTL_HOURS
+ * @description Number of hours a stored response is replayed for
+ * (env: `IDEMPOTENCY_KEY_TTL_HOURS`)
+ */
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(
+  process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24',
+  10
+);
+
+/**
+ * @async
+ * @function claimIdempotencyKey
+ * @description Claims an idempotency key of a user for a request. An expired key is claimed
+ * again, forgetting its stored response.
+ * @param {number} userId - ID of the user sending the request
+ * @param {string} key - Value of the `Idempotency-Key` header
+ * @param {string} requestHash - Hash of the request (see `idempotency_keys.request_hash`)
+ * @returns {Promise<{claimed: boolean, entry: Object}>} Whether this request claimed the key,
+ * and the key's row: when not claimed, the `request_hash` of the request that did, and its
+ * `status_code` and `response_body` (null while that request is running)
+ * @throws {Error} Will throw an error if database query fails
+ */
+const claimIdempotencyKey = async (userId, key, requestHash) => {
+  const claimed = await db.query(
+    `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+         ON CONFLICT (user_id, idempotency_key) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash,
+             status_code = NULL,
+             response_body = NULL,
+             created_at = NOW(),
+             expires_at = EXCLUDED.expires_at
+         WHERE idempotency_keys.expires_at <= NOW()
+         RETURNING *`,
+    [userId, key, requestHash, IDEMPOTENCY_KEY_TTL_HOURS]
+  );
+  if (claimed.rows.length > 0) {
+    return { claimed: true, entry: claimed.rows[0] };
+  }
+
+  const existing = await db.query(
+    `SELECT * FROM idempotency_keys
+         WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, key]
+  );
+  return { claimed: false, entry: existing.rows[0] };
+};
+
+/**
+ * @async
+ * @function saveIdempotentResponse
+ * @description Stores the response to a request, to replay it to retries with the same key
+ * @param {number} userId - ID of the user who sent the request
+ * @param {string} key - Idempotency key of the request
+ * @param {number} statusCode - HTTP status of the response
+ * @param {*} body - JSON body of the response
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const saveIdempotentResponse = async (userId, key, statusCode, body) => {
+  await db.query(
+    `UPDATE idempotency_keys
+         SET status_code = $3, response_body = $4
+         WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, key, statusCode, JSON.stringify(body)]
+  );
+};
+
+/**
+ * @async
+ * @function releaseIdempotencyKey
+ * @description Frees a key whose request ended without a response worth replaying (e.g. a
+ * server error), so that a retry runs the request again
+ * @param {number} userId - ID of the user who sent the request
+ * @param {string} key - Idempotency key of the request
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const releaseIdempotencyKey = async (userId, key) => {
+  await db.query(
+    `DELETE FROM idempotency_keys
+         WHERE user_id = $1 AND idempotency_key = $2 AND status_code IS NULL`,
+    [userId, key]
+  );
+};
+
+/**
+ * @async
+ * @function purgeExpiredIdempotencyKeys
+ * @description Deletes the keys whose responses are no longer replayed
+ * @returns {Promise<number>} Number of deleted keys
+ * @throws {Error} Will throw an error if database query fails
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+  const result = await db.query(
+    'DELETE FROM idempotency_keys WHERE expires_at <= NOW()'
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
+  purgeExpiredIdempotencyKeys,
+};
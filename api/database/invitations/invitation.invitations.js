@@ -0,0 +1,128 @@
+/**
+ * @file Invitation database operations for SpaceMania workspace management system
+ * @module db/invitations
+ * @description Handles admin-issued invitations letting people outside the allowed
+ * email domains (e.g. external learners) register:
+ * - Creating an invitation for an email address and role
+ * - Looking up a pending invitation by its token
+ * - Marking an invitation as accepted or revoking it
+ * @requires ../connection/connect
+ * @requires ../tokens/hash
+ */
+
+const db = require('../connection/connect.connection');
+const { generateToken, hashToken } = require('../tokens/hash.tokens');
+
+/**
+ * @constant {number} INVITATION_TTL_DAYS
+ * @description Number of days an invitation link stays valid (env: `INVITATION_TTL_DAYS`)
+ */
+const INVITATION_TTL_DAYS = parseInt(
+  process.env.INVITATION_TTL_DAYS || '7',
+  10
+);
+
+/**
+ * @async
+ * @function createInvitation
+ * @description Creates an invitation for an email address
+ * @param {Object} invitationData - Invitation properties
+ * @param {string} invitationData.email - Email address of the invitee
+ * @param {string} [invitationData.role='user'] - Role given to the account on registration
+ * @param {number} invitationData.invitedBy - ID of the admin issuing the invitation
+ * @returns {Promise<{invitation: Object, token: string}>} Stored invitation and plain token
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const createInvitation = async ({ email, role = 'user', invitedBy }) => {
+  const token = generateToken();
+  const result = await db.query(
+    `INSERT INTO invitations (email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+         RETURNING id, email, role, invited_by, expires_at, created_at`,
+    [email, role, hashToken(token), invitedBy, INVITATION_TTL_DAYS]
+  );
+  return { invitation: result.rows[0], token };
+};
+
+/**
+ * @async
+ * @function findPendingInvitation
+ * @description Finds an invitation by token that is neither accepted, revoked nor expired
+ * @param {string} token - Plain invitation token
+ * @returns {Promise<Object|null>} Invitation if found, null otherwise
+ * @throws {Error} Will throw an error if database query fails
+ */
+const findPendingInvitation = async (token) => {
+  const result = await db.query(
+    `SELECT * FROM invitations
+         WHERE token_hash = $1
+         AND accepted_at IS NULL
+         AND revoked_at IS NULL
+         AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function acceptInvitation
+ * @description Marks an invitation as accepted by a newly registered user
+ * @param {number} id - ID of the invitation
+ * @param {number} userId - ID of the user created from the invitation
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const acceptInvitation = async (id, userId) => {
+  await db.query(
+    `UPDATE invitations SET accepted_at = NOW(), accepted_by = $2
+         WHERE id = $1`,
+    [id, userId]
+  );
+};
+
+/**
+ * @async
+ * @function getPendingInvitations
+ * @description Lists invitations that can still be accepted
+ * @returns {Promise<Array<Object>>} Pending invitations, newest first (without token hash)
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getPendingInvitations = async () => {
+  const result = await db.query(
+    `SELECT id, email, role, invited_by, expires_at, created_at
+         FROM invitations
+         WHERE accepted_at IS NULL
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+         ORDER BY created_at DESC`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function revokeInvitation
+ * @description Revokes a pending invitation
+ * @param {number} id - ID of the invitation
+ * @returns {Promise<Object|null>} The revoked invitation, or null if no pending invitation has this ID
+ * @throws {Error} Will throw an error if database query fails
+ */
+const revokeInvitation = async (id) => {
+  const result = await db.query(
+    `UPDATE invitations SET revoked_at = NOW()
+         WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+         RETURNING id, email, role`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation,
+  getPendingInvitations,
+  revokeInvitation,
+};
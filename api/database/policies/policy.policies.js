@@ -0,0 +1,157 @@
+/**
+ * @file Booking policy database operations for SpaceMania workspace management system
+ * @module db/policies/policy
+ * @description Handles the booking rules of workspace types and workspaces:
+ * - Setting, reading and removing the policy of a workspace type or a single workspace
+ * - Resolving the effective policy of a workspace, each limit of the workspace's own policy
+ *   overriding the one of its type
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @constant {Array<string>} POLICY_FIELDS
+ * @description Limits a booking policy can set; a null limit is inherited or not enforced
+ */
+const POLICY_FIELDS = [
+  'min_duration_minutes',
+  'max_duration_minutes',
+  'min_notice_minutes',
+  'max_advance_days',
+  'slot_granularity_minutes',
+  'buffer_minutes',
+  'cancellation_deadline_minutes',
+];
+
+// Column identifying the owner of a policy, for each kind of target.
+const TARGET_COLUMNS = {
+  workspaceTypeId: 'workspace_type_id',
+  workspaceId: 'workspace_id',
+};
+
+/**
+ * @function targetColumn
+ * @description Resolves the column and ID of a policy target
+ * @param {Object} target - Either `{ workspaceTypeId }` or `{ workspaceId }`
+ * @returns {{column: string, id: number}} Column holding the target ID, and the ID
+ */
+const targetColumn = (target) => {
+  const key = Object.keys(TARGET_COLUMNS).find((name) => target[name]);
+  return { column: TARGET_COLUMNS[key], id: target[key] };
+};
+
+/**
+ * @async
+ * @function getPolicies
+ * @description Lists every policy with the name of its workspace type or workspace
+ * @returns {Promise<Array<Object>>} Policies, type policies first
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getPolicies = async () => {
+  const result = await db.query(
+    `SELECT bp.*, wt.name AS workspace_type_name, w.name AS workspace_name
+         FROM booking_policies bp
+         LEFT JOIN workspace_types wt ON bp.workspace_type_id = wt.id
+         LEFT JOIN workspaces w ON bp.workspace_id = w.id
+         ORDER BY bp.workspace_type_id NULLS LAST, bp.workspace_id`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getPolicy
+ * @description Retrieves the policy set on a workspace type or a workspace
+ * @param {Object} target - Either `{ workspaceTypeId }` or `{ workspaceId }`
+ * @returns {Promise<Object|null>} The policy, or null if none is set
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getPolicy = async (target) => {
+  const { column, id } = targetColumn(target);
+  const result = await db.query(
+    `SELECT * FROM booking_policies WHERE ${column} = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function setPolicy
+ * @description Creates or replaces the policy of a workspace type or a workspace.
+ * Limits missing from `limits` are cleared.
+ * @param {Object} target - Either `{ workspaceTypeId }` or `{ workspaceId }`
+ * @param {Object} limits - Limits keyed by `POLICY_FIELDS` names
+ * @returns {Promise<Object>} The stored policy
+ * @throws {Error} Will throw an error if a limit is invalid (code `23514`) or the target does
+ * not exist (code `23503`)
+ */
+const setPolicy = async (target, limits) => {
+  const { column, id } = targetColumn(target);
+  const values = POLICY_FIELDS.map((field) =>
+    limits[field] === undefined ? null : limits[field]
+  );
+  const result = await db.query(
+    `INSERT INTO booking_policies (${column}, ${POLICY_FIELDS.join(', ')})
+         VALUES ($1, ${POLICY_FIELDS.map((_, i) => `$${i + 2}`).join(', ')})
+         ON CONFLICT (${column}) DO UPDATE SET
+         ${POLICY_FIELDS.map((field) => `${field} = EXCLUDED.${field}`).join(',\n         ')},
+         updated_at = NOW()
+         RETURNING *`,
+    [id, ...values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * @async
+ * @function deletePolicy
+ * @description Removes the policy of a workspace type or a workspace
+ * @param {Object} target - Either `{ workspaceTypeId }` or `{ workspaceId }`
+ * @returns {Promise<Object|null>} The removed policy, or null if none was set
+ * @throws {Error} Will throw an error if database query fails
+ */
+const deletePolicy = async (target) => {
+  const { column, id } = targetColumn(target);
+  const result = await db.query(
+    `DELETE FROM booking_policies WHERE ${column} = $1 RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function getEffectivePolicy
+ * @description Resolves the limits that apply to bookings of a workspace: each limit set on
+ * the workspace overrides the one set on its type
+ * @param {number} workspaceId - ID of the workspace
+ * @param {Object} [queryable=db] - Pool or transaction client to run the query on
+ * @returns {Promise<Object|null>} The limits keyed by `POLICY_FIELDS` names (null when not
+ * enforced), or null if the workspace does not exist
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getEffectivePolicy = async (workspaceId, queryable = db) => {
+  const result = await queryable.query(
+    `SELECT
+             ${POLICY_FIELDS.map(
+               (field) => `COALESCE(wp.${field}, tp.${field}) AS ${field}`
+             ).join(',\n             ')}
+         FROM workspaces w
+         LEFT JOIN booking_policies tp ON tp.workspace_type_id = w.type_id
+         LEFT JOIN booking_policies wp ON wp.workspace_id = w.id
+         WHERE w.id = $1`,
+    [workspaceId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  POLICY_FIELDS,
+  getPolicies,
+  getPolicy,
+  setPolicy,
+  deletePolicy,
+  getEffectivePolicy,
+};
@@ -0,0 +1,295 @@
+/**
+ * @file Booking quota database operations for SpaceMania workspace management system
+ * @module db/quotas/quota
+ * @description Handles the limits on how much users may book:
+ * - Setting, reading and removing the quota of a role, a team or a single user
+ * - Resolving the effective quota of a user, each limit of the user's own quota overriding
+ *   those of their teams, which override the one of their role
+ * - Measuring what a user has booked against those limits
+ * @requires ../connection/connect
+ * @requires ../schedules/schedule
+ */
+
+const db = require('../connection/connect.connection');
+const { ORGANIZATION_TIME_ZONE } = require('../schedules/schedule.schedules');
+
+/**
+ * @constant {Array<string>} QUOTA_FIELDS
+ * @description Limits a booking quota can set; a null limit is inherited or not enforced
+ */
+const QUOTA_FIELDS = [
+  'max_active_bookings',
+  'max_weekly_hours',
+  'max_concurrent_bookings',
+];
+
+// Column identifying the owner of a quota, for each kind of target.
+const TARGET_COLUMNS = {
+  role: 'role',
+  teamId: 'team_id',
+  userId: 'user_id',
+};
+
+/**
+ * @function targetColumn
+ * @description Resolves the column and value of a quota target
+ * @param {Object} target - Either `{ role }`, `{ teamId }` or `{ userId }`
+ * @returns {{column: string, id: (number|string)}} Column holding the target, and its value
+ */
+const targetColumn = (target) => {
+  const key = Object.keys(TARGET_COLUMNS).find((name) => target[name]);
+  return { column: TARGET_COLUMNS[key], id: target[key] };
+};
+
+/**
+ * @async
+ * @function getQuotas
+ * @description Lists every quota with the name of its team or user
+ * @returns {Promise<Array<Object>>} Quotas, role quotas first, then team and user quotas
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getQuotas = async () => {
+  const result = await db.query(
+    `SELECT bq.*, t.name AS team_name, u.name AS user_name
+         FROM booking_quotas bq
+         LEFT JOIN teams t ON bq.team_id = t.id
+         LEFT JOIN users u ON bq.user_id = u.id
+         ORDER BY bq.role NULLS LAST, bq.team_id NULLS LAST, bq.user_id`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getQuota
+ * @description Retrieves the quota set on a role, a team or a user
+ * @param {Object} target - Either `{ role }`, `{ teamId }` or `{ userId }`
+ * @returns {Promise<Object|null>} The quota, or null if none is set
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getQuota = async (target) => {
+  const { column, id } = targetColumn(target);
+  const result = await db.query(
+    `SELECT * FROM booking_quotas WHERE ${column} = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function setQuota
+ * @description Creates or replaces the quota of a role, a team or a user.
+ * Limits missing from `limits` are cleared.
+ * @param {Object} target - Either `{ role }`, `{ teamId }` or `{ userId }`
+ * @param {Object} limits - Limits keyed by `QUOTA_FIELDS` names
+ * @returns {Promise<Object>} The stored quota
+ * @throws {Error} Will throw an error if a limit or role is invalid (code `23514`) or the team
+ * or user does not exist (code `23503`)
+ */
+const setQuota = async (target, limits) => {
+  const { column, id } = targetColumn(target);
+  const values = QUOTA_FIELDS.map((field) =>
+    limits[field] === undefined ? null : limits[field]
+  );
+  const result = await db.query(
+    `INSERT INTO booking_quotas (${column}, ${QUOTA_FIELDS.join(', ')})
+         VALUES ($1, ${QUOTA_FIELDS.map((_, i) => `$${i + 2}`).join(', ')})
+         ON CONFLICT (${column}) DO UPDATE SET
+         ${QUOTA_FIELDS.map((field) => `${field} = EXCLUDED.${field}`).join(',\n         ')},
+         updated_at = NOW()
+         RETURNING *`,
+    [id, ...values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * @async
+ * @function deleteQuota
+ * @description Removes the quota of a role, a team or a user
+ * @param {Object} target - Either `{ role }`, `{ teamId }` or `{ userId }`
+ * @returns {Promise<Object|null>} The removed quota, or null if none was set
+ * @throws {Error} Will throw an error if database query fails
+ */
+const deleteQuota = async (target) => {
+  const { column, id } = targetColumn(target);
+  const result = await db.query(
+    `DELETE FROM booking_quotas WHERE ${column} = $1 RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function getEffectiveQuota
+ * @description Resolves the limits that apply to the bookings of a user: each limit set on
+ * the user overrides the most generous one set on their teams, which overrides the one set on
+ * their role
+ * @param {number} userId - ID of the user
+ * @param {Object} [queryable=db] - Pool or transaction client to run the query on
+ * @returns {Promise<Object|null>} The limits keyed by `QUOTA_FIELDS` names (null when not
+ * enforced), or null if the user does not exist
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getEffectiveQuota = async (userId, queryable = db) => {
+  const result = await queryable.query(
+    `SELECT
+             ${QUOTA_FIELDS.map(
+               (field) =>
+                 `COALESCE(uq.${field}, tq.${field}, rq.${field}) AS ${field}`
+             ).join(',\n             ')}
+         FROM users u
+         LEFT JOIN booking_quotas rq ON rq.role = u.role
+         LEFT JOIN booking_quotas uq ON uq.user_id = u.id
+         LEFT JOIN LATERAL (
+             SELECT ${QUOTA_FIELDS.map((field) => `MAX(q.${field}) AS ${field}`).join(', ')}
+             FROM team_members tm
+             JOIN booking_quotas q ON q.team_id = tm.team_id
+             WHERE tm.user_id = u.id
+         ) tq ON true
+         WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function lockUserQuota
+ * @description Locks a user within a transaction, so that concurrent bookings for the same
+ * user are checked against their quota one after the other
+ * @param {Object} client - Transaction client
+ * @param {number} userId - ID of the user
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const lockUserQuota = async (client, userId) => {
+  await client.query('SELECT id FROM users WHERE id = $1 FOR NO KEY UPDATE', [
+    userId,
+  ]);
+};
+
+/**
+ * @async
+ * @function getQuotaUsage
+ * @description Measures what a user has booked, counting new time ranges as booked too:
+ * - `active_bookings`: bookings holding their slot that have not ended yet
+ * - `weeks`: hours booked in each week touched by the new time ranges (the current week when
+ *   there are none), including completed bookings; a booking spanning two weeks counts its
+ *   part in each
+ * - `peak_concurrent_bookings`: highest number of bookings holding their slot that overlap at
+ *   a single point of the new time ranges (0 when there are none)
+ * @param {number} userId - ID of the user (the host of the bookings)
+ * @param {Array<{startTime: Date, endTime: Date}>} [slots=[]] - New time ranges to be booked
+ * @param {Array<number>} [excludeIds=[]] - IDs of bookings to leave out, e.g. those being moved
+ * @param {Object} [queryable=db] - Pool or transaction client to run the queries on
+ * @returns {Promise<Object>} Usage with `active_bookings`, `weeks` (each `week_start`, a local
+ * date, and `booked_hours`) and `peak_concurrent_bookings`
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getQuotaUsage = async (
+  userId,
+  slots = [],
+  excludeIds = [],
+  queryable = db
+) => {
+  const params = [
+    userId,
+    slots.map((slot) => slot.startTime),
+    slots.map((slot) => slot.endTime),
+    excludeIds,
+  ];
+  const bookings = `
+             SELECT start_time, end_time, status FROM bookings
+             WHERE user_id = $1 AND id <> ALL($4::integer[])
+             UNION ALL
+             SELECT s.start_time, s.end_time, 'pending'
+             FROM unnest($2::timestamptz[], $3::timestamptz[]) AS s(start_time, end_time)`;
+
+  const active = await queryable.query(
+    `SELECT COUNT(*)::integer AS count
+         FROM (${bookings}) b
+         WHERE b.status IN ('pending', 'confirmed', 'hold') AND b.end_time > NOW()`,
+    params
+  );
+
+  const weeks = await queryable.query(
+    `WITH slots AS (
+             SELECT * FROM unnest($2::timestamptz[], $3::timestamptz[]) AS s(start_time, end_time)
+         ),
+         weeks AS (
+             SELECT DISTINCT w.week_start
+             FROM slots s
+             CROSS JOIN generate_series(
+                 date_trunc('week', s.start_time AT TIME ZONE $5::text),
+                 date_trunc('week', (s.end_time - interval '1 microsecond') AT TIME ZONE $5::text),
+                 interval '1 week'
+             ) AS w(week_start)
+             UNION
+             SELECT date_trunc('week', NOW() AT TIME ZONE $5::text)
+             WHERE cardinality($2::timestamptz[]) = 0
+         ),
+         ranges AS (
+             SELECT week_start,
+                    week_start AT TIME ZONE $5::text AS range_start,
+                    (week_start + interval '1 week') AT TIME ZONE $5::text AS range_end
+             FROM weeks
+         )
+         SELECT r.week_start::date AS week_start,
+                ROUND(COALESCE(SUM(EXTRACT(EPOCH FROM
+                    LEAST(b.end_time, r.range_end) - GREATEST(b.start_time, r.range_start)
+                )), 0)::numeric / 3600, 2)::float AS booked_hours
+         FROM ranges r
+         LEFT JOIN (${bookings}) b
+             ON b.status IN ('pending', 'confirmed', 'hold', 'completed')
+             AND b.start_time < r.range_end AND b.end_time > r.range_start
+         GROUP BY r.week_start
+         ORDER BY r.week_start`,
+    [...params, ORGANIZATION_TIME_ZONE]
+  );
+
+  // Overlaps peak at the start of a new time range or of a booking starting within one
+  const concurrent = await queryable.query(
+    `WITH slots AS (
+             SELECT * FROM unnest($2::timestamptz[], $3::timestamptz[]) AS s(start_time, end_time)
+         ),
+         holding AS (
+             SELECT start_time, end_time FROM (${bookings}) b
+             WHERE b.status IN ('pending', 'confirmed', 'hold')
+         ),
+         points AS (
+             SELECT start_time AS at FROM slots
+             UNION
+             SELECT h.start_time
+             FROM holding h
+             JOIN slots s ON h.start_time > s.start_time AND h.start_time < s.end_time
+         )
+         SELECT COALESCE(MAX(overlapping), 0)::integer AS peak
+         FROM (
+             SELECT COUNT(*) AS overlapping
+             FROM points p
+             JOIN holding h ON h.start_time <= p.at AND h.end_time > p.at
+             GROUP BY p.at
+         ) counts`,
+    params
+  );
+
+  return {
+    active_bookings: active.rows[0].count,
+    weeks: weeks.rows,
+    peak_concurrent_bookings: concurrent.rows[0].peak,
+  };
+};
+
+module.exports = {
+  QUOTA_FIELDS,
+  getQuotas,
+  getQuota,
+  setQuota,
+  deleteQuota,
+  getEffectiveQuota,
+  lockUserQuota,
+  getQuotaUsage,
+};
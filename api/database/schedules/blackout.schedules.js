@@ -0,0 +1,136 @@
+/**
+ * @file Blackout database operations for SpaceMania workspace management system
+ * @module db/schedules/blackout
+ * @description Handles ad hoc periods during which a workspace, a location or every workspace
+ * cannot be booked, such as maintenance windows:
+ * - Listing, adding and removing blackouts
+ * - Flagging the bookings that already hold a slot in a new blackout
+ *
+ * Flagged bookings are kept: their owners are told to move or cancel them.
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @async
+ * @function getBlackouts
+ * @description Lists the blackouts overlapping a time range
+ * @param {Object} [filters] - Query filters
+ * @param {Date} [filters.from] - Only blackouts ending after this time
+ * @param {Date} [filters.to] - Only blackouts starting before this time
+ * @param {number} [filters.workspaceId] - Only blackouts applying to this workspace (its own,
+ * its location's and those of every workspace)
+ * @returns {Promise<Array<Object>>} Blackouts with the workspace name and number of flagged
+ * bookings, soonest first
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getBlackouts = async ({ from = null, to = null, workspaceId = null } = {}) => {
+  const result = await db.query(
+    `SELECT bo.*, w.name AS workspace_name,
+             (SELECT COUNT(*) FROM bookings b WHERE b.blackout_id = bo.id)::integer
+                 AS flagged_bookings
+         FROM blackouts bo
+         LEFT JOIN workspaces w ON bo.workspace_id = w.id
+         WHERE ($1::timestamptz IS NULL OR bo.end_time > $1)
+         AND ($2::timestamptz IS NULL OR bo.start_time < $2)
+         AND (
+             $3::integer IS NULL
+             OR bo.workspace_id = $3
+             OR bo.location = (SELECT location FROM workspaces WHERE id = $3)
+             OR (bo.workspace_id IS NULL AND bo.location IS NULL)
+         )
+         ORDER BY bo.start_time`,
+    [from, to, workspaceId]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function createBlackout
+ * @description Adds a blackout and flags the bookings holding a slot in it, in one transaction
+ * @param {Object} blackoutData - Blackout properties
+ * @param {number} [blackoutData.workspaceId] - Workspace closed by the blackout
+ * @param {string} [blackoutData.location] - Location closed by the blackout; every workspace
+ * if neither a workspace nor a location is given
+ * @param {Date} blackoutData.startTime - Start of the blackout
+ * @param {Date} blackoutData.endTime - End of the blackout
+ * @param {string} blackoutData.reason - Reason shown to users
+ * @param {number} blackoutData.createdBy - ID of the manager adding the blackout
+ * @returns {Promise<{blackout: Object, bookings: Array<Object>}>} The blackout, and the flagged
+ * bookings with their user's name and email and the workspace name
+ * @throws {Error} Will throw an error if the range is invalid (code `23514`) or the workspace
+ * does not exist (code `23503`)
+ */
+const createBlackout = async ({
+  workspaceId = null,
+  location = null,
+  startTime,
+  endTime,
+  reason,
+  createdBy,
+}) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const blackout = await client.query(
+      `INSERT INTO blackouts
+           (workspace_id, location, start_time, end_time, reason, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+      [workspaceId, location, startTime, endTime, reason, createdBy]
+    );
+
+    const bookings = await client.query(
+      `UPDATE bookings b SET
+           blackout_id = $1,
+           updated_at = NOW()
+         FROM workspaces w, users u
+         WHERE w.id = b.workspace_id
+         AND u.id = b.user_id
+         AND b.status IN ('confirmed', 'pending', 'hold')
+         AND b.start_time < $3
+         AND b.end_time > $2
+         AND ($4::integer IS NULL OR b.workspace_id = $4)
+         AND ($5::varchar IS NULL OR w.location = $5)
+         RETURNING b.*, u.name AS user_name, u.email AS user_email,
+             w.name AS workspace_name`,
+      [blackout.rows[0].id, startTime, endTime, workspaceId, location]
+    );
+
+    await client.query('COMMIT');
+    return {
+      blackout: blackout.rows[0],
+      bookings: bookings.rows.sort((a, b) => a.start_time - b.start_time),
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function deleteBlackout
+ * @description Removes a blackout; the bookings it flagged are no longer flagged
+ * @param {number} id - ID of the blackout
+ * @returns {Promise<Object|null>} The removed blackout, or null if not found
+ * @throws {Error} Will throw an error if database query fails
+ */
+const deleteBlackout = async (id) => {
+  const result = await db.query(
+    'DELETE FROM blackouts WHERE id = $1 RETURNING *',
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  getBlackouts,
+  createBlackout,
+  deleteBlackout,
+};
@@ -0,0 +1,400 @@
+/**
+ * @file Workspace schedule database operations for SpaceMania workspace management system
+ * @module db/schedules/schedule
+ * @description Handles when workspaces can be booked:
+ * - Weekly opening hours of locations and workspaces
+ * - Organization holidays
+ * - Finding the time slots that fall outside opening hours, on a holiday or in a blackout
+ * - Listing when workspaces are open, day by day
+ *
+ * Opening hours and holidays are local to the organization time zone (`ORGANIZATION_TIME_ZONE`,
+ * UTC by default). A workspace with opening hours of its own ignores those of its location, and
+ * a workspace without any hours can be booked around the clock.
+ * @requires ../connection/connect
+ * @requires ../../errors
+ */
+
+const db = require('../connection/connect.connection');
+const { PolicyViolationError } = require('../../errors/index.errors');
+
+/**
+ * @constant {string} ORGANIZATION_TIME_ZONE
+ * @description IANA time zone opening hours and holidays are expressed in
+ */
+const ORGANIZATION_TIME_ZONE = process.env.ORGANIZATION_TIME_ZONE || 'UTC';
+
+// Column holding the owner of opening hours, for each kind of target.
+const TARGET_COLUMNS = {
+  workspaceId: 'workspace_id',
+  location: 'location',
+};
+
+/**
+ * @function targetColumn
+ * @description Resolves the column and value of an opening hours target
+ * @param {Object} target - Either `{ workspaceId }` or `{ location }`
+ * @returns {{column: string, value: number|string}} Column holding the target, and its value
+ */
+const targetColumn = (target) => {
+  const key = Object.keys(TARGET_COLUMNS).find((name) => target[name]);
+  return { column: TARGET_COLUMNS[key], value: target[key] };
+};
+
+/**
+ * @async
+ * @function getOpeningHours
+ * @description Lists the opening hours set on a location or a workspace
+ * @param {Object} target - Either `{ workspaceId }` or `{ location }`
+ * @returns {Promise<Array<Object>>} Opening periods by day of the week and opening time
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getOpeningHours = async (target) => {
+  const { column, value } = targetColumn(target);
+  const result = await db.query(
+    `SELECT * FROM opening_hours
+         WHERE ${column} = $1
+         ORDER BY day_of_week, opens_at`,
+    [value]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getEffectiveOpeningHours
+ * @description Lists the opening hours that apply to a workspace: its own, or else those of
+ * its location
+ * @param {number} workspaceId - ID of the workspace
+ * @returns {Promise<Array<Object>>} Opening periods by day of the week and opening time; empty
+ * if the workspace is always open
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getEffectiveOpeningHours = async (workspaceId) => {
+  const result = await db.query(
+    `SELECT oh.*
+         FROM workspaces w
+         JOIN opening_hours oh ON oh.workspace_id = w.id
+             OR (oh.location = w.location AND NOT EXISTS (
+                 SELECT 1 FROM opening_hours own WHERE own.workspace_id = w.id
+             ))
+         WHERE w.id = $1
+         ORDER BY oh.day_of_week, oh.opens_at`,
+    [workspaceId]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function setOpeningHours
+ * @description Replaces the opening hours of a location or a workspace. An empty list removes
+ * them, so the workspace falls back to its location, and the location to always open.
+ * @param {Object} target - Either `{ workspaceId }` or `{ location }`
+ * @param {Array<{dayOfWeek: number, opensAt: string, closesAt: string}>} periods - Opening
+ * periods, with local `HH:MM` times
+ * @returns {Promise<Array<Object>>} The stored opening periods
+ * @throws {Error} Will throw an error if a period is invalid (code `23514`) or the workspace
+ * does not exist (code `23503`)
+ */
+const setOpeningHours = async (target, periods) => {
+  const { column, value } = targetColumn(target);
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM opening_hours WHERE ${column} = $1`, [
+      value,
+    ]);
+    const result = await client.query(
+      `INSERT INTO opening_hours (${column}, day_of_week, opens_at, closes_at)
+           SELECT $1, p.day_of_week, p.opens_at, p.closes_at
+           FROM unnest($2::smallint[], $3::time[], $4::time[])
+               AS p(day_of_week, opens_at, closes_at)
+           ORDER BY p.day_of_week, p.opens_at
+           RETURNING *`,
+      [
+        value,
+        periods.map((period) => period.dayOfWeek),
+        periods.map((period) => period.opensAt),
+        periods.map((period) => period.closesAt),
+      ]
+    );
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function getHolidays
+ * @description Lists the organization holidays
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.upcomingOnly=false] - Only today's and later holidays
+ * @returns {Promise<Array<Object>>} Holidays by date, with `holiday_date` as `YYYY-MM-DD`
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getHolidays = async ({ upcomingOnly = false } = {}) => {
+  const result = await db.query(
+    `SELECT id, holiday_date::text AS holiday_date, name, created_at
+         FROM holidays
+         WHERE NOT $1 OR holiday_date >= (NOW() AT TIME ZONE $2::text)::date
+         ORDER BY holiday_date`,
+    [upcomingOnly, ORGANIZATION_TIME_ZONE]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function addHoliday
+ * @description Adds an organization holiday
+ * @param {Object} holiday - Holiday properties
+ * @param {string} holiday.date - Local date, as `YYYY-MM-DD`
+ * @param {string} holiday.name - Name shown when a booking is refused
+ * @returns {Promise<Object>} The created holiday
+ * @throws {Error} Will throw an error if the date already is a holiday (code `23505`)
+ */
+const addHoliday = async ({ date, name }) => {
+  const result = await db.query(
+    `INSERT INTO holidays (holiday_date, name)
+         VALUES ($1, $2)
+         RETURNING id, holiday_date::text AS holiday_date, name, created_at`,
+    [date, name]
+  );
+  return result.rows[0];
+};
+
+/**
+ * @async
+ * @function deleteHoliday
+ * @description Removes an organization holiday
+ * @param {number} id - ID of the holiday
+ * @returns {Promise<Object|null>} The removed holiday, or null if not found
+ * @throws {Error} Will throw an error if database query fails
+ */
+const deleteHoliday = async (id) => {
+  const result = await db.query(
+    `DELETE FROM holidays WHERE id = $1
+         RETURNING id, holiday_date::text AS holiday_date, name, created_at`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function findClosures
+ * @description Finds which of several time slots cannot be booked because the workspace is
+ * closed. A slot is closed if it overlaps a blackout of its workspace, of its location or of
+ * every workspace, if it touches a holiday, or if a part of it falls outside the opening hours
+ * of its day: each day of a slot must fit within one opening period of that day.
+ * @param {Object} queryable - Pool or transaction client to run the query on
+ * @param {Array<{workspaceId: number, startTime: Date, endTime: Date}>} slots - Slots to check
+ * @returns {Promise<Array<Object>>} One row per closed slot (`workspace_id`, `start_time`,
+ * `end_time`) with the main reason: `code` (`BLACKOUT`, `HOLIDAY` or `OUTSIDE_OPENING_HOURS`),
+ * `reason` (blackout reason or holiday name), `day` (local `YYYY-MM-DD` date of a holiday or of
+ * the closed day), and `blackout_id`, `closed_from` and `closed_until` of a blackout
+ * @throws {Error} Will throw an error if database query fails
+ */
+const findClosures = async (queryable, slots) => {
+  const result = await queryable.query(
+    `WITH slots AS (
+             SELECT s.workspace_id, s.start_time, s.end_time, w.location,
+                 s.start_time AT TIME ZONE $4::text AS local_start,
+                 s.end_time AT TIME ZONE $4::text AS local_end
+             FROM unnest($1::integer[], $2::timestamptz[], $3::timestamptz[])
+                 AS s(workspace_id, start_time, end_time)
+             JOIN workspaces w ON w.id = s.workspace_id
+         ),
+         slot_days AS (
+             SELECT slots.*, d.day::date AS day,
+                 GREATEST(slots.local_start, d.day) AS part_start,
+                 LEAST(slots.local_end, d.day + interval '1 day') AS part_end
+             FROM slots
+             CROSS JOIN LATERAL generate_series(
+                 date_trunc('day', slots.local_start), slots.local_end, interval '1 day'
+             ) AS d(day)
+             WHERE d.day < slots.local_end
+         ),
+         hours AS (
+             SELECT DISTINCT s.workspace_id, oh.day_of_week, oh.opens_at, oh.closes_at
+             FROM slots s
+             JOIN opening_hours oh ON oh.workspace_id = s.workspace_id
+                 OR (oh.location = s.location AND NOT EXISTS (
+                     SELECT 1 FROM opening_hours own WHERE own.workspace_id = s.workspace_id
+                 ))
+         ),
+         closures AS (
+             SELECT s.workspace_id, s.start_time, s.end_time, 'BLACKOUT' AS code,
+                 b.reason, NULL::date AS day, b.id AS blackout_id,
+                 b.start_time AS closed_from, b.end_time AS closed_until, 1 AS priority
+             FROM slots s
+             JOIN blackouts b ON b.start_time < s.end_time AND b.end_time > s.start_time
+                 AND (
+                     b.workspace_id = s.workspace_id
+                     OR b.location = s.location
+                     OR (b.workspace_id IS NULL AND b.location IS NULL)
+                 )
+             UNION ALL
+             SELECT sd.workspace_id, sd.start_time, sd.end_time, 'HOLIDAY',
+                 h.name, sd.day, NULL, NULL, NULL, 2
+             FROM slot_days sd
+             JOIN holidays h ON h.holiday_date = sd.day
+             UNION ALL
+             SELECT sd.workspace_id, sd.start_time, sd.end_time, 'OUTSIDE_OPENING_HOURS',
+                 NULL, sd.day, NULL, NULL, NULL, 3
+             FROM slot_days sd
+             WHERE EXISTS (SELECT 1 FROM hours WHERE hours.workspace_id = sd.workspace_id)
+             AND NOT EXISTS (
+                 SELECT 1 FROM hours
+                 WHERE hours.workspace_id = sd.workspace_id
+                 AND hours.day_of_week = EXTRACT(DOW FROM sd.day)
+                 AND sd.day + hours.opens_at <= sd.part_start
+                 AND sd.day + hours.closes_at >= sd.part_end
+             )
+         )
+         SELECT DISTINCT ON (workspace_id, start_time, end_time)
+             workspace_id, start_time, end_time, code, reason, day::text AS day,
+             blackout_id, closed_from, closed_until
+         FROM closures
+         ORDER BY workspace_id, start_time, end_time, priority, day, closed_from`,
+    [
+      slots.map((slot) => slot.workspaceId),
+      slots.map((slot) => slot.startTime),
+      slots.map((slot) => slot.endTime),
+      ORGANIZATION_TIME_ZONE,
+    ]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getDailySchedules
+ * @description Lists, for each local day of a time range, when each of several workspaces is
+ * open
+ * @param {Array<number>} workspaceIds - IDs of the workspaces
+ * @param {Date} from - Start of the range
+ * @param {Date} until - End of the range
+ * @returns {Promise<Array<Object>>} One row per workspace and day (`workspace_id`, `day` as a
+ * local `YYYY-MM-DD` date, `day_start` and `day_end`), with the name of the `holiday` falling
+ * on that day, and the `open_periods` (`open_from`, `open_until`) of that day; null
+ * `open_periods` mean the workspace is open all day
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getDailySchedules = async (workspaceIds, from, until) => {
+  const result = await db.query(
+    `WITH targets AS (
+             SELECT id, location FROM workspaces WHERE id = ANY($1::integer[])
+         ),
+         days AS (
+             SELECT d.day
+             FROM generate_series(
+                 date_trunc('day', $2::timestamptz AT TIME ZONE $4::text),
+                 $3::timestamptz AT TIME ZONE $4::text,
+                 interval '1 day'
+             ) AS d(day)
+             WHERE d.day < $3::timestamptz AT TIME ZONE $4::text
+         ),
+         hours AS (
+             SELECT t.id AS workspace_id, oh.day_of_week, oh.opens_at, oh.closes_at
+             FROM targets t
+             JOIN opening_hours oh ON oh.workspace_id = t.id
+                 OR (oh.location = t.location AND NOT EXISTS (
+                     SELECT 1 FROM opening_hours own WHERE own.workspace_id = t.id
+                 ))
+         )
+         SELECT
+             t.id AS workspace_id,
+             d.day::date::text AS day,
+             d.day AT TIME ZONE $4::text AS day_start,
+             (d.day + interval '1 day') AT TIME ZONE $4::text AS day_end,
+             h.name AS holiday,
+             CASE WHEN EXISTS (SELECT 1 FROM hours WHERE hours.workspace_id = t.id) THEN
+                 COALESCE((
+                     SELECT json_agg(json_build_object(
+                         'open_from', (d.day + hours.opens_at) AT TIME ZONE $4::text,
+                         'open_until', (d.day + hours.closes_at) AT TIME ZONE $4::text
+                     ) ORDER BY hours.opens_at)
+                     FROM hours
+                     WHERE hours.workspace_id = t.id
+                     AND hours.day_of_week = EXTRACT(DOW FROM d.day)
+                 ), '[]')
+             END AS open_periods
+         FROM targets t
+         CROSS JOIN days d
+         LEFT JOIN holidays h ON h.holiday_date = d.day::date
+         ORDER BY t.id, d.day`,
+    [workspaceIds, from, until, ORGANIZATION_TIME_ZONE]
+  );
+  return result.rows;
+};
+
+/**
+ * @function describeClosure
+ * @description Explains why a slot returned by `findClosures` cannot be booked
+ * @param {Object} closure - Closed slot returned by `findClosures`
+ * @returns {{code: string, message: string, details: Object}} Error code, message and details
+ * for the client
+ */
+const describeClosure = (closure) => {
+  if (closure.code === 'BLACKOUT') {
+    return {
+      code: closure.code,
+      message: `The workspace is unavailable: ${closure.reason}`,
+      details: {
+        reason: closure.reason,
+        closedFrom: closure.closed_from,
+        closedUntil: closure.closed_until,
+      },
+    };
+  }
+  if (closure.code === 'HOLIDAY') {
+    return {
+      code: closure.code,
+      message: `The workspace is closed on ${closure.day} (${closure.reason})`,
+      details: { date: closure.day, holiday: closure.reason },
+    };
+  }
+  return {
+    code: closure.code,
+    message: `The booking falls outside the opening hours of the workspace on ${closure.day}`,
+    details: { date: closure.day, timeZone: ORGANIZATION_TIME_ZONE },
+  };
+};
+
+/**
+ * @async
+ * @function checkWorkspaceOpen
+ * @description Checks that none of several time slots falls into a closure of its workspace
+ * @param {Object} queryable - Pool or transaction client to run the query on
+ * @param {Array<{workspaceId: number, startTime: Date, endTime: Date}>} slots - Slots to check
+ * @returns {Promise<void>}
+ * @throws {PolicyViolationError} With code `BLACKOUT`, `HOLIDAY` or `OUTSIDE_OPENING_HOURS`
+ * for the first closed slot
+ */
+const checkWorkspaceOpen = async (queryable, slots) => {
+  const [closure] = await findClosures(queryable, slots);
+  if (closure) {
+    const { code, message, details } = describeClosure(closure);
+    throw new PolicyViolationError(code, message, details);
+  }
+};
+
+module.exports = {
+  ORGANIZATION_TIME_ZONE,
+  getOpeningHours,
+  getEffectiveOpeningHours,
+  setOpeningHours,
+  getHolidays,
+  addHoliday,
+  deleteHoliday,
+  findClosures,
+  getDailySchedules,
+  describeClosure,
+  checkWorkspaceOpen,
+};
@@ -0,0 +1,245 @@
+/**
+ * @file Login throttling database operations for SpaceMania workspace management system
+ * @module db/security/login
+ * @description Handles brute-force protection of the login endpoint:
+ * - Recording login attempts and counting recent failures per IP address
+ * - Purging login attempts past their retention period
+ * - Counting failed logins per account and locking the account after too many
+ * - Recording lockout events for security review
+ * - Unlocking accounts on admin request
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @constant {Object} LOGIN_LIMITS
+ * @description Brute-force protection settings, read from the environment:
+ * - `maxFailedLogins`: Failures before an account is locked (`MAX_FAILED_LOGINS`, default 5)
+ * - `lockoutMinutes`: Duration of a lockout (`LOCKOUT_MINUTES`, default 15)
+ * - `maxFailedLoginsPerIp`: Failures from one IP before it is throttled (`MAX_FAILED_LOGINS_PER_IP`, default 20)
+ * - `windowMinutes`: Period over which failures are counted (`LOGIN_ATTEMPT_WINDOW_MINUTES`, default 15)
+ * - `retentionDays`: How long login attempts are kept for review (`LOGIN_ATTEMPT_RETENTION_DAYS`, default 30)
+ */
+const LOGIN_LIMITS = {
+  maxFailedLogins: parseInt(process.env.MAX_FAILED_LOGINS || '5', 10),
+  lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES || '15', 10),
+  maxFailedLoginsPerIp: parseInt(
+    process.env.MAX_FAILED_LOGINS_PER_IP || '20',
+    10
+  ),
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10),
+  retentionDays: parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS || '30', 10),
+};
+
+/**
+ * @async
+ * @function recordLoginAttempt
+ * @description Records a login attempt
+ * @param {string} email - Email address the attempt was made for
+ * @param {string} ipAddress - Client IP address
+ * @param {boolean} succeeded - Whether the credentials were valid
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const recordLoginAttempt = async (email, ipAddress, succeeded) => {
+  await db.query(
+    `INSERT INTO login_attempts (email, ip_address, succeeded)
+         VALUES ($1, $2, $3)`,
+    [email, ipAddress, succeeded]
+  );
+};
+
+/**
+ * @async
+ * @function getRecentIpFailures
+ * @description Counts the failed logins from an IP address within the attempt window
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<{count: number, lastFailedAt: Date|null}>} Number of failures and time of the last one
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getRecentIpFailures = async (ipAddress) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::integer AS count, MAX(attempted_at) AS last_failed_at
+         FROM login_attempts
+         WHERE ip_address = $1
+         AND NOT succeeded
+         AND attempted_at > NOW() - make_interval(mins => $2)`,
+    [ipAddress, LOGIN_LIMITS.windowMinutes]
+  );
+  return {
+    count: result.rows[0].count,
+    lastFailedAt: result.rows[0].last_failed_at,
+  };
+};
+
+/**
+ * @async
+ * @function purgeExpiredLoginAttempts
+ * @description Deletes the login attempts older than the retention period, and never those
+ * still within the attempt window
+ * @returns {Promise<number>} Number of deleted attempts
+ * @throws {Error} Will throw an error if database query fails
+ */
+const purgeExpiredLoginAttempts = async () => {
+  const result = await db.query(
+    `DELETE FROM login_attempts
+         WHERE attempted_at <= NOW() - GREATEST(
+             make_interval(days => $1),
+             make_interval(mins => $2)
+         )`,
+    [LOGIN_LIMITS.retentionDays, LOGIN_LIMITS.windowMinutes]
+  );
+  return result.rowCount;
+};
+
+/**
+ * @async
+ * @function registerFailedLogin
+ * @description Counts a failed login against an account, locking it once the limit is
+ * reached. Failures older than the attempt window are forgotten, and the counter starts
+ * over once the account is locked.
+ * @param {number} userId - ID of the user
+ * @param {string} ipAddress - Client IP address of the failed attempt
+ * @returns {Promise<{failedAttempts: number, lockedUntil: Date|null}>} Current failure count and,
+ * if the account was just locked, the end of the lockout
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const registerFailedLogin = async (userId, ipAddress) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users SET
+           failed_login_attempts = CASE
+             WHEN last_failed_login_at > NOW() - make_interval(mins => $2)
+             THEN failed_login_attempts + 1
+             ELSE 1
+           END,
+           last_failed_login_at = NOW()
+         WHERE id = $1
+         RETURNING failed_login_attempts`,
+      [userId, LOGIN_LIMITS.windowMinutes]
+    );
+    const failedAttempts = result.rows[0].failed_login_attempts;
+
+    let lockedUntil = null;
+    if (failedAttempts >= LOGIN_LIMITS.maxFailedLogins) {
+      const locked = await client.query(
+        `UPDATE users SET
+             locked_until = NOW() + make_interval(mins => $2),
+             failed_login_attempts = 0
+           WHERE id = $1
+           RETURNING locked_until`,
+        [userId, LOGIN_LIMITS.lockoutMinutes]
+      );
+      lockedUntil = locked.rows[0].locked_until;
+
+      await client.query(
+        `INSERT INTO account_lockouts (user_id, ip_address, failed_attempts, locked_until)
+             VALUES ($1, $2, $3, $4)`,
+        [userId, ipAddress, failedAttempts, lockedUntil]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { failedAttempts, lockedUntil };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function resetFailedLogins
+ * @description Clears the failed login counter of an account after a successful login
+ * @param {number} userId - ID of the user
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if database query fails
+ */
+const resetFailedLogins = async (userId) => {
+  await db.query(
+    `UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL
+         WHERE id = $1`,
+    [userId]
+  );
+};
+
+/**
+ * @async
+ * @function unlockUser
+ * @description Lifts the lockout of an account and records who lifted it
+ * @param {number} userId - ID of the locked user
+ * @param {number} adminId - ID of the admin unlocking the account
+ * @returns {Promise<boolean>} True if the user exists
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const unlockUser = async (userId, adminId) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users SET
+           locked_until = NULL,
+           failed_login_attempts = 0,
+           last_failed_login_at = NULL
+         WHERE id = $1
+         RETURNING id`,
+      [userId]
+    );
+
+    await client.query(
+      `UPDATE account_lockouts SET unlocked_at = NOW(), unlocked_by = $2
+           WHERE user_id = $1 AND unlocked_at IS NULL AND locked_until > NOW()`,
+      [userId, adminId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function getLockouts
+ * @description Lists recorded lockout events, newest first
+ * @param {Object} [options] - Query options
+ * @param {number} [options.userId] - Only return lockouts of this user
+ * @param {number} [options.limit=50] - Pagination limit
+ * @param {number} [options.offset=0] - Pagination offset
+ * @returns {Promise<Array<Object>>} Lockout events with the email of the locked user
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getLockouts = async ({ userId, limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(
+    `SELECT al.*, u.email
+         FROM account_lockouts al
+         JOIN users u ON al.user_id = u.id
+         WHERE ($1::integer IS NULL OR al.user_id = $1)
+         ORDER BY al.created_at DESC
+         LIMIT $2 OFFSET $3`,
+    [userId || null, limit, offset]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  LOGIN_LIMITS,
+  recordLoginAttempt,
+  getRecentIpFailures,
+  purgeExpiredLoginAttempts,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockUser,
+  getLockouts,
+};
@@ -9,6 +9,11 @@ const createExtension = `CREATE EXTENSION IF NOT EXISTS btree_gist`;
  * Creates the `users` table to store application users.
  *
  * - `role`: Defines the user's role (`user`, `admin`, `manager`).
+ * - `email_verified_at`: Set once the user confirms their email address; unverified users cannot book.
+ * - `status`: Account state (`active`, `deactivated`, `suspended`, `anonymized`); only active users can log in.
+ * - `deactivated_at`: When the account stopped being active.
+ * - `failed_login_attempts` / `last_failed_login_at`: Recent failed logins, reset on success.
+ * - `locked_until`: Login is refused until this time after too many failed attempts.
  * - `created_at` and `updated_at` timestamps for record tracking.
  */
 const createUserTable = `
@@ -19,17 +24,236 @@ const createUserTable = `
     password VARCHAR(255) NOT NULL,
     role VARCHAR(50) NOT NULL DEFAULT 'user' 
       CHECK (role IN ('user', 'admin', 'manager')),
+    email_verified_at TIMESTAMPTZ,
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+      CHECK (status IN ('active', 'deactivated', 'suspended', 'anonymized')),
+    deactivated_at TIMESTAMPTZ,
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
   )
 `;
 
+/**
+ * Adds `email_verified_at` to a `users` table created before email verification existed.
+ * Accounts that already exist are considered verified.
+ */
+const addUsersEmailVerifiedColumn = `
+  DO $$
+  BEGIN
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    ) THEN
+      ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+      UPDATE users SET email_verified_at = created_at;
+    END IF;
+  END $$
+`;
+
+/**
+ * Adds the account status columns to a `users` table created before deactivation existed.
+ */
+const addUsersStatusColumns = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active'
+      CHECK (status IN ('active', 'deactivated', 'suspended', 'anonymized')),
+    ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ
+`;
+
+/**
+ * Adds the login throttling columns to a `users` table created before lockout existed.
+ */
+const addUsersLockoutColumns = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ
+`;
+
+// ====================== LOGIN ATTEMPTS TABLE ======================
+/**
+ * Records every login attempt, used to throttle failed attempts per IP address.
+ *
+ * - `email`: Address the attempt was made for (may not belong to any account).
+ * - `succeeded`: Whether the credentials were valid.
+ */
+const createLoginAttemptsTable = `
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45),
+    succeeded BOOLEAN NOT NULL,
+    attempted_at TIMESTAMPTZ DEFAULT NOW()
+  )
+`;
+
+const createLoginAttemptsIpIndex = `
+  CREATE INDEX IF NOT EXISTS login_attempts_ip_idx
+  ON login_attempts (ip_address, attempted_at)
+`;
+
+// ====================== ACCOUNT LOCKOUTS TABLE ======================
+/**
+ * Records every account lockout so that security can review them.
+ *
+ * - `failed_attempts`: Number of failed attempts that triggered the lockout.
+ * - `ip_address`: Address of the attempt that triggered the lockout.
+ * - `unlocked_at` / `unlocked_by`: Set when an admin lifts the lockout early.
+ */
+const createAccountLockoutsTable = `
+  CREATE TABLE IF NOT EXISTS account_lockouts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    ip_address VARCHAR(45),
+    failed_attempts INTEGER NOT NULL,
+    locked_until TIMESTAMPTZ NOT NULL,
+    unlocked_at TIMESTAMPTZ,
+    unlocked_by INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT account_lockouts_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT account_lockouts_unlocked_by_fk FOREIGN KEY (unlocked_by)
+      REFERENCES users(id) ON DELETE SET NULL
+  )
+`;
+
+// ====================== REFRESH TOKENS TABLE ======================
+/**
+ * Stores refresh tokens used to renew short-lived access tokens.
+ *
+ * - `token_hash`: SHA-256 hash of the token; the plain token is never stored.
+ * - `family_id`: Groups all tokens rotated from the same login, so a replayed token can revoke its session.
+ * - `revoked_at`: Set when the token is rotated, logged out or revoked.
+ * - `replaced_by`: Token issued when this one was rotated.
+ */
+const createRefreshTokensTable = `
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    replaced_by INTEGER REFERENCES refresh_tokens(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT refresh_tokens_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+const createRefreshTokensFamilyIndex = `
+  CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx
+  ON refresh_tokens (family_id)
+`;
+
+// ====================== PASSWORD RESET TOKENS TABLE ======================
+/**
+ * Stores single-use password reset tokens sent by email.
+ *
+ * - `token_hash`: SHA-256 hash of the token; the plain token is never stored.
+ * - `used_at`: Set when the token is consumed or superseded by a newer one.
+ */
+const createPasswordResetTokensTable = `
+  CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT password_reset_tokens_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+// ====================== EMAIL VERIFICATION TOKENS TABLE ======================
+/**
+ * Stores single-use email verification tokens sent on registration.
+ *
+ * - `token_hash`: SHA-256 hash of the token; the plain token is never stored.
+ * - `used_at`: Set when the token is consumed or superseded by a newer one.
+ */
+const createEmailVerificationTokensTable = `
+  CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT email_verification_tokens_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+// ====================== INVITATIONS TABLE ======================
+/**
+ * Stores admin-issued invitations for people outside the allowed email domains.
+ *
+ * - `role`: Role given to the account created from the invitation.
+ * - `token_hash`: SHA-256 hash of the invitation token.
+ * - `accepted_at` / `accepted_by`: Set when the invitee registers.
+ * - `revoked_at`: Set when an admin withdraws the invitation.
+ */
+const createInvitationsTable = `
+  CREATE TABLE IF NOT EXISTS invitations (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'user'
+      CHECK (role IN ('user', 'admin', 'manager')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by INTEGER,
+    accepted_by INTEGER,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT invitations_invited_by_fk FOREIGN KEY (invited_by)
+      REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT invitations_accepted_by_fk FOREIGN KEY (accepted_by)
+      REFERENCES users(id) ON DELETE SET NULL
+  )
+`;
+
+// ====================== API KEYS TABLE ======================
+/**
+ * Stores API keys used by service accounts and kiosk devices instead of a user JWT.
+ *
+ * - `key_prefix`: First characters of the key, shown to admins to identify it.
+ * - `key_hash`: SHA-256 hash of the key; the plain key is never stored.
+ * - `scopes`: Permissions granted to the key (e.g. `bookings:read`, `checkin:write`).
+ * - `last_used_at`: Updated every time the key authenticates a request.
+ * - `expires_at` / `revoked_at`: The key is rejected after either is reached.
+ */
+const createApiKeysTable = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    created_by INTEGER,
+    last_used_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT api_keys_created_by_fk FOREIGN KEY (created_by)
+      REFERENCES users(id) ON DELETE SET NULL
+  )
+`;
+
 // ====================== WORKSPACE TYPES TABLE ======================
 /**
  * Stores different types of workspaces.
  *
  * - `default_capacity`: The default number of users a workspace type can accommodate.
  * - `requires_approval`: If true, bookings for this type need admin approval.
+ * - `booking_mode`: `exclusive` if a booking takes the whole workspace (a meeting room), or
+ *   `shared` if bookings take seats and may overlap as long as `base_capacity` is not exceeded
+ *   (a hot-desk pool or an event hall).
  */
 const createWorkspaceTypeTable = `
   CREATE TABLE IF NOT EXISTS workspace_types (
@@ -39,11 +263,24 @@ const createWorkspaceTypeTable = `
     default_capacity INTEGER,
     icon VARCHAR(100),
     requires_approval BOOLEAN DEFAULT FALSE,
+    booking_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive'
+      CONSTRAINT workspace_types_booking_mode_check
+        CHECK (booking_mode IN ('exclusive', 'shared')),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
   )
 `;
 
+/**
+ * Adds the booking mode to a `workspace_types` table created before shared workspaces existed.
+ */
+const addWorkspaceTypesBookingModeColumn = `
+  ALTER TABLE workspace_types
+    ADD COLUMN IF NOT EXISTS booking_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive'
+      CONSTRAINT workspace_types_booking_mode_check
+        CHECK (booking_mode IN ('exclusive', 'shared'))
+`;
+
 // ====================== WORKSPACES TABLE ======================
 /**
  * Stores workspace details.
@@ -107,12 +344,313 @@ const createWorkspaceAmenitiesTable = `
   )
 `;
 
+// ====================== BOOKING POLICIES TABLE ======================
+/**
+ * Booking rules of a workspace type, or of a single workspace overriding those of its type.
+ * Each row belongs to exactly one workspace type or one workspace. A null limit means the
+ * workspace falls back to its type, and the type to no limit.
+ *
+ * - `min_duration_minutes` / `max_duration_minutes`: Allowed length of a booking.
+ * - `min_notice_minutes`: How long before its start a booking must be made or moved.
+ * - `max_advance_days`: How far ahead a booking may start.
+ * - `slot_granularity_minutes`: Bookings start and end on multiples of this many minutes.
+ * - `buffer_minutes`: Cleanup time kept free between two bookings of the workspace.
+ * - `cancellation_deadline_minutes`: How long before its start a booking may be cancelled
+ *   without it counting as a late cancellation against its host.
+ */
+const createBookingPoliciesTable = `
+  CREATE TABLE IF NOT EXISTS booking_policies (
+    id SERIAL PRIMARY KEY,
+    workspace_type_id INTEGER UNIQUE,
+    workspace_id INTEGER UNIQUE,
+    min_duration_minutes INTEGER CHECK (min_duration_minutes > 0),
+    max_duration_minutes INTEGER CHECK (max_duration_minutes > 0),
+    min_notice_minutes INTEGER CHECK (min_notice_minutes >= 0),
+    max_advance_days INTEGER CHECK (max_advance_days > 0),
+    slot_granularity_minutes INTEGER CHECK (slot_granularity_minutes > 0),
+    buffer_minutes INTEGER CHECK (buffer_minutes >= 0),
+    cancellation_deadline_minutes INTEGER CHECK (cancellation_deadline_minutes >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT booking_policies_target_check
+      CHECK ((workspace_type_id IS NULL) <> (workspace_id IS NULL)),
+    CONSTRAINT booking_policies_duration_check
+      CHECK (min_duration_minutes IS NULL OR max_duration_minutes IS NULL
+        OR min_duration_minutes <= max_duration_minutes),
+    CONSTRAINT booking_policies_workspace_type_fk FOREIGN KEY (workspace_type_id)
+      REFERENCES workspace_types(id) ON DELETE CASCADE,
+    CONSTRAINT booking_policies_workspace_fk FOREIGN KEY (workspace_id)
+      REFERENCES workspaces(id) ON DELETE CASCADE
+  )
+`;
+
+/**
+ * Adds the cancellation deadline to a `booking_policies` table created before it existed.
+ */
+const addBookingPoliciesCancellationColumn = `
+  ALTER TABLE booking_policies
+    ADD COLUMN IF NOT EXISTS cancellation_deadline_minutes INTEGER
+      CHECK (cancellation_deadline_minutes >= 0)
+`;
+
+// ====================== SCHEDULE TABLES ======================
+/**
+ * Weekly opening hours of a location (every workspace whose `location` matches) or of a single
+ * workspace. A workspace with hours of its own ignores those of its location, and a workspace
+ * without any hours can be booked around the clock. Times are local to the organization time
+ * zone (`ORGANIZATION_TIME_ZONE`).
+ *
+ * - `day_of_week`: 0 (Sunday) to 6 (Saturday); a day without rows is closed.
+ * - `opens_at` / `closes_at`: One opening period of the day; a day may have several.
+ *   `closes_at` may be `24:00` for a period lasting until midnight.
+ */
+const createOpeningHoursTable = `
+  CREATE TABLE IF NOT EXISTS opening_hours (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER,
+    location VARCHAR(255),
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    opens_at TIME NOT NULL,
+    closes_at TIME NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT opening_hours_target_check
+      CHECK ((workspace_id IS NULL) <> (location IS NULL)),
+    CONSTRAINT opening_hours_time_check CHECK (opens_at < closes_at),
+    CONSTRAINT opening_hours_workspace_fk FOREIGN KEY (workspace_id)
+      REFERENCES workspaces(id) ON DELETE CASCADE
+  )
+`;
+
+/**
+ * Organization holidays: every workspace is closed for the whole (local) day.
+ */
+const createHolidaysTable = `
+  CREATE TABLE IF NOT EXISTS holidays (
+    id SERIAL PRIMARY KEY,
+    holiday_date DATE NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )
+`;
+
+/**
+ * Ad hoc periods during which a workspace, a location, or every workspace (both null) cannot
+ * be booked, e.g. for maintenance. Bookings already holding a slot in the period are flagged
+ * (`bookings.blackout_id`) and their owners notified.
+ *
+ * - `reason`: Shown to users whose bookings are affected or refused.
+ * - `created_by`: Manager who added the blackout.
+ */
+const createBlackoutsTable = `
+  CREATE TABLE IF NOT EXISTS blackouts (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER,
+    location VARCHAR(255),
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    reason TEXT NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT blackouts_target_check
+      CHECK (workspace_id IS NULL OR location IS NULL),
+    CONSTRAINT blackouts_time_check CHECK (start_time < end_time),
+    CONSTRAINT blackouts_workspace_fk FOREIGN KEY (workspace_id)
+      REFERENCES workspaces(id) ON DELETE CASCADE,
+    CONSTRAINT blackouts_created_by_fk FOREIGN KEY (created_by)
+      REFERENCES users(id) ON DELETE SET NULL
+  )
+`;
+
+/**
+ * Index to quickly find the blackouts overlapping a time range.
+ */
+const createBlackoutsTimeRangeIndex = `
+  CREATE INDEX IF NOT EXISTS blackouts_time_range_idx
+  ON blackouts USING gist (tstzrange(start_time, end_time))
+`;
+
+// ====================== TEAMS TABLES ======================
+/**
+ * Stores teams (or departments) that users belong to.
+ *
+ * - `name`: Unique team name.
+ * - `lead_id`: Team lead, who can see and manage the bookings of the team members.
+ */
+const createTeamsTable = `
+  CREATE TABLE IF NOT EXISTS teams (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    lead_id INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT teams_lead_fk FOREIGN KEY (lead_id)
+      REFERENCES users(id) ON DELETE SET NULL
+  )
+`;
+
+/**
+ * Many-to-many relationship between teams and their members.
+ */
+const createTeamMembersTable = `
+  CREATE TABLE IF NOT EXISTS team_members (
+    team_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (team_id, user_id),
+    CONSTRAINT team_members_team_fk FOREIGN KEY (team_id)
+      REFERENCES teams(id) ON DELETE CASCADE,
+    CONSTRAINT team_members_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+/**
+ * Index to quickly find the teams of a user.
+ */
+const createTeamMembersUserIndex = `
+  CREATE INDEX IF NOT EXISTS team_members_user_idx
+  ON team_members (user_id)
+`;
+
+/**
+ * Workspaces reserved for some teams. A workspace listed here can only be booked by
+ * members of the teams it is listed for; other workspaces can be booked by everyone.
+ */
+const createTeamWorkspacesTable = `
+  CREATE TABLE IF NOT EXISTS team_workspaces (
+    team_id INTEGER NOT NULL,
+    workspace_id INTEGER NOT NULL,
+    PRIMARY KEY (team_id, workspace_id),
+    CONSTRAINT team_workspaces_team_fk FOREIGN KEY (team_id)
+      REFERENCES teams(id) ON DELETE CASCADE,
+    CONSTRAINT team_workspaces_workspace_fk FOREIGN KEY (workspace_id)
+      REFERENCES workspaces(id) ON DELETE CASCADE
+  )
+`;
+
+// ====================== BOOKING DELEGATES TABLE ======================
+/**
+ * Users allowed to book on behalf of another user, such as the assistants of an executive.
+ *
+ * - `user_id`: Host the bookings are made for.
+ * - `delegate_id`: User allowed to make and manage bookings for the host.
+ */
+const createBookingDelegatesTable = `
+  CREATE TABLE IF NOT EXISTS booking_delegates (
+    user_id INTEGER NOT NULL,
+    delegate_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, delegate_id),
+    CONSTRAINT booking_delegates_self_check CHECK (user_id <> delegate_id),
+    CONSTRAINT booking_delegates_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT booking_delegates_delegate_fk FOREIGN KEY (delegate_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+/**
+ * Index to quickly find the hosts a user may book for.
+ */
+const createBookingDelegatesDelegateIndex = `
+  CREATE INDEX IF NOT EXISTS booking_delegates_delegate_idx
+  ON booking_delegates (delegate_id)
+`;
+
+// ====================== BOOKING QUOTAS TABLE ======================
+/**
+ * Limits on how much a user may book, set for a role, a team or a single user. Each row belongs
+ * to exactly one role, team or user. For each limit, a user's own quota overrides those of their
+ * teams (the most generous team winning), which override the one of their role; a null limit
+ * falls back along the same chain, then to no limit.
+ *
+ * - `max_active_bookings`: Bookings still to come (or under way) that hold their slot.
+ * - `max_weekly_hours`: Hours booked within one week (Monday to Sunday, organization time zone).
+ * - `max_concurrent_bookings`: Bookings of the user overlapping at any point in time.
+ */
+const createBookingQuotasTable = `
+  CREATE TABLE IF NOT EXISTS booking_quotas (
+    id SERIAL PRIMARY KEY,
+    role VARCHAR(50) UNIQUE CHECK (role IN ('user', 'admin', 'manager')),
+    team_id INTEGER UNIQUE,
+    user_id INTEGER UNIQUE,
+    max_active_bookings INTEGER CHECK (max_active_bookings >= 0),
+    max_weekly_hours INTEGER CHECK (max_weekly_hours >= 0),
+    max_concurrent_bookings INTEGER CHECK (max_concurrent_bookings >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT booking_quotas_target_check
+      CHECK (num_nonnulls(role, team_id, user_id) = 1),
+    CONSTRAINT booking_quotas_team_fk FOREIGN KEY (team_id)
+      REFERENCES teams(id) ON DELETE CASCADE,
+    CONSTRAINT booking_quotas_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+// ====================== BOOKING SERIES TABLE ======================
+/**
+ * Stores recurring booking series. Each occurrence is stored as a row of `bookings`
+ * (with `series_id` set), so occurrences take part in the double-booking constraint.
+ *
+ * - `rrule`: RFC 5545 recurrence rule (e.g. `FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=20`).
+ * - `dtstart` / `duration_minutes`: Start and length of the first occurrence.
+ * - `exdates`: Occurrences left out of the series, as dates (`YYYY-MM-DD`) or start times.
+ * - `status`: `active`, or `cancelled` once the whole series is cancelled.
+ */
+const createBookingSeriesTable = `
+  CREATE TABLE IF NOT EXISTS booking_series (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    workspace_id INTEGER NOT NULL,
+    rrule TEXT NOT NULL,
+    dtstart TIMESTAMPTZ NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    attendees INTEGER DEFAULT 1,
+    special_requests TEXT,
+    exdates TEXT[] NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+      CHECK (status IN ('active', 'cancelled')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT booking_series_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE RESTRICT,
+    CONSTRAINT booking_series_workspace_fk FOREIGN KEY (workspace_id)
+      REFERENCES workspaces(id) ON DELETE CASCADE
+  )
+`;
+
 // ====================== BOOKINGS TABLE ======================
+/**
+ * Allowed values of `bookings.status`. Only `pending`, `confirmed` and `hold` bookings hold their
+ * slot.
+ */
+const BOOKING_STATUSES = `'pending', 'confirmed', 'hold', 'cancelled', 'completed', 'rejected',
+  'expired', 'no_show'`;
+
 /**
  * Stores bookings for workspaces.
  *
  * - `start_time` and `end_time`: Define the booked time range.
  * - `status`: Represents booking status (`pending`, `confirmed`, `cancelled`, etc.).
+ * - `decided_by` / `decided_at` / `decision_reason`: Manager decision on a `pending` booking
+ *   (approved, rejected, or expired when nobody decided in time).
+ * - `submitted_at`: When the booking was last submitted for approval, at creation or when a
+ *   change sent it back to `pending`; the approval deadline runs from there.
+ * - `checked_in_at` / `checked_out_at`: When the workspace was actually occupied. A confirmed
+ *   booking not checked in within the grace window becomes a `no_show` and frees its slot.
+ * - `exclusive`: Whether the booking takes the whole workspace; set from the booking mode of
+ *   the workspace type when the booking is made (see `createBookingCapacityTrigger`).
+ * - `user_id`: Users are deactivated or anonymized rather than deleted, so deleting a user
+ *   with bookings is refused to keep the booking history for reporting.
+ * - `organizer_id`: User who made the booking on behalf of its host (`user_id`), such as an
+ *   assistant; null when the host booked it themselves.
+ * - `hold_expires_at`: Until when a `hold` (a tentative booking) blocks its slot. A hold is
+ *   confirmed into a booking before then, or it becomes `expired` and frees the slot.
+ * - `cancelled_at` / `cancellation_reason`: When and why the booking was cancelled.
+ * - `cancelled_late`: Whether the host (or the organizer) cancelled it after the cancellation
+ *   deadline of its workspace; late cancellations count against the host.
  */
 const createBookingsTable = `
   CREATE TABLE IF NOT EXISTS bookings (
@@ -122,18 +660,181 @@ const createBookingsTable = `
     start_time TIMESTAMPTZ NOT NULL,
     end_time TIMESTAMPTZ NOT NULL,
     status VARCHAR(50) NOT NULL DEFAULT 'confirmed'
-      CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed', 'rejected')),
+      CONSTRAINT bookings_status_check CHECK (status IN (${BOOKING_STATUSES})),
     attendees INTEGER DEFAULT 1,
     special_requests TEXT,
+    decided_by INTEGER,
+    decided_at TIMESTAMPTZ,
+    decision_reason TEXT,
+    submitted_at TIMESTAMPTZ DEFAULT NOW(),
+    checked_in_at TIMESTAMPTZ,
+    checked_out_at TIMESTAMPTZ,
+    exclusive BOOLEAN NOT NULL DEFAULT TRUE,
+    organizer_id INTEGER,
+    hold_expires_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    cancellation_reason TEXT,
+    cancelled_late BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     CONSTRAINT bookings_user_fk FOREIGN KEY (user_id) 
-      REFERENCES users(id) ON DELETE CASCADE,
+      REFERENCES users(id) ON DELETE RESTRICT,
+    CONSTRAINT bookings_organizer_fk FOREIGN KEY (organizer_id)
+      REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT bookings_decided_by_fk FOREIGN KEY (decided_by)
+      REFERENCES users(id) ON DELETE SET NULL,
     CONSTRAINT bookings_workspace_fk FOREIGN KEY (workspace_id) 
       REFERENCES workspaces(id) ON DELETE CASCADE
   )
 `;
 
+/**
+ * Replaces the former `ON DELETE CASCADE` user foreign key, which wiped the booking
+ * history of deleted users, on databases created before it was changed.
+ */
+const restrictBookingsUserDelete = `
+  DO $$
+  BEGIN
+    IF EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conname = 'bookings_user_fk' AND confdeltype = 'c'
+    ) THEN
+      ALTER TABLE bookings DROP CONSTRAINT bookings_user_fk;
+      ALTER TABLE bookings ADD CONSTRAINT bookings_user_fk
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT;
+    END IF;
+  END $$
+`;
+
+/**
+ * Adds the approval decision columns to a `bookings` table created before approvals existed.
+ */
+const addBookingsApprovalColumns = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS decided_by INTEGER
+      REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS decided_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS decision_reason TEXT
+`;
+
+/**
+ * Adds the attendance columns to a `bookings` table created before check-in existed.
+ */
+const addBookingsAttendanceColumns = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMPTZ
+`;
+
+/**
+ * Replaces the status check so that databases created earlier accept every current status.
+ */
+const updateBookingsStatusCheck = `
+  ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+  ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN (${BOOKING_STATUSES}));
+`;
+
+/**
+ * Links bookings to the series they were generated from.
+ *
+ * - `series_id`: Series of the occurrence (null for one-off bookings).
+ * - `occurrence_start`: Start time the rule gave the occurrence; it identifies the occurrence
+ *   even after it is moved, and orders "this and following" edits.
+ */
+const addBookingsSeriesColumns = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS series_id INTEGER
+      REFERENCES booking_series(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMPTZ
+`;
+
+/**
+ * Flags bookings that fall into a blackout added after they were made.
+ *
+ * - `blackout_id`: Blackout overlapping the booking; cleared when the booking is moved out of
+ *   it, or when the blackout is removed.
+ */
+const addBookingsBlackoutColumn = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS blackout_id INTEGER
+      REFERENCES blackouts(id) ON DELETE SET NULL
+`;
+
+/**
+ * Index to quickly list the occurrences of a series in order.
+ */
+const createBookingsSeriesIndex = `
+  CREATE INDEX IF NOT EXISTS bookings_series_idx
+  ON bookings (series_id, occurrence_start)
+`;
+
+/**
+ * Adds the booking mode flag to a `bookings` table created before shared workspaces existed;
+ * every earlier booking took its whole workspace.
+ */
+const addBookingsExclusiveColumn = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS exclusive BOOLEAN NOT NULL DEFAULT TRUE
+`;
+
+/**
+ * Adds the organizer of delegated bookings to a `bookings` table created before delegation
+ * existed; every earlier booking was made by its host.
+ */
+const addBookingsOrganizerColumn = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS organizer_id INTEGER
+      REFERENCES users(id) ON DELETE SET NULL
+`;
+
+/**
+ * Adds the expiry of holds to a `bookings` table created before holds existed.
+ */
+const addBookingsHoldColumn = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ
+`;
+
+/**
+ * Index to quickly find the holds that expired.
+ */
+const createBookingsHoldIndex = `
+  CREATE INDEX IF NOT EXISTS bookings_hold_expiry_idx
+  ON bookings (hold_expires_at)
+  WHERE status = 'hold'
+`;
+
+/**
+ * Adds the cancellation columns to a `bookings` table created before cancellation deadlines
+ * existed.
+ */
+const addBookingsCancellationColumns = `
+  ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+    ADD COLUMN IF NOT EXISTS cancelled_late BOOLEAN NOT NULL DEFAULT FALSE
+`;
+
+/**
+ * Index to quickly count the recent late cancellations of a user.
+ */
+const createBookingsLateCancellationIndex = `
+  CREATE INDEX IF NOT EXISTS bookings_late_cancellation_idx
+  ON bookings (user_id, cancelled_at)
+  WHERE cancelled_late
+`;
+
+/**
+ * Adds the submission time to a `bookings` table created before bookings could be resubmitted
+ * for approval; existing bookings count as submitted when they were created.
+ */
+const addBookingsSubmittedColumn = `
+  ALTER TABLE bookings ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+  UPDATE bookings SET submitted_at = created_at WHERE submitted_at IS NULL;
+  ALTER TABLE bookings ALTER COLUMN submitted_at SET DEFAULT NOW()
+`;
+
 // ====================== GIST INDEX FOR TIME CONFLICT CHECK ======================
 /**
  * Creates a GIST index to improve query performance for overlapping time range checks.
@@ -144,28 +845,409 @@ const createBookingsTimeRangeIndex = `
 `;
 
 /**
- * Ensures that a workspace cannot be double-booked for the same time range.
+ * Ensures that a workspace cannot be double-booked for the same time range by exclusive
+ * bookings. Only bookings holding their slot (`pending`, `confirmed` or `hold`) take part, so
+ * that cancelled, rejected or expired bookings free the slot immediately. Shared bookings may
+ * overlap; `createBookingCapacityTrigger` keeps them within the capacity of the workspace.
+ * Ranges exclude their end, so that a booking may start when the previous one ends, as the
+ * availability checks assume.
+ * Only added when missing, so that setup can run again on an existing database; an older
+ * constraint covering every status or every booking mode, leaving holds out or including range
+ * ends, is replaced.
  */
 const createNoDoubleBookingConstraint = `
-  ALTER TABLE bookings ADD CONSTRAINT no_double_booking
-  EXCLUDE USING gist (
-    workspace_id WITH =,
-    tstzrange(start_time, end_time, '[]') WITH &&
+  DO $$
+  BEGIN
+    IF EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conname = 'no_double_booking'
+      AND (
+        pg_get_constraintdef(oid) NOT LIKE '%exclusive%'
+        OR pg_get_constraintdef(oid) NOT LIKE '%''hold''%'
+        OR pg_get_constraintdef(oid) LIKE '%''[]''%'
+      )
+    ) THEN
+      ALTER TABLE bookings DROP CONSTRAINT no_double_booking;
+    END IF;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint WHERE conname = 'no_double_booking'
+    ) THEN
+      ALTER TABLE bookings ADD CONSTRAINT no_double_booking
+      EXCLUDE USING gist (
+        workspace_id WITH =,
+        tstzrange(start_time, end_time, '[)') WITH &&
+      ) WHERE (status IN ('pending', 'confirmed', 'hold') AND exclusive);
+    END IF;
+  END $$
+`;
+
+/**
+ * Peak number of seats taken in a workspace during a time range by the bookings holding their
+ * slot. Seat use only grows when a booking starts, so the peak is found at the start of the
+ * range or at the start of a booking within it.
+ *
+ * - `p_exclude_ids`: Bookings left out, e.g. those being moved.
+ */
+const createBookedSeatsFunction = `
+  CREATE OR REPLACE FUNCTION booked_seats(
+    p_workspace_id INTEGER,
+    p_from TIMESTAMPTZ,
+    p_until TIMESTAMPTZ,
+    p_exclude_ids INTEGER[] DEFAULT '{}'
+  ) RETURNS INTEGER AS $$
+    SELECT COALESCE(MAX(load), 0)::integer
+    FROM (
+      SELECT SUM(b.attendees) AS load
+      FROM (
+        SELECT p_from AS t
+        UNION
+        SELECT start_time FROM bookings
+        WHERE workspace_id = p_workspace_id
+        AND status IN ('pending', 'confirmed', 'hold')
+        AND start_time > p_from AND start_time < p_until
+      ) points
+      JOIN bookings b ON b.workspace_id = p_workspace_id
+        AND b.status IN ('pending', 'confirmed', 'hold')
+        AND b.start_time <= points.t AND b.end_time > points.t
+        AND b.id <> ALL(p_exclude_ids)
+      GROUP BY points.t
+    ) loads
+  $$ LANGUAGE sql STABLE;
+`;
+
+/**
+ * Enforces the booking mode of the workspace type whenever a booking starts holding a slot or
+ * changes its workspace, time or attendees:
+ * - A new booking is made exclusive or shared according to the mode of its workspace type.
+ * - An exclusive booking cannot overlap any other booking of the workspace.
+ * - Shared bookings cannot take more seats at once than the capacity of the workspace.
+ *
+ * The workspace row is locked first, so concurrent bookings of a workspace are checked one
+ * after the other. Violations are raised as exclusion violations (code `23P01`) naming the
+ * `no_double_booking` or `shared_capacity` constraint.
+ */
+const createBookingCapacityTrigger = `
+  CREATE OR REPLACE FUNCTION check_booking_capacity() RETURNS trigger AS $$
+  DECLARE
+    workspace RECORD;
+  BEGIN
+    IF NEW.status NOT IN ('pending', 'confirmed', 'hold') THEN
+      RETURN NEW;
+    END IF;
+
+    SELECT w.base_capacity, wt.booking_mode INTO workspace
+    FROM workspaces w
+    JOIN workspace_types wt ON w.type_id = wt.id
+    WHERE w.id = NEW.workspace_id
+    FOR UPDATE OF w;
+
+    IF TG_OP = 'INSERT' THEN
+      NEW.exclusive := workspace.booking_mode = 'exclusive';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.workspace_id = NEW.workspace_id
+      AND b.id <> NEW.id
+      AND b.status IN ('pending', 'confirmed', 'hold')
+      AND b.start_time < NEW.end_time
+      AND b.end_time > NEW.start_time
+      AND (NEW.exclusive OR b.exclusive)
+    ) THEN
+      RAISE EXCEPTION 'Workspace % is already booked for this time range', NEW.workspace_id
+        USING ERRCODE = 'exclusion_violation', CONSTRAINT = 'no_double_booking';
+    END IF;
+
+    IF NOT NEW.exclusive AND booked_seats(
+      NEW.workspace_id, NEW.start_time, NEW.end_time, ARRAY[NEW.id]
+    ) + NEW.attendees > workspace.base_capacity THEN
+      RAISE EXCEPTION 'Workspace % has not enough seats left for this time range',
+        NEW.workspace_id
+        USING ERRCODE = 'exclusion_violation', CONSTRAINT = 'shared_capacity';
+    END IF;
+
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS bookings_capacity_check ON bookings;
+  CREATE TRIGGER bookings_capacity_check
+    BEFORE INSERT OR UPDATE OF workspace_id, start_time, end_time, attendees, status
+    ON bookings
+    FOR EACH ROW EXECUTE FUNCTION check_booking_capacity();
+`;
+
+// ====================== BOOKING STATUS HISTORY TABLE ======================
+/**
+ * Every status a booking went through, recorded by `createBookingStatusHistoryTrigger`.
+ *
+ * - `from_status`: Previous status; null for the status the booking was created with.
+ * - `changed_by`: User who made the change, taken from the `spacemania.status_changed_by`
+ *   setting of the transaction (see `setStatusChangeContext`). A new booking falls back to its
+ *   organizer or host; null for changes made by the system, such as expiries.
+ * - `reason`: Reason given with the change, from the `spacemania.status_reason` setting.
+ */
+const createBookingStatusHistoryTable = `
+  CREATE TABLE IF NOT EXISTS booking_status_history (
+    id BIGSERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER,
+    reason TEXT,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT booking_status_history_booking_fk FOREIGN KEY (booking_id)
+      REFERENCES bookings(id) ON DELETE CASCADE,
+    CONSTRAINT booking_status_history_changed_by_fk FOREIGN KEY (changed_by)
+      REFERENCES users(id) ON DELETE SET NULL
+  )
+`;
+
+const createBookingStatusHistoryIndex = `
+  CREATE INDEX IF NOT EXISTS booking_status_history_booking_idx
+  ON booking_status_history (booking_id, changed_at)
+`;
+
+/**
+ * Records the status of new bookings and every change of status in `booking_status_history`,
+ * so that no code path can change a status without leaving a trail.
+ */
+const createBookingStatusHistoryTrigger = `
+  CREATE OR REPLACE FUNCTION record_booking_status_change() RETURNS trigger AS $$
+  BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+      RETURN NULL;
+    END IF;
+
+    INSERT INTO booking_status_history
+      (booking_id, from_status, to_status, changed_by, reason)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+      NEW.status,
+      COALESCE(
+        NULLIF(current_setting('spacemania.status_changed_by', true), '')::integer,
+        CASE WHEN TG_OP = 'INSERT' THEN COALESCE(NEW.organizer_id, NEW.user_id) END
+      ),
+      NULLIF(current_setting('spacemania.status_reason', true), '')
+    );
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS bookings_status_history ON bookings;
+  CREATE TRIGGER bookings_status_history
+    AFTER INSERT OR UPDATE OF status ON bookings
+    FOR EACH ROW EXECUTE FUNCTION record_booking_status_change();
+`;
+
+// ====================== BOOKING ATTENDEES TABLE ======================
+/**
+ * Named attendees of a booking, besides its host. When a booking has a list, its `attendees`
+ * count is derived from it.
+ *
+ * - `user_id`: Attendee with an account; their name and email are read from `users`, so that
+ *   they follow account changes and anonymization.
+ * - `email` / `name`: External guest without an account.
+ */
+const createBookingAttendeesTable = `
+  CREATE TABLE IF NOT EXISTS booking_attendees (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL,
+    user_id INTEGER,
+    email VARCHAR(255),
+    name VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT booking_attendees_person_check
+      CHECK ((user_id IS NULL) <> (email IS NULL)),
+    CONSTRAINT booking_attendees_booking_fk FOREIGN KEY (booking_id)
+      REFERENCES bookings(id) ON DELETE CASCADE,
+    CONSTRAINT booking_attendees_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+/**
+ * Prevents listing the same user or guest twice on a booking, and finds the bookings a user
+ * attends.
+ */
+const createBookingAttendeesUniqueIndexes = `
+  CREATE UNIQUE INDEX IF NOT EXISTS booking_attendees_user_idx
+  ON booking_attendees (user_id, booking_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS booking_attendees_email_idx
+  ON booking_attendees (booking_id, lower(email));
+`;
+
+// ====================== IDEMPOTENCY KEYS TABLE ======================
+/**
+ * Responses to requests sent with an `Idempotency-Key` header, replayed when a client retries
+ * the same request (e.g. a booking posted again after a network failure).
+ *
+ * - `user_id` / `idempotency_key`: Keys are chosen by clients, so each user has their own.
+ * - `request_hash`: SHA-256 hash of the method, path and body, to reject a key reused for
+ *   another request.
+ * - `status_code` / `response_body`: Stored response; null while the first request is running.
+ * - `expires_at`: After it the key may be used again, and the row is purged.
+ */
+const createIdempotencyKeysTable = `
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id INTEGER NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status_code INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (user_id, idempotency_key),
+    CONSTRAINT idempotency_keys_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+const createIdempotencyKeysExpiryIndex = `
+  CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx
+  ON idempotency_keys (expires_at)
+`;
+
+// ====================== WAITLIST TABLE ======================
+/**
+ * Users waiting for a workspace and time range that is already booked. When a booking holding
+ * an overlapping slot is cancelled, rejected or expires, the earliest waiting entry whose whole
+ * range is free again is booked automatically.
+ *
+ * - `status`: `waiting`, `booked` (see `booking_id`), `left` by the user, or `expired` once
+ *   its start time passed.
+ * - `booking_id`: Booking made for the entry when the slot freed up.
+ */
+const createWaitlistEntriesTable = `
+  CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    workspace_id INTEGER NOT NULL,
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    attendees INTEGER NOT NULL DEFAULT 1 CHECK (attendees > 0),
+    special_requests TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+      CHECK (status IN ('waiting', 'booked', 'left', 'expired')),
+    booking_id INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT waitlist_entries_time_check CHECK (end_time > start_time),
+    CONSTRAINT waitlist_entries_user_fk FOREIGN KEY (user_id)
+      REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT waitlist_entries_workspace_fk FOREIGN KEY (workspace_id)
+      REFERENCES workspaces(id) ON DELETE CASCADE,
+    CONSTRAINT waitlist_entries_booking_fk FOREIGN KEY (booking_id)
+      REFERENCES bookings(id) ON DELETE SET NULL
   )
 `;
 
+/**
+ * Index to quickly find the entries waiting for a workspace, in the order they joined.
+ */
+const createWaitlistEntriesWorkspaceIndex = `
+  CREATE INDEX IF NOT EXISTS waitlist_entries_workspace_idx
+  ON waitlist_entries (workspace_id, created_at)
+  WHERE status = 'waiting'
+`;
+
+/**
+ * Prevents a user from waiting twice for the same workspace and time range.
+ */
+const createWaitlistEntriesUniqueIndex = `
+  CREATE UNIQUE INDEX IF NOT EXISTS waitlist_entries_waiting_idx
+  ON waitlist_entries (user_id, workspace_id, start_time, end_time)
+  WHERE status = 'waiting'
+`;
+
+// ====================== AUDIT LOG TABLE ======================
+/**
+ * Append-only audit trail of administrative and booking changes.
+ *
+ * - `actor_id` / `api_key_id`: User or API key that made the change (null for system jobs).
+ *   Actors cannot be deleted, only deactivated or revoked, so the trail keeps pointing at them.
+ * - `action`: What happened, as `<entity>.<verb>` (e.g. `user.update`, `booking.cancel`).
+ * - `entity_type` / `entity_id`: Record that was changed.
+ * - `old_values` / `new_values`: Snapshots of the changed values before and after.
+ */
+const createAuditLogTable = `
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    api_key_id INTEGER,
+    ip_address VARCHAR(45),
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id INTEGER,
+    old_values JSONB,
+    new_values JSONB,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT audit_log_actor_fk FOREIGN KEY (actor_id)
+      REFERENCES users(id) ON DELETE RESTRICT,
+    CONSTRAINT audit_log_api_key_fk FOREIGN KEY (api_key_id)
+      REFERENCES api_keys(id) ON DELETE RESTRICT
+  )
+`;
+
+const createAuditLogEntityIndex = `
+  CREATE INDEX IF NOT EXISTS audit_log_entity_idx
+  ON audit_log (entity_type, entity_id, changed_at)
+`;
+
+const createAuditLogActorIndex = `
+  CREATE INDEX IF NOT EXISTS audit_log_actor_idx
+  ON audit_log (actor_id, changed_at)
+`;
+
+/**
+ * Makes `audit_log` append-only by rejecting any update or delete of its rows.
+ */
+const createAuditLogAppendOnlyTrigger = `
+  CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+  CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+`;
+
 // ====================== DEFAULT DATA ======================
 /**
  * Inserts default workspace types if they do not already exist.
  */
 const insertDefaultWorkspaceTypes = `
-  INSERT INTO workspace_types (name, description, default_capacity, requires_approval)
+  INSERT INTO workspace_types
+    (name, description, default_capacity, requires_approval, booking_mode)
   VALUES 
-    ('hot_desk', 'Flexible unassigned workstations', 1, false),
-    ('meeting_room', 'Spaces for team meetings', 8, true)
+    ('hot_desk', 'Flexible unassigned workstations', 1, false, 'shared'),
+    ('meeting_room', 'Spaces for team meetings', 8, true, 'exclusive')
   ON CONFLICT (name) DO NOTHING
 `;
 
+/**
+ * Switches the default `hot_desk` type to `shared` on databases created before shared
+ * workspaces existed, where it was added as `exclusive`. A type whose mode an admin has
+ * changed (an audited `workspace_type.update`) is left as it is, so running this again never
+ * undoes that choice. Like any mode change, only bookings made afterwards follow it.
+ */
+const switchDefaultHotDeskToShared = `
+  UPDATE workspace_types wt SET booking_mode = 'shared', updated_at = NOW()
+  WHERE wt.name = 'hot_desk'
+  AND wt.booking_mode = 'exclusive'
+  AND NOT EXISTS (
+    SELECT 1 FROM audit_log al
+    WHERE al.entity_type = 'workspace_type'
+    AND al.entity_id = wt.id
+    AND al.action = 'workspace_type.update'
+  )
+`;
+
 /**
  * Inserts default amenities if they do not already exist.
  */
@@ -180,13 +1262,71 @@ const insertDefaultAmenities = `
 module.exports = {
   createExtension,
   createUserTable,
+  addUsersEmailVerifiedColumn,
+  addUsersStatusColumns,
+  addUsersLockoutColumns,
+  createLoginAttemptsTable,
+  createLoginAttemptsIpIndex,
+  createAccountLockoutsTable,
+  createRefreshTokensTable,
+  createRefreshTokensFamilyIndex,
+  createPasswordResetTokensTable,
+  createEmailVerificationTokensTable,
+  createInvitationsTable,
+  createApiKeysTable,
   createWorkspaceTypeTable,
+  addWorkspaceTypesBookingModeColumn,
   createWorkspacesTable,
   createAmenitiesTable,
   createWorkspaceAmenitiesTable,
+  createBookingPoliciesTable,
+  addBookingPoliciesCancellationColumn,
+  createOpeningHoursTable,
+  createHolidaysTable,
+  createBlackoutsTable,
+  createBlackoutsTimeRangeIndex,
+  createTeamsTable,
+  createTeamMembersTable,
+  createTeamMembersUserIndex,
+  createTeamWorkspacesTable,
+  createBookingDelegatesTable,
+  createBookingDelegatesDelegateIndex,
+  createBookingQuotasTable,
+  createBookingSeriesTable,
   createBookingsTable,
+  restrictBookingsUserDelete,
+  addBookingsApprovalColumns,
+  addBookingsAttendanceColumns,
+  updateBookingsStatusCheck,
+  addBookingsSeriesColumns,
+  addBookingsBlackoutColumn,
+  createBookingsSeriesIndex,
+  addBookingsExclusiveColumn,
+  addBookingsOrganizerColumn,
+  addBookingsHoldColumn,
+  createBookingsHoldIndex,
+  addBookingsCancellationColumns,
+  addBookingsSubmittedColumn,
+  createBookingsLateCancellationIndex,
   createBookingsTimeRangeIndex,
   createNoDoubleBookingConstraint,
+  createBookedSeatsFunction,
+  createBookingCapacityTrigger,
+  createBookingStatusHistoryTable,
+  createBookingStatusHistoryIndex,
+  createBookingStatusHistoryTrigger,
+  createBookingAttendeesTable,
+  createBookingAttendeesUniqueIndexes,
+  createIdempotencyKeysTable,
+  createIdempotencyKeysExpiryIndex,
+  createWaitlistEntriesTable,
+  createWaitlistEntriesWorkspaceIndex,
+  createWaitlistEntriesUniqueIndex,
+  createAuditLogTable,
+  createAuditLogEntityIndex,
+  createAuditLogActorIndex,
+  createAuditLogAppendOnlyTrigger,
   insertDefaultWorkspaceTypes,
+  switchDefaultHotDeskToShared,
   insertDefaultAmenities,
 };
@@ -28,12 +28,117 @@ CREATE TABLE IF NOT EXISTS users (
   password VARCHAR(255) NOT NULL,               -- Hashed password (using bcrypt)
   role VARCHAR(50) NOT NULL DEFAULT 'user'      -- Role-based access control
     CHECK (role IN ('user', 'admin', 'manager')), -- Only allowed role values
+  email_verified_at TIMESTAMPTZ,                -- Set once the email address is confirmed
+  status VARCHAR(20) NOT NULL DEFAULT 'active'  -- Account state; only active users can log in
+    CHECK (status IN ('active', 'deactivated', 'suspended', 'anonymized')),
+  deactivated_at TIMESTAMPTZ,                   -- When the account stopped being active
+  failed_login_attempts INTEGER NOT NULL DEFAULT 0, -- Recent failed logins, reset on success
+  last_failed_login_at TIMESTAMPTZ,             -- Time of the last failed login
+  locked_until TIMESTAMPTZ,                     -- Login refused until this time
   created_at TIMESTAMPTZ DEFAULT NOW(),         -- Timestamp of record creation (with timezone)
   updated_at TIMESTAMPTZ DEFAULT NOW()          -- Timestamp of last update (with timezone)
 );
 
 COMMENT ON TABLE users IS 'Stores all user accounts and authentication information';
 COMMENT ON COLUMN users.role IS 'Determines access levels: user (basic), admin (full access), manager (limited admin)';
+COMMENT ON COLUMN users.email_verified_at IS 'NULL until the user confirms their email; unverified users cannot book';
+COMMENT ON COLUMN users.status IS 'Users are deactivated, suspended or anonymized instead of deleted to keep booking history';
+
+-- LOGIN_ATTEMPTS: Every login attempt, used to throttle failures per IP address
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  email VARCHAR(255) NOT NULL,                   -- Address the attempt was made for
+  ip_address VARCHAR(45),                        -- Client IP address (IPv4 or IPv6)
+  succeeded BOOLEAN NOT NULL,                    -- Whether the credentials were valid
+  attempted_at TIMESTAMPTZ DEFAULT NOW()        -- When the attempt was made
+);
+
+COMMENT ON TABLE login_attempts IS 'Login attempts used for per-IP brute-force protection';
+
+-- ACCOUNT_LOCKOUTS: Lockout events kept for security review
+CREATE TABLE IF NOT EXISTS account_lockouts (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ip_address VARCHAR(45),                        -- Address of the attempt that triggered it
+  failed_attempts INTEGER NOT NULL,              -- Failures that triggered the lockout
+  locked_until TIMESTAMPTZ NOT NULL,             -- End of the lockout
+  unlocked_at TIMESTAMPTZ,                       -- Set when an admin lifts it early
+  unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Admin who lifted it
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- When the account was locked
+);
+
+COMMENT ON TABLE account_lockouts IS 'Account lockouts after repeated failed logins, for security review';
+
+-- REFRESH_TOKENS: Persisted refresh tokens used to renew short-lived access tokens
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,        -- SHA-256 hash of the token (plain token is never stored)
+  family_id UUID NOT NULL,                       -- Groups tokens rotated from the same login
+  expires_at TIMESTAMPTZ NOT NULL,               -- Token is rejected after this time
+  revoked_at TIMESTAMPTZ,                        -- Set on rotation, logout or revocation
+  replaced_by INTEGER REFERENCES refresh_tokens(id), -- Token issued when this one was rotated
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- Record creation timestamp
+);
+
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens with rotation; reuse of a revoked token revokes its whole family';
+
+-- PASSWORD_RESET_TOKENS: Single-use tokens emailed for password resets
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,        -- SHA-256 hash of the token (plain token is never stored)
+  expires_at TIMESTAMPTZ NOT NULL,               -- Token is rejected after this time
+  used_at TIMESTAMPTZ,                           -- Set when consumed or superseded
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- Record creation timestamp
+);
+
+COMMENT ON TABLE password_reset_tokens IS 'Time-limited, single-use password reset tokens';
+
+-- EMAIL_VERIFICATION_TOKENS: Single-use tokens emailed on registration
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,        -- SHA-256 hash of the token (plain token is never stored)
+  expires_at TIMESTAMPTZ NOT NULL,               -- Token is rejected after this time
+  used_at TIMESTAMPTZ,                           -- Set when consumed or superseded
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- Record creation timestamp
+);
+
+COMMENT ON TABLE email_verification_tokens IS 'Time-limited, single-use email verification tokens';
+
+-- INVITATIONS: Admin-issued invitations for people outside the allowed email domains
+CREATE TABLE IF NOT EXISTS invitations (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  email VARCHAR(255) NOT NULL,                   -- Address the invitation was sent to
+  role VARCHAR(50) NOT NULL DEFAULT 'user'       -- Role given to the created account
+    CHECK (role IN ('user', 'admin', 'manager')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,        -- SHA-256 hash of the invitation token
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Admin who issued it
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Account created from it
+  expires_at TIMESTAMPTZ NOT NULL,               -- Invitation is rejected after this time
+  accepted_at TIMESTAMPTZ,                       -- Set when the invitee registers
+  revoked_at TIMESTAMPTZ,                        -- Set when an admin withdraws it
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- Record creation timestamp
+);
+
+COMMENT ON TABLE invitations IS 'Invitation links letting external learners register';
+
+-- API_KEYS: Scoped keys for service accounts and kiosk devices
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  name VARCHAR(100) NOT NULL,                    -- Label (e.g., "Lobby kiosk 2")
+  key_prefix VARCHAR(20) NOT NULL,               -- First characters, to identify the key
+  key_hash VARCHAR(64) NOT NULL UNIQUE,          -- SHA-256 hash of the key
+  scopes TEXT[] NOT NULL,                        -- Granted permissions (e.g., "bookings:read")
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Admin who issued it
+  last_used_at TIMESTAMPTZ,                      -- Last request authenticated with the key
+  expires_at TIMESTAMPTZ,                        -- Key is rejected after this time (if set)
+  revoked_at TIMESTAMPTZ,                        -- Set when an admin revokes the key
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- Record creation timestamp
+);
+
+COMMENT ON TABLE api_keys IS 'API keys accepted by authMiddleware alongside user JWTs';
 
 -- WORKSPACE_TYPES: Defines different categories of workspaces
 CREATE TABLE IF NOT EXISTS workspace_types (
@@ -43,6 +148,8 @@ CREATE TABLE IF NOT EXISTS workspace_types (
   default_capacity INTEGER,                      -- Typical capacity for this type
   icon VARCHAR(100),                             -- UI icon reference for this type
   requires_approval BOOLEAN DEFAULT FALSE,       -- Whether bookings need manual approval
+  booking_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive' -- Whole workspace or seat-based
+    CHECK (booking_mode IN ('exclusive', 'shared')),
   created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
   updated_at TIMESTAMPTZ DEFAULT NOW(),         -- Last update timestamp
   CONSTRAINT unique_workspace_type_name UNIQUE (name) -- Ensure type names are unique
@@ -50,6 +157,7 @@ CREATE TABLE IF NOT EXISTS workspace_types (
 
 COMMENT ON TABLE workspace_types IS 'Master list of all workspace classifications';
 COMMENT ON COLUMN workspace_types.requires_approval IS 'When true, bookings require manager approval';
+COMMENT ON COLUMN workspace_types.booking_mode IS 'exclusive: a booking takes the whole workspace; shared: overlapping bookings share its seats';
 
 -- WORKSPACES: Physical spaces that can be booked
 CREATE TABLE IF NOT EXISTS workspaces (
@@ -93,25 +201,192 @@ CREATE TABLE IF NOT EXISTS workspace_amenities (
 
 COMMENT ON TABLE workspace_amenities IS 'Associates amenities with workspaces and tracks quantities';
 
+-- BOOKING_POLICIES: Booking rules per workspace type, overridable per workspace
+CREATE TABLE IF NOT EXISTS booking_policies (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  workspace_type_id INTEGER UNIQUE REFERENCES workspace_types(id) ON DELETE CASCADE,
+  workspace_id INTEGER UNIQUE REFERENCES workspaces(id) ON DELETE CASCADE,
+  min_duration_minutes INTEGER CHECK (min_duration_minutes > 0),   -- Shortest booking
+  max_duration_minutes INTEGER CHECK (max_duration_minutes > 0),   -- Longest booking
+  min_notice_minutes INTEGER CHECK (min_notice_minutes >= 0),      -- Notice before the start
+  max_advance_days INTEGER CHECK (max_advance_days > 0),           -- Booking horizon
+  slot_granularity_minutes INTEGER CHECK (slot_granularity_minutes > 0), -- Start/end boundaries
+  buffer_minutes INTEGER CHECK (buffer_minutes >= 0),              -- Cleanup time between bookings
+  cancellation_deadline_minutes INTEGER CHECK (cancellation_deadline_minutes >= 0), -- Later cancellations are late
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
+  updated_at TIMESTAMPTZ DEFAULT NOW(),         -- Last update timestamp
+
+  -- A policy belongs to exactly one workspace type or one workspace
+  CONSTRAINT booking_policies_target_check
+    CHECK ((workspace_type_id IS NULL) <> (workspace_id IS NULL)),
+  CONSTRAINT booking_policies_duration_check
+    CHECK (min_duration_minutes IS NULL OR max_duration_minutes IS NULL
+      OR min_duration_minutes <= max_duration_minutes)
+);
+
+COMMENT ON TABLE booking_policies IS 'Null limits fall back from the workspace to its type, then to no limit';
+
+-- OPENING_HOURS: Weekly opening periods of a location or a single workspace
+CREATE TABLE IF NOT EXISTS opening_hours (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  location VARCHAR(255),                         -- Matches workspaces.location
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+  opens_at TIME NOT NULL,                        -- Local opening time
+  closes_at TIME NOT NULL,                       -- Local closing time (24:00 for midnight)
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
+
+  -- Hours belong to exactly one location or one workspace
+  CONSTRAINT opening_hours_target_check
+    CHECK ((workspace_id IS NULL) <> (location IS NULL)),
+  CONSTRAINT opening_hours_time_check CHECK (opens_at < closes_at)
+);
+
+COMMENT ON TABLE opening_hours IS 'Workspace hours replace location hours; no hours at all means always open';
+
+-- HOLIDAYS: Days every workspace is closed
+CREATE TABLE IF NOT EXISTS holidays (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  holiday_date DATE NOT NULL UNIQUE,             -- Local date of the holiday
+  name VARCHAR(255) NOT NULL,                    -- Shown when a booking is refused
+  created_at TIMESTAMPTZ DEFAULT NOW()          -- Record creation timestamp
+);
+
+-- BLACKOUTS: Maintenance or other periods a workspace, a location or everything is closed
+CREATE TABLE IF NOT EXISTS blackouts (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  location VARCHAR(255),                         -- Matches workspaces.location
+  start_time TIMESTAMPTZ NOT NULL,              -- Blackout start
+  end_time TIMESTAMPTZ NOT NULL,                -- Blackout end
+  reason TEXT NOT NULL,                          -- Shown to affected users
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Manager who added it
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
+
+  -- Both targets null means every workspace
+  CONSTRAINT blackouts_target_check CHECK (workspace_id IS NULL OR location IS NULL),
+  CONSTRAINT blackouts_time_check CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS blackouts_time_range_idx ON blackouts USING gist (tstzrange(start_time, end_time));
+
+-- TEAMS: Teams or departments users belong to
+CREATE TABLE IF NOT EXISTS teams (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  name VARCHAR(100) UNIQUE NOT NULL,             -- Team name (e.g., "Engineering")
+  description TEXT,                              -- Optional details about the team
+  lead_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Manages the members' bookings
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
+  updated_at TIMESTAMPTZ DEFAULT NOW()          -- Last update timestamp
+);
+
+COMMENT ON TABLE teams IS 'Teams and departments with an optional team lead';
+
+-- TEAM_MEMBERS: Junction table between teams and users
+CREATE TABLE IF NOT EXISTS team_members (
+  team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ DEFAULT NOW(),          -- When the user joined the team
+  PRIMARY KEY (team_id, user_id)                 -- Composite primary key
+);
+
+COMMENT ON TABLE team_members IS 'Associates users with the teams they belong to';
+
+-- TEAM_WORKSPACES: Workspaces reserved for some teams
+CREATE TABLE IF NOT EXISTS team_workspaces (
+  team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  PRIMARY KEY (team_id, workspace_id)            -- Composite primary key
+);
+
+COMMENT ON TABLE team_workspaces IS 'Workspaces listed here can only be booked by members of the listed teams';
+
+-- BOOKING_DELEGATES: Users allowed to book on behalf of another user
+CREATE TABLE IF NOT EXISTS booking_delegates (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,     -- Host
+  delegate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Books for the host
+  created_at TIMESTAMPTZ DEFAULT NOW(),          -- When the host added the delegate
+  PRIMARY KEY (user_id, delegate_id),            -- Composite primary key
+  CONSTRAINT booking_delegates_self_check CHECK (user_id <> delegate_id)
+);
+
+COMMENT ON TABLE booking_delegates IS 'Delegates can make and manage bookings for their host, e.g. assistants of an executive';
+
+CREATE INDEX IF NOT EXISTS booking_delegates_delegate_idx ON booking_delegates(delegate_id);
+
+-- BOOKING_QUOTAS: Booking limits per role, overridable per team or user
+CREATE TABLE IF NOT EXISTS booking_quotas (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  role VARCHAR(50) UNIQUE CHECK (role IN ('user', 'admin', 'manager')),
+  team_id INTEGER UNIQUE REFERENCES teams(id) ON DELETE CASCADE,
+  user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  max_active_bookings INTEGER CHECK (max_active_bookings >= 0),         -- Upcoming bookings
+  max_weekly_hours INTEGER CHECK (max_weekly_hours >= 0),               -- Hours booked per week
+  max_concurrent_bookings INTEGER CHECK (max_concurrent_bookings >= 0), -- Overlapping bookings
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
+  updated_at TIMESTAMPTZ DEFAULT NOW(),         -- Last update timestamp
+
+  -- A quota belongs to exactly one role, team or user
+  CONSTRAINT booking_quotas_target_check
+    CHECK (num_nonnulls(role, team_id, user_id) = 1)
+);
+
+COMMENT ON TABLE booking_quotas IS 'Null limits fall back from the user to their teams, then to their role, then to no limit';
+
+-- BOOKING_SERIES: Recurring bookings; each occurrence is a row of bookings
+CREATE TABLE IF NOT EXISTS booking_series (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  rrule TEXT NOT NULL,                           -- RFC 5545 rule (e.g., "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10")
+  dtstart TIMESTAMPTZ NOT NULL,                  -- Start of the first occurrence
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0), -- Length of each occurrence
+  attendees INTEGER DEFAULT 1,                   -- Number of people expected
+  special_requests TEXT,                         -- Custom user requests
+  exdates TEXT[] NOT NULL DEFAULT '{}',          -- Occurrences left out (dates or start times)
+  status VARCHAR(20) NOT NULL DEFAULT 'active'   -- active or cancelled
+    CHECK (status IN ('active', 'cancelled')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
+  updated_at TIMESTAMPTZ DEFAULT NOW()          -- Last update timestamp
+);
+
+COMMENT ON TABLE booking_series IS 'Recurring booking definitions; occurrences are stored in bookings';
+
 -- BOOKINGS: Reservation records
 CREATE TABLE IF NOT EXISTS bookings (
   id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE RESTRICT, -- Keep history; users are deactivated, not deleted
   workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   start_time TIMESTAMPTZ NOT NULL,              -- Booking start (with timezone)
   end_time TIMESTAMPTZ NOT NULL,                -- Booking end (with timezone)
   status VARCHAR(50) NOT NULL DEFAULT 'confirmed' -- Booking lifecycle state
-    CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed', 'rejected')),
+    CHECK (status IN ('pending', 'confirmed', 'hold', 'cancelled', 'completed', 'rejected', 'expired', 'no_show')),
   attendees INTEGER DEFAULT 1,                   -- Number of people expected
   special_requests TEXT,                         -- Custom user requests
+  decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Manager who approved or rejected
+  decided_at TIMESTAMPTZ,                        -- When the pending booking was decided
+  decision_reason TEXT,                          -- Reason given with the decision
+  submitted_at TIMESTAMPTZ DEFAULT NOW(),        -- Last submitted for approval (approval deadline runs from here)
+  series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL, -- Series of a recurring occurrence
+  occurrence_start TIMESTAMPTZ,                  -- Start the recurrence rule gave the occurrence
+  blackout_id INTEGER REFERENCES blackouts(id) ON DELETE SET NULL, -- Blackout added over the booking
+  checked_in_at TIMESTAMPTZ,                     -- Actual arrival (front desk, kiosk or app)
+  checked_out_at TIMESTAMPTZ,                    -- Actual departure
+  exclusive BOOLEAN NOT NULL DEFAULT TRUE,       -- Takes the whole workspace (set from the type's booking mode)
+  organizer_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Booked on behalf of the host (null if by the host)
+  hold_expires_at TIMESTAMPTZ,                   -- Until when a hold blocks its slot unless confirmed
+  cancelled_at TIMESTAMPTZ,                      -- When the booking was cancelled
+  cancellation_reason TEXT,                      -- Reason given with the cancellation
+  cancelled_late BOOLEAN NOT NULL DEFAULT FALSE, -- Cancelled by its host after the deadline
   created_at TIMESTAMPTZ DEFAULT NOW(),         -- Record creation timestamp
   updated_at TIMESTAMPTZ DEFAULT NOW(),         -- Last update timestamp
   
   -- Prevent double-booking of the same workspace for overlapping times
+  -- (only exclusive bookings holding their slot count; shared seats are checked by a trigger)
   EXCLUDE USING gist (
     workspace_id WITH =,
     tsrange(start_time, end_time) WITH &&
-  ),
+  ) WHERE (status IN ('pending', 'confirmed', 'hold') AND exclusive),
   
   -- Ensure logical time ranges (end after start)
   CONSTRAINT valid_booking_time CHECK (end_time > start_time),
@@ -121,7 +396,84 @@ CREATE TABLE IF NOT EXISTS bookings (
 );
 
 COMMENT ON TABLE bookings IS 'Records all workspace reservations and their status';
-COMMENT ON COLUMN bookings.status IS 'Lifecycle state: pending, confirmed, cancelled, completed, rejected';
+COMMENT ON COLUMN bookings.status IS 'Lifecycle state: pending, confirmed, hold, cancelled, completed, rejected, expired, no_show';
+
+-- Peak number of seats taken in a workspace during a time range
+CREATE OR REPLACE FUNCTION booked_seats(
+  p_workspace_id INTEGER,
+  p_from TIMESTAMPTZ,
+  p_until TIMESTAMPTZ,
+  p_exclude_ids INTEGER[] DEFAULT '{}'
+) RETURNS INTEGER AS $$
+  SELECT COALESCE(MAX(load), 0)::integer
+  FROM (
+    SELECT SUM(b.attendees) AS load
+    FROM (
+      SELECT p_from AS t
+      UNION
+      SELECT start_time FROM bookings
+      WHERE workspace_id = p_workspace_id
+      AND status IN ('pending', 'confirmed', 'hold')
+      AND start_time > p_from AND start_time < p_until
+    ) points
+    JOIN bookings b ON b.workspace_id = p_workspace_id
+      AND b.status IN ('pending', 'confirmed', 'hold')
+      AND b.start_time <= points.t AND b.end_time > points.t
+      AND b.id <> ALL(p_exclude_ids)
+    GROUP BY points.t
+  ) loads
+$$ LANGUAGE sql STABLE;
+
+-- Enforce the booking mode: exclusive bookings never overlap, shared ones stay within capacity
+CREATE OR REPLACE FUNCTION check_booking_capacity() RETURNS trigger AS $$
+DECLARE
+  workspace RECORD;
+BEGIN
+  IF NEW.status NOT IN ('pending', 'confirmed', 'hold') THEN
+    RETURN NEW;
+  END IF;
+
+  -- Locking the workspace checks concurrent bookings one after the other
+  SELECT w.base_capacity, wt.booking_mode INTO workspace
+  FROM workspaces w
+  JOIN workspace_types wt ON w.type_id = wt.id
+  WHERE w.id = NEW.workspace_id
+  FOR UPDATE OF w;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.exclusive := workspace.booking_mode = 'exclusive';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings b
+    WHERE b.workspace_id = NEW.workspace_id
+    AND b.id <> NEW.id
+    AND b.status IN ('pending', 'confirmed', 'hold')
+    AND b.start_time < NEW.end_time
+    AND b.end_time > NEW.start_time
+    AND (NEW.exclusive OR b.exclusive)
+  ) THEN
+    RAISE EXCEPTION 'Workspace % is already booked for this time range', NEW.workspace_id
+      USING ERRCODE = 'exclusion_violation', CONSTRAINT = 'no_double_booking';
+  END IF;
+
+  IF NOT NEW.exclusive AND booked_seats(
+    NEW.workspace_id, NEW.start_time, NEW.end_time, ARRAY[NEW.id]
+  ) + NEW.attendees > workspace.base_capacity THEN
+    RAISE EXCEPTION 'Workspace % has not enough seats left for this time range',
+      NEW.workspace_id
+      USING ERRCODE = 'exclusion_violation', CONSTRAINT = 'shared_capacity';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bookings_capacity_check ON bookings;
+CREATE TRIGGER bookings_capacity_check
+  BEFORE INSERT OR UPDATE OF workspace_id, start_time, end_time, attendees, status
+  ON bookings
+  FOR EACH ROW EXECUTE FUNCTION check_booking_capacity();
 
 /* =============================================
  * PERFORMANCE OPTIMIZATIONS
@@ -152,6 +504,27 @@ COMMENT ON INDEX bookings_time_range_idx IS 'Specialized index for time range qu
 CREATE INDEX IF NOT EXISTS bookings_status_idx ON bookings(status);
 COMMENT ON INDEX bookings_status_idx IS 'Improves performance for status-based booking filters';
 
+CREATE INDEX IF NOT EXISTS bookings_series_idx ON bookings(series_id, occurrence_start);
+COMMENT ON INDEX bookings_series_idx IS 'Lists the occurrences of a recurring series in order';
+
+CREATE INDEX IF NOT EXISTS bookings_hold_expiry_idx ON bookings(hold_expires_at) WHERE status = 'hold';
+COMMENT ON INDEX bookings_hold_expiry_idx IS 'Finds the holds to expire';
+
+CREATE INDEX IF NOT EXISTS bookings_late_cancellation_idx ON bookings(user_id, cancelled_at) WHERE cancelled_late;
+COMMENT ON INDEX bookings_late_cancellation_idx IS 'Counts the recent late cancellations of a user';
+
+-- Login attempt indexes
+CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON login_attempts(ip_address, attempted_at);
+COMMENT ON INDEX login_attempts_ip_idx IS 'Speeds up counting recent failures per IP address';
+
+-- Team indexes
+CREATE INDEX IF NOT EXISTS team_members_user_idx ON team_members(user_id);
+COMMENT ON INDEX team_members_user_idx IS 'Speeds up finding the teams of a user';
+
+-- Refresh token indexes
+CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens(family_id);
+COMMENT ON INDEX refresh_tokens_family_idx IS 'Speeds up revocation of a whole session family';
+
 /* =============================================
  * DEFAULT REFERENCE DATA
  * =============================================
@@ -159,13 +532,13 @@ COMMENT ON INDEX bookings_status_idx IS 'Improves performance for status-based b
  */
 
 -- Standard workspace types
-INSERT INTO workspace_types (name, description, default_capacity, requires_approval) VALUES
-  ('hot_desk', 'Flexible unassigned workstations', 1, false),
-  ('dedicated_desk', 'Permanently assigned workstations', 1, false),
-  ('meeting_room', 'Spaces for team meetings', 8, true),
-  ('conference_room', 'Larger spaces for presentations', 20, true),
-  ('focus_booth', 'Small enclosed spaces for individual work', 1, false),
-  ('lounge_area', 'Informal collaborative spaces', 6, false)
+INSERT INTO workspace_types (name, description, default_capacity, requires_approval, booking_mode) VALUES
+  ('hot_desk', 'Flexible unassigned workstations', 1, false, 'shared'),
+  ('dedicated_desk', 'Permanently assigned workstations', 1, false, 'exclusive'),
+  ('meeting_room', 'Spaces for team meetings', 8, true, 'exclusive'),
+  ('conference_room', 'Larger spaces for presentations', 20, true, 'exclusive'),
+  ('focus_booth', 'Small enclosed spaces for individual work', 1, false, 'exclusive'),
+  ('lounge_area', 'Informal collaborative spaces', 6, false, 'shared')
 ON CONFLICT (name) DO NOTHING;
 
 -- Common amenities
@@ -187,35 +560,149 @@ ON CONFLICT (name) DO NOTHING;
  * For tracking changes to critical data
  */
 
--- Workspace change history
-CREATE TABLE IF NOT EXISTS workspace_audit_log (
-  id SERIAL PRIMARY KEY,
-  workspace_id INTEGER NOT NULL,                 -- Reference to changed workspace
-  changed_by INTEGER REFERENCES users(id),      -- Who made the change
-  change_type VARCHAR(20) NOT NULL              -- Type of change
-    CHECK (change_type IN ('create', 'update', 'deactivate')),
-  old_values JSONB,                             -- Snapshot before change
-  new_values JSONB,                             -- Snapshot after change
-  changed_at TIMESTAMPTZ DEFAULT NOW()          -- When change occurred
+-- BOOKING_ATTENDEES: Named attendees of a booking besides its host
+CREATE TABLE IF NOT EXISTS booking_attendees (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- Attendee with an account
+  email VARCHAR(255),                            -- External guest
+  name VARCHAR(255),                             -- Name of the external guest
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- When the attendee was added
+  CONSTRAINT booking_attendees_person_check CHECK ((user_id IS NULL) <> (email IS NULL))
+);
+
+COMMENT ON TABLE booking_attendees IS 'When a booking lists its attendees, its attendee count is derived from the list';
+
+CREATE UNIQUE INDEX IF NOT EXISTS booking_attendees_user_idx ON booking_attendees(user_id, booking_id);
+CREATE UNIQUE INDEX IF NOT EXISTS booking_attendees_email_idx ON booking_attendees(booking_id, lower(email));
+
+-- BOOKING_STATUS_HISTORY: Every status a booking went through
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id BIGSERIAL PRIMARY KEY,                      -- Auto-incrementing unique identifier
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),                       -- Previous status (null when created)
+  to_status VARCHAR(50) NOT NULL,                -- New status
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Null for system changes
+  reason TEXT,                                   -- Reason given with the change
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()  -- When the status changed
+);
+
+COMMENT ON TABLE booking_status_history IS 'Filled by a trigger; the actor and reason come from transaction settings';
+
+CREATE INDEX IF NOT EXISTS booking_status_history_booking_idx ON booking_status_history(booking_id, changed_at);
+
+-- Record the status of new bookings and every change of status
+CREATE OR REPLACE FUNCTION record_booking_status_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NULL;
+  END IF;
+
+  -- The actor and reason are set with set_config(..., true) by the transaction changing the status
+  INSERT INTO booking_status_history
+    (booking_id, from_status, to_status, changed_by, reason)
+  VALUES (
+    NEW.id,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+    NEW.status,
+    COALESCE(
+      NULLIF(current_setting('spacemania.status_changed_by', true), '')::integer,
+      CASE WHEN TG_OP = 'INSERT' THEN COALESCE(NEW.organizer_id, NEW.user_id) END
+    ),
+    NULLIF(current_setting('spacemania.status_reason', true), '')
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bookings_status_history ON bookings;
+CREATE TRIGGER bookings_status_history
+  AFTER INSERT OR UPDATE OF status ON bookings
+  FOR EACH ROW EXECUTE FUNCTION record_booking_status_change();
+
+-- IDEMPOTENCY_KEYS: Responses replayed when a client retries a request with the same Idempotency-Key
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Keys are scoped to their user
+  idempotency_key VARCHAR(255) NOT NULL,         -- Key chosen by the client
+  request_hash VARCHAR(64) NOT NULL,             -- SHA-256 of method, path and body
+  status_code INTEGER,                           -- Stored response status (null while in progress)
+  response_body JSONB,                           -- Stored response body
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- First request with the key
+  expires_at TIMESTAMPTZ NOT NULL,              -- When the key may be reused and is purged
+  PRIMARY KEY (user_id, idempotency_key)
+);
+
+COMMENT ON TABLE idempotency_keys IS 'A key reused for a different request is rejected until it expires';
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx ON idempotency_keys(expires_at);
+
+-- WAITLIST_ENTRIES: Users waiting for an already booked workspace and time range
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id SERIAL PRIMARY KEY,                         -- Auto-incrementing unique identifier
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  start_time TIMESTAMPTZ NOT NULL,              -- Wanted start
+  end_time TIMESTAMPTZ NOT NULL,                -- Wanted end
+  attendees INTEGER NOT NULL DEFAULT 1 CHECK (attendees > 0),
+  special_requests TEXT,                         -- Copied to the booking made for the entry
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting'  -- waiting, booked, left or expired
+    CHECK (status IN ('waiting', 'booked', 'left', 'expired')),
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL, -- Booking made when the slot freed up
+  created_at TIMESTAMPTZ DEFAULT NOW(),         -- Joined the waitlist (sets the position)
+  updated_at TIMESTAMPTZ DEFAULT NOW(),         -- Last update timestamp
+  CONSTRAINT waitlist_entries_time_check CHECK (end_time > start_time)
 );
 
-COMMENT ON TABLE workspace_audit_log IS 'Tracks all modifications to workspace records';
-COMMENT ON COLUMN workspace_audit_log.old_values IS 'JSON snapshot of pre-change state';
+COMMENT ON TABLE waitlist_entries IS 'Earliest waiting entry is booked automatically when an overlapping booking frees its slot';
 
--- Booking change history
-CREATE TABLE IF NOT EXISTS booking_audit_log (
-  id SERIAL PRIMARY KEY,
-  booking_id INTEGER NOT NULL,                  -- Reference to changed booking
-  changed_by INTEGER REFERENCES users(id),      -- Who made the change
-  change_type VARCHAR(20) NOT NULL              -- Type of change
-    CHECK (change_type IN ('create', 'update', 'status_change')),
+CREATE INDEX IF NOT EXISTS waitlist_entries_workspace_idx ON waitlist_entries(workspace_id, created_at)
+  WHERE status = 'waiting';
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_entries_waiting_idx
+  ON waitlist_entries(user_id, workspace_id, start_time, end_time) WHERE status = 'waiting';
+
+-- AUDIT_LOG: Append-only trail of administrative and booking changes
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,                      -- Auto-incrementing unique identifier
+  actor_id INTEGER REFERENCES users(id) ON DELETE RESTRICT, -- Who made the change
+  api_key_id INTEGER REFERENCES api_keys(id) ON DELETE RESTRICT, -- Key used instead of a session
+  ip_address VARCHAR(45),                        -- Client IP address
+  action VARCHAR(100) NOT NULL,                  -- What happened (e.g., "booking.cancel")
+  entity_type VARCHAR(50) NOT NULL,              -- Kind of record changed (e.g., "user")
+  entity_id INTEGER,                             -- Reference to changed record
   old_values JSONB,                             -- Snapshot before change
   new_values JSONB,                             -- Snapshot after change
-  changed_at TIMESTAMPTZ DEFAULT NOW()          -- When change occurred
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW() -- When change occurred
 );
 
-COMMENT ON TABLE booking_audit_log IS 'Tracks all modifications to booking records';
-COMMENT ON COLUMN booking_audit_log.change_type IS 'Categorizes the type of change made';
+COMMENT ON TABLE audit_log IS 'Tracks changes to users, workspaces, bookings and other administrative records';
+COMMENT ON COLUMN audit_log.old_values IS 'JSON snapshot of pre-change state';
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log(entity_type, entity_id, changed_at);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log(actor_id, changed_at);
+
+-- Reject updates and deletes so the trail cannot be rewritten
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+-- Types seeded as exclusive before shared workspaces existed become shared, unless an admin
+-- has changed their mode since (an audited workspace_type.update)
+UPDATE workspace_types wt SET booking_mode = 'shared', updated_at = NOW()
+WHERE wt.name IN ('hot_desk', 'lounge_area')
+AND wt.booking_mode = 'exclusive'
+AND NOT EXISTS (
+  SELECT 1 FROM audit_log al
+  WHERE al.entity_type = 'workspace_type'
+  AND al.entity_id = wt.id
+  AND al.action = 'workspace_type.update'
+);
 
 /* =============================================
  * END OF SCHEMA DEFINITION
@@ -2,14 +2,72 @@ const db = require("../connection/connect.connection");
 const {
   createExtension,
   createUserTable,
+  addUsersEmailVerifiedColumn,
+  addUsersStatusColumns,
+  addUsersLockoutColumns,
+  createLoginAttemptsTable,
+  createLoginAttemptsIpIndex,
+  createAccountLockoutsTable,
+  createRefreshTokensTable,
+  createRefreshTokensFamilyIndex,
+  createPasswordResetTokensTable,
+  createEmailVerificationTokensTable,
+  createInvitationsTable,
+  createApiKeysTable,
   createWorkspaceTypeTable,
+  addWorkspaceTypesBookingModeColumn,
   createWorkspacesTable,
   createAmenitiesTable,
   createWorkspaceAmenitiesTable,
+  createBookingPoliciesTable,
+  addBookingPoliciesCancellationColumn,
+  createOpeningHoursTable,
+  createHolidaysTable,
+  createBlackoutsTable,
+  createBlackoutsTimeRangeIndex,
+  createTeamsTable,
+  createTeamMembersTable,
+  createTeamMembersUserIndex,
+  createTeamWorkspacesTable,
+  createBookingDelegatesTable,
+  createBookingDelegatesDelegateIndex,
+  createBookingQuotasTable,
+  createBookingSeriesTable,
   createBookingsTable,
+  restrictBookingsUserDelete,
+  addBookingsApprovalColumns,
+  addBookingsAttendanceColumns,
+  updateBookingsStatusCheck,
+  addBookingsSeriesColumns,
+  addBookingsBlackoutColumn,
+  createBookingsSeriesIndex,
+  addBookingsExclusiveColumn,
+  addBookingsOrganizerColumn,
+  addBookingsHoldColumn,
+  createBookingsHoldIndex,
+  addBookingsCancellationColumns,
+  addBookingsSubmittedColumn,
+  createBookingsLateCancellationIndex,
   createBookingsTimeRangeIndex,
   createNoDoubleBookingConstraint,
+  createBookedSeatsFunction,
+  createBookingCapacityTrigger,
+  createBookingStatusHistoryTable,
+  createBookingStatusHistoryIndex,
+  createBookingStatusHistoryTrigger,
+  createBookingAttendeesTable,
+  createBookingAttendeesUniqueIndexes,
+  createIdempotencyKeysTable,
+  createIdempotencyKeysExpiryIndex,
+  createWaitlistEntriesTable,
+  createWaitlistEntriesWorkspaceIndex,
+  createWaitlistEntriesUniqueIndex,
+  createAuditLogTable,
+  createAuditLogEntityIndex,
+  createAuditLogActorIndex,
+  createAuditLogAppendOnlyTrigger,
   insertDefaultWorkspaceTypes,
+  switchDefaultHotDeskToShared,
   insertDefaultAmenities,
 } = require("./queries");
 
@@ -26,14 +84,72 @@ async function setupDatabase() {
     await client.query("BEGIN");
     await client.query(createExtension);
     await client.query(createUserTable);
+    await client.query(addUsersEmailVerifiedColumn);
+    await client.query(addUsersStatusColumns);
+    await client.query(addUsersLockoutColumns);
+    await client.query(createLoginAttemptsTable);
+    await client.query(createLoginAttemptsIpIndex);
+    await client.query(createAccountLockoutsTable);
+    await client.query(createRefreshTokensTable);
+    await client.query(createRefreshTokensFamilyIndex);
+    await client.query(createPasswordResetTokensTable);
+    await client.query(createEmailVerificationTokensTable);
+    await client.query(createInvitationsTable);
+    await client.query(createApiKeysTable);
     await client.query(createWorkspaceTypeTable);
+    await client.query(addWorkspaceTypesBookingModeColumn);
     await client.query(createWorkspacesTable);
     await client.query(createAmenitiesTable);
     await client.query(createWorkspaceAmenitiesTable);
+    await client.query(createBookingPoliciesTable);
+    await client.query(addBookingPoliciesCancellationColumn);
+    await client.query(createOpeningHoursTable);
+    await client.query(createHolidaysTable);
+    await client.query(createBlackoutsTable);
+    await client.query(createBlackoutsTimeRangeIndex);
+    await client.query(createTeamsTable);
+    await client.query(createTeamMembersTable);
+    await client.query(createTeamMembersUserIndex);
+    await client.query(createTeamWorkspacesTable);
+    await client.query(createBookingDelegatesTable);
+    await client.query(createBookingDelegatesDelegateIndex);
+    await client.query(createBookingQuotasTable);
+    await client.query(createBookingSeriesTable);
     await client.query(createBookingsTable);
+    await client.query(restrictBookingsUserDelete);
+    await client.query(addBookingsApprovalColumns);
+    await client.query(addBookingsAttendanceColumns);
+    await client.query(updateBookingsStatusCheck);
+    await client.query(addBookingsSeriesColumns);
+    await client.query(addBookingsBlackoutColumn);
+    await client.query(createBookingsSeriesIndex);
+    await client.query(addBookingsExclusiveColumn);
+    await client.query(addBookingsOrganizerColumn);
+    await client.query(addBookingsHoldColumn);
+    await client.query(createBookingsHoldIndex);
+    await client.query(addBookingsCancellationColumns);
+    await client.query(createBookingsLateCancellationIndex);
+    await client.query(addBookingsSubmittedColumn);
     await client.query(createBookingsTimeRangeIndex);
     await client.query(createNoDoubleBookingConstraint);
+    await client.query(createBookedSeatsFunction);
+    await client.query(createBookingCapacityTrigger);
+    await client.query(createBookingStatusHistoryTable);
+    await client.query(createBookingStatusHistoryIndex);
+    await client.query(createBookingStatusHistoryTrigger);
+    await client.query(createBookingAttendeesTable);
+    await client.query(createBookingAttendeesUniqueIndexes);
+    await client.query(createIdempotencyKeysTable);
+    await client.query(createIdempotencyKeysExpiryIndex);
+    await client.query(createWaitlistEntriesTable);
+    await client.query(createWaitlistEntriesWorkspaceIndex);
+    await client.query(createWaitlistEntriesUniqueIndex);
+    await client.query(createAuditLogTable);
+    await client.query(createAuditLogEntityIndex);
+    await client.query(createAuditLogActorIndex);
+    await client.query(createAuditLogAppendOnlyTrigger);
     await client.query(insertDefaultWorkspaceTypes);
+    await client.query(switchDefaultHotDeskToShared);
     await client.query(insertDefaultAmenities);
     await client.query("COMMIT");
     console.log("Database initialized successfully");
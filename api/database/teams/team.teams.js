@@ -0,0 +1,337 @@
+/**
+ * @file Team database operations for SpaceMania workspace management system
+ * @module db/teams
+ * @description Handles all database operations related to teams and departments including:
+ * - Creating, updating and deleting teams with an optional team lead
+ * - Managing team membership
+ * - Restricting workspaces to the members of some teams
+ * - Checking team lead relationships for group-scoped permissions
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @async
+ * @function createTeam
+ * @description Creates a new team
+ * @param {Object} teamData - Team properties
+ * @param {string} teamData.name - Name of the team (required, unique)
+ * @param {string} [teamData.description] - Description of the team
+ * @param {number} [teamData.lead_id] - ID of the team lead
+ * @returns {Promise<Object>} The newly created team
+ * @throws {Error} Will throw an error if the name is taken or the database operation fails
+ */
+const createTeam = async ({ name, description = null, lead_id = null }) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO teams (name, description, lead_id)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+      [name, description, lead_id]
+    );
+    const team = result.rows[0];
+
+    // The lead is always a member of the team they lead
+    if (lead_id) {
+      await client.query(
+        `INSERT INTO team_members (team_id, user_id) VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+        [team.id, lead_id]
+      );
+    }
+
+    await client.query('COMMIT');
+    return team;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function getAllTeams
+ * @description Retrieves every team with its lead and member count
+ * @returns {Promise<Array<Object>>} Array of teams
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getAllTeams = async () => {
+  const result = await db.query(
+    `SELECT
+            t.*,
+            u.name AS lead_name,
+            (SELECT COUNT(*)::integer FROM team_members tm WHERE tm.team_id = t.id) AS member_count
+         FROM teams t
+         LEFT JOIN users u ON t.lead_id = u.id
+         ORDER BY t.name ASC`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getTeamById
+ * @description Retrieves a team with its members and restricted workspaces
+ * @param {number} id - ID of the team
+ * @returns {Promise<Object|null>} Team with `members` and `workspaces` arrays, or null if not found
+ * @throws {Error} Will throw an error if database query fails
+ * @example
+ *  Returns:
+ *  {
+ *    id: 1,
+ *    name: 'Engineering',
+ *    lead_id: 4,
+ *    lead_name: 'Ada Lovelace',
+ *    members: [{ id: 4, name: 'Ada Lovelace', email: 'ada@example.com' }],
+ *    workspaces: [{ id: 2, name: 'Standup Room' }]
+ *  }
+ */
+const getTeamById = async (id) => {
+  const result = await db.query(
+    `SELECT
+            t.*,
+            u.name AS lead_name,
+            COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', m.id,
+                    'name', m.name,
+                    'email', m.email
+                ) ORDER BY m.name)
+                FROM team_members tm
+                JOIN users m ON tm.user_id = m.id
+                WHERE tm.team_id = t.id
+            ), '[]'::jsonb) AS members,
+            COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', w.id,
+                    'name', w.name
+                ) ORDER BY w.name)
+                FROM team_workspaces tw
+                JOIN workspaces w ON tw.workspace_id = w.id
+                WHERE tw.team_id = t.id
+            ), '[]'::jsonb) AS workspaces
+         FROM teams t
+         LEFT JOIN users u ON t.lead_id = u.id
+         WHERE t.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function updateTeam
+ * @description Updates the name, description or lead of a team
+ * @param {number} id - ID of the team
+ * @param {Object} updates - Fields to update (`name`, `description`, `lead_id`)
+ * @returns {Promise<Object|null>} The updated team, or null if not found
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const updateTeam = async (id, updates) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE teams SET
+           name = COALESCE($2, name),
+           description = CASE WHEN $3 THEN $4 ELSE description END,
+           lead_id = CASE WHEN $5 THEN $6::integer ELSE lead_id END,
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+      [
+        id,
+        updates.name || null,
+        'description' in updates,
+        updates.description || null,
+        'lead_id' in updates,
+        updates.lead_id || null,
+      ]
+    );
+    const team = result.rows[0];
+
+    if (team && team.lead_id) {
+      await client.query(
+        `INSERT INTO team_members (team_id, user_id) VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+        [team.id, team.lead_id]
+      );
+    }
+
+    await client.query('COMMIT');
+    return team || null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function deleteTeam
+ * @description Deletes a team; memberships and workspace restrictions are removed with it
+ * @param {number} id - ID of the team
+ * @returns {Promise<Object|null>} The deleted team, or null if not found
+ * @throws {Error} Will throw an error if database query fails
+ */
+const deleteTeam = async (id) => {
+  const result = await db.query('DELETE FROM teams WHERE id = $1 RETURNING *', [
+    id,
+  ]);
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function addTeamMember
+ * @description Adds a user to a team (no-op if already a member)
+ * @param {number} teamId - ID of the team
+ * @param {number} userId - ID of the user
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if the team or user does not exist
+ */
+const addTeamMember = async (teamId, userId) => {
+  await db.query(
+    `INSERT INTO team_members (team_id, user_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+    [teamId, userId]
+  );
+};
+
+/**
+ * @async
+ * @function removeTeamMember
+ * @description Removes a user from a team
+ * @param {number} teamId - ID of the team
+ * @param {number} userId - ID of the user
+ * @returns {Promise<boolean>} True if the user was a member
+ * @throws {Error} Will throw an error if database query fails
+ */
+const removeTeamMember = async (teamId, userId) => {
+  const result = await db.query(
+    'DELETE FROM team_members WHERE team_id = $1 AND user_id = $2',
+    [teamId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * @async
+ * @function setTeamWorkspaces
+ * @description Replaces the workspaces restricted to a team.
+ * A workspace restricted to one or more teams can only be booked by their members.
+ * @param {number} teamId - ID of the team
+ * @param {Array<number>} workspaceIds - IDs of the workspaces reserved for the team
+ * @returns {Promise<void>}
+ * @throws {Error} Will throw an error if a workspace does not exist
+ */
+const setTeamWorkspaces = async (teamId, workspaceIds) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM team_workspaces WHERE team_id = $1', [
+      teamId,
+    ]);
+    if (workspaceIds.length > 0) {
+      await client.query(
+        `INSERT INTO team_workspaces (team_id, workspace_id)
+             SELECT $1, unnest($2::int[])`,
+        [teamId, workspaceIds]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function canUserBookWorkspace
+ * @description Checks team restrictions of a workspace for a user.
+ * Workspaces not restricted to any team can be booked by everyone.
+ * @param {number} userId - ID of the user
+ * @param {number} workspaceId - ID of the workspace
+ * @returns {Promise<boolean>} True if the user may book the workspace
+ * @throws {Error} Will throw an error if database query fails
+ */
+const canUserBookWorkspace = async (userId, workspaceId) => {
+  const result = await db.query(
+    `SELECT
+            NOT EXISTS (
+                SELECT 1 FROM team_workspaces WHERE workspace_id = $2
+            )
+            OR EXISTS (
+                SELECT 1
+                FROM team_workspaces tw
+                JOIN team_members tm ON tw.team_id = tm.team_id
+                WHERE tw.workspace_id = $2 AND tm.user_id = $1
+            ) AS allowed`,
+    [userId, workspaceId]
+  );
+  return result.rows[0].allowed;
+};
+
+/**
+ * @async
+ * @function isTeamLead
+ * @description Checks whether a user leads a team
+ * @param {number} userId - ID of the user
+ * @param {number} teamId - ID of the team
+ * @returns {Promise<boolean>} True if the user is the lead of the team
+ * @throws {Error} Will throw an error if database query fails
+ */
+const isTeamLead = async (userId, teamId) => {
+  const result = await db.query(
+    'SELECT 1 FROM teams WHERE id = $1 AND lead_id = $2',
+    [teamId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * @async
+ * @function leadsTeamOfUser
+ * @description Checks whether a user leads a team another user belongs to
+ * @param {number} leadId - ID of the potential team lead
+ * @param {number} memberId - ID of the potential team member
+ * @returns {Promise<boolean>} True if `leadId` leads one of the teams of `memberId`
+ * @throws {Error} Will throw an error if database query fails
+ */
+const leadsTeamOfUser = async (leadId, memberId) => {
+  const result = await db.query(
+    `SELECT 1
+         FROM teams t
+         JOIN team_members tm ON tm.team_id = t.id
+         WHERE t.lead_id = $1 AND tm.user_id = $2
+         LIMIT 1`,
+    [leadId, memberId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  createTeam,
+  getAllTeams,
+  getTeamById,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  setTeamWorkspaces,
+  canUserBookWorkspace,
+  isTeamLead,
+  leadsTeamOfUser,
+};
@@ -0,0 +1,123 @@
+/**
+ * @file API key database operations for SpaceMania workspace management system
+ * @module db/tokens/apikey
+ * @description Handles API keys used by service accounts and kiosk devices instead of a user JWT:
+ * - Issuing scoped API keys (only a SHA-256 hash is stored)
+ * - Resolving a presented key and recording when it was last used
+ * - Listing and revoking keys
+ * @requires ../connection/connect
+ * @requires ./hash
+ */
+
+const db = require('../connection/connect.connection');
+const { generateToken, hashToken } = require('./hash.tokens');
+
+/**
+ * @constant {string} API_KEY_PREFIX
+ * @description Prefix of every API key, telling them apart from JWTs in the `Authorization` header
+ */
+const API_KEY_PREFIX = 'sm_';
+
+// Columns returned to admins; the key hash is never returned.
+const API_KEY_COLUMNS = `id, name, key_prefix, scopes, created_by, last_used_at,
+  expires_at, revoked_at, created_at`;
+
+/**
+ * @function isApiKey
+ * @description Checks whether a credential presented by a client looks like an API key
+ * @param {string} credential - Credential from the `Authorization` or `X-API-Key` header
+ * @returns {boolean} True if the credential has the API key prefix
+ */
+const isApiKey = (credential) =>
+  typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+
+/**
+ * @async
+ * @function createApiKey
+ * @description Issues a new API key
+ * @param {Object} keyData - API key properties
+ * @param {string} keyData.name - Label of the key (e.g. `Lobby kiosk 2`)
+ * @param {Array<string>} keyData.scopes - Permissions granted to the key
+ * @param {number} keyData.createdBy - ID of the admin issuing the key
+ * @param {Date} [keyData.expiresAt] - Time after which the key is rejected (never if omitted)
+ * @returns {Promise<{apiKey: Object, key: string}>} Stored key and plain key, to be shown only once
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const createApiKey = async ({ name, scopes, createdBy, expiresAt = null }) => {
+  const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+  const result = await db.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${API_KEY_COLUMNS}`,
+    [
+      name,
+      key.slice(0, API_KEY_PREFIX.length + 8),
+      hashToken(key),
+      scopes,
+      createdBy,
+      expiresAt,
+    ]
+  );
+  return { apiKey: result.rows[0], key };
+};
+
+/**
+ * @async
+ * @function useApiKey
+ * @description Resolves an API key and records its use
+ * @param {string} key - Plain API key presented by the client
+ * @returns {Promise<Object|null>} The key (`id`, `name`, `scopes`), or null if it is unknown,
+ * revoked or expired
+ * @throws {Error} Will throw an error if database query fails
+ */
+const useApiKey = async (key) => {
+  const result = await db.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+         WHERE key_hash = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())
+         RETURNING id, name, scopes`,
+    [hashToken(key)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function getApiKeys
+ * @description Lists every API key, newest first
+ * @returns {Promise<Array<Object>>} API keys without their hash
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getApiKeys = async () => {
+  const result = await db.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function revokeApiKey
+ * @description Revokes an API key; requests using it are rejected immediately
+ * @param {number} id - ID of the API key
+ * @returns {Promise<Object|null>} The revoked key, or null if not found or already revoked
+ * @throws {Error} Will throw an error if database query fails
+ */
+const revokeApiKey = async (id) => {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING ${API_KEY_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  useApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,29 @@
+/**
+ * @file Shared helpers for opaque tokens stored by SpaceMania
+ * @module db/tokens/hash
+ * @description Tokens handed to clients (refresh, reset, verification, invitation links)
+ * are random strings; only their SHA-256 hash is stored in the database.
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @function generateToken
+ * @description Generates a random token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * @function hashToken
+ * @description Hashes a plain token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { generateToken, hashToken };
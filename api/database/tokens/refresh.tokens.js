@@ -0,0 +1,167 @@
+/**
+ * @file Refresh token database operations for SpaceMania workspace management system
+ * @module db/tokens/refresh
+ * @description Handles persistence of refresh tokens used to renew short-lived access tokens:
+ * - Issuing refresh tokens (only a SHA-256 hash is stored)
+ * - Rotating a refresh token into a new one of the same family
+ * - Detecting reuse of an already rotated token
+ * - Revoking a session or every session of a user
+ * @requires ../connection/connect
+ * @requires ./hash
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+const db = require('../connection/connect.connection');
+const { generateToken, hashToken } = require('./hash.tokens');
+
+/**
+ * @constant {number} REFRESH_TOKEN_TTL_DAYS
+ * @description Number of days a refresh token stays valid (env: `REFRESH_TOKEN_TTL_DAYS`)
+ */
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || '30',
+  10
+);
+
+/**
+ * @async
+ * @function insertRefreshToken
+ * @description Inserts a new refresh token for a user
+ * @param {Object} queryable - `db` or a pool client taking part in a transaction
+ * @param {number} userId - ID of the user owning the token
+ * @param {string} familyId - Family (login session) the token belongs to
+ * @returns {Promise<{id: number, token: string}>} ID of the stored row and plain token
+ */
+const insertRefreshToken = async (queryable, userId, familyId) => {
+  const token = generateToken(48);
+  const result = await queryable.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+         RETURNING id`,
+    [userId, hashToken(token), familyId, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { id: result.rows[0].id, token };
+};
+
+/**
+ * @async
+ * @function createRefreshToken
+ * @description Issues a refresh token starting a new session family for a user
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string>} Plain refresh token, to be handed to the client only once
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const createRefreshToken = async (userId) => {
+  const { token } = await insertRefreshToken(db, userId, crypto.randomUUID());
+  return token;
+};
+
+/**
+ * @async
+ * @function rotateRefreshToken
+ * @description Exchanges a valid refresh token for a new one of the same family.
+ * Presenting a token that was already rotated or revoked is treated as token theft:
+ * the whole family is revoked and the caller gets `reused: true`.
+ * @param {string} token - Plain refresh token presented by the client
+ * @returns {Promise<Object>} One of:
+ * - `{ userId, token }` with the new plain refresh token on success
+ * - `{ reused: true }` when a revoked token was replayed
+ * - `null` when the token is unknown or expired
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const rotateRefreshToken = async (token) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const current = result.rows[0];
+
+    if (!current) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (current.revoked_at) {
+      await client.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+             WHERE family_id = $1 AND revoked_at IS NULL`,
+        [current.family_id]
+      );
+      await client.query('COMMIT');
+      return { reused: true };
+    }
+
+    if (current.expires_at <= new Date()) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const next = await insertRefreshToken(
+      client,
+      current.user_id,
+      current.family_id
+    );
+    await client.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2
+           WHERE id = $1`,
+      [current.id, next.id]
+    );
+
+    await client.query('COMMIT');
+    return { userId: current.user_id, token: next.token };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function revokeRefreshToken
+ * @description Revokes the session (token family) a refresh token belongs to
+ * @param {string} token - Plain refresh token
+ * @returns {Promise<boolean>} True if a matching token was found
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const revokeRefreshToken = async (token) => {
+  const result = await db.query(
+    `UPDATE refresh_tokens SET revoked_at = COALESCE(revoked_at, NOW())
+         WHERE family_id = (
+           SELECT family_id FROM refresh_tokens WHERE token_hash = $1
+         )
+         RETURNING id`,
+    [hashToken(token)]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * @async
+ * @function revokeAllUserRefreshTokens
+ * @description Revokes every active refresh token of a user, ending all their sessions
+ * @param {number} userId - ID of the user
+ * @returns {Promise<number>} Number of revoked tokens
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const revokeAllUserRefreshTokens = async (userId) => {
+  const result = await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserRefreshTokens,
+};
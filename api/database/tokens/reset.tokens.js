@@ -0,0 +1,80 @@
+/**
+ * @file Password reset token database operations for SpaceMania workspace management system
+ * @module db/tokens/reset
+ * @description Handles single-use, time-limited password reset tokens:
+ * - Issuing a reset token (only a SHA-256 hash is stored)
+ * - Consuming a reset token exactly once before it expires
+ * @requires ../connection/connect
+ * @requires ./hash
+ */
+
+const db = require('../connection/connect.connection');
+const { generateToken, hashToken } = require('./hash.tokens');
+
+/**
+ * @constant {number} PASSWORD_RESET_TTL_MINUTES
+ * @description Number of minutes a reset token stays valid (env: `PASSWORD_RESET_TTL_MINUTES`)
+ */
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES || '30',
+  10
+);
+
+/**
+ * @async
+ * @function createPasswordResetToken
+ * @description Issues a reset token for a user. Any reset token previously issued to the
+ * user and not used yet is invalidated, so only the latest email link works.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string>} Plain reset token, to be sent by email only
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const createPasswordResetToken = async (userId) => {
+  const token = generateToken();
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+           WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+    await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+      [userId, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+    );
+    await client.query('COMMIT');
+    return token;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function consumePasswordResetToken
+ * @description Marks a reset token as used if it is still valid
+ * @param {string} token - Plain reset token
+ * @returns {Promise<number|null>} ID of the user the token was issued to, or null if the
+ * token is unknown, expired or already used
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const consumePasswordResetToken = async (token) => {
+  const result = await db.query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+    [hashToken(token)]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+};
@@ -0,0 +1,80 @@
+/**
+ * @file Email verification token database operations for SpaceMania workspace management system
+ * @module db/tokens/verification
+ * @description Handles single-use, time-limited email verification tokens:
+ * - Issuing a verification token (only a SHA-256 hash is stored)
+ * - Consuming a verification token exactly once before it expires
+ * @requires ../connection/connect
+ * @requires ./hash
+ */
+
+const db = require('../connection/connect.connection');
+const { generateToken, hashToken } = require('./hash.tokens');
+
+/**
+ * @constant {number} EMAIL_VERIFICATION_TTL_HOURS
+ * @description Number of hours a verification link stays valid (env: `EMAIL_VERIFICATION_TTL_HOURS`)
+ */
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(
+  process.env.EMAIL_VERIFICATION_TTL_HOURS || '48',
+  10
+);
+
+/**
+ * @async
+ * @function createEmailVerificationToken
+ * @description Issues a verification token for a user. Tokens previously issued to the
+ * user and not used yet are invalidated, so only the latest email link works.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string>} Plain verification token, to be sent by email only
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const createEmailVerificationToken = async (userId) => {
+  const token = generateToken();
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE email_verification_tokens SET used_at = NOW()
+           WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+    await client.query(
+      `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+      [userId, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+    );
+    await client.query('COMMIT');
+    return token;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function consumeEmailVerificationToken
+ * @description Marks a verification token as used if it is still valid
+ * @param {string} token - Plain verification token
+ * @returns {Promise<number|null>} ID of the user the token was issued to, or null if the
+ * token is unknown, expired or already used
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const consumeEmailVerificationToken = async (token) => {
+  const result = await db.query(
+    `UPDATE email_verification_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+    [hashToken(token)]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  createEmailVerificationToken,
+  consumeEmailVerificationToken,
+};
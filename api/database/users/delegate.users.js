@@ -0,0 +1,119 @@
+/**
+ * @file Booking delegate database operations for SpaceMania workspace management system
+ * @module db/users/delegate
+ * @description Handles the users allowed to book on behalf of another user (their host),
+ * such as the assistants of an executive:
+ * - Listing the delegates of a host and the hosts of a delegate
+ * - Adding and removing delegates
+ * - Checking whether a user may book for a host
+ * @requires ../connection/connect
+ */
+
+const db = require('../connection/connect.connection');
+
+/**
+ * @async
+ * @function getDelegates
+ * @description Lists the users allowed to book on behalf of a host
+ * @param {number} userId - ID of the host
+ * @returns {Promise<Array<Object>>} Delegates (`id`, `name`, `email`, `added_at`) by name
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getDelegates = async (userId) => {
+  const result = await db.query(
+    `SELECT u.id, u.name, u.email, bd.created_at AS added_at
+         FROM booking_delegates bd
+         JOIN users u ON u.id = bd.delegate_id
+         WHERE bd.user_id = $1
+         ORDER BY u.name`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getHosts
+ * @description Lists the users a delegate may book on behalf of
+ * @param {number} delegateId - ID of the delegate
+ * @returns {Promise<Array<Object>>} Active hosts (`id`, `name`, `email`) by name
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getHosts = async (delegateId) => {
+  const result = await db.query(
+    `SELECT u.id, u.name, u.email
+         FROM booking_delegates bd
+         JOIN users u ON u.id = bd.user_id
+         WHERE bd.delegate_id = $1 AND u.status = 'active'
+         ORDER BY u.name`,
+    [delegateId]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function addDelegate
+ * @description Allows a user to book on behalf of a host
+ * @param {number} userId - ID of the host
+ * @param {number} delegateId - ID of the delegate
+ * @returns {Promise<Object|null>} The delegation, or null if it already existed
+ * @throws {Error} Will throw an error if a user does not exist (code `23503`) or the host is
+ * their own delegate (code `23514`)
+ */
+const addDelegate = async (userId, delegateId) => {
+  const result = await db.query(
+    `INSERT INTO booking_delegates (user_id, delegate_id)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+    [userId, delegateId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function removeDelegate
+ * @description Stops a user from booking on behalf of a host. Bookings they already made for
+ * the host are kept.
+ * @param {number} userId - ID of the host
+ * @param {number} delegateId - ID of the delegate
+ * @returns {Promise<Object|null>} The removed delegation, or null if not found
+ * @throws {Error} Will throw an error if database query fails
+ */
+const removeDelegate = async (userId, delegateId) => {
+  const result = await db.query(
+    `DELETE FROM booking_delegates
+         WHERE user_id = $1 AND delegate_id = $2
+         RETURNING *`,
+    [userId, delegateId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function isDelegate
+ * @description Checks whether a user may book on behalf of a host
+ * @param {number} userId - ID of the host
+ * @param {number} delegateId - ID of the user booking
+ * @returns {Promise<boolean>} True if the user is a delegate of the host
+ * @throws {Error} Will throw an error if database query fails
+ */
+const isDelegate = async (userId, delegateId) => {
+  const result = await db.query(
+    `SELECT 1 FROM booking_delegates
+         WHERE user_id = $1 AND delegate_id = $2`,
+    [userId, delegateId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  getDelegates,
+  getHosts,
+  addDelegate,
+  removeDelegate,
+  isDelegate,
+};
@@ -3,17 +3,60 @@
  * @module db/users
  * @description Handles all database operations related to user authentication including:
  * - User creation with password hashing
- * - User lookup by email
- * - Password verification
+ * - User lookup by email (the password hash never leaves this module)
+ * - Password verification and update
+ * - Email verification
+ * - Account deactivation and anonymization (users are never hard deleted)
  * - JWT token generation
  * @requires ../connection/connect
+ * @requires crypto
  * @requires bcryptjs
  * @requires jsonwebtoken
+ * @requires ../../errors
+ * @requires ../bookings/history
  */
 
 const db = require('../connection/connect.connection');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ValidationError } = require('../../errors/index.errors');
+const { setStatusChangeContext } = require('../bookings/history.bookings');
+
+/**
+ * @constant {string} USER_COLUMNS
+ * @description Columns of the `users` table that may leave the database layer.
+ * The password hash is deliberately left out; it is only read by `comparePassword`.
+ */
+const USER_COLUMNS =
+  'id, name, email, role, email_verified_at, status, deactivated_at, ' +
+  'failed_login_attempts, last_failed_login_at, locked_until, created_at, updated_at';
+
+/**
+ * @constant {Array<string>} SELF_UPDATABLE_FIELDS
+ * @description Fields users may change on their own account.
+ * Passwords are changed through the change-password flow, which checks the current one.
+ */
+const SELF_UPDATABLE_FIELDS = ['name'];
+
+/**
+ * @constant {Array<string>} ADMIN_UPDATABLE_FIELDS
+ * @description Fields admins may change on any account
+ */
+const ADMIN_UPDATABLE_FIELDS = ['name', 'email', 'role', 'password'];
+
+/**
+ * @constant {Array<string>} ROLES
+ * @description Allowed values of `users.role`
+ */
+const ROLES = ['user', 'manager', 'admin'];
+
+/**
+ * @constant {Array<string>} INACTIVE_STATUSES
+ * @description Account states an admin can move a user to; users in these states cannot log in
+ * and their future bookings are cancelled. `anonymized` is set by `anonymizeUser` only.
+ */
+const INACTIVE_STATUSES = ['deactivated', 'suspended'];
 
 /**
  * @async
@@ -23,17 +66,27 @@ const jwt = require('jsonwebtoken');
  * @param {string} email - User's email address (must be unique)
  * @param {string} password - Plain text password (will be hashed)
  * @param {string} [role='user'] - User role (default: 'user')
+ * @param {boolean} [emailVerified=false] - Whether the email address is already confirmed
+ * (e.g. the user registered from an emailed invitation)
  * @returns {Promise<Object>} The newly created user object (excluding password)
  * @throws {Error} Will throw an error if:
  * - Email already exists in database
  * - Password hashing fails
  * - Database operation fails
  */
-const createUser = async (name, email, password, role = 'user') => {
+const createUser = async (
+  name,
+  email,
+  password,
+  role = 'user',
+  emailVerified = false
+) => {
   const hashedPassword = await bcrypt.hash(password, 8);
   const result = await db.query(
-    'INSERT INTO users (name, email, password, role) VALUES ($1, $2, $3, $4) RETURNING *',
-    [name, email, hashedPassword, role]
+    `INSERT INTO users (name, email, password, role, email_verified_at)
+         VALUES ($1, $2, $3, $4, CASE WHEN $5 THEN NOW() END)
+         RETURNING ${USER_COLUMNS}`,
+    [name, email, hashedPassword, role, emailVerified]
   );
   return result.rows[0];
 };
@@ -47,35 +100,84 @@ const createUser = async (name, email, password, role = 'user') => {
  * @throws {Error} Will throw an error if database query fails
  */
 const findUserByEmail = async (email) => {
-  const result = await db.query('SELECT * FROM users WHERE email = $1', [
-    email,
-  ]);
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE email = $1`,
+    [email]
+  );
   return result.rows[0];
 };
 
 /**
  * @async
  * @function comparePassword
- * @description Compares a plain text password with a hashed password
- * @param {Object} user - User object containing hashed password
- * @param {string} user.password - Hashed password stored in database
+ * @description Compares a plain text password with the hashed password stored for a user
+ * @param {Object} user - User object
+ * @param {number} user.id - ID of the user whose stored hash is compared
  * @param {string} password - Plain text password to compare
  * @returns {Promise<boolean>} True if passwords match, false otherwise
- * @throws {Error} Will throw an error if bcrypt comparison fails
+ * @throws {Error} Will throw an error if the database query or bcrypt comparison fails
  */
 const comparePassword = async (user, password) => {
-  return await bcrypt.compare(password, user.password);
+  const result = await db.query('SELECT password FROM users WHERE id = $1', [
+    user.id,
+  ]);
+  if (!result.rows.length) {
+    return false;
+  }
+  return await bcrypt.compare(password, result.rows[0].password);
+};
+
+/**
+ * @async
+ * @function updatePassword
+ * @description Hashes and stores a new password for a user
+ * @param {number} id - ID of the user
+ * @param {string} password - New plain text password (will be hashed)
+ * @returns {Promise<Object|null>} The updated user object, or null if the user does not exist
+ * @throws {Error} Will throw an error if hashing or database operation fails
+ */
+const updatePassword = async (id, password) => {
+  const hashedPassword = await bcrypt.hash(password, 8);
+  const result = await db.query(
+    `UPDATE users SET password = $2, updated_at = NOW()
+         WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+    [id, hashedPassword]
+  );
+  return result.rows[0];
+};
+
+/**
+ * @async
+ * @function markEmailVerified
+ * @description Records that a user confirmed their email address
+ * @param {number} id - ID of the user
+ * @returns {Promise<Object|null>} The updated user object, or null if the user does not exist
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const markEmailVerified = async (id) => {
+  const result = await db.query(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0];
 };
 
 /**
  * @function generateAuthToken
- * @description Generates a JWT token for user authentication
- * @param {number} userId - ID of the user to generate token for
- * @returns {string} Signed JWT token containing user ID payload
+ * @description Generates a short-lived JWT access token for user authentication.
+ * The lifetime is read from `JWT_EXPIRES_IN` (default: 15 minutes); clients renew it
+ * with a refresh token.
+ * @param {Object} user - User to generate token for
+ * @param {number} user.id - ID of the user
+ * @param {string} user.role - Role of the user, used by the permission middleware
+ * @returns {string} Signed JWT token containing user ID and role payload
  * @throws {Error} Will throw an error if JWT signing fails
  */
-const generateAuthToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET);
+const generateAuthToken = (user) => {
+  return jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  });
 };
 
 /**
@@ -86,7 +188,9 @@ const generateAuthToken = (userId) => {
  * @throws {Error} Will throw an error if the database query fails.
  */
 const getAllUsers = async () => {
-  const result = await db.query('SELECT * FROM users');
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users ORDER BY id ASC`
+  );
   return result.rows; // Return all rows
 };
 
@@ -99,31 +203,91 @@ const getAllUsers = async () => {
  * @throws {Error} Will throw an error if the database query fails.
  */
 const findUserById = async (id) => {
-  const result = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+    [id]
+  );
   return result.rows[0]; // Return the first row (user) if found
 };
 
+/**
+ * @async
+ * @function getActiveUsersByRole
+ * @description Fetches the active users having one of the given roles.
+ * @param {Array<string>} roles - Roles to match (e.g. `['manager', 'admin']`).
+ * @returns {Promise<Array<Object>>} An array of user objects.
+ * @throws {Error} Will throw an error if the database query fails.
+ */
+const getActiveUsersByRole = async (roles) => {
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users
+         WHERE role = ANY($1::text[]) AND status = 'active'`,
+    [roles]
+  );
+  return result.rows;
+};
+
 /**
  * @async
  * @function updateUser
  * @description Updates a user's details in the database.
+ * Only fields listed in `allowedFields` can be updated; a password is hashed before
+ * being stored and `updated_at` is always refreshed.
  * @param {number} id - The ID of the user to update.
  * @param {Object} updates - An object containing the fields to update and their new values.
+ * @param {Array<string>} [allowedFields=SELF_UPDATABLE_FIELDS] - Fields the caller may update
+ * (`SELF_UPDATABLE_FIELDS` or `ADMIN_UPDATABLE_FIELDS`).
  * @returns {Promise<Object|null>} The updated user object if successful, or `null` if no user exists with the given ID.
+ * @throws {ValidationError} If no field is given, a field is unknown or not allowed, or a value is invalid.
  * @throws {Error} Will throw an error if the database query fails.
  * @example
  * // Example usage:
  * const updates = { name: 'New Name', email: 'newemail@example.com' };
- * const updatedUser = await updateUser(1, updates);
+ * const updatedUser = await updateUser(1, updates, ADMIN_UPDATABLE_FIELDS);
  */
-const updateUser = async (id, updates) => {
-  // Assuming `updates` is an object with keys matching column names
-  const columns = Object.keys(updates)
-    .map((key, index) => `${key} = $${index + 2}`)
+const updateUser = async (
+  id,
+  updates = {},
+  allowedFields = SELF_UPDATABLE_FIELDS
+) => {
+  const fields = Object.keys(updates);
+  if (fields.length === 0) {
+    throw new ValidationError('No fields to update');
+  }
+
+  const rejected = fields.filter((field) => !allowedFields.includes(field));
+  if (rejected.length > 0) {
+    throw new ValidationError(
+      `The following fields can not be updated: ${rejected.join(', ')}`
+    );
+  }
+
+  for (const field of fields) {
+    if (typeof updates[field] !== 'string' || !updates[field].trim()) {
+      throw new ValidationError(`${field} must be a non-empty string`);
+    }
+  }
+
+  if (updates.role && !ROLES.includes(updates.role)) {
+    throw new ValidationError(`role must be one of ${ROLES.join(', ')}`);
+  }
+
+  const values = [];
+  for (const field of fields) {
+    values.push(
+      field === 'password'
+        ? await bcrypt.hash(updates[field], 8)
+        : updates[field]
+    );
+  }
+
+  // Column names come from the whitelist above, never from the request
+  const columns = fields
+    .map((field, index) => `${field} = $${index + 2}`)
     .join(', ');
-  const values = Object.values(updates);
   const result = await db.query(
-    `UPDATE users SET ${columns} WHERE id = $1 RETURNING *`,
+    `UPDATE users SET ${columns}, updated_at = NOW()
+         WHERE id = $1 RETURNING ${USER_COLUMNS}`,
     [id, ...values]
   );
   return result.rows[0]; // Return the updated user
@@ -131,30 +295,225 @@ const updateUser = async (id, updates) => {
 
 /**
  * @async
- * @function deleteUser
- * @description Deletes a user from the database by their ID.
- * @param {number} id - The ID of the user to delete.
- * @returns {Promise<Object|null>} The deleted user object if successful, or `null` if no user exists with the given ID.
+ * @function cancelFutureBookings
+ * @description Cancels the bookings of a user that have not started yet
+ * @param {Object} client - Pool client taking part in the caller's transaction
+ * @param {number} userId - ID of the user
+ * @param {Object} cancellation - Cancellation details, recorded in the status history
+ * @param {number|null} cancellation.cancelledBy - ID of the admin changing the account
+ * @param {string} cancellation.reason - Reason of the cancellations
+ * @returns {Promise<Array<Object>>} Cancelled bookings with their workspace name
+ */
+const cancelFutureBookings = async (
+  client,
+  userId,
+  { cancelledBy, reason }
+) => {
+  await setStatusChangeContext(client, { changedBy: cancelledBy, reason });
+  const result = await client.query(
+    `UPDATE bookings b SET
+           status = 'cancelled',
+           cancelled_at = NOW(),
+           cancellation_reason = $2,
+           updated_at = NOW()
+         FROM workspaces w
+         WHERE b.workspace_id = w.id
+         AND b.user_id = $1
+         AND b.start_time > NOW()
+         AND b.status IN ('confirmed', 'pending', 'hold')
+         RETURNING b.*, w.name AS workspace_name`,
+    [userId, reason]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function setUserStatus
+ * @description Changes the account status of a user.
+ * Moving a user to `deactivated` or `suspended` also cancels their future bookings,
+ * while their past bookings are kept for reporting.
+ * @param {number} id - The ID of the user.
+ * @param {string} status - New status (`active`, `deactivated` or `suspended`).
+ * @param {number|null} [changedBy=null] - The ID of the admin making the change.
+ * @returns {Promise<{user: Object, cancelledBookings: Array<Object>}|null>} The updated user and the
+ * bookings that were cancelled, or `null` if no user exists with the given ID.
+ * @throws {ValidationError} If the status is invalid or the user is anonymized.
  * @throws {Error} Will throw an error if the database query fails.
  * @example
  * // Example usage:
- * const deletedUser = await deleteUser(1);
+ * const { user, cancelledBookings } = await setUserStatus(1, 'deactivated');
  */
-const deleteUser = async (id) => {
-  const result = await db.query('DELETE FROM users WHERE id = $1 RETURNING *', [
-    id,
-  ]); // Return deleted user
+const setUserStatus = async (id, status, changedBy = null) => {
+  if (status !== 'active' && !INACTIVE_STATUSES.includes(status)) {
+    throw new ValidationError(
+      `status must be one of active, ${INACTIVE_STATUSES.join(', ')}`
+    );
+  }
 
-  return result.rows[0];
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT status FROM users WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    if (!current.rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (current.rows[0].status === 'anonymized') {
+      throw new ValidationError('An anonymized account can not be changed');
+    }
+
+    const result = await client.query(
+      `UPDATE users SET
+           status = $2,
+           deactivated_at = CASE WHEN $2 = 'active' THEN NULL ELSE COALESCE(deactivated_at, NOW()) END,
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+      [id, status]
+    );
+
+    const cancelledBookings =
+      status === 'active'
+        ? []
+        : await cancelFutureBookings(client, id, {
+            cancelledBy: changedBy,
+            reason: `Account ${status}`,
+          });
+
+    await client.query('COMMIT');
+    return { user: result.rows[0], cancelledBookings };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function anonymizeUser
+ * @description Erases the personal data of a user (GDPR-style erasure) while keeping
+ * their past bookings, stripped of free-text requests, for reporting.
+ * The account can no longer be used: its name and email are replaced, its password is
+ * replaced with an unusable hash, pending tokens are deleted and future bookings cancelled.
+ * The user is removed from the attendee lists of bookings, whether listed as a user or by
+ * email as a guest, and the attendee lists of their own bookings are cleared. Free-text
+ * requests of their bookings, series and waitlist entries are cleared, the login attempts made
+ * with their email deleted, and invitations sent to it readdressed to the anonymized email.
+ * @param {number} id - The ID of the user.
+ * @param {number|null} [changedBy=null] - The ID of the admin erasing the account.
+ * @returns {Promise<{user: Object, cancelledBookings: Array<Object>}|null>} The anonymized user and the
+ * bookings that were cancelled, or `null` if no user exists with the given ID.
+ * @throws {Error} Will throw an error if the database query fails.
+ */
+const anonymizeUser = async (id, changedBy = null) => {
+  const unusablePassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString('hex'),
+    8
+  );
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Rows holding the email are matched while the user still has it
+    await client.query(
+      `DELETE FROM login_attempts la
+           USING users u
+           WHERE u.id = $1 AND lower(la.email) = lower(u.email)`,
+      [id]
+    );
+    await client.query(
+      `UPDATE invitations i SET email = 'anonymized-' || u.id || '@invalid.invalid'
+           FROM users u
+           WHERE u.id = $1
+           AND (i.accepted_by = u.id OR lower(i.email) = lower(u.email))`,
+      [id]
+    );
+    await client.query(
+      `DELETE FROM booking_attendees ba
+           USING users u
+           WHERE u.id = $1
+           AND (
+               ba.user_id = u.id
+               OR lower(ba.email) = lower(u.email)
+               OR ba.booking_id IN (SELECT id FROM bookings WHERE user_id = u.id)
+           )`,
+      [id]
+    );
+
+    const result = await client.query(
+      `UPDATE users SET
+           name = 'Anonymized user',
+           email = 'anonymized-' || id || '@invalid.invalid',
+           password = $2,
+           status = 'anonymized',
+           email_verified_at = NULL,
+           deactivated_at = COALESCE(deactivated_at, NOW()),
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+      [id, unusablePassword]
+    );
+    if (!result.rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const cancelledBookings = await cancelFutureBookings(client, id, {
+      cancelledBy: changedBy,
+      reason: 'Account erased',
+    });
+    await client.query(
+      'UPDATE bookings SET special_requests = NULL WHERE user_id = $1',
+      [id]
+    );
+    await client.query(
+      'UPDATE booking_series SET special_requests = NULL WHERE user_id = $1',
+      [id]
+    );
+    await client.query(
+      'UPDATE waitlist_entries SET special_requests = NULL WHERE user_id = $1',
+      [id]
+    );
+    await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [id]);
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [
+      id,
+    ]);
+    await client.query(
+      'DELETE FROM email_verification_tokens WHERE user_id = $1',
+      [id]
+    );
+
+    await client.query('COMMIT');
+    return { user: result.rows[0], cancelledBookings };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 };
 
 module.exports = {
+  SELF_UPDATABLE_FIELDS,
+  ADMIN_UPDATABLE_FIELDS,
   createUser,
   findUserByEmail,
   comparePassword,
+  updatePassword,
+  markEmailVerified,
   generateAuthToken,
   getAllUsers,
   findUserById,
+  getActiveUsersByRole,
   updateUser,
-  deleteUser,
+  setUserStatus,
+  anonymizeUser,
 };
@@ -0,0 +1,308 @@
+/**
+ * @file Waitlist database operations for SpaceMania workspace management system
+ * @module db/waitlist/entry
+ * @description Handles users waiting for a workspace and time range that is already booked:
+ * - Joining and leaving the waitlist, and listing a user's entries with their position
+ * - Booking freed slots for the earliest waiting entries
+ * - Expiring entries whose start time passed
+ *
+ * Entries wait in the order they joined. Only entries whose range overlaps each other compete,
+ * so the position of an entry counts the earlier waiting entries overlapping it.
+ * @requires ../connection/connect
+ * @requires ../bookings/booking
+ * @requires ../policies/policy
+ * @requires ../quotas/quota
+ * @requires ../schedules/schedule
+ * @requires ../../utils/bookingQuota
+ * @requires ../../errors
+ */
+
+const db = require('../connection/connect.connection');
+const { findConflicts } = require('../bookings/booking.database');
+const { getEffectivePolicy } = require('../policies/policy.policies');
+const {
+  getEffectiveQuota,
+  lockUserQuota,
+  getQuotaUsage,
+} = require('../quotas/quota.quotas');
+const { findClosures } = require('../schedules/schedule.schedules');
+const { checkBookingQuota } = require('../../utils/bookingQuota.utils');
+const { PolicyViolationError } = require('../../errors/index.errors');
+
+// Position of a waiting entry `we`: 1 plus the overlapping entries that joined earlier.
+const POSITION_COLUMN = `CASE WHEN we.status = 'waiting' THEN (
+    SELECT COUNT(*) FROM waitlist_entries ahead
+    WHERE ahead.workspace_id = we.workspace_id
+    AND ahead.status = 'waiting'
+    AND ahead.start_time < we.end_time
+    AND ahead.end_time > we.start_time
+    AND (ahead.created_at, ahead.id) < (we.created_at, we.id)
+  )::integer + 1 END AS position`;
+
+/**
+ * @async
+ * @function joinWaitlist
+ * @description Adds a user to the waitlist of a workspace for a time range
+ * @param {Object} entryData - Waitlist entry properties
+ * @param {number} entryData.userId - ID of the waiting user
+ * @param {number} entryData.workspaceId - ID of the workspace
+ * @param {Date} entryData.startTime - Wanted start time
+ * @param {Date} entryData.endTime - Wanted end time
+ * @param {number} [entryData.attendees=1] - Number of attendees
+ * @param {string} [entryData.specialRequests] - Copied to the booking made for the entry
+ * @returns {Promise<Object>} The created entry with its position
+ * @throws {Error} Will throw an error if the user already waits for this range (code `23505`)
+ */
+const joinWaitlist = async ({
+  userId,
+  workspaceId,
+  startTime,
+  endTime,
+  attendees = 1,
+  specialRequests = null,
+}) => {
+  const inserted = await db.query(
+    `INSERT INTO waitlist_entries
+         (user_id, workspace_id, start_time, end_time, attendees, special_requests)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+    [userId, workspaceId, startTime, endTime, attendees, specialRequests]
+  );
+  return getWaitlistEntryById(inserted.rows[0].id);
+};
+
+/**
+ * @async
+ * @function getWaitlistEntryById
+ * @description Retrieves a waitlist entry
+ * @param {number} id - ID of the entry
+ * @returns {Promise<Object|null>} The entry with its workspace name and position (null unless
+ * waiting), or null if not found
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getWaitlistEntryById = async (id) => {
+  const result = await db.query(
+    `SELECT we.*, w.name AS workspace_name, ${POSITION_COLUMN}
+         FROM waitlist_entries we
+         JOIN workspaces w ON we.workspace_id = w.id
+         WHERE we.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function getUserWaitlist
+ * @description Lists the waitlist entries of a user
+ * @param {number} userId - ID of the user
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.waitingOnly=true] - Only entries still waiting
+ * @returns {Promise<Array<Object>>} Entries with their workspace name and position, soonest first
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getUserWaitlist = async (userId, { waitingOnly = true } = {}) => {
+  const result = await db.query(
+    `SELECT we.*, w.name AS workspace_name, ${POSITION_COLUMN}
+         FROM waitlist_entries we
+         JOIN workspaces w ON we.workspace_id = w.id
+         WHERE we.user_id = $1
+         AND (NOT $2 OR we.status = 'waiting')
+         ORDER BY we.start_time ASC`,
+    [userId, waitingOnly]
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function leaveWaitlist
+ * @description Removes an entry from the waitlist
+ * @param {number} id - ID of the entry
+ * @returns {Promise<Object|null>} The entry, or null if it is not waiting
+ * @throws {Error} Will throw an error if database query fails
+ */
+const leaveWaitlist = async (id) => {
+  const result = await db.query(
+    `UPDATE waitlist_entries SET status = 'left', updated_at = NOW()
+         WHERE id = $1 AND status = 'waiting'
+         RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @async
+ * @function bookFreedSlot
+ * @description Books a freed slot for the waitlist. Waiting entries of the workspace overlapping
+ * the slot are considered in the order they joined; each one whose whole range is free (with
+ * the cleanup buffer of the workspace), whose user is still active, allowed to book the
+ * workspace and within their booking quota, and whose attendees fit is booked, so a long freed
+ * slot can serve several shorter entries. Runs in a transaction locking the
+ * workspace, like every other booking change.
+ * @param {number} workspaceId - ID of the workspace
+ * @param {Date} startTime - Start of the freed slot
+ * @param {Date} endTime - End of the freed slot
+ * @returns {Promise<Array<{entry: Object, booking: Object}>>} Booked entries with their new
+ * booking, which carries the user's name and email and the workspace name
+ * @throws {Error} Will throw an error if database operation fails
+ */
+const bookFreedSlot = async (workspaceId, startTime, endTime) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const workspace = await client.query(
+      `SELECT w.name, w.base_capacity, wt.requires_approval
+           FROM workspaces w
+           JOIN workspace_types wt ON w.type_id = wt.id
+           WHERE w.id = $1
+           FOR UPDATE OF w`,
+      [workspaceId]
+    );
+    if (!workspace.rows.length) {
+      await client.query('ROLLBACK');
+      return [];
+    }
+    const {
+      name: workspaceName,
+      base_capacity: baseCapacity,
+      requires_approval: requiresApproval,
+    } = workspace.rows[0];
+    const policy = await getEffectivePolicy(workspaceId, client);
+
+    const candidates = await client.query(
+      `SELECT we.*, u.name AS user_name, u.email AS user_email
+           FROM waitlist_entries we
+           JOIN users u ON we.user_id = u.id
+           WHERE we.workspace_id = $1
+           AND we.status = 'waiting'
+           AND we.start_time < $3
+           AND we.end_time > $2
+           AND we.start_time > NOW()
+           AND we.attendees <= $4
+           AND u.status = 'active'
+           AND (
+               NOT EXISTS (
+                   SELECT 1 FROM team_workspaces WHERE workspace_id = $1
+               )
+               OR EXISTS (
+                   SELECT 1
+                   FROM team_workspaces tw
+                   JOIN team_members tm ON tw.team_id = tm.team_id
+                   WHERE tw.workspace_id = $1 AND tm.user_id = we.user_id
+               )
+           )
+           ORDER BY we.created_at, we.id
+           FOR UPDATE OF we`,
+      [workspaceId, startTime, endTime, baseCapacity]
+    );
+
+    // Users are locked in ID order, like reschedules do, to avoid deadlocks
+    const userIds = [
+      ...new Set(candidates.rows.map((entry) => entry.user_id)),
+    ].sort((a, b) => a - b);
+    for (const userId of userIds) {
+      await lockUserQuota(client, userId);
+    }
+
+    const booked = [];
+    for (const entry of candidates.rows) {
+      const slot = {
+        workspaceId,
+        startTime: entry.start_time,
+        endTime: entry.end_time,
+        bufferMinutes: policy.buffer_minutes || 0,
+        attendees: entry.attendees,
+      };
+      const conflicts = await findConflicts(client, [slot]);
+      // The workspace may have been closed (e.g. by a blackout) since the entry joined
+      const closures = await findClosures(client, [slot]);
+      if (conflicts.length > 0 || closures.length > 0) {
+        continue;
+      }
+      // Entries that would take their user over quota keep waiting
+      try {
+        checkBookingQuota(
+          await getEffectiveQuota(entry.user_id, client),
+          await getQuotaUsage(entry.user_id, [slot], [], client)
+        );
+      } catch (err) {
+        if (err instanceof PolicyViolationError) {
+          continue;
+        }
+        throw err;
+      }
+
+      const booking = await client.query(
+        `INSERT INTO bookings
+             (user_id, workspace_id, start_time, end_time, attendees, special_requests, status)
+             VALUES ($1, $2, $3, $4, $5, $6,
+               CASE WHEN $7 THEN 'pending' ELSE 'confirmed' END)
+             RETURNING *`,
+        [
+          entry.user_id,
+          workspaceId,
+          entry.start_time,
+          entry.end_time,
+          entry.attendees,
+          entry.special_requests,
+          requiresApproval,
+        ]
+      );
+      const updated = await client.query(
+        `UPDATE waitlist_entries SET
+             status = 'booked',
+             booking_id = $2,
+             updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+        [entry.id, booking.rows[0].id]
+      );
+
+      booked.push({
+        entry: updated.rows[0],
+        booking: {
+          ...booking.rows[0],
+          user_name: entry.user_name,
+          user_email: entry.user_email,
+          workspace_name: workspaceName,
+        },
+      });
+    }
+
+    await client.query('COMMIT');
+    return booked;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @async
+ * @function expireWaitlistEntries
+ * @description Expires waiting entries whose start time has passed
+ * @returns {Promise<Array<Object>>} Expired entries
+ * @throws {Error} Will throw an error if database query fails
+ */
+const expireWaitlistEntries = async () => {
+  const result = await db.query(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = NOW()
+         WHERE status = 'waiting' AND start_time <= NOW()
+         RETURNING *`
+  );
+  return result.rows;
+};
+
+module.exports = {
+  joinWaitlist,
+  getWaitlistEntryById,
+  getUserWaitlist,
+  leaveWaitlist,
+  bookFreedSlot,
+  expireWaitlistEntries,
+};
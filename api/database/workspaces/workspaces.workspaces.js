@@ -5,11 +5,15 @@
  * - Creating new workspaces with type associations
  * - Retrieving enriched workspace details
  * - Listing workspaces with advanced filtering
+ * - Searching the free slots of every matching workspace at once
  * - Managing workspace amenities
+ * - Listing workspace types and setting their booking mode
  * @requires ../connection/connect
+ * @requires ../schedules/schedule
  */
 
 const db = require('../connection/connect.connection');
+const { ORGANIZATION_TIME_ZONE } = require('../schedules/schedule.schedules');
 
 /**
  * @async
@@ -125,6 +129,7 @@ const getWorkspaceById = async (id, includeInactive = false) => {
     `SELECT 
             w.*,
             wt.name AS type_name,
+            wt.booking_mode,
             (
                 SELECT jsonb_agg(jsonb_build_object(
                     'id', a.id,
@@ -144,6 +149,52 @@ const getWorkspaceById = async (id, includeInactive = false) => {
   return result.rows[0] || null;
 };
 
+/**
+ * @function buildWorkspaceFilters
+ * @description Builds the conditions selecting workspaces, shared by the workspace list and
+ * the free slot search
+ * @param {Object} filters - Filtering options
+ * @param {number} [filters.type_id] - Filter by workspace type
+ * @param {number} [filters.floor] - Filter by floor number
+ * @param {Array<string>} [filters.amenities] - Names of amenities the workspace must all have
+ * @param {boolean} [filters.includeInactive=false] - Include inactive workspaces
+ * @param {Array} queryParams - Query parameters, to which the filter values are appended
+ * @returns {string} Conditions on `workspaces w` to append to a `WHERE` clause
+ */
+const buildWorkspaceFilters = (filters, queryParams) => {
+  const { type_id, floor, amenities = [], includeInactive = false } = filters;
+  let conditions = '';
+
+  if (!includeInactive) {
+    conditions += ` AND w.is_active = true`;
+  }
+
+  if (type_id) {
+    queryParams.push(type_id);
+    conditions += ` AND w.type_id = $${queryParams.length}`;
+  }
+
+  if (floor) {
+    queryParams.push(floor);
+    conditions += ` AND w.floor = $${queryParams.length}`;
+  }
+
+  if (amenities.length > 0) {
+    queryParams.push(amenities);
+    conditions += ` AND NOT EXISTS (
+            SELECT 1 FROM unnest($${queryParams.length}::varchar[]) AS required(name)
+            WHERE NOT EXISTS (
+                SELECT 1
+                FROM workspace_amenities wa
+                JOIN amenities a ON a.id = wa.amenity_id
+                WHERE wa.workspace_id = w.id AND lower(a.name) = lower(required.name)
+            )
+        )`;
+  }
+
+  return conditions;
+};
+
 /**
  * @async
  * @function getAllWorkspaces
@@ -151,6 +202,7 @@ const getWorkspaceById = async (id, includeInactive = false) => {
  * @param {Object} [filters] - Filtering options
  * @param {number} [filters.type_id] - Filter by workspace type
  * @param {number} [filters.floor] - Filter by floor number
+ * @param {Array<string>} [filters.amenities] - Names of amenities the workspace must all have
  * @param {boolean} [filters.includeInactive=false] - Include inactive workspaces
  * @param {number} [filters.limit=50] - Pagination limit
  * @param {number} [filters.offset=0] - Pagination offset
@@ -168,21 +220,15 @@ const getWorkspaceById = async (id, includeInactive = false) => {
  *  }]
  */
 const getAllWorkspaces = async (filters = {}) => {
-  const {
-    type_id,
-    floor,
-    includeInactive = false,
-    limit = 50,
-    offset = 0,
-  } = filters;
+  const { limit = 50, offset = 0 } = filters;
 
   const queryParams = [];
-  let paramCount = 0;
 
   let query = `
         SELECT 
             w.*,
             wt.name AS type_name,
+            wt.booking_mode,
             (
                 SELECT array_agg(a.name)
                 FROM amenities a
@@ -193,21 +239,8 @@ const getAllWorkspaces = async (filters = {}) => {
         JOIN workspace_types wt ON w.type_id = wt.id
         WHERE 1=1`;
 
-  if (!includeInactive) {
-    query += ` AND w.is_active = true`;
-  }
-
-  if (type_id) {
-    paramCount++;
-    query += ` AND w.type_id = $${paramCount}`;
-    queryParams.push(type_id);
-  }
-
-  if (floor) {
-    paramCount++;
-    query += ` AND w.floor = $${paramCount}`;
-    queryParams.push(floor);
-  }
+  query += buildWorkspaceFilters(filters, queryParams);
+  const paramCount = queryParams.length;
 
   query += `
         ORDER BY w.name ASC
@@ -219,8 +252,323 @@ const getAllWorkspaces = async (filters = {}) => {
   return result.rows;
 };
 
+/**
+ * @async
+ * @function searchFreeSlots
+ * @description Finds the workspaces free for a meeting within a time window, with their free
+ * slots, in a single query over every matching workspace. A slot is free when the bookings
+ * holding it (widened by the cleanup buffer) leave room for the attendees, as when booking,
+ * and when the workspace is open: no blackout, no holiday and within its opening hours.
+ * The effective booking policy of each workspace narrows its window to the notice and the
+ * booking horizon, aligns slots to its slot granularity and rules it out if the duration is
+ * not allowed. Workspaces reserved for teams the user is not in are left out.
+ * @param {Object} search - Search criteria
+ * @param {Date} search.startTime - Start of the search window
+ * @param {Date} search.endTime - End of the search window
+ * @param {number} search.durationMinutes - Length of the meeting; only free slots at least this
+ * long are returned
+ * @param {number} [search.attendees=1] - Number of attendees to seat
+ * @param {number} search.userId - ID of the user searching
+ * @param {number} [search.type_id] - Only workspaces of this type
+ * @param {number} [search.floor] - Only workspaces on this floor
+ * @param {Array<string>} [search.amenities] - Names of amenities the workspace must all have
+ * @param {number} [search.limit=20] - Maximum number of workspaces
+ * @returns {Promise<Array<Object>>} Workspaces with their `amenities`, `free_slots`
+ * (`start_time`, `end_time`) and `free_minutes`, ranked by earliest free slot, then by the
+ * tightest fit of capacity to attendees, then by most free time
+ * @throws {Error} Will throw an error if database query fails
+ * @example
+ *  Returns:
+ *  [{
+ *    id: 4,
+ *    name: 'Focus Room',
+ *    type_name: 'meeting_room',
+ *    booking_mode: 'exclusive',
+ *    floor: 2,
+ *    location: 'North Wing',
+ *    base_capacity: 4,
+ *    amenities: ['whiteboard'],
+ *    free_slots: [
+ *      { start_time: '2026-10-20T09:00:00+00:00', end_time: '2026-10-20T11:30:00+00:00' }
+ *    ],
+ *    free_minutes: 150
+ *  }]
+ */
+const searchFreeSlots = async (search) => {
+  const {
+    startTime,
+    endTime,
+    durationMinutes,
+    attendees = 1,
+    userId,
+    limit = 20,
+    ...filters
+  } = search;
+
+  const queryParams = [
+    startTime,
+    endTime,
+    durationMinutes,
+    attendees,
+    userId,
+    ORGANIZATION_TIME_ZONE,
+    limit,
+  ];
+  const conditions = buildWorkspaceFilters(filters, queryParams);
+
+  // Free slots are the gaps between busy periods (seats short, or blackouts) within the
+  // window of each workspace, intersected with its opening periods. Bookings are looked up
+  // through the bookings_time_range_idx expression. LEAST and GREATEST ignore the limits a
+  // policy leaves unset.
+  const result = await db.query(
+    `WITH candidates AS (
+             SELECT w.id, w.location, w.base_capacity, wt.booking_mode,
+                 COALESCE(wp.buffer_minutes, tp.buffer_minutes, 0) AS buffer_minutes,
+                 COALESCE(wp.slot_granularity_minutes, tp.slot_granularity_minutes)
+                     AS granularity,
+                 GREATEST(
+                     $1::timestamptz,
+                     NOW() + make_interval(
+                         mins => COALESCE(wp.min_notice_minutes, tp.min_notice_minutes)
+                     )
+                 ) AS window_from,
+                 LEAST(
+                     $2::timestamptz,
+                     NOW()
+                         + make_interval(
+                             days => COALESCE(wp.max_advance_days, tp.max_advance_days)
+                         )
+                         + make_interval(mins => $3)
+                 ) AS window_until
+             FROM workspaces w
+             JOIN workspace_types wt ON w.type_id = wt.id
+             LEFT JOIN booking_policies tp ON tp.workspace_type_id = w.type_id
+             LEFT JOIN booking_policies wp ON wp.workspace_id = w.id
+             WHERE w.base_capacity >= $4
+             AND $3 >= COALESCE(wp.min_duration_minutes, tp.min_duration_minutes, 0)
+             AND $3 <= COALESCE(wp.max_duration_minutes, tp.max_duration_minutes, $3)
+             AND (
+                 NOT EXISTS (SELECT 1 FROM team_workspaces tw WHERE tw.workspace_id = w.id)
+                 OR EXISTS (
+                     SELECT 1
+                     FROM team_workspaces tw
+                     JOIN team_members tm ON tw.team_id = tm.team_id
+                     WHERE tw.workspace_id = w.id AND tm.user_id = $5
+                 )
+             )${conditions}
+         ),
+         events AS (
+             SELECT b.workspace_id, e.at, e.seats
+             FROM candidates c
+             JOIN bookings b ON b.workspace_id = c.id
+                 AND tstzrange(b.start_time, b.end_time, '[]') && tstzrange(
+                     c.window_from - make_interval(mins => c.buffer_minutes),
+                     GREATEST(c.window_until, c.window_from)
+                         + make_interval(mins => c.buffer_minutes),
+                     '()'
+                 )
+             CROSS JOIN LATERAL (VALUES
+                 (
+                     b.start_time - make_interval(mins => c.buffer_minutes),
+                     CASE WHEN b.exclusive THEN c.base_capacity ELSE b.attendees END
+                 ),
+                 (
+                     b.end_time + make_interval(mins => c.buffer_minutes),
+                     CASE WHEN b.exclusive THEN -c.base_capacity ELSE -b.attendees END
+                 )
+             ) AS e(at, seats)
+             WHERE b.status IN ('confirmed', 'pending', 'hold')
+         ),
+         loads AS (
+             SELECT workspace_id, at,
+                 SUM(SUM(seats)) OVER (PARTITION BY workspace_id ORDER BY at) AS seats_taken,
+                 LEAD(at) OVER (PARTITION BY workspace_id ORDER BY at) AS next_at
+             FROM events
+             GROUP BY workspace_id, at
+         ),
+         busy AS (
+             SELECT l.workspace_id, l.at AS busy_from, l.next_at AS busy_until
+             FROM loads l
+             JOIN candidates c ON c.id = l.workspace_id
+             WHERE l.seats_taken > CASE
+                 WHEN c.booking_mode = 'exclusive' THEN 0
+                 ELSE c.base_capacity - $4
+             END
+             UNION ALL
+             SELECT c.id, bo.start_time, bo.end_time
+             FROM candidates c
+             JOIN blackouts bo ON bo.start_time < c.window_until
+                 AND bo.end_time > c.window_from
+                 AND (
+                     bo.workspace_id = c.id
+                     OR bo.location = c.location
+                     OR (bo.workspace_id IS NULL AND bo.location IS NULL)
+                 )
+             UNION ALL
+             -- Closes the last gap at the end of the window
+             SELECT c.id, c.window_until, c.window_until
+             FROM candidates c
+         ),
+         free AS (
+             SELECT g.workspace_id,
+                 GREATEST(g.gap_from, c.window_from) AS free_from,
+                 LEAST(g.gap_until, c.window_until) AS free_until
+             FROM (
+                 SELECT workspace_id,
+                     MAX(busy_until) OVER (
+                         PARTITION BY workspace_id ORDER BY busy_from, busy_until
+                         ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                     ) AS gap_from,
+                     busy_from AS gap_until
+                 FROM busy
+             ) g
+             JOIN candidates c ON c.id = g.workspace_id
+         ),
+         days AS (
+             SELECT d.day::date AS day
+             FROM generate_series(
+                 date_trunc('day', $1::timestamptz AT TIME ZONE $6::text),
+                 $2::timestamptz AT TIME ZONE $6::text,
+                 interval '1 day'
+             ) AS d(day)
+             WHERE NOT EXISTS (SELECT 1 FROM holidays h WHERE h.holiday_date = d.day::date)
+         ),
+         hours AS (
+             SELECT c.id AS workspace_id, oh.day_of_week, oh.opens_at, oh.closes_at
+             FROM candidates c
+             JOIN opening_hours oh ON oh.workspace_id = c.id
+                 OR (oh.location = c.location AND NOT EXISTS (
+                     SELECT 1 FROM opening_hours own WHERE own.workspace_id = c.id
+                 ))
+             UNION ALL
+             -- Workspaces without opening hours are open all day, every day
+             SELECT c.id, dow.day_of_week, TIME '00:00', TIME '24:00'
+             FROM candidates c
+             CROSS JOIN generate_series(0, 6) AS dow(day_of_week)
+             WHERE NOT EXISTS (
+                 SELECT 1 FROM opening_hours oh
+                 WHERE oh.workspace_id = c.id OR oh.location = c.location
+             )
+         ),
+         open_slots AS (
+             SELECT f.workspace_id,
+                 GREATEST(f.free_from, o.open_from) AS slot_from,
+                 LEAST(f.free_until, o.open_until) AS slot_until
+             FROM free f
+             JOIN (
+                 SELECT h.workspace_id,
+                     (d.day + h.opens_at) AT TIME ZONE $6::text AS open_from,
+                     (d.day + h.closes_at) AT TIME ZONE $6::text AS open_until
+                 FROM hours h
+                 JOIN days d ON EXTRACT(DOW FROM d.day) = h.day_of_week
+             ) o ON o.workspace_id = f.workspace_id
+                 AND o.open_from < f.free_until
+                 AND o.open_until > f.free_from
+             WHERE f.free_from < f.free_until
+         ),
+         islands AS (
+             SELECT workspace_id, slot_from, slot_until,
+                 COUNT(*) FILTER (WHERE starts_island) OVER (
+                     PARTITION BY workspace_id ORDER BY slot_from, slot_until
+                     ROWS UNBOUNDED PRECEDING
+                 ) AS island
+             FROM (
+                 -- Slots meeting across midnight or overlapping opening periods are joined
+                 SELECT workspace_id, slot_from, slot_until,
+                     slot_from > COALESCE(MAX(slot_until) OVER (
+                         PARTITION BY workspace_id ORDER BY slot_from, slot_until
+                         ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                     ), '-infinity') AS starts_island
+                 FROM open_slots
+             ) s
+         ),
+         slots AS (
+             SELECT i.workspace_id,
+                 CASE WHEN c.granularity IS NULL THEN MIN(i.slot_from)
+                 ELSE to_timestamp(
+                     ceil(EXTRACT(EPOCH FROM MIN(i.slot_from)) / (c.granularity * 60))
+                         * c.granularity * 60
+                 ) END AS start_time,
+                 CASE WHEN c.granularity IS NULL THEN MAX(i.slot_until)
+                 ELSE to_timestamp(
+                     floor(EXTRACT(EPOCH FROM MAX(i.slot_until)) / (c.granularity * 60))
+                         * c.granularity * 60
+                 ) END AS end_time
+             FROM islands i
+             JOIN candidates c ON c.id = i.workspace_id
+             GROUP BY i.workspace_id, i.island, c.granularity
+         )
+         SELECT
+             w.id, w.name, wt.name AS type_name, wt.booking_mode, w.floor, w.location,
+             w.base_capacity,
+             (
+                 SELECT array_agg(a.name)
+                 FROM amenities a
+                 JOIN workspace_amenities wa ON a.id = wa.amenity_id
+                 WHERE wa.workspace_id = w.id
+             ) AS amenities,
+             json_agg(
+                 json_build_object('start_time', s.start_time, 'end_time', s.end_time)
+                 ORDER BY s.start_time
+             ) AS free_slots,
+             (SUM(EXTRACT(EPOCH FROM s.end_time - s.start_time)) / 60)::integer
+                 AS free_minutes
+         FROM slots s
+         JOIN workspaces w ON w.id = s.workspace_id
+         JOIN workspace_types wt ON w.type_id = wt.id
+         WHERE s.end_time - s.start_time >= make_interval(mins => $3)
+         GROUP BY w.id, wt.name, wt.booking_mode
+         ORDER BY MIN(s.start_time), w.base_capacity - $4, free_minutes DESC, w.name
+         LIMIT $7`,
+    queryParams
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function getWorkspaceTypes
+ * @description Retrieves every workspace type with its number of workspaces
+ * @returns {Promise<Array<Object>>} Workspace types ordered by name
+ * @throws {Error} Will throw an error if database query fails
+ */
+const getWorkspaceTypes = async () => {
+  const result = await db.query(
+    `SELECT wt.*, COUNT(w.id)::integer AS workspace_count
+         FROM workspace_types wt
+         LEFT JOIN workspaces w ON w.type_id = wt.id
+         GROUP BY wt.id
+         ORDER BY wt.name ASC`
+  );
+  return result.rows;
+};
+
+/**
+ * @async
+ * @function updateWorkspaceTypeBookingMode
+ * @description Sets whether bookings of a workspace type take the whole workspace
+ * (`exclusive`) or share its seats (`shared`). Only bookings made afterwards follow the new
+ * mode; existing bookings keep theirs.
+ * @param {number} id - ID of the workspace type
+ * @param {string} bookingMode - `exclusive` or `shared`
+ * @returns {Promise<Object|null>} The updated workspace type, or null if not found
+ * @throws {Error} Will throw an error if the mode is invalid (code `23514`)
+ */
+const updateWorkspaceTypeBookingMode = async (id, bookingMode) => {
+  const result = await db.query(
+    `UPDATE workspace_types SET booking_mode = $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+    [id, bookingMode]
+  );
+  return result.rows[0] || null;
+};
+
 module.exports = {
   createWorkspace,
   getWorkspaceById,
   getAllWorkspaces,
+  searchFreeSlots,
+  getWorkspaceTypes,
+  updateWorkspaceTypeBookingMode,
 };
@@ -0,0 +1,48 @@
+// Importing the `http-status-codes` library to use standard HTTP status codes.
+// This library provides a set of constants for HTTP status codes, improving code readability and maintainability.
+const { StatusCodes } = require('http-status-codes');
+
+// Importing the base `CustomError` class.
+// This class is extended to create specific custom error types, such as `ConflictError`.
+const CustomError = require('./customError.errors');
+
+/**
+ * @class ConflictError
+ * @extends CustomError
+ * @description Custom error class for handling conflicts with the current state of a resource.
+ *
+ * This class is used to represent errors that occur when a request cannot be completed because of
+ * the state of the data it targets, such as a timeslot booked by a concurrent request. It extends
+ * the `CustomError` class and sets a default HTTP status code of `409 Conflict`.
+ *
+ * ### Key Features:
+ * - Inherits from the `CustomError` base class.
+ * - Automatically sets the `statusCode` to `409` (Conflict).
+ * - Provides a human-readable error message for debugging and client responses.
+ *
+ * @example
+ * // Example usage:
+ * const ConflictError = require('./conflict');
+ * throw new ConflictError('Timeslot already booked');
+ */
+class ConflictError extends CustomError {
+  /**
+   * Creates an instance of `ConflictError`.
+   *
+   * @param {string} message - A human-readable error message describing the conflict.
+   *   - Example: "Timeslot already booked".
+   */
+  constructor(message) {
+    // Call the constructor of the parent `CustomError` class with the provided message.
+    super(message);
+
+    // Set the name of the error to the class name for easier debugging.
+    this.name = this.constructor.name;
+
+    // Set the HTTP status code to `409 Conflict`.
+    this.statusCode = StatusCodes.CONFLICT;
+  }
+}
+
+// Export the `ConflictError` class for use in other parts of the application.
+module.exports = ConflictError;
@@ -0,0 +1,48 @@
+// Importing the `http-status-codes` library to use standard HTTP status codes.
+// This library provides a set of constants for HTTP status codes, improving code readability and maintainability.
+const { StatusCodes } = require('http-status-codes');
+
+// Importing the base `CustomError` class.
+// This class is extended to create specific custom error types, such as `ForbiddenError`.
+const CustomError = require('./customError.errors');
+
+/**
+ * @class ForbiddenError
+ * @extends CustomError
+ * @description Custom error class for handling authorization errors.
+ *
+ * This class is used to represent errors that occur when an authenticated user tries to perform an action
+ * their role or ownership does not allow. It extends the `CustomError` class and sets a default HTTP status
+ * code of `403 Forbidden`.
+ *
+ * ### Key Features:
+ * - Inherits from the `CustomError` base class.
+ * - Automatically sets the `statusCode` to `403` (Forbidden).
+ * - Provides a human-readable error message for debugging and client responses.
+ *
+ * @example
+ * // Example usage:
+ * const ForbiddenError = require('./forbidden');
+ * throw new ForbiddenError('Admins only');
+ */
+class ForbiddenError extends CustomError {
+  /**
+   * Creates an instance of `ForbiddenError`.
+   *
+   * @param {string} message - A human-readable error message describing the authorization error.
+   *   - Example: "Admins only" or "You can only update your own account".
+   */
+  constructor(message) {
+    // Call the constructor of the parent `CustomError` class with the provided message.
+    super(message);
+
+    // Set the name of the error to the class name for easier debugging.
+    this.name = this.constructor.name;
+
+    // Set the HTTP status code to `403 Forbidden`.
+    this.statusCode = StatusCodes.FORBIDDEN;
+  }
+}
+
+// Export the `ForbiddenError` class for use in other parts of the application.
+module.exports = ForbiddenError;
@@ -10,7 +10,11 @@
  * - `BadRequestError`: Represents errors caused by invalid or malformed client requests (HTTP 400).
  * - `NotFoundError`: Represents errors caused by resources not being found (HTTP 404).
  * - `AuthenticationError`: Represents errors related to authentication failures (HTTP 401).
+ * - `ForbiddenError`: Represents errors caused by insufficient permissions (HTTP 403).
+ * - `ConflictError`: Represents requests conflicting with the current state of a resource (HTTP 409).
+ * - `TooManyRequestsError`: Represents throttled requests (HTTP 429).
  * - `ValidationError`: Represents errors caused by validation failures.
+ * - `PolicyViolationError`: Represents bookings breaking a workspace booking policy (HTTP 400, with a code).
  *
  * @example
  * // Example usage:
@@ -24,7 +28,11 @@ const CustomError = require('./customError.errors');
 const BadRequestError = require('./bad_request.errors');
 const NotFoundError = require('./not_found.error');
 const AuthenticationError = require('./authentication.errors');
+const ForbiddenError = require('./forbidden.errors');
+const ConflictError = require('./conflict.errors');
+const TooManyRequestsError = require('./too_many_requests.errors');
 const ValidationError = require('./validation_error.errors');
+const PolicyViolationError = require('./policy_violation.errors');
 
 // Exporting all custom error classes as a single module.
 module.exports = {
@@ -32,5 +40,9 @@ module.exports = {
   BadRequestError,
   NotFoundError,
   AuthenticationError,
+  ForbiddenError,
+  ConflictError,
+  TooManyRequestsError,
   ValidationError,
+  PolicyViolationError,
 };
@@ -0,0 +1,48 @@
+// Importing the `BadRequestError` class.
+// Policy violations are bad requests, so existing handlers of `BadRequestError` pass them through.
+const BadRequestError = require('./bad_request.errors');
+
+/**
+ * @class PolicyViolationError
+ * @extends BadRequestError
+ * @description Custom error class for bookings that break the booking policy of a workspace.
+ *
+ * This class is used when a booking is too short or too long, made with too little notice or too
+ * far in advance, not aligned to the slot granularity, or too close to another booking. Besides the
+ * message, it carries a machine-readable `code` and the `details` of the violated limit, which the
+ * error handler includes in the response so that clients can react to each violation.
+ *
+ * ### Key Features:
+ * - Inherits from the `BadRequestError` class (HTTP status code `400`).
+ * - Carries a stable `code` (e.g. `BOOKING_TOO_SHORT`) and `details` (e.g. `{ minDurationMinutes: 30 }`).
+ *
+ * @example
+ * // Example usage:
+ * const PolicyViolationError = require('./policy_violation');
+ * throw new PolicyViolationError('BOOKING_TOO_SHORT', 'Bookings must last at least 30 minutes', {
+ *   minDurationMinutes: 30,
+ * });
+ */
+class PolicyViolationError extends BadRequestError {
+  /**
+   * Creates an instance of `PolicyViolationError`.
+   *
+   * @param {string} code - Machine-readable code of the violated rule.
+   * @param {string} message - A human-readable error message describing the violation.
+   * @param {Object} [details] - The limit that was violated.
+   */
+  constructor(code, message, details = {}) {
+    // Call the constructor of the parent `BadRequestError` class with the provided message.
+    super(message);
+
+    // Set the name of the error to the class name for easier debugging.
+    this.name = this.constructor.name;
+
+    // Machine-readable code and details of the violation, sent to the client.
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Export the `PolicyViolationError` class for use in other parts of the application.
+module.exports = PolicyViolationError;
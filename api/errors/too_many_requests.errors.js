@@ -0,0 +1,52 @@
+// Importing the `http-status-codes` library to use standard HTTP status codes.
+// This library provides a set of constants for HTTP status codes, improving code readability and maintainability.
+const { StatusCodes } = require('http-status-codes');
+
+// Importing the base `CustomError` class.
+// This class is extended to create specific custom error types, such as `TooManyRequestsError`.
+const CustomError = require('./customError.errors');
+
+/**
+ * @class TooManyRequestsError
+ * @extends CustomError
+ * @description Custom error class for handling throttled requests.
+ *
+ * This class is used to represent errors that occur when a client sends too many requests, such as
+ * repeated failed login attempts. It extends the `CustomError` class and sets a default HTTP status
+ * code of `429 Too Many Requests`.
+ *
+ * ### Key Features:
+ * - Inherits from the `CustomError` base class.
+ * - Automatically sets the `statusCode` to `429` (Too Many Requests).
+ * - Carries the number of seconds the client should wait, sent as the `Retry-After` header.
+ *
+ * @example
+ * // Example usage:
+ * const TooManyRequestsError = require('./too_many_requests');
+ * throw new TooManyRequestsError('Too many login attempts', 30);
+ */
+class TooManyRequestsError extends CustomError {
+  /**
+   * Creates an instance of `TooManyRequestsError`.
+   *
+   * @param {string} message - A human-readable error message describing the throttling.
+   *   - Example: "Too many login attempts, try again later".
+   * @param {number} [retryAfter] - Number of seconds the client should wait before retrying.
+   */
+  constructor(message, retryAfter) {
+    // Call the constructor of the parent `CustomError` class with the provided message.
+    super(message);
+
+    // Set the name of the error to the class name for easier debugging.
+    this.name = this.constructor.name;
+
+    // Set the HTTP status code to `429 Too Many Requests`.
+    this.statusCode = StatusCodes.TOO_MANY_REQUESTS;
+
+    // Number of seconds after which the client may retry.
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Export the `TooManyRequestsError` class for use in other parts of the application.
+module.exports = TooManyRequestsError;
@@ -0,0 +1,25 @@
+const bookingsDb = require('../database/bookings/booking.database');
+const { recordAudit } = require('../database/audit/log.audit');
+
+/**
+ * Marks checked-in bookings that have ended as completed and records it in the audit log.
+ *
+ * @returns {Promise<number>} Number of completed bookings.
+ */
+const completeEndedBookings = async () => {
+  const completed = await bookingsDb.completeEndedBookings();
+
+  for (const booking of completed) {
+    await recordAudit({
+      action: 'booking.complete',
+      entityType: 'booking',
+      entityId: booking.id,
+      oldValues: { status: 'confirmed' },
+      newValues: { status: booking.status },
+    });
+  }
+
+  return completed.length;
+};
+
+module.exports = completeEndedBookings;
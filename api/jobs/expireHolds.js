@@ -0,0 +1,31 @@
+const bookingsDb = require('../database/bookings/booking.database');
+const { recordAudit } = require('../database/audit/log.audit');
+const notifyHoldExpired = require('../notifications/notifyHoldExpired');
+const fillFreedSlots = require('../notifications/fillFreedSlots');
+
+/**
+ * Expires holds that were not confirmed in time, records the expiry in the audit log and tells
+ * each holder. Expired holds stop blocking their slot, which is given to the waitlist.
+ *
+ * @returns {Promise<number>} Number of expired holds.
+ */
+const expireHolds = async () => {
+  const expired = await bookingsDb.expireHolds();
+
+  for (const booking of expired) {
+    await recordAudit({
+      action: 'booking.expire',
+      entityType: 'booking',
+      entityId: booking.id,
+      oldValues: { status: 'hold', hold_expires_at: booking.hold_expires_at },
+      newValues: { status: booking.status },
+    });
+    notifyHoldExpired(booking);
+  }
+
+  await fillFreedSlots(expired);
+
+  return expired.length;
+};
+
+module.exports = expireHolds;
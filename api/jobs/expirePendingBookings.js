@@ -0,0 +1,32 @@
+const bookingsDb = require('../database/bookings/booking.database');
+const { recordAudit } = require('../database/audit/log.audit');
+const notifyBookingDecision = require('../notifications/notifyBookingDecision');
+const fillFreedSlots = require('../notifications/fillFreedSlots');
+
+/**
+ * Expires bookings left waiting for approval past their deadline, records the expiry in the
+ * audit log and tells each requester. Expired bookings stop holding their slot, which is
+ * given to the waitlist.
+ *
+ * @returns {Promise<number>} Number of expired bookings.
+ */
+const expirePendingBookings = async () => {
+  const expired = await bookingsDb.expirePendingBookings();
+
+  for (const booking of expired) {
+    await recordAudit({
+      action: 'booking.expire',
+      entityType: 'booking',
+      entityId: booking.id,
+      oldValues: { status: 'pending' },
+      newValues: { status: booking.status },
+    });
+    notifyBookingDecision(booking);
+  }
+
+  await fillFreedSlots(expired);
+
+  return expired.length;
+};
+
+module.exports = expirePendingBookings;
@@ -0,0 +1,26 @@
+const waitlistDb = require('../database/waitlist/entry.waitlist');
+const { recordAudit } = require('../database/audit/log.audit');
+
+/**
+ * Expires waitlist entries whose start time passed without the slot freeing up,
+ * and records the expiry in the audit log.
+ *
+ * @returns {Promise<number>} Number of expired entries.
+ */
+const expireWaitlistEntries = async () => {
+  const expired = await waitlistDb.expireWaitlistEntries();
+
+  for (const entry of expired) {
+    await recordAudit({
+      action: 'waitlist.expire',
+      entityType: 'waitlist_entry',
+      entityId: entry.id,
+      oldValues: { status: 'waiting' },
+      newValues: { status: entry.status },
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = expireWaitlistEntries;
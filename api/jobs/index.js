@@ -0,0 +1,81 @@
+const expirePendingBookings = require('./expirePendingBookings');
+const expireHolds = require('./expireHolds');
+const expireWaitlistEntries = require('./expireWaitlistEntries');
+const releaseNoShows = require('./releaseNoShows');
+const completeEndedBookings = require('./completeEndedBookings');
+const purgeIdempotencyKeys = require('./purgeIdempotencyKeys');
+const purgeLoginAttempts = require('./purgeLoginAttempts');
+
+/**
+ * Background jobs run periodically by the API server.
+ * Each job is an async function; `intervalMinutes` is how often it runs.
+ */
+const JOBS = [
+  {
+    name: 'expirePendingBookings',
+    run: expirePendingBookings,
+    intervalMinutes: 5,
+  },
+  {
+    name: 'expireHolds',
+    run: expireHolds,
+    intervalMinutes: 1,
+  },
+  {
+    name: 'expireWaitlistEntries',
+    run: expireWaitlistEntries,
+    intervalMinutes: 15,
+  },
+  {
+    name: 'releaseNoShows',
+    run: releaseNoShows,
+    intervalMinutes: 1,
+  },
+  {
+    name: 'completeEndedBookings',
+    run: completeEndedBookings,
+    intervalMinutes: 5,
+  },
+  {
+    name: 'purgeIdempotencyKeys',
+    run: purgeIdempotencyKeys,
+    intervalMinutes: 60,
+  },
+  {
+    name: 'purgeLoginAttempts',
+    run: purgeLoginAttempts,
+    intervalMinutes: 60,
+  },
+];
+
+/**
+ * Runs a job, logging instead of throwing so that one failure does not stop the schedule.
+ *
+ * @param {Object} job - Job from `JOBS`.
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    const count = await job.run();
+    if (count) {
+      console.log(`Job ${job.name} processed ${count} record(s)`);
+    }
+  } catch (err) {
+    console.error(`Job ${job.name} failed:`, err);
+  }
+};
+
+/**
+ * Starts every background job: once immediately, then on its interval.
+ * Timers are unreferenced so they never keep the process alive on their own.
+ *
+ * @returns {void}
+ */
+const startJobs = () => {
+  JOBS.forEach((job) => {
+    runJob(job);
+    setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000).unref();
+  });
+};
+
+module.exports = startJobs;
@@ -0,0 +1,12 @@
+const {
+  purgeExpiredIdempotencyKeys,
+} = require('../database/idempotency/key.idempotency');
+
+/**
+ * Deletes idempotency keys whose stored responses are no longer replayed.
+ *
+ * @returns {Promise<number>} Number of purged keys.
+ */
+const purgeIdempotencyKeys = () => purgeExpiredIdempotencyKeys();
+
+module.exports = purgeIdempotencyKeys;
@@ -0,0 +1,12 @@
+const {
+  purgeExpiredLoginAttempts,
+} = require('../database/security/login.security');
+
+/**
+ * Deletes login attempts older than their retention period (`LOGIN_ATTEMPT_RETENTION_DAYS`).
+ *
+ * @returns {Promise<number>} Number of purged attempts.
+ */
+const purgeLoginAttempts = () => purgeExpiredLoginAttempts();
+
+module.exports = purgeLoginAttempts;
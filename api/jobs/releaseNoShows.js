@@ -0,0 +1,32 @@
+const bookingsDb = require('../database/bookings/booking.database');
+const { recordAudit } = require('../database/audit/log.audit');
+const notifyNoShow = require('../notifications/notifyNoShow');
+const fillFreedSlots = require('../notifications/fillFreedSlots');
+
+/**
+ * Releases confirmed bookings nobody checked in to within the grace window, records them
+ * as no-shows in the audit log and tells each owner. The freed slots are given to the
+ * waitlist.
+ *
+ * @returns {Promise<number>} Number of released bookings.
+ */
+const releaseNoShows = async () => {
+  const released = await bookingsDb.releaseNoShows();
+
+  for (const booking of released) {
+    await recordAudit({
+      action: 'booking.no_show',
+      entityType: 'booking',
+      entityId: booking.id,
+      oldValues: { status: 'confirmed' },
+      newValues: { status: booking.status },
+    });
+    notifyNoShow(booking, bookingsDb.CHECK_IN_GRACE_MINUTES);
+  }
+
+  await fillFreedSlots(released);
+
+  return released.length;
+};
+
+module.exports = releaseNoShows;
@@ -0,0 +1,49 @@
+// Importing the audit log database module to append audit entries.
+const { recordAudit } = require('../database/audit/log.audit');
+
+/**
+ * Audit middleware for Express.js applications.
+ *
+ * Attaches `req.audit(entry)` to every request. Controllers call it after a change succeeds;
+ * the actor (user or API key) and the client IP address are taken from the request, so that
+ * controllers only describe the change itself. Routes without an authenticated user (e.g.
+ * registration) may pass `actorId` explicitly. `req.user` is read when `req.audit` is called,
+ * which lets this middleware be mounted before `authMiddleware`.
+ *
+ * A failure to write the audit entry is logged and does not fail the request, because the
+ * change it describes has already been committed.
+ *
+ * The audit log is append-only, so entries must not carry personal data (names, emails, free
+ * text): an erased user could never be removed from it. Record IDs, and only which personal
+ * fields changed.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The Express next function.
+ *
+ * @example
+ * await req.audit({
+ *   action: 'booking.cancel',
+ *   entityType: 'booking',
+ *   entityId: booking.id,
+ *   oldValues: { status: booking.status },
+ *   newValues: { status: 'cancelled' },
+ * });
+ */
+const auditMiddleware = (req, res, next) => {
+  req.audit = async (entry) => {
+    try {
+      await recordAudit({
+        actorId: req.user ? req.user.id : null,
+        apiKeyId: req.user ? req.user.apiKeyId : null,
+        ipAddress: req.ip,
+        ...entry,
+      });
+    } catch (error) {
+      console.error(`Failed to record audit entry ${entry.action}:`, error);
+    }
+  };
+  next();
+};
+
+module.exports = auditMiddleware;
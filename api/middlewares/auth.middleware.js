@@ -6,20 +6,55 @@ const jwt = require('jsonwebtoken');
 // This is used to throw specific errors related to authentication failures.
 const { AuthenticationError } = require('../errors/index.errors');
 
+// Importing `findUserById` to check that the account behind a token is still active.
+const { findUserById } = require('../database/users/user.users');
+
+// Importing the API keys module to authenticate service accounts and kiosk devices.
+const apiKeys = require('../database/tokens/apikey.tokens');
+
+/**
+ * Resolves an API key and attaches the service account it stands for to `req.user`.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @param {string} key - Plain API key presented by the client.
+ * @param {import('express').NextFunction} next - The Express next function.
+ * @returns {Promise<void>}
+ * @throws {AuthenticationError} If the key is unknown, revoked or expired.
+ */
+const authenticateApiKey = async (req, key, next) => {
+  const apiKey = await apiKeys.useApiKey(key);
+  if (!apiKey) {
+    throw new AuthenticationError('Invalid or revoked API key');
+  }
+
+  req.user = {
+    id: null,
+    role: 'service',
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+  next();
+};
+
 /**
  * Authentication middleware for Express.js applications.
  *
  * This middleware is responsible for verifying the JWT token provided in the `Authorization` header of incoming requests.
  * If the token is valid, the decoded user information is attached to the `req` object as `req.user`.
+ * Service accounts and kiosk devices authenticate with an API key instead, sent either as
+ * `Authorization: Bearer <key>` or in the `X-API-Key` header. `req.user` is then
+ * `{ id: null, role: 'service', apiKeyId, scopes }`, and only the key's scopes are granted.
  * If the token is invalid, missing, or not provided in the correct format, an `AuthenticationError` is thrown.
  *
  * ### Workflow:
  * 1. Extract the `Authorization` header from the request.
- * 2. Check if the header exists. If not, throw an `AuthenticationError`.
+ * 2. Check if the header exists. If not, throw an `AuthenticationError` (unless an `X-API-Key` header is sent).
  * 3. Split the header value to extract the token (assumes the format: `Bearer <token>`).
- * 4. Verify the token using the `jsonwebtoken` library and the secret key (`process.env.JWT_SECRET`).
- * 5. Attach the decoded token (user details) to the `req.user` object.
- * 6. If any error occurs during the process, pass the error to the next middleware using `next(error)`.
+ * 4. If the token is an API key, resolve it, attach the service account to `req.user` and stop here.
+ * 5. Verify the token using the `jsonwebtoken` library and the secret key (`process.env.JWT_SECRET`).
+ * 6. Load the user and reject the request if the account is no longer active (deactivated, suspended or anonymized).
+ * 7. Attach the decoded token (user details, with the current role) to the `req.user` object.
+ * 8. If any error occurs during the process, pass the error to the next middleware using `next(error)`.
  *
  * @param {import('express').Request} req - The Express request object.
  *   - Contains information about the HTTP request, such as headers, query parameters, and body.
@@ -28,7 +63,8 @@ const { AuthenticationError } = require('../errors/index.errors');
  * @param {import('express').NextFunction} next - The Express next function.
  *   - Used to pass control to the next middleware in the stack.
  *
- * @throws {AuthenticationError} If the token is missing, invalid, or cannot be verified.
+ * @throws {AuthenticationError} If the token is missing, invalid, cannot be verified, or the account is not active,
+ *   or if the API key is unknown, revoked or expired.
  *
  * @example
  * // Example usage in an Express route:
@@ -42,6 +78,11 @@ const authMiddleware = async (req, res, next) => {
   const authorization = req.headers.authorization;
 
   try {
+    // Kiosks and scripts may send their API key in a dedicated header.
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, req.headers['x-api-key'], next);
+    }
+
     // Check if the `Authorization` header is missing.
     if (!authorization) {
       // Throw an `AuthenticationError` if the header is not present.
@@ -58,14 +99,24 @@ const authMiddleware = async (req, res, next) => {
       throw new AuthenticationError('unauthorize');
     }
 
+    // API keys are accepted as bearer tokens alongside JWTs.
+    if (apiKeys.isApiKey(token)) {
+      return await authenticateApiKey(req, token, next);
+    }
+
     // Verify the token using the `jsonwebtoken` library.
     // The secret key is retrieved from the environment variable `JWT_SECRET`.
     const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens stay valid until they expire, so check the account has not been deactivated since.
+    const user = await findUserById(decodedToken.id);
+    if (!user || user.status !== 'active') {
+      throw new AuthenticationError('Account is not active');
+    }
+
     // Attach the decoded token (user details) to the `req` object.
-    req.user = decodedToken;
-    console.log(decodedToken)
-    console.log(req.user)
+    // The role is taken from the database so that role changes apply immediately.
+    req.user = { ...decodedToken, role: user.role };
     next();
   } catch (error) {
     // Pass any errors that occur to the next middleware or error handler.
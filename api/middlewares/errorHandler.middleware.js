@@ -17,7 +17,9 @@ const { StatusCodes } = require('http-status-codes');
  *    - **SyntaxError**: Handles invalid JSON syntax in the request body.
  *    - **JsonWebTokenError**: Handles invalid JWT tokens.
  *    - **TokenExpiredError**: Handles expired JWT tokens.
- * 4. Sends the formatted error response to the client with the appropriate status code and message.
+ *    - **TooManyRequestsError**: Sets the `Retry-After` header.
+ * 4. Sends the formatted error response to the client with the appropriate status code and message,
+ *    plus the `code` and `details` of errors that carry them (e.g. `PolicyViolationError`).
  *
  * @param {Error} err - The error object that was thrown during request processing.
  *   - Contains information about the error, such as its message, name, and status code.
@@ -61,10 +63,22 @@ const errorHandler = (err, req, res, next) => {
 
   // Case 3: Expired JWT token.
   if (err.name === 'TokenExpiredError') {
-    customError.msg = 'Token expired, please login again'; // Set a specific error message.
+    customError.msg = 'Token expired, please refresh your session or login again'; // Set a specific error message.
     customError.statusCode = StatusCodes.UNAUTHORIZED; // Set the status code to 401 (Unauthorized).
   }
 
+  // Case 4: Throttled request, tell the client when it may retry.
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  // Case 5: Error with a machine-readable code, such as a booking policy violation.
+  if (err.code && err.details) {
+    return res
+      .status(customError.statusCode)
+      .json({ msg: customError.msg, code: err.code, details: err.details });
+  }
+
   // Send the formatted error response to the client.
   return res.status(customError.statusCode).json({ msg: customError.msg });
 };
@@ -0,0 +1,104 @@
+// Importing `crypto` to hash requests, so that a key reused for another request is detected.
+const crypto = require('crypto');
+
+// Importing custom error classes from the errors module.
+// `BadRequestError` is used for invalid or reused keys, `ConflictError` while the first request
+// with a key is still running.
+const { BadRequestError, ConflictError } = require('../errors/index.errors');
+
+// Importing the idempotency key database module to claim keys and store responses.
+const {
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
+} = require('../database/idempotency/key.idempotency');
+
+/**
+ * Idempotency middleware for Express.js routes.
+ *
+ * Lets clients safely retry a request by sending the same `Idempotency-Key` header: the first
+ * request runs and its response is stored, and retries within `IDEMPOTENCY_KEY_TTL_HOURS` get the
+ * stored response back, with the `Idempotent-Replayed: true` header, instead of running again.
+ * Requests without the header are not affected.
+ *
+ * Keys are scoped to the authenticated user, so the middleware must be mounted after
+ * `authMiddleware`. Server errors (5xx) are not stored, so that a retry runs the request again.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The Express next function.
+ * @throws {BadRequestError} If the key is empty, too long, or was used for a different request.
+ * @throws {ConflictError} If the first request with the key has not finished yet.
+ *
+ * @example
+ * bookingRouter.post('/', authMiddleware, idempotencyMiddleware, bookingController.createBooking);
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  try {
+    if (!key.trim() || key.length > 255) {
+      throw new BadRequestError('Idempotency-Key must be 1 to 255 characters');
+    }
+
+    const requestHash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+      .digest('hex');
+    const userId = req.user.id;
+    const { claimed, entry } = await claimIdempotencyKey(
+      userId,
+      key,
+      requestHash
+    );
+
+    if (!claimed) {
+      if (entry.request_hash !== requestHash) {
+        throw new BadRequestError(
+          'Idempotency-Key was already used for a different request'
+        );
+      }
+      if (entry.status_code === null) {
+        throw new ConflictError(
+          'A request with this Idempotency-Key is still being processed'
+        );
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(entry.status_code).json(entry.response_body);
+    }
+
+    // Store the response as it is sent, whether it comes from the controller or the error handler
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 500) {
+        stored = true;
+        // A key whose response could not be stored is released, so that retries run again
+        // instead of being told the request is still being processed
+        saveIdempotentResponse(userId, key, res.statusCode, body).catch(
+          (error) => {
+            console.error('Failed to store idempotent response:', error);
+            releaseIdempotencyKey(userId, key).catch((releaseError) =>
+              console.error('Failed to release idempotency key:', releaseError)
+            );
+          }
+        );
+      }
+      return json(body);
+    };
+    res.on('close', () => {
+      if (!stored) {
+        releaseIdempotencyKey(userId, key).catch((error) =>
+          console.error('Failed to release idempotency key:', error)
+        );
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotencyMiddleware;
@@ -0,0 +1,302 @@
+// Importing custom error classes from the errors module.
+// `AuthenticationError` is used when no authenticated user is attached to the request,
+// `ForbiddenError` when the user is authenticated but not allowed to perform the action.
+const {
+  AuthenticationError,
+  ForbiddenError,
+} = require('../errors/index.errors');
+
+// Importing the bookings database module to resolve the owner of a booking.
+const bookingsDb = require('../database/bookings/booking.database');
+
+// Importing the waitlist database module to resolve the owner of a waitlist entry.
+const waitlistDb = require('../database/waitlist/entry.waitlist');
+
+// Importing the users database module to check the verification status of an account.
+const { findUserById } = require('../database/users/user.users');
+
+// Importing the teams database module to resolve team lead relationships.
+const teamsDb = require('../database/teams/team.teams');
+
+// Permissions granted to each role, every role inheriting those of the role below it.
+const USER_PERMISSIONS = [
+  'users:read:own',
+  'users:update:own',
+  'bookings:create',
+  'bookings:read:own',
+  'bookings:update:own',
+  'bookings:cancel:own',
+  'bookings:read:team',
+  'bookings:update:team',
+  'bookings:cancel:team',
+  'checkin:write:own',
+  'checkin:write:team',
+];
+
+const MANAGER_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'users:read',
+  'workspaces:create',
+  'bookings:read',
+  'bookings:update',
+  'bookings:cancel',
+  'bookings:approve',
+  'bookings:delegate',
+  'checkin:write',
+  'teams:manage',
+  'policies:manage',
+  'schedules:manage',
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MANAGER_PERMISSIONS,
+  'users:update',
+  'users:deactivate',
+  'users:anonymize',
+  'users:unlock',
+  'users:invite',
+  'apikeys:manage',
+  'audit:read',
+  'quotas:manage',
+];
+
+/**
+ * @constant {Object<string, Array<string>>} ROLE_PERMISSIONS
+ * @description Maps each value of `users.role` to the permissions it grants.
+ *
+ * Permissions follow the `<resource>:<action>` format. A permission suffixed with `:own`
+ * (e.g. `users:update:own`) only applies to records owned by the current user; ownership
+ * is resolved per route by the `owner` option of `requirePermission`. A permission suffixed
+ * with `:team` (e.g. `bookings:read:team`) applies to the teams the current user leads.
+ */
+const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+/**
+ * @constant {Array<string>} API_KEY_SCOPES
+ * @description Permissions that can be granted to an API key. Keys act as service accounts
+ * rather than users, so they only hold unscoped permissions and never `:own` or `:team` ones.
+ */
+const API_KEY_SCOPES = [
+  'users:read',
+  'bookings:read',
+  'bookings:cancel',
+  'checkin:write',
+];
+
+/**
+ * @function hasPermission
+ * @description Checks whether a role grants a permission
+ * @param {string} role - Role of the user (`user`, `manager` or `admin`)
+ * @param {string} permission - Permission to check (e.g. `users:deactivate`)
+ * @returns {boolean} True if the role grants the permission
+ */
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * @function requireRole
+ * @description Creates a middleware that only lets users with one of the given roles through.
+ * Must be mounted after `authMiddleware` so that `req.user` is populated.
+ * @param {...string} roles - Allowed roles
+ * @returns {import('express').RequestHandler} Express middleware
+ * @example
+ * userRouter.get('/', authMiddleware, requireRole('admin'), users.getAllUsers);
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError('unauthorize'));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ForbiddenError('You do not have permission to perform this action')
+      );
+    }
+
+    next();
+  };
+
+/**
+ * @function requirePermission
+ * @description Creates a middleware that checks the permission of the authenticated user.
+ *
+ * Access is granted when the user's role has `permission`, when it has `<permission>:own`
+ * and the `owner` resolver returns the ID of the current user, or when it has
+ * `<permission>:team` and the user leads the team returned by the `team` resolver (or a team
+ * the owner of the record belongs to).
+ * Requests authenticated with an API key are only granted the key's scopes.
+ * Must be mounted after `authMiddleware` so that `req.user` is populated.
+ *
+ * @param {string} permission - Required permission (e.g. `users:update`)
+ * @param {Object} [options] - Permission options
+ * @param {function(import('express').Request): (number|string|Promise<number|string>)} [options.owner]
+ *   - Resolves the ID of the user owning the targeted record
+ * @param {function(import('express').Request): (number|string|Promise<number|string>)} [options.team]
+ *   - Resolves the ID of the team the targeted records belong to
+ * @returns {import('express').RequestHandler} Express middleware
+ * @example
+ * userRouter.put(
+ *   '/:id',
+ *   authMiddleware,
+ *   requirePermission('users:update', { owner: ownerFromParam('id') }),
+ *   users.updateUser
+ * );
+ */
+const requirePermission =
+  (permission, { owner, team } = {}) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AuthenticationError('unauthorize');
+      }
+
+      if (req.user.scopes) {
+        if (req.user.scopes.includes(permission)) {
+          return next();
+        }
+        throw new ForbiddenError(
+          `This API key does not have the ${permission} scope`
+        );
+      }
+
+      if (hasPermission(req.user.role, permission)) {
+        return next();
+      }
+
+      const ownerId = owner ? await owner(req) : undefined;
+
+      if (
+        ownerId !== undefined &&
+        hasPermission(req.user.role, `${permission}:own`) &&
+        String(ownerId) === String(req.user.id)
+      ) {
+        return next();
+      }
+
+      if (hasPermission(req.user.role, `${permission}:team`)) {
+        const teamId = team ? await team(req) : undefined;
+        if (teamId && (await teamsDb.isTeamLead(req.user.id, teamId))) {
+          return next();
+        }
+        if (
+          ownerId !== undefined &&
+          (await teamsDb.leadsTeamOfUser(req.user.id, ownerId))
+        ) {
+          return next();
+        }
+      }
+
+      throw new ForbiddenError(
+        'You do not have permission to perform this action'
+      );
+    } catch (error) {
+      next(error);
+    }
+  };
+
+/**
+ * @async
+ * @function requireVerifiedEmail
+ * @description Middleware rejecting users who have not confirmed their email address yet.
+ * The status is read from the database so that a verification takes effect immediately.
+ * Must be mounted after `authMiddleware` so that `req.user` is populated.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw new AuthenticationError('unauthorize');
+    }
+
+    const user = await findUserById(req.user.id);
+    if (!user || !user.email_verified_at) {
+      throw new ForbiddenError(
+        'Please verify your email address before booking'
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @function ownerFromParam
+ * @description Owner resolver for routes where the URL parameter is the user ID itself
+ * (e.g. `/users/:id`), meaning users own their own account.
+ * @param {string} param - Name of the URL parameter holding the user ID
+ * @returns {function(import('express').Request): string} Owner resolver
+ */
+const ownerFromParam = (param) => (req) => req.params[param];
+
+/**
+ * @async
+ * @function bookingOwner
+ * @description Owner resolver for booking routes (e.g. `/bookings/:id`), returning the ID of
+ * the host of the booking. A delegate who booked on behalf of the host also owns the booking.
+ * Unknown bookings resolve to `undefined`, which is never treated as owned.
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<number|undefined>} ID of the booking owner
+ */
+const bookingOwner = async (req) => {
+  const booking = await bookingsDb.getBookingById(req.params.id);
+  if (!booking) return undefined;
+  return req.user && booking.organizer_id === req.user.id
+    ? req.user.id
+    : booking.user_id;
+};
+
+/**
+ * @async
+ * @function waitlistEntryOwner
+ * @description Owner resolver for waitlist routes (e.g. `/waitlist/:id`), returning the ID of
+ * the waiting user. Unknown entries resolve to `undefined`, which is never treated as owned.
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<number|undefined>} ID of the entry owner
+ */
+const waitlistEntryOwner = async (req) => {
+  const entry = await waitlistDb.getWaitlistEntryById(req.params.id);
+  return entry ? entry.user_id : undefined;
+};
+
+/**
+ * @function teamFromQuery
+ * @description Team resolver for list routes filtered by team (e.g. `/bookings?teamId=1`)
+ * @param {string} param - Name of the query string parameter holding the team ID
+ * @returns {function(import('express').Request): (string|undefined)} Team resolver
+ */
+const teamFromQuery = (param) => (req) => req.query[param];
+
+/**
+ * @function userFromQuery
+ * @description Owner resolver for routes about a user given in the query string
+ * (e.g. `/bookings/quota?userId=1`), defaulting to the current user
+ * @param {string} param - Name of the query string parameter holding the user ID
+ * @returns {function(import('express').Request): (number|string)} Owner resolver
+ */
+const userFromQuery = (param) => (req) =>
+  req.query[param] !== undefined ? req.query[param] : req.user.id;
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail,
+  ownerFromParam,
+  bookingOwner,
+  waitlistEntryOwner,
+  teamFromQuery,
+  userFromQuery,
+};
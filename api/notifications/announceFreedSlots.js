@@ -0,0 +1,50 @@
+const sendEmail = require('./sendEmail');
+const fillFreedSlots = require('./fillFreedSlots');
+const { getActiveUsersByRole } = require('../database/users/user.users');
+
+/**
+ * Announces workspace slots that became free because bookings were cancelled
+ * on behalf of someone else (e.g. when their account was deactivated).
+ * The slots are first given to the waitlist; managers and admins then receive a
+ * single email listing every freed slot that nobody on the waitlist took.
+ *
+ * @param {Array<Object>} bookings - Cancelled bookings, each with `workspace_id`,
+ *   `workspace_name`, `start_time` and `end_time`.
+ * @param {string} reason - Why the bookings were cancelled.
+ * @returns {Promise<void>}
+ */
+const announceFreedSlots = async (bookings, reason) => {
+  const madeFromWaitlist = await fillFreedSlots(bookings);
+  const stillFree = bookings.filter(
+    (booking) =>
+      !madeFromWaitlist.some(
+        (made) =>
+          made.workspace_id === booking.workspace_id &&
+          new Date(made.start_time) < new Date(booking.end_time) &&
+          new Date(made.end_time) > new Date(booking.start_time)
+      )
+  );
+  if (!stillFree.length) {
+    return;
+  }
+
+  const recipients = await getActiveUsersByRole(['manager', 'admin']);
+  const slots = stillFree
+    .map(
+      (booking) =>
+        `- ${booking.workspace_name}: ${new Date(booking.start_time).toISOString()} ` +
+        `to ${new Date(booking.end_time).toISOString()}`
+    )
+    .join('\n');
+
+  recipients.forEach((recipient) => {
+    sendEmail(
+      recipient.email,
+      'Workspace slots are available again',
+      `Hello ${recipient.name},\n\n` +
+        `The following slots are free again (${reason}):\n\n${slots}`
+    );
+  });
+};
+
+module.exports = announceFreedSlots;
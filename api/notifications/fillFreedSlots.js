@@ -0,0 +1,55 @@
+const sendEmail = require('./sendEmail');
+const { bookFreedSlot } = require('../database/waitlist/entry.waitlist');
+const { recordAudit } = require('../database/audit/log.audit');
+
+/**
+ * Gives slots freed by cancelled, rejected or expired bookings to the waitlist.
+ * The earliest waiting users whose whole range is free again get a booking, which is
+ * recorded in the audit log, and an email telling them so.
+ *
+ * @param {Array<Object>} bookings - Bookings that stopped holding their slot, each with
+ *   `workspace_id`, `start_time` and `end_time`.
+ * @returns {Promise<Array<Object>>} Bookings made for waiting users.
+ */
+const fillFreedSlots = async (bookings) => {
+  const made = [];
+
+  for (const freed of bookings) {
+    const booked = await bookFreedSlot(
+      freed.workspace_id,
+      freed.start_time,
+      freed.end_time
+    );
+
+    for (const { entry, booking } of booked) {
+      await recordAudit({
+        action: 'waitlist.book',
+        entityType: 'waitlist_entry',
+        entityId: entry.id,
+        oldValues: { status: 'waiting' },
+        newValues: { status: entry.status, booking_id: booking.id },
+      });
+
+      const approval =
+        booking.status === 'pending'
+          ? ' It is waiting for approval by a manager.'
+          : '';
+      sendEmail(
+        booking.user_email,
+        'A slot you were waiting for has been booked for you',
+        `Hello ${booking.user_name},\n\n` +
+          `${booking.workspace_name} became available from ` +
+          `${new Date(booking.start_time).toISOString()} to ` +
+          `${new Date(booking.end_time).toISOString()}, so we booked it for you ` +
+          `from the waitlist.${approval} ` +
+          'If you no longer need it, please cancel the booking.'
+      );
+
+      made.push(booking);
+    }
+  }
+
+  return made;
+};
+
+module.exports = fillFreedSlots;
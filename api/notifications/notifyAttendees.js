@@ -0,0 +1,56 @@
+const sendEmail = require('./sendEmail');
+const { getParticipants } = require('../database/bookings/attendee.bookings');
+const { findUserById } = require('../database/users/user.users');
+
+// Email subject and verb for each change the participants of a booking are told about.
+const ATTENDEE_MESSAGES = {
+  invited: {
+    subject: 'You have been added to a booking',
+    text: 'booked',
+  },
+  updated: {
+    subject: 'A booking you take part in has changed',
+    text: 'changed the booking of',
+  },
+  cancelled: {
+    subject: 'A booking you take part in was cancelled',
+    text: 'cancelled the booking of',
+  },
+};
+
+/**
+ * Tells the host and the named attendees of bookings that they were booked, or that the
+ * booking changed or was cancelled. The user who made the change is not told.
+ *
+ * @param {string} event - `invited`, `updated` or `cancelled`.
+ * @param {Array<Object>} bookings - Bookings concerned, each with its `id`.
+ * @param {number|null} actorId - ID of the user who made the change (null for API keys).
+ * @returns {Promise<void>}
+ */
+const notifyAttendees = async (event, bookings, actorId) => {
+  const { subject, text } = ATTENDEE_MESSAGES[event];
+  const actor = actorId ? await findUserById(actorId) : null;
+  const actorName = actor ? actor.name : 'SpaceMania';
+
+  const participants = await getParticipants(
+    bookings.map((booking) => booking.id)
+  );
+
+  participants
+    .filter(
+      (participant) => participant.user_id !== actorId && participant.email
+    )
+    .forEach((participant) => {
+      sendEmail(
+        participant.email,
+        subject,
+        `Hello ${participant.name || participant.email},\n\n` +
+          `${actorName} ${text} ${participant.workspace_name} from ` +
+          `${new Date(participant.start_time).toISOString()} to ` +
+          `${new Date(participant.end_time).toISOString()}, hosted by ` +
+          `${participant.host_name}, with you taking part.`
+      );
+    });
+};
+
+module.exports = notifyAttendees;
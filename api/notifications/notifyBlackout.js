@@ -0,0 +1,26 @@
+const sendEmail = require('./sendEmail');
+
+/**
+ * Tells the owner of a booking that a blackout was added over it, so that they can move
+ * or cancel it.
+ *
+ * @param {Object} booking - Flagged booking, with `user_name`, `user_email`,
+ *   `workspace_name`, `start_time` and `end_time`.
+ * @param {Object} blackout - Blackout, with `start_time`, `end_time` and `reason`.
+ * @returns {void}
+ */
+const notifyBlackout = (booking, blackout) => {
+  sendEmail(
+    booking.user_email,
+    'Your booking is affected by a closure',
+    `Hello ${booking.user_name},\n\n` +
+      `${booking.workspace_name} will be unavailable from ` +
+      `${new Date(blackout.start_time).toISOString()} to ` +
+      `${new Date(blackout.end_time).toISOString()} (${blackout.reason}).\n\n` +
+      `Your booking from ${new Date(booking.start_time).toISOString()} to ` +
+      `${new Date(booking.end_time).toISOString()} overlaps this period. ` +
+      'Please move it to another time or workspace, or cancel it.'
+  );
+};
+
+module.exports = notifyBlackout;
@@ -0,0 +1,42 @@
+const sendEmail = require('./sendEmail');
+
+// Email subject and opening sentence for each decision a pending booking can receive.
+const DECISION_MESSAGES = {
+  confirmed: {
+    subject: 'Your booking request was approved',
+    text: 'has been approved',
+  },
+  rejected: {
+    subject: 'Your booking request was rejected',
+    text: 'has been rejected',
+  },
+  expired: {
+    subject: 'Your booking request expired',
+    text: 'expired before a manager could review it',
+  },
+};
+
+/**
+ * Tells the requester of a booking that needed approval what was decided.
+ *
+ * @param {Object} booking - Decided booking, with `status`, `user_name`, `user_email`,
+ *   `workspace_name`, `start_time`, `end_time` and `decision_reason`.
+ * @returns {void}
+ */
+const notifyBookingDecision = (booking) => {
+  const { subject, text } = DECISION_MESSAGES[booking.status];
+  const reason = booking.decision_reason
+    ? `\n\nReason: ${booking.decision_reason}`
+    : '';
+
+  sendEmail(
+    booking.user_email,
+    subject,
+    `Hello ${booking.user_name},\n\n` +
+      `Your booking of ${booking.workspace_name} from ` +
+      `${new Date(booking.start_time).toISOString()} to ` +
+      `${new Date(booking.end_time).toISOString()} ${text}.${reason}`
+  );
+};
+
+module.exports = notifyBookingDecision;
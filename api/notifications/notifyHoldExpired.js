@@ -0,0 +1,22 @@
+const sendEmail = require('./sendEmail');
+
+/**
+ * Tells the holder of a hold that it expired without being confirmed and its slot was released.
+ *
+ * @param {Object} booking - Expired hold, with `user_name`, `user_email`, `workspace_name`,
+ *   `start_time` and `end_time`.
+ * @returns {void}
+ */
+const notifyHoldExpired = (booking) => {
+  sendEmail(
+    booking.user_email,
+    'Your hold expired',
+    `Hello ${booking.user_name},\n\n` +
+      `Your hold of ${booking.workspace_name} from ` +
+      `${new Date(booking.start_time).toISOString()} to ` +
+      `${new Date(booking.end_time).toISOString()} expired before it was confirmed, ` +
+      'and the slot was released.'
+  );
+};
+
+module.exports = notifyHoldExpired;
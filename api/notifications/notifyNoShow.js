@@ -0,0 +1,23 @@
+const sendEmail = require('./sendEmail');
+
+/**
+ * Tells the owner of a booking that it was released because nobody checked in.
+ *
+ * @param {Object} booking - Released booking, with `user_name`, `user_email`,
+ *   `workspace_name`, `start_time` and `end_time`.
+ * @param {number} graceMinutes - Minutes after the start during which check-in was possible.
+ * @returns {void}
+ */
+const notifyNoShow = (booking, graceMinutes) => {
+  sendEmail(
+    booking.user_email,
+    'Your booking was released',
+    `Hello ${booking.user_name},\n\n` +
+      `Nobody checked in to your booking of ${booking.workspace_name} from ` +
+      `${new Date(booking.start_time).toISOString()} to ` +
+      `${new Date(booking.end_time).toISOString()} within ${graceMinutes} minutes ` +
+      'of its start, so it was released for others to use.'
+  );
+};
+
+module.exports = notifyNoShow;
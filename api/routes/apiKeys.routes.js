@@ -0,0 +1,20 @@
+const express = require('express');
+const apiKeys = require('../controllers/apiKeys.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const apiKeyRouter = express.Router();
+
+// Every API key route is restricted to admins
+apiKeyRouter.use(authMiddleware, requirePermission('apikeys:manage'));
+
+// Route to issue a scoped API key
+apiKeyRouter.post('/', apiKeys.createApiKey);
+
+// Route to list API keys with their last-used timestamps
+apiKeyRouter.get('/', apiKeys.getApiKeys);
+
+// Route to revoke an API key
+apiKeyRouter.delete('/:id', apiKeys.revokeApiKey);
+
+module.exports = apiKeyRouter;
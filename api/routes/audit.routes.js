@@ -0,0 +1,17 @@
+const express = require('express');
+const audit = require('../controllers/audit.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const auditRouter = express.Router();
+
+// Route to search the audit trail (admins only)
+// Filters: actorId, action, entityType, entityId, from, to, page, limit
+auditRouter.get(
+  '/',
+  authMiddleware,
+  requirePermission('audit:read'),
+  audit.getAuditLog
+);
+
+module.exports = auditRouter;
@@ -1,8 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post(
+  '/change-password',
+  authMiddleware,
+  authController.changePassword
+);
+
+router.post('/verify-email', authController.verifyEmail);
+router.post(
+  '/resend-verification',
+  authMiddleware,
+  authController.resendVerification
+);
 
 module.exports = router;
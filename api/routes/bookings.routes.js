@@ -2,6 +2,14 @@ const express = require('express');
 const bookingRouter = express.Router();
 const bookingController = require('../controllers/booking.controllers');
 const authMiddleware = require('../middlewares/auth.middleware');
+const idempotencyMiddleware = require('../middlewares/idempotency.middleware');
+const {
+    requirePermission,
+    requireVerifiedEmail,
+    bookingOwner,
+    teamFromQuery,
+    userFromQuery,
+} = require('../middlewares/permission.middleware');
 
 /**
  * @swagger
@@ -18,6 +26,13 @@ const authMiddleware = require('../middlewares/auth.middleware');
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         description: Unique key of the request; retries with the same key and body get the first response back (with the Idempotent-Replayed header) instead of creating another booking
+ *         schema:
+ *           type: string
+ *           maxLength: 255
  *     requestBody:
  *       required: true
  *       content:
@@ -37,26 +52,306 @@ const authMiddleware = require('../middlewares/auth.middleware');
  *               endTime:
  *                 type: string
  *                 format: date-time
- *               attendees:
+ *               hostId:
  *                 type: integer
- *                 default: 1
+ *                 description: User to book on behalf of (you must be their delegate or hold bookings:delegate); defaults to yourself
+ *               attendees:
+ *                 description: A number of attendees, or a list of users and external guests; with a list, the count is the host plus the listed attendees, who are told about the booking
+ *                 oneOf:
+ *                   - type: integer
+ *                     default: 1
+ *                   - type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         userId:
+ *                           type: integer
+ *                         email:
+ *                           type: string
+ *                           format: email
+ *                         name:
+ *                           type: string
  *               specialRequests:
  *                 type: string
+ *               hold:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Place a tentative hold blocking the slot until it is confirmed (POST /api/bookings/{id}/confirm) or expires
+ *               holdMinutes:
+ *                 type: integer
+ *                 description: How long the hold blocks the slot, at most until its start (HOLD_TTL_MINUTES by default, at most HOLD_MAX_TTL_MINUTES)
  *     responses:
  *       201:
- *         description: Booking created
+ *         description: Booking created, or hold placed with its hold_expires_at
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Booking'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or Idempotency-Key already used for a different request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified, workspace reserved for other teams, or not allowed to book for the host
  *       409:
- *         description: Conflict (timeslot already booked)
+ *         description: Conflict (timeslot already booked or not enough seats left, or a request with the same Idempotency-Key still in progress)
  */
-bookingRouter.post('/', authMiddleware, bookingController.createBooking);
+bookingRouter.post(
+    '/',
+    authMiddleware,
+    requirePermission('bookings:create'),
+    requireVerifiedEmail,
+    idempotencyMiddleware,
+    bookingController.createBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/series/check:
+ *   post:
+ *     summary: Report which occurrences of a recurring series collide with existing bookings
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - workspaceId
+ *               - rrule
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               workspaceId:
+ *                 type: integer
+ *               rrule:
+ *                 type: string
+ *                 description: RFC 5545 recurrence rule (FREQ DAILY, WEEKLY or MONTHLY with UNTIL or COUNT), expanded in the organization time zone
+ *                 example: FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261231
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the first occurrence
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the first occurrence
+ *               attendees:
+ *                 type: integer
+ *                 default: 1
+ *               specialRequests:
+ *                 type: string
+ *               exdates:
+ *                 type: array
+ *                 description: Occurrences to leave out, as local dates (YYYY-MM-DD) or start times; invalid values are rejected
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Number of occurrences, and each colliding occurrence with the IDs of the bookings it collides with
+ *       400:
+ *         description: Invalid input or recurrence rule
+ *       401:
+ *         description: Unauthorized
+ */
+bookingRouter.post(
+    '/series/check',
+    authMiddleware,
+    requirePermission('bookings:create'),
+    bookingController.checkSeries
+);
+
+/**
+ * @swagger
+ * /api/bookings/series:
+ *   post:
+ *     summary: Book a recurring series; every occurrence is booked, or none
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - workspaceId
+ *               - rrule
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               workspaceId:
+ *                 type: integer
+ *               rrule:
+ *                 type: string
+ *                 description: RFC 5545 recurrence rule (FREQ DAILY, WEEKLY or MONTHLY with UNTIL or COUNT), expanded in the organization time zone
+ *                 example: FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261231
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the first occurrence
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the first occurrence
+ *               attendees:
+ *                 type: integer
+ *                 default: 1
+ *               specialRequests:
+ *                 type: string
+ *               exdates:
+ *                 type: array
+ *                 description: Occurrences to leave out, as local dates (YYYY-MM-DD) or start times; invalid values are rejected
+ *                 items:
+ *                   type: string
+ *               skipConflicts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Book the other occurrences and leave the colliding ones out of the series
+ *     responses:
+ *       201:
+ *         description: Series created with its bookings, and the occurrences left out for conflicts
+ *       400:
+ *         description: Invalid input or recurrence rule, or capacity exceeded
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified, or workspace reserved for other teams
+ *       409:
+ *         description: Some occurrences collide with existing bookings (conflict report returned, nothing booked)
+ */
+bookingRouter.post(
+    '/series',
+    authMiddleware,
+    requirePermission('bookings:create'),
+    requireVerifiedEmail,
+    bookingController.createSeries
+);
+
+/**
+ * @swagger
+ * /api/bookings/availability:
+ *   get:
+ *     summary: Find workspaces free for a meeting
+ *     description: >
+ *       Searches every matching workspace at once and returns the ones with a free slot of
+ *       the requested duration within the window, with their free slots. Bookings, cleanup
+ *       buffers, opening hours, holidays, blackouts and booking policies are taken into
+ *       account. Results are ranked by earliest free slot, then by closest capacity fit.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the search window
+ *       - in: query
+ *         name: endTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the search window (at most 31 days after its start)
+ *       - in: query
+ *         name: durationMinutes
+ *         schema:
+ *           type: integer
+ *         description: Length of the meeting; defaults to the whole window
+ *       - in: query
+ *         name: attendees
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *         description: Comma-separated names of amenities the workspace must all have
+ *       - in: query
+ *         name: floor
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Ranked workspaces with their free slots
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+bookingRouter.get(
+    '/availability',
+    authMiddleware,
+    bookingController.searchAvailability
+);
+
+/**
+ * @swagger
+ * /api/bookings/timeline:
+ *   get:
+ *     summary: Get the schedule of a workspace, a floor or a location
+ *     description: >
+ *       Returns, for each matching workspace, its booked, free and closed intervals over a
+ *       day or a week of the organization time zone, ready to draw a calendar view. The owner
+ *       of a booking is shown to managers and admins, to its owner and to the leads of the
+ *       owner's teams; other users see "busy".
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: floor
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day shown, or a day of the week shown (defaults to today)
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Workspaces with their intervals
+ *       400:
+ *         description: Invalid input, or no workspace, floor or location given
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Workspace not found
+ */
+bookingRouter.get('/timeline', authMiddleware, bookingController.getTimeline);
 
 /**
  * @swagger
@@ -135,13 +430,473 @@ bookingRouter.get('/availability/:workspaceId', bookingController.checkAvailabil
  *       401:
  *         description: Unauthorized
  */
-bookingRouter.get('/user', authMiddleware, bookingController.getUserBookings);
+bookingRouter.get(
+    '/user',
+    authMiddleware,
+    requirePermission('bookings:read:own'),
+    bookingController.getUserBookings
+);
+
+/**
+ * @swagger
+ * /api/bookings/quota:
+ *   get:
+ *     summary: Get the booking quota of a user and what they may still book
+ *     description: >
+ *       Limits come from the user's own quota, then the most generous quota of their teams,
+ *       then the quota of their role; a null limit is not enforced. Weekly hours are those of
+ *       the current week (Monday to Sunday, organization time zone). Bookings and reschedules
+ *       beyond the quota are rejected with codes QUOTA_ACTIVE_BOOKINGS, QUOTA_WEEKLY_HOURS or
+ *       QUOTA_CONCURRENT_BOOKINGS.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Another user (managers, or team leads for their team members)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           Limit, usage and remaining allowance for active_bookings and weekly_hours, and the
+ *           limit of concurrent_bookings
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to see the quota of this user
+ *       404:
+ *         description: User not found
+ */
+bookingRouter.get(
+    '/quota',
+    authMiddleware,
+    requirePermission('bookings:read', { owner: userFromQuery('userId') }),
+    bookingController.getBookingQuota
+);
+
+/**
+ * @swagger
+ * /api/bookings:
+ *   get:
+ *     summary: List bookings for history and reports (managers, or team leads for their team)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: teamId
+ *         description: Only bookings made by members of this team (required for team leads)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: List of bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a manager or lead of the requested team
+ */
+bookingRouter.get(
+    '/',
+    authMiddleware,
+    requirePermission('bookings:read', { team: teamFromQuery('teamId') }),
+    bookingController.getBookings
+);
+
+/**
+ * @swagger
+ * /api/bookings/pending:
+ *   get:
+ *     summary: List bookings waiting for approval (managers and admins)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Pending bookings, oldest request first, with their expiry time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a manager or admin
+ */
+bookingRouter.get(
+    '/pending',
+    authMiddleware,
+    requirePermission('bookings:approve'),
+    bookingController.getPendingBookings
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/approve:
+ *   post:
+ *     summary: Approve a pending booking (managers and admins)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking confirmed and requester notified
+ *       400:
+ *         description: Booking is not pending
+ *       403:
+ *         description: Not a manager or admin
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.post(
+    '/:id/approve',
+    authMiddleware,
+    requirePermission('bookings:approve'),
+    bookingController.approveBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reject:
+ *   post:
+ *     summary: Reject a pending booking, freeing its slot (managers and admins)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking rejected and requester notified
+ *       400:
+ *         description: Missing reason, or booking is not pending
+ *       403:
+ *         description: Not a manager or admin
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.post(
+    '/:id/reject',
+    authMiddleware,
+    requirePermission('bookings:approve'),
+    bookingController.rejectBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/confirm:
+ *   post:
+ *     summary: Confirm a hold into a booking before it expires
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Hold confirmed (pending if the workspace requires approval)
+ *       400:
+ *         description: Booking is not a hold, or the hold has expired
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.post(
+    '/:id/confirm',
+    authMiddleware,
+    requirePermission('bookings:update', { owner: bookingOwner }),
+    bookingController.confirmHold
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/check-in:
+ *   post:
+ *     summary: Check in to a confirmed booking (app, front desk or kiosk API key)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Arrival recorded
+ *       400:
+ *         description: Booking not confirmed, already checked in, or outside the check-in window (CHECK_IN_OPENS_MINUTES before the start to CHECK_IN_GRACE_MINUTES after it)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.post(
+    '/:id/check-in',
+    authMiddleware,
+    requirePermission('checkin:write', { owner: bookingOwner }),
+    bookingController.checkInBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/check-out:
+ *   post:
+ *     summary: Check out of a booking, completing it and freeing the rest of the booked time
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Departure recorded and booking completed
+ *       400:
+ *         description: Booking not checked in, or already checked out
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.post(
+    '/:id/check-out',
+    authMiddleware,
+    requirePermission('checkin:write', { owner: bookingOwner }),
+    bookingController.checkOutBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}:
+ *   patch:
+ *     summary: Reschedule or extend a booking, or change its attendees
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: scope
+ *         description: For an occurrence of a series, also apply to the following occurrences or the whole series
+ *         schema:
+ *           type: string
+ *           enum: [this, following, series]
+ *           default: this
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               attendees:
+ *                 description: A number of attendees, or a list of users and external guests; with a list, it replaces the booking's list and the count is the host plus the listed attendees
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         userId:
+ *                           type: integer
+ *                         email:
+ *                           type: string
+ *                           format: email
+ *                         name:
+ *                           type: string
+ *     responses:
+ *       200:
+ *         description: Booking updated (back to pending if the workspace requires approval); a list of bookings for the following or series scopes
+ *       400:
+ *         description: Invalid input, capacity exceeded or timeslot already booked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.patch(
+    '/:id',
+    authMiddleware,
+    requirePermission('bookings:update', { owner: bookingOwner }),
+    bookingController.updateBooking
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/attendees:
+ *   get:
+ *     summary: Get the host, organizer and named attendees of a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The host, the user who booked on their behalf (null if they booked themselves) and the attendees, guests flagged with is_guest
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.get(
+    '/:id/attendees',
+    authMiddleware,
+    requirePermission('bookings:read', { owner: bookingOwner }),
+    bookingController.getBookingAttendees
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/history:
+ *   get:
+ *     summary: Get the status history of a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Status changes from the creation of the booking on, each with from_status (null at creation), to_status, who made it (null for the system), the reason given and when
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
+ *       404:
+ *         description: Booking not found
+ */
+bookingRouter.get(
+    '/:id/history',
+    authMiddleware,
+    requirePermission('bookings:read', { owner: bookingOwner }),
+    bookingController.getBookingHistory
+);
 
 /**
  * @swagger
  * /api/bookings/{id}:
  *   delete:
  *     summary: Cancel a booking
+ *     description: Bookings can be cancelled until they start. Cancelling after the cancellation deadline of the workspace's booking policy counts as a late cancellation against the host, when the host or the organizer cancels.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -151,14 +906,46 @@ bookingRouter.get('/user', authMiddleware, bookingController.getUserBookings);
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: scope
+ *         description: For an occurrence of a series, also apply to the following occurrences or the whole series
+ *         schema:
+ *           type: string
+ *           enum: [this, following, series]
+ *           default: this
+ *       - in: query
+ *         name: reason
+ *         description: Why the booking is cancelled, if not given in the body
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
  *     responses:
  *       200:
- *         description: Booking cancelled
+ *         description: Booking cancelled, flagged cancelled_late if after the deadline, or the cancelled bookings of the series
+ *       400:
+ *         description: Booking already cancelled, completed or started, reason too long, or scope given for a one-off booking
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another user outside the teams you lead
  *       404:
  *         description: Booking not found
  */
-bookingRouter.delete('/:id', authMiddleware, bookingController.cancelBooking);
+bookingRouter.delete(
+    '/:id',
+    authMiddleware,
+    requirePermission('bookings:cancel', { owner: bookingOwner }),
+    bookingController.cancelBooking
+);
 
 module.exports = bookingRouter;
\ No newline at end of file
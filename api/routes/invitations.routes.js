@@ -0,0 +1,20 @@
+const express = require('express');
+const invitations = require('../controllers/invitations.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const invitationRouter = express.Router();
+
+// Every invitation route is restricted to admins
+invitationRouter.use(authMiddleware, requirePermission('users:invite'));
+
+// Route to invite someone outside the allowed email domains
+invitationRouter.post('/', invitations.createInvitation);
+
+// Route to list pending invitations
+invitationRouter.get('/', invitations.getPendingInvitations);
+
+// Route to revoke a pending invitation
+invitationRouter.delete('/:id', invitations.revokeInvitation);
+
+module.exports = invitationRouter;
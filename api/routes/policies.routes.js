@@ -0,0 +1,41 @@
+const express = require('express');
+const policies = require('../controllers/policies.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const policyRouter = express.Router();
+
+// Every booking policy route requires an authenticated user
+policyRouter.use(authMiddleware);
+
+// Route to list the policies of workspace types and workspaces
+policyRouter.get('/', policies.getAllPolicies);
+
+// Route to fetch the policy that applies to a workspace
+policyRouter.get('/workspaces/:workspaceId', policies.getWorkspacePolicy);
+
+// Routes to set and remove the policy of a workspace type (managers and admins)
+policyRouter.put(
+  '/types/:typeId',
+  requirePermission('policies:manage'),
+  policies.setPolicy
+);
+policyRouter.delete(
+  '/types/:typeId',
+  requirePermission('policies:manage'),
+  policies.deletePolicy
+);
+
+// Routes to set and remove the policy of a single workspace (managers and admins)
+policyRouter.put(
+  '/workspaces/:workspaceId',
+  requirePermission('policies:manage'),
+  policies.setPolicy
+);
+policyRouter.delete(
+  '/workspaces/:workspaceId',
+  requirePermission('policies:manage'),
+  policies.deletePolicy
+);
+
+module.exports = policyRouter;
@@ -0,0 +1,26 @@
+const express = require('express');
+const quotas = require('../controllers/quotas.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const quotaRouter = express.Router();
+
+// Every booking quota route is restricted to admins
+quotaRouter.use(authMiddleware, requirePermission('quotas:manage'));
+
+// Route to list the quotas of roles, teams and users
+quotaRouter.get('/', quotas.getAllQuotas);
+
+// Routes to set and remove the quota of a role
+quotaRouter.put('/roles/:role', quotas.setQuota);
+quotaRouter.delete('/roles/:role', quotas.deleteQuota);
+
+// Routes to set and remove the quota of a team, overriding those of its members' roles
+quotaRouter.put('/teams/:teamId', quotas.setQuota);
+quotaRouter.delete('/teams/:teamId', quotas.deleteQuota);
+
+// Routes to set and remove the quota of a single user, overriding all others
+quotaRouter.put('/users/:userId', quotas.setQuota);
+quotaRouter.delete('/users/:userId', quotas.deleteQuota);
+
+module.exports = quotaRouter;
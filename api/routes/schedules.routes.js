@@ -0,0 +1,57 @@
+const express = require('express');
+const schedules = require('../controllers/schedules.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const scheduleRouter = express.Router();
+
+// Every schedule route requires an authenticated user
+scheduleRouter.use(authMiddleware);
+
+// Route to fetch the opening hours that apply to a workspace
+scheduleRouter.get(
+  '/workspaces/:workspaceId/opening-hours',
+  schedules.getWorkspaceOpeningHours
+);
+
+// Routes to list, replace and remove the opening hours of a location or workspace
+// (managers and admins change them)
+scheduleRouter.get('/opening-hours', schedules.getOpeningHours);
+scheduleRouter.put(
+  '/opening-hours',
+  requirePermission('schedules:manage'),
+  schedules.setOpeningHours
+);
+scheduleRouter.delete(
+  '/opening-hours',
+  requirePermission('schedules:manage'),
+  schedules.clearOpeningHours
+);
+
+// Routes to list, add and remove organization holidays (managers and admins change them)
+scheduleRouter.get('/holidays', schedules.getHolidays);
+scheduleRouter.post(
+  '/holidays',
+  requirePermission('schedules:manage'),
+  schedules.addHoliday
+);
+scheduleRouter.delete(
+  '/holidays/:id',
+  requirePermission('schedules:manage'),
+  schedules.deleteHoliday
+);
+
+// Routes to list, add and remove blackout periods (managers and admins change them)
+scheduleRouter.get('/blackouts', schedules.getBlackouts);
+scheduleRouter.post(
+  '/blackouts',
+  requirePermission('schedules:manage'),
+  schedules.createBlackout
+);
+scheduleRouter.delete(
+  '/blackouts/:id',
+  requirePermission('schedules:manage'),
+  schedules.deleteBlackout
+);
+
+module.exports = scheduleRouter;
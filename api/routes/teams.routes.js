@@ -0,0 +1,41 @@
+const express = require('express');
+const teams = require('../controllers/teams.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
+
+const teamRouter = express.Router();
+
+// Every team route requires an authenticated user
+teamRouter.use(authMiddleware);
+
+// Route to list teams
+teamRouter.get('/', teams.getAllTeams);
+
+// Route to fetch a team with its members and reserved workspaces
+teamRouter.get('/:id', teams.getTeam);
+
+// Routes to create, update and delete teams (managers and admins)
+teamRouter.post('/', requirePermission('teams:manage'), teams.createTeam);
+teamRouter.put('/:id', requirePermission('teams:manage'), teams.updateTeam);
+teamRouter.delete('/:id', requirePermission('teams:manage'), teams.deleteTeam);
+
+// Routes to manage team membership (managers and admins)
+teamRouter.post(
+  '/:id/members',
+  requirePermission('teams:manage'),
+  teams.addMember
+);
+teamRouter.delete(
+  '/:id/members/:userId',
+  requirePermission('teams:manage'),
+  teams.removeMember
+);
+
+// Route to reserve workspaces for the members of a team (managers and admins)
+teamRouter.put(
+  '/:id/workspaces',
+  requirePermission('teams:manage'),
+  teams.setWorkspaces
+);
+
+module.exports = teamRouter;
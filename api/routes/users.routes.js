@@ -11,6 +11,14 @@ const users = require('../controllers/users.controllers');
 // It ensures that only authenticated users can access the protected routes.
 const authMiddleware = require('../middlewares/auth.middleware');
 
+// Importing the permission middlewares.
+// `requirePermission` checks the role of the authenticated user, and `ownerFromParam`
+// lets users act on their own account through the `:own` variant of a permission.
+const {
+  requirePermission,
+  ownerFromParam,
+} = require('../middlewares/permission.middleware');
+
 // Creating a new router instance using Express.
 // The `userRouter` will define routes related to user operations.
 const userRouter = express.Router();
@@ -18,42 +26,181 @@ const userRouter = express.Router();
 /**
  * @route GET /
  * @description Fetches all users from the database.
- * @access Protected (Requires a valid JWT token)
+ * @access Protected (Managers and admins)
  * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:read') - Restricts access to managers and admins.
  * @controller users.getAllUsers - Handles the logic for fetching all users.
  */
-userRouter.get('/', authMiddleware, users.getAllUsers);
+userRouter.get(
+  '/',
+  authMiddleware,
+  requirePermission('users:read'),
+  users.getAllUsers
+);
+
+/**
+ * @route GET /lockouts
+ * @description Lists account lockouts caused by repeated failed logins.
+ * @access Protected (Admins only)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:unlock') - Restricts access to admins.
+ * @controller users.getLockouts - Handles the logic for listing lockouts.
+ * @query {number} [userId] - Only return lockouts of this user.
+ */
+userRouter.get(
+  '/lockouts',
+  authMiddleware,
+  requirePermission('users:unlock'),
+  users.getLockouts
+);
 
 /**
  * @route GET /:id
  * @description Fetches a single user by their ID.
- * @access Protected (Requires a valid JWT token)
+ * @access Protected (The user themselves, managers and admins)
  * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:read') - Users may only read their own account.
  * @controller users.getSingleUser - Handles the logic for fetching a user by ID.
  * @param {string} id - The ID of the user to fetch (provided as a URL parameter).
  */
-userRouter.get('/:id', authMiddleware, users.getSingleUser);
+userRouter.get(
+  '/:id',
+  authMiddleware,
+  requirePermission('users:read', { owner: ownerFromParam('id') }),
+  users.getSingleUser
+);
 
 /**
  * @route PUT /:id
  * @description Updates a user's details.
- * @access Protected (Requires a valid JWT token)
+ * @access Protected (The user themselves and admins)
  * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:update') - Users may only update their own account.
  * @controller users.updateUser - Handles the logic for updating a user's details.
  * @param {string} id - The ID of the user to update (provided as a URL parameter).
  * @body {object} updates - The fields to update (provided in the request body).
  */
-userRouter.put('/:id', authMiddleware, users.updateUser);
+userRouter.put(
+  '/:id',
+  authMiddleware,
+  requirePermission('users:update', { owner: ownerFromParam('id') }),
+  users.updateUser
+);
 
 /**
  * @route DELETE /:id
- * @description Deletes a user by their ID.
- * @access Protected (Requires a valid JWT token)
+ * @description Deactivates a user by their ID. Users are never hard deleted so that their
+ * booking history is kept; their future bookings are cancelled.
+ * @access Protected (Admins only)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:deactivate') - Restricts access to admins.
+ * @controller users.deactivateUser - Handles the logic for deactivating a user by ID.
+ * @param {string} id - The ID of the user to deactivate (provided as a URL parameter).
+ */
+userRouter.delete(
+  '/:id',
+  authMiddleware,
+  requirePermission('users:deactivate'),
+  users.deactivateUser
+);
+
+/**
+ * @route PATCH /:id/status
+ * @description Activates, deactivates or suspends a user.
+ * @access Protected (Admins only)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:deactivate') - Restricts access to admins.
+ * @controller users.setUserStatus - Handles the logic for changing the account status.
+ * @param {string} id - The ID of the user (provided as a URL parameter).
+ * @body {string} status - `active`, `deactivated` or `suspended`.
+ */
+userRouter.patch(
+  '/:id/status',
+  authMiddleware,
+  requirePermission('users:deactivate'),
+  users.setUserStatus
+);
+
+/**
+ * @route POST /:id/anonymize
+ * @description Erases the personal data of a user (GDPR-style erasure request).
+ * @access Protected (Admins only)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:anonymize') - Restricts access to admins.
+ * @controller users.anonymizeUser - Handles the logic for anonymizing a user.
+ * @param {string} id - The ID of the user to anonymize (provided as a URL parameter).
+ */
+userRouter.post(
+  '/:id/anonymize',
+  authMiddleware,
+  requirePermission('users:anonymize'),
+  users.anonymizeUser
+);
+
+/**
+ * @route POST /:id/unlock
+ * @description Lifts the lockout of an account before it expires.
+ * @access Protected (Admins only)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:unlock') - Restricts access to admins.
+ * @controller users.unlockUser - Handles the logic for unlocking an account.
+ * @param {string} id - The ID of the user to unlock (provided as a URL parameter).
+ */
+userRouter.post(
+  '/:id/unlock',
+  authMiddleware,
+  requirePermission('users:unlock'),
+  users.unlockUser
+);
+
+/**
+ * @route GET /:id/delegates
+ * @description Lists who may book on behalf of a user, and for whom the user may book.
+ * @access Protected (The user themselves, managers and admins)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:read', { owner }) - Restricts access to the user and to managers and admins.
+ * @controller users.getDelegates - Handles the logic for listing delegates.
+ * @param {string} id - The ID of the user (provided as a URL parameter).
+ */
+userRouter.get(
+  '/:id/delegates',
+  authMiddleware,
+  requirePermission('users:read', { owner: ownerFromParam('id') }),
+  users.getDelegates
+);
+
+/**
+ * @route POST /:id/delegates
+ * @description Allows another user to book on behalf of a user.
+ * @access Protected (The user themselves and admins)
+ * @middleware authMiddleware - Verifies the user's authentication.
+ * @middleware requirePermission('users:update', { owner }) - Restricts access to the user and to admins.
+ * @controller users.addDelegate - Handles the logic for adding a delegate.
+ * @param {string} id - The ID of the user booked for (provided as a URL parameter).
+ */
+userRouter.post(
+  '/:id/delegates',
+  authMiddleware,
+  requirePermission('users:update', { owner: ownerFromParam('id') }),
+  users.addDelegate
+);
+
+/**
+ * @route DELETE /:id/delegates/:delegateId
+ * @description Stops another user from booking on behalf of a user.
+ * @access Protected (The user themselves and admins)
  * @middleware authMiddleware - Verifies the user's authentication.
- * @controller users.deleteUser - Handles the logic for deleting a user by ID.
- * @param {string} id - The ID of the user to delete (provided as a URL parameter).
+ * @middleware requirePermission('users:update', { owner }) - Restricts access to the user and to admins.
+ * @controller users.removeDelegate - Handles the logic for removing a delegate.
+ * @param {string} id - The ID of the user booked for (provided as a URL parameter).
+ * @param {string} delegateId - The ID of the delegate (provided as a URL parameter).
  */
-userRouter.delete('/:id', authMiddleware, users.deleteUser);
+userRouter.delete(
+  '/:id/delegates/:delegateId',
+  authMiddleware,
+  requirePermission('users:update', { owner: ownerFromParam('id') }),
+  users.removeDelegate
+);
 
 // Exporting the `userRouter` instance for use in other parts of the application.
 // This allows the routes defined here to be mounted in the main application file (e.g., `server.js`).
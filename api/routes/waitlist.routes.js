@@ -0,0 +1,37 @@
+const express = require('express');
+const waitlist = require('../controllers/waitlist.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const {
+  requirePermission,
+  requireVerifiedEmail,
+  waitlistEntryOwner,
+} = require('../middlewares/permission.middleware');
+
+const waitlistRouter = express.Router();
+
+// Every waitlist route requires an authenticated user
+waitlistRouter.use(authMiddleware);
+
+// Route to list the current user's waitlist entries with their position
+waitlistRouter.get(
+  '/',
+  requirePermission('bookings:read:own'),
+  waitlist.getMyWaitlist
+);
+
+// Route to join the waitlist of an already booked workspace and time range
+waitlistRouter.post(
+  '/',
+  requirePermission('bookings:create'),
+  requireVerifiedEmail,
+  waitlist.joinWaitlist
+);
+
+// Route to leave the waitlist (own entries, or entries of team members for team leads)
+waitlistRouter.delete(
+  '/:id',
+  requirePermission('bookings:cancel', { owner: waitlistEntryOwner }),
+  waitlist.leaveWaitlist
+);
+
+module.exports = waitlistRouter;
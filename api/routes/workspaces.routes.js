@@ -3,12 +3,32 @@ const {
   createWorkspace,
   getWorkspaceById,
   getAllWorkspaces,
+  getWorkspaceTypes,
+  updateWorkspaceTypeBookingMode,
 } = require('../controllers/workspaces.controllers');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/permission.middleware');
 
 const router = express.Router();
 
-// Route to create a new workspace
-router.post('/', createWorkspace);
+// Route to create a new workspace (managers and admins only)
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('workspaces:create'),
+  createWorkspace
+);
+
+// Route to list workspace types with their booking mode
+router.get('/types', getWorkspaceTypes);
+
+// Route to set the booking mode of a workspace type (managers and admins only)
+router.patch(
+  '/types/:typeId',
+  authMiddleware,
+  requirePermission('policies:manage'),
+  updateWorkspaceTypeBookingMode
+);
 
 // Route to get a workspace by ID
 router.get('/:id', getWorkspaceById);
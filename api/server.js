@@ -1,5 +1,6 @@
 const app = require("./app");
 const setupDatabase = require("./database/setup/setup.setup");
+const startJobs = require("./jobs");
 
 async function startServer() {
   // Phase 1: Database Setup
@@ -21,6 +22,9 @@ async function startServer() {
   // Start server if database connection is successful
   const PORT = process.env.PORT || 5000;
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+  // Phase 4: Background jobs (e.g. expiring bookings left waiting for approval)
+  startJobs();
 }
 
 // Start with proper error handling
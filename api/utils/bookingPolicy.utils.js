@@ -0,0 +1,102 @@
+/**
+ * @file Booking policy checks for SpaceMania bookings
+ * @module utils/bookingPolicy
+ * @description Checks a booking time range against the effective booking policy of its
+ * workspace (see `getEffectivePolicy`). Availability checks, new bookings, series, waitlist
+ * entries and reschedules all use these checks, so they accept and reject the same bookings.
+ *
+ * The cleanup buffer between bookings is not checked here: it widens the conflict checks
+ * made against other bookings in the database.
+ * @requires ../errors
+ */
+
+const { PolicyViolationError } = require('../errors/index.errors');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * @function checkBookingPolicy
+ * @description Checks the duration, notice, horizon and slot boundaries of a booking
+ * @param {Object|null} policy - Effective policy of the workspace; null limits are not checked
+ * @param {Object} booking - Booking time range
+ * @param {Date} booking.startTime - Start of the booking
+ * @param {Date} booking.endTime - End of the booking
+ * @param {boolean} [booking.checkStart=true] - Whether the start is new and must respect the
+ * notice, horizon and slot boundaries; false when an existing booking is only extended
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {void}
+ * @throws {PolicyViolationError} With code `BOOKING_TOO_SHORT`, `BOOKING_TOO_LONG`,
+ * `INSUFFICIENT_NOTICE`, `BEYOND_BOOKING_HORIZON` or `OFF_SLOT_BOUNDARY`
+ */
+const checkBookingPolicy = (
+  policy,
+  { startTime, endTime, checkStart = true },
+  now = new Date()
+) => {
+  if (!policy) {
+    return;
+  }
+  const {
+    min_duration_minutes: minDuration,
+    max_duration_minutes: maxDuration,
+    min_notice_minutes: minNotice,
+    max_advance_days: maxAdvanceDays,
+    slot_granularity_minutes: granularity,
+  } = policy;
+  const durationMinutes = (endTime - startTime) / MINUTE_MS;
+
+  if (minDuration && durationMinutes < minDuration) {
+    throw new PolicyViolationError(
+      'BOOKING_TOO_SHORT',
+      `Bookings of this workspace must last at least ${minDuration} minutes`,
+      { minDurationMinutes: minDuration }
+    );
+  }
+  if (maxDuration && durationMinutes > maxDuration) {
+    throw new PolicyViolationError(
+      'BOOKING_TOO_LONG',
+      `Bookings of this workspace may last at most ${maxDuration} minutes`,
+      { maxDurationMinutes: maxDuration }
+    );
+  }
+
+  if (checkStart && minNotice && startTime - now < minNotice * MINUTE_MS) {
+    throw new PolicyViolationError(
+      'INSUFFICIENT_NOTICE',
+      `This workspace must be booked at least ${minNotice} minutes in advance`,
+      {
+        minNoticeMinutes: minNotice,
+        earliestStart: new Date(now.getTime() + minNotice * MINUTE_MS),
+      }
+    );
+  }
+  if (checkStart && maxAdvanceDays && startTime - now > maxAdvanceDays * DAY_MS) {
+    throw new PolicyViolationError(
+      'BEYOND_BOOKING_HORIZON',
+      `This workspace can be booked at most ${maxAdvanceDays} days in advance`,
+      {
+        maxAdvanceDays,
+        latestStart: new Date(now.getTime() + maxAdvanceDays * DAY_MS),
+      }
+    );
+  }
+
+  // Boundaries are counted from midnight UTC, which also aligns them in time zones
+  // whose offset is a multiple of the granularity
+  const offBoundary = (time) => time.getTime() % (granularity * MINUTE_MS) !== 0;
+  if (
+    granularity &&
+    ((checkStart && offBoundary(startTime)) || offBoundary(endTime))
+  ) {
+    throw new PolicyViolationError(
+      'OFF_SLOT_BOUNDARY',
+      `Bookings of this workspace must start and end on ${granularity}-minute boundaries`,
+      { slotGranularityMinutes: granularity }
+    );
+  }
+};
+
+module.exports = {
+  checkBookingPolicy,
+};
@@ -0,0 +1,108 @@
+/**
+ * @file Booking quota checks for SpaceMania bookings
+ * @module utils/bookingQuota
+ * @description Compares what a user has booked (see `getQuotaUsage`) with their effective
+ * quota (see `getEffectiveQuota`). New bookings, reschedules and bookings made from the waitlist
+ * all use these checks, and the quota endpoint reports the same figures, so users see the
+ * allowance they are held to.
+ * @requires ../errors
+ */
+
+const { PolicyViolationError } = require('../errors/index.errors');
+
+/**
+ * @function checkBookingQuota
+ * @description Checks the usage of a user, new bookings included, against their quota
+ * @param {Object|null} quota - Effective quota of the user; null limits are not checked
+ * @param {Object} usage - Usage returned by `getQuotaUsage` for the new bookings
+ * @returns {void}
+ * @throws {PolicyViolationError} With code `QUOTA_ACTIVE_BOOKINGS`, `QUOTA_WEEKLY_HOURS` or
+ * `QUOTA_CONCURRENT_BOOKINGS`
+ */
+const checkBookingQuota = (quota, usage) => {
+  if (!quota) {
+    return;
+  }
+  const {
+    max_active_bookings: maxActive,
+    max_weekly_hours: maxWeeklyHours,
+    max_concurrent_bookings: maxConcurrent,
+  } = quota;
+
+  if (maxActive !== null && usage.active_bookings > maxActive) {
+    throw new PolicyViolationError(
+      'QUOTA_ACTIVE_BOOKINGS',
+      `You may have at most ${maxActive} upcoming bookings`,
+      { maxActiveBookings: maxActive }
+    );
+  }
+
+  const overbooked = usage.weeks.find(
+    (week) => maxWeeklyHours !== null && week.booked_hours > maxWeeklyHours
+  );
+  if (overbooked) {
+    throw new PolicyViolationError(
+      'QUOTA_WEEKLY_HOURS',
+      `You may book at most ${maxWeeklyHours} hours per week`,
+      {
+        maxWeeklyHours,
+        weekStart: overbooked.week_start,
+        bookedHours: overbooked.booked_hours,
+      }
+    );
+  }
+
+  if (
+    maxConcurrent !== null &&
+    usage.peak_concurrent_bookings > maxConcurrent
+  ) {
+    throw new PolicyViolationError(
+      'QUOTA_CONCURRENT_BOOKINGS',
+      `You may have at most ${maxConcurrent} bookings at the same time`,
+      { maxConcurrentBookings: maxConcurrent }
+    );
+  }
+};
+
+/**
+ * @function remainingQuota
+ * @description Works out what a user may still book
+ * @param {Object|null} quota - Effective quota of the user
+ * @param {Object} usage - Usage returned by `getQuotaUsage` without new bookings
+ * @returns {Object} For each limit, its value and what is left of it (null when not enforced):
+ * `active_bookings` and `weekly_hours` for the current week; `concurrent_bookings` only has a
+ * limit, since it depends on when the bookings take place
+ */
+const remainingQuota = (quota, usage) => {
+  const {
+    max_active_bookings: maxActive = null,
+    max_weekly_hours: maxWeeklyHours = null,
+    max_concurrent_bookings: maxConcurrent = null,
+  } = quota || {};
+  // Hours are rounded to the hundredth, like the booked hours
+  const left = (limit, used) =>
+    limit === null ? null : Math.max(Math.round((limit - used) * 100) / 100, 0);
+  const [week] = usage.weeks;
+
+  return {
+    active_bookings: {
+      limit: maxActive,
+      used: usage.active_bookings,
+      remaining: left(maxActive, usage.active_bookings),
+    },
+    weekly_hours: {
+      limit: maxWeeklyHours,
+      week_start: week.week_start,
+      used: week.booked_hours,
+      remaining: left(maxWeeklyHours, week.booked_hours),
+    },
+    concurrent_bookings: {
+      limit: maxConcurrent,
+    },
+  };
+};
+
+module.exports = {
+  checkBookingQuota,
+  remainingQuota,
+};
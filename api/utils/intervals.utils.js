@@ -0,0 +1,76 @@
+/**
+ * @file Time interval helpers for SpaceMania schedules
+ * @module utils/intervals
+ * @description Set operations on time intervals, used to lay out the booked, free and closed
+ * periods of workspace timelines. An interval is an object with a `start` and an `end` Date,
+ * the end being excluded; its other properties are copied to the pieces derived from it.
+ */
+
+/**
+ * @function mergeIntervals
+ * @description Joins overlapping or touching intervals
+ * @param {Array<{start: Date, end: Date}>} intervals - Intervals in any order
+ * @returns {Array<{start: Date, end: Date}>} Disjoint intervals in time order, each keeping the
+ * properties of the earliest interval it was joined from
+ */
+const mergeIntervals = (intervals) =>
+  [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        if (interval.end > last.end) last.end = interval.end;
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+
+/**
+ * @function subtractIntervals
+ * @description Removes from intervals the parts covered by other intervals
+ * @param {Array<{start: Date, end: Date}>} intervals - Intervals to cut
+ * @param {Array<{start: Date, end: Date}>} removed - Intervals to remove
+ * @returns {Array<{start: Date, end: Date}>} The remaining pieces, in the order of `intervals`
+ */
+const subtractIntervals = (intervals, removed) => {
+  const holes = mergeIntervals(removed);
+  return intervals.flatMap((interval) => {
+    const pieces = [];
+    let start = interval.start;
+    holes
+      .filter((hole) => hole.start < interval.end && hole.end > start)
+      .forEach((hole) => {
+        if (hole.start > start) {
+          pieces.push({ ...interval, start, end: hole.start });
+        }
+        if (hole.end > start) start = hole.end;
+      });
+    if (start < interval.end) {
+      pieces.push({ ...interval, start, end: interval.end });
+    }
+    return pieces;
+  });
+};
+
+/**
+ * @function clipIntervals
+ * @description Keeps the parts of intervals falling within a range
+ * @param {Array<{start: Date, end: Date}>} intervals - Intervals to clip
+ * @param {{start: Date, end: Date}} range - Range to keep
+ * @returns {Array<{start: Date, end: Date}>} The non-empty clipped intervals
+ */
+const clipIntervals = (intervals, range) =>
+  intervals
+    .map((interval) => ({
+      ...interval,
+      start: interval.start < range.start ? range.start : interval.start,
+      end: interval.end > range.end ? range.end : interval.end,
+    }))
+    .filter((interval) => interval.start < interval.end);
+
+module.exports = {
+  mergeIntervals,
+  subtractIntervals,
+  clipIntervals,
+};
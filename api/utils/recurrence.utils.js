@@ -0,0 +1,480 @@
+/**
+ * @file Recurrence rule helpers for SpaceMania series bookings
+ * @module utils/recurrence
+ * @description Parses and expands the subset of RFC 5545 recurrence rules (RRULE) used for
+ * series bookings:
+ * - `FREQ`: `DAILY`, `WEEKLY` or `MONTHLY`
+ * - `INTERVAL`: Every n days, weeks or months (default 1)
+ * - `BYDAY`: Weekdays (`MO,WE,FR`); with `MONTHLY`, optionally with an ordinal (`1MO`, `-1FR`)
+ * - `BYMONTHDAY`: Days of the month with `MONTHLY` (`1,15`, `-1` for the last day)
+ * - `UNTIL` or `COUNT`: One of them is required, so that every series is finite
+ *
+ * Occurrences are computed in local time of the time zone given to `expandRRule` (the
+ * organization time zone for series bookings) and converted to UTC afterwards: a series keeps
+ * the same local time of day and weekday across daylight saving changes. As in RFC 5545,
+ * `COUNT` is applied before exception dates are removed.
+ * @requires ../errors
+ */
+
+const { ValidationError } = require('../errors/index.errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RFC 5545 weekday codes, indexed like `Date.prototype.getUTCDay()`.
+// Rules are expanded on "local" dates: dates whose UTC fields hold the local date and time.
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * @constant {number} MAX_SERIES_OCCURRENCES
+ * @description Maximum number of occurrences a series may have (env: `MAX_SERIES_OCCURRENCES`)
+ */
+const MAX_SERIES_OCCURRENCES = parseInt(
+  process.env.MAX_SERIES_OCCURRENCES || '200',
+  10
+);
+
+/**
+ * @function toLocal
+ * @description Converts an instant to the local date and time of a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local date, whose UTC fields hold the local date and time
+ */
+const toLocal = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+  return new Date(
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+      date.getUTCMilliseconds()
+    )
+  );
+};
+
+/**
+ * @function fromLocal
+ * @description Converts a local date and time of a time zone to an instant. A local time
+ * skipped by a daylight saving change is moved forward by the length of the change.
+ * @param {Date} local - Local date, whose UTC fields hold the local date and time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+const fromLocal = (local, timeZone) => {
+  const offsetAt = (time) => toLocal(new Date(time), timeZone).getTime() - time;
+  const guess = local.getTime() - offsetAt(local.getTime());
+  return new Date(local.getTime() - offsetAt(guess));
+};
+
+/**
+ * @function parseUntil
+ * @description Parses an RRULE `UNTIL` value (`YYYYMMDD`, `YYYYMMDDTHHMMSS` in local time or
+ * `YYYYMMDDTHHMMSSZ` in UTC). A date-only value includes the whole day.
+ * @param {string} value - `UNTIL` value
+ * @returns {{time: Date, utc: boolean}} Last instant an occurrence may start at, as a local
+ * date unless `utc` is true
+ * @throws {ValidationError} If the value is malformed
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    value
+  );
+  if (!match) {
+    throw new ValidationError(`Invalid UNTIL value: ${value}`);
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    return {
+      time: new Date(Date.UTC(year, month - 1, day, 23, 59, 59)),
+      utc: false,
+    };
+  }
+  return {
+    time: new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)),
+    utc: Boolean(utc),
+  };
+};
+
+/**
+ * @function parseByDay
+ * @description Parses an RRULE `BYDAY` value
+ * @param {string} value - `BYDAY` value (e.g. `MO,WE,FR` or `1MO,-1FR`)
+ * @returns {Array<{weekday: number, ordinal: number|null}>} Parsed weekdays
+ * @throws {ValidationError} If a weekday is malformed
+ */
+const parseByDay = (value) =>
+  value.split(',').map((item) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+    if (!match) {
+      throw new ValidationError(`Invalid BYDAY value: ${item}`);
+    }
+    return {
+      weekday: WEEKDAYS.indexOf(match[2]),
+      ordinal: match[1] ? parseInt(match[1], 10) : null,
+    };
+  });
+
+/**
+ * @function parseRRule
+ * @description Parses and validates a recurrence rule
+ * @param {string} rrule - Recurrence rule, with or without the `RRULE:` prefix
+ * (e.g. `FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261231`)
+ * @returns {Object} Parsed rule (`freq`, `interval`, `count`, `until` (see `parseUntil`),
+ * `byDay`, `byMonthDay`)
+ * @throws {ValidationError} If the rule is malformed or uses unsupported parts
+ */
+const parseRRule = (rrule) => {
+  if (typeof rrule !== 'string' || !rrule.trim()) {
+    throw new ValidationError('rrule can not be empty');
+  }
+
+  const rule = {
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: null,
+    byMonthDay: null,
+  };
+
+  rrule
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach((part) => {
+      const [name, value] = part.split('=');
+      if (!value) {
+        throw new ValidationError(`Invalid rrule part: ${part}`);
+      }
+      switch (name.toUpperCase()) {
+        case 'FREQ':
+          if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(value)) {
+            throw new ValidationError('FREQ must be DAILY, WEEKLY or MONTHLY');
+          }
+          rule.freq = value;
+          break;
+        case 'INTERVAL':
+          rule.interval = parseInt(value, 10);
+          if (!(rule.interval >= 1)) {
+            throw new ValidationError('INTERVAL must be a positive number');
+          }
+          break;
+        case 'COUNT':
+          rule.count = parseInt(value, 10);
+          if (!(rule.count >= 1)) {
+            throw new ValidationError('COUNT must be a positive number');
+          }
+          break;
+        case 'UNTIL':
+          rule.until = parseUntil(value);
+          break;
+        case 'BYDAY':
+          rule.byDay = parseByDay(value);
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = value.split(',').map((day) => {
+            const monthDay = parseInt(day, 10);
+            if (!monthDay || monthDay < -31 || monthDay > 31) {
+              throw new ValidationError(`Invalid BYMONTHDAY value: ${day}`);
+            }
+            return monthDay;
+          });
+          break;
+        case 'WKST':
+          if (value !== 'MO') {
+            throw new ValidationError('Only WKST=MO is supported');
+          }
+          break;
+        default:
+          throw new ValidationError(`Unsupported rrule part: ${name}`);
+      }
+    });
+
+  if (!rule.freq) {
+    throw new ValidationError('rrule must define FREQ');
+  }
+  if (!rule.count === !rule.until) {
+    throw new ValidationError('rrule must define either COUNT or UNTIL');
+  }
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') {
+    throw new ValidationError('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay && rule.freq !== 'MONTHLY') {
+    if (rule.byDay.some(({ ordinal }) => ordinal !== null)) {
+      throw new ValidationError(
+        'BYDAY ordinals (e.g. 1MO) are only supported with FREQ=MONTHLY'
+      );
+    }
+  }
+
+  return rule;
+};
+
+/**
+ * @function atTimeOf
+ * @description Builds the local date of a given day at the time of day of another local date
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11, may overflow)
+ * @param {number} day - Day of the month
+ * @param {Date} time - Local date whose time of day is used
+ * @returns {Date} The combined date
+ */
+const atTimeOf = (year, month, day, time) =>
+  new Date(
+    Date.UTC(
+      year,
+      month,
+      day,
+      time.getUTCHours(),
+      time.getUTCMinutes(),
+      time.getUTCSeconds()
+    )
+  );
+
+/**
+ * @function monthlyCandidates
+ * @description Lists the occurrences a `MONTHLY` rule produces in one month
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {Date} dtstart - First occurrence of the series, as a local date
+ * @returns {Array<Date>} Local dates of the occurrences of the month, in chronological order
+ */
+const monthlyCandidates = (rule, year, month, dtstart) => {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days = null;
+
+  if (rule.byMonthDay) {
+    days = new Set();
+    rule.byMonthDay.forEach((monthDay) => {
+      const day = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+      if (day >= 1 && day <= daysInMonth) days.add(day);
+    });
+  }
+
+  if (rule.byDay) {
+    const weekdayDays = new Set();
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day += 1) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+      if (ordinal === null) {
+        matching.forEach((day) => weekdayDays.add(day));
+      } else {
+        const day =
+          matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+        if (day) weekdayDays.add(day);
+      }
+    });
+    // As in RFC 5545, BYMONTHDAY and BYDAY together keep the days matching both
+    days = days
+      ? new Set([...days].filter((day) => weekdayDays.has(day)))
+      : weekdayDays;
+  }
+
+  // Without BYMONTHDAY or BYDAY the series repeats on the day of the month of its start,
+  // skipping months that do not have that day
+  if (!days) {
+    days = new Set();
+    if (dtstart.getUTCDate() <= daysInMonth) days.add(dtstart.getUTCDate());
+  }
+
+  return [...days]
+    .sort((a, b) => a - b)
+    .map((day) => atTimeOf(year, month, day, dtstart));
+};
+
+/**
+ * @function periodCandidates
+ * @description Lists the occurrences a rule produces in its n-th period (day, week or month)
+ * @param {Object} rule - Parsed rule
+ * @param {Date} dtstart - First occurrence of the series, as a local date
+ * @param {number} period - Index of the period, counted from the one containing `dtstart`
+ * @returns {Array<Date>} Local dates of the occurrences of the period, in chronological order
+ */
+const periodCandidates = (rule, dtstart, period) => {
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    // Local dates have no daylight saving changes, so days are all the same length
+    const candidate = new Date(dtstart.getTime() + step * DAY_MS);
+    const allowed =
+      !rule.byDay ||
+      rule.byDay.some(({ weekday }) => weekday === candidate.getUTCDay());
+    return allowed ? [candidate] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (WKST=MO)
+    const mondayOffset = (dtstart.getUTCDay() + 6) % 7;
+    const weekdays = rule.byDay
+      ? rule.byDay.map(({ weekday }) => weekday)
+      : [dtstart.getUTCDay()];
+    return [...new Set(weekdays)]
+      .map((weekday) => (weekday + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((dayOfWeek) =>
+        atTimeOf(
+          dtstart.getUTCFullYear(),
+          dtstart.getUTCMonth(),
+          dtstart.getUTCDate() - mondayOffset + step * 7 + dayOfWeek,
+          dtstart
+        )
+      );
+  }
+
+  const month = dtstart.getUTCMonth() + step;
+  return monthlyCandidates(
+    rule,
+    dtstart.getUTCFullYear() + Math.floor(month / 12),
+    month % 12,
+    dtstart
+  );
+};
+
+/**
+ * @function parseExdates
+ * @description Parses the exception dates of a series. A date-only exception (`YYYY-MM-DD`)
+ * matches any occurrence on that local day; a date-time without an offset is a local time.
+ * @param {Array<string>} exdates - Exception dates or date-times
+ * @param {string} timeZone - IANA time zone of local dates and times
+ * @returns {{days: Set<string>, times: Set<number>}} Excluded local days (`YYYY-MM-DD`), and
+ * excluded instants in milliseconds
+ * @throws {ValidationError} If an exception is not a valid date or date-time
+ */
+const parseExdates = (exdates, timeZone) => {
+  const days = new Set();
+  const times = new Set();
+  exdates.forEach((exdate) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(exdate)) {
+      const day = new Date(`${exdate}T00:00:00Z`);
+      if (isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== exdate) {
+        throw new ValidationError(`Invalid exception date: ${exdate}`);
+      }
+      days.add(exdate);
+      return;
+    }
+    const local = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(
+      exdate
+    );
+    const time = new Date(local ? `${exdate}Z` : exdate);
+    if (isNaN(time.getTime())) {
+      throw new ValidationError(`Invalid exception date: ${exdate}`);
+    }
+    times.add((local ? fromLocal(time, timeZone) : time).getTime());
+  });
+  return { days, times };
+};
+
+/**
+ * @function isException
+ * @description Checks whether an occurrence matches one of the exception dates of a series
+ * @param {Date} occurrence - Start of the occurrence
+ * @param {Date} local - Start of the occurrence, as a local date
+ * @param {Object} exceptions - Exceptions returned by `parseExdates`
+ * @returns {boolean} True if the occurrence is excluded
+ */
+const isException = (occurrence, local, exceptions) =>
+  exceptions.times.has(occurrence.getTime()) ||
+  exceptions.days.has(local.toISOString().slice(0, 10));
+
+/**
+ * @function finish
+ * @description Ensures that an expanded series has at least one occurrence
+ * @param {Array<Date>} occurrences - Expanded occurrences
+ * @returns {Array<Date>} The same occurrences
+ * @throws {ValidationError} If there is no occurrence
+ */
+const finish = (occurrences) => {
+  if (occurrences.length === 0) {
+    throw new ValidationError('The recurrence rule yields no occurrence');
+  }
+  return occurrences;
+};
+
+/**
+ * @function expandRRule
+ * @description Expands a recurrence rule into the start times of its occurrences.
+ * Occurrences before `dtstart` are skipped.
+ * @param {string} rrule - Recurrence rule
+ * @param {Date} dtstart - Start of the first occurrence
+ * @param {Object} [options] - Expansion options
+ * @param {Array<string>} [options.exdates=[]] - Exception dates or date-times to skip
+ * @param {string} [options.timeZone='UTC'] - IANA time zone whose local time the occurrences
+ * keep, and in which weekdays, days of the month and date-only exceptions are read
+ * @returns {Array<Date>} Start times of the occurrences, in chronological order
+ * @throws {ValidationError} If the rule or an exception date is invalid, or the rule yields no
+ * occurrence or more than `MAX_SERIES_OCCURRENCES`
+ * @example
+ * expandRRule('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3', new Date('2026-11-02T09:00:00Z'));
+ * // => 2026-11-02T09:00Z, 2026-11-04T09:00Z, 2026-11-09T09:00Z
+ */
+const expandRRule = (
+  rrule,
+  dtstart,
+  { exdates = [], timeZone = 'UTC' } = {}
+) => {
+  const rule = parseRRule(rrule);
+  const exceptions = parseExdates(exdates, timeZone);
+  const until =
+    rule.until &&
+    (rule.until.utc ? rule.until.time : fromLocal(rule.until.time, timeZone));
+  const localStart = toLocal(dtstart, timeZone);
+  const occurrences = [];
+  let generated = 0;
+
+  // Bounds the scan of periods that produce nothing (e.g. BYMONTHDAY=31 in short months)
+  const maxPeriods = MAX_SERIES_OCCURRENCES * 31;
+
+  for (let period = 0; period < maxPeriods; period += 1) {
+    const candidates = periodCandidates(rule, localStart, period)
+      .map((local) => ({ local, candidate: fromLocal(local, timeZone) }))
+      .filter(({ candidate }) => candidate >= dtstart);
+
+    for (const { local, candidate } of candidates) {
+      if (until && candidate > until) {
+        return finish(occurrences);
+      }
+      generated += 1;
+      if (!isException(candidate, local, exceptions)) {
+        occurrences.push(candidate);
+      }
+      if (occurrences.length > MAX_SERIES_OCCURRENCES) {
+        throw new ValidationError(
+          `A series can not have more than ${MAX_SERIES_OCCURRENCES} occurrences`
+        );
+      }
+      if (rule.count && generated >= rule.count) {
+        return finish(occurrences);
+      }
+    }
+  }
+
+  return finish(occurrences);
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  parseRRule,
+  expandRRule,
+};